@@ -8,6 +8,7 @@
 import { themeManager } from './components/ThemeManager.js';
 import { modalSystem } from './components/ModalSystem.js';
 import { toast } from './components/ToastSystem.js';
+import { lockScreen } from './components/LockScreen.js';
 import { storage } from './core/StorageManager.js';
 import { CONFIG } from './core/Config.js';
 
@@ -30,6 +31,9 @@ class HarmonyApp {
     console.log(`🌿 Harmony Scheduler v${this.version} - Initialisation...`);
 
     try {
+      // Attend le chargement des données (IndexedDB est asynchrone)
+      await storage.ready;
+
       // Initialise le gestionnaire de thème
       themeManager.init();
 
@@ -106,6 +110,19 @@ class HarmonyApp {
 
     // Smooth scroll pour les ancres
     this._initSmoothScroll();
+
+    // Échecs d'écriture (quota, base indisponible)
+    this._watchStorageErrors();
+  }
+
+  /**
+   * Signale les écritures qui ont échoué : saveStore a déjà répondu,
+   * l'échec n'arrive qu'avec l'écriture asynchrone
+   */
+  _watchStorageErrors() {
+    storage.subscribe('storage:error', ({ error }) => {
+      toast.error(`Erreur de sauvegarde : vos dernières modifications n'ont pas été enregistrées (${error})`);
+    });
   }
 
   /**
@@ -200,6 +217,9 @@ class HarmonyApp {
 // Crée et exporte l'instance singleton
 export const app = new HarmonyApp();
 
+// Avant init() : sur des données chiffrées, `storage.ready` attend le déverrouillage
+lockScreen.init();
+
 // Initialise au chargement du DOM
 if (document.readyState === 'loading') {
   document.addEventListener('DOMContentLoaded', () => app.init());
@@ -71,7 +71,7 @@ export class HarmonyScoreWidget {
         
         ${this.options.showTrend && trends ? this._renderTrend(trends) : ''}
         
-        ${this.options.showBreakdown && breakdown ? this._renderBreakdown(breakdown) : ''}
+        ${this.options.showBreakdown && breakdown ? this._renderBreakdown(breakdown, trends) : ''}
         
         ${recoveryRecommendation ? this._renderRecovery(recoveryRecommendation) : ''}
       </div>
@@ -138,21 +138,34 @@ export class HarmonyScoreWidget {
   }
 
   _renderTrend(trends) {
+    // Pas encore de semaine précédente à comparer
+    if (!trends.weeksAnalyzed) {
+      return `
+        <div class="harmony-widget__trend harmony-widget__trend--neutral">
+          <span class="harmony-widget__trend-icon">→</span>
+          <span class="harmony-widget__trend-label">Tendance disponible dès la semaine prochaine</span>
+        </div>
+      `;
+    }
+    
     const trend = trends.direction || 'stable';
     const change = trends.change || 0;
     const trendIcon = trend === 'up' ? '↑' : trend === 'down' ? '↓' : '→';
     const trendClass = trend === 'up' ? 'positive' : trend === 'down' ? 'negative' : 'neutral';
+    const label = trends.previousScore !== null
+      ? 'vs semaine dernière'
+      : `vs moyenne sur ${trends.weeksAnalyzed} sem.`;
     
     return `
-      <div class="harmony-widget__trend harmony-widget__trend--${trendClass}">
+      <div class="harmony-widget__trend harmony-widget__trend--${trendClass}" title="Pente : ${trends.slope} pts/semaine">
         <span class="harmony-widget__trend-icon">${trendIcon}</span>
         <span class="harmony-widget__trend-value">${Math.abs(change)}%</span>
-        <span class="harmony-widget__trend-label">vs semaine dernière</span>
+        <span class="harmony-widget__trend-label">${label}</span>
       </div>
     `;
   }
 
-  _renderBreakdown(breakdown) {
+  _renderBreakdown(breakdown, trends) {
     const items = [
       { key: 'dailyLoad', label: 'Charge journalière', icon: '📅' },
       { key: 'breakCompliance', label: 'Pauses respectées', icon: '⏸️' },
@@ -168,6 +181,7 @@ export class HarmonyScoreWidget {
           const value = breakdown[item.key];
           if (value === undefined) return '';
           const level = getScoreLevel(value).key.toLowerCase();
+          const trend = trends?.dimensions?.[item.key];
           return `
             <div class="harmony-widget__breakdown-item" title="${item.label}: ${value}/100">
               <span class="harmony-widget__breakdown-icon">${item.icon}</span>
@@ -178,6 +192,7 @@ export class HarmonyScoreWidget {
                 ></div>
               </div>
               <span class="harmony-widget__breakdown-value">${value}</span>
+              ${trend ? this._renderDimensionTrend(trend) : ''}
             </div>
           `;
         }).join('')}
@@ -185,6 +200,20 @@ export class HarmonyScoreWidget {
     `;
   }
 
+  _renderDimensionTrend(trend) {
+    if (trend.direction === 'stable' || trend.significance === 'low' || trend.significance === 'insufficient') {
+      return '<span class="harmony-widget__breakdown-trend harmony-widget__breakdown-trend--neutral">→</span>';
+    }
+    
+    const isUp = trend.direction === 'up';
+    return `
+      <span 
+        class="harmony-widget__breakdown-trend harmony-widget__breakdown-trend--${isUp ? 'positive' : 'negative'}"
+        title="${trend.delta > 0 ? '+' : ''}${trend.delta} pts vs moyenne récente"
+      >${isUp ? '↑' : '↓'}</span>
+    `;
+  }
+
   _renderRecovery(recovery) {
     const priorityClass = recovery.priority || 'low';
     const hours = recovery.recommendedHours || 0;
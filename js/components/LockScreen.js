@@ -0,0 +1,188 @@
+/**
+ * ============================================================
+ * HARMONY SCHEDULER v2.0 — Lock Screen
+ * ============================================================
+ * Écran de verrouillage des données chiffrées : demande la phrase
+ * secrète au chargement et après une période d'inactivité
+ * (professional.autoLockMinutes).
+ * À initialiser avant `storage.ready`, qui n'est résolu qu'au
+ * déverrouillage.
+ */
+
+import { storage } from '../core/StorageManager.js';
+import { CONFIG } from '../core/Config.js';
+
+const ACTIVITY_EVENTS = ['mousemove', 'keydown', 'click', 'touchstart', 'scroll'];
+
+export class LockScreen {
+  constructor() {
+    this.element = null;
+    this.reason = null;
+    this.initialized = false;
+    this.idleTimer = null;
+    this.lastActivity = Date.now();
+    this.onActivity = this._onActivity.bind(this);
+  }
+
+  init() {
+    if (this.initialized) return;
+    this.initialized = true;
+
+    storage.subscribe('storage:locked', ({ reason }) => this.show(reason));
+    storage.subscribe('storage:unlocked', () => this._onUnlocked());
+    storage.subscribe('storage:encryption', () => this._startIdleWatch());
+    storage.subscribe('professional:updated', () => this._startIdleWatch());
+
+    if (storage.isLocked()) {
+      this.show('startup');
+    }
+    storage.ready.then(() => this._startIdleWatch());
+  }
+
+  /**
+   * @param {string} reason - 'startup' | 'manual' | 'idle' | 'remote'
+   */
+  show(reason = 'startup') {
+    this._stopIdleWatch();
+    if (!document.body) {
+      document.addEventListener('DOMContentLoaded', () => this.show(reason), { once: true });
+      return;
+    }
+    if (this.element) return;
+
+    this.reason = reason;
+    const subtitle = {
+      startup: 'Vos données sont chiffrées. Saisissez votre phrase secrète pour les ouvrir.',
+      manual: 'Session verrouillée.',
+      idle: 'Session verrouillée après inactivité.',
+      remote: 'Le chiffrement a été modifié dans un autre onglet.',
+    }[reason] || '';
+
+    this.element = document.createElement('div');
+    this.element.className = 'harmony-lock';
+    this.element.setAttribute('role', 'dialog');
+    this.element.setAttribute('aria-modal', 'true');
+    this.element.setAttribute('aria-labelledby', 'lockTitle');
+    this.element.innerHTML = `
+      <form class="harmony-lock__card" novalidate>
+        <div class="harmony-lock__icon" aria-hidden="true">🔒</div>
+        <h2 id="lockTitle" class="harmony-lock__title">Harmony est verrouillé</h2>
+        <p class="harmony-lock__subtitle">${subtitle}</p>
+        <input type="password" name="passphrase" class="hs-field" autocomplete="current-password"
+               placeholder="Phrase secrète" aria-label="Phrase secrète" required>
+        <p class="harmony-lock__error" role="alert" hidden></p>
+        <button type="submit" class="hs-btn hs-btn--primary">Déverrouiller</button>
+        <button type="button" class="harmony-lock__forgot" data-lock-action="forgot">
+          Phrase secrète oubliée ?
+        </button>
+        <div class="harmony-lock__reset" hidden>
+          <p>Sans la phrase secrète, les données ne peuvent pas être récupérées.
+             Vous pouvez tout effacer et repartir de zéro.</p>
+          <button type="button" class="hs-btn hs-btn--danger hs-btn--sm" data-lock-action="erase">
+            Effacer toutes les données
+          </button>
+        </div>
+      </form>
+    `;
+
+    document.body.appendChild(this.element);
+    document.body.classList.add('harmony-modal-open');
+
+    const form = this.element.querySelector('form');
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this._unlock(form);
+    });
+    this.element.querySelector('[data-lock-action="forgot"]').addEventListener('click', () => {
+      this.element.querySelector('.harmony-lock__reset').hidden = false;
+    });
+    this.element.querySelector('[data-lock-action="erase"]').addEventListener('click', () => this._erase());
+
+    form.elements.passphrase.focus();
+  }
+
+  hide() {
+    this.element?.remove();
+    this.element = null;
+    document.body?.classList.remove('harmony-modal-open');
+  }
+
+  /**
+   * ============================================================
+   * MÉTHODES PRIVÉES
+   * ============================================================
+   */
+
+  async _unlock(form) {
+    const input = form.elements.passphrase;
+    const submit = form.querySelector('[type="submit"]');
+    const error = form.querySelector('.harmony-lock__error');
+
+    submit.disabled = true;
+    submit.textContent = 'Déchiffrement…';
+    const result = await storage.unlock(input.value);
+
+    if (!result.success) {
+      error.textContent = result.error;
+      error.hidden = false;
+      submit.disabled = false;
+      submit.textContent = 'Déverrouiller';
+      input.select();
+    }
+  }
+
+  /**
+   * Déverrouillé ici ou par un autre onglet (chiffrement désactivé)
+   */
+  _onUnlocked() {
+    // Après un verrouillage en cours de session, les pages repartent de données fraîches
+    if (this.element && this.reason !== 'startup') {
+      location.reload();
+      return;
+    }
+    this.hide();
+    this._startIdleWatch();
+  }
+
+  async _erase() {
+    const button = this.element.querySelector('[data-lock-action="erase"]');
+    if (button.dataset.confirming !== 'true') {
+      button.dataset.confirming = 'true';
+      button.textContent = 'Confirmer l\'effacement définitif';
+      return;
+    }
+
+    button.disabled = true;
+    await storage.clearAll();
+    location.reload();
+  }
+
+  _startIdleWatch() {
+    this._stopIdleWatch();
+
+    const minutes = storage.getProfessional().autoLockMinutes;
+    if (!storage.isEncrypted() || storage.isLocked() || !minutes) return;
+
+    this.lastActivity = Date.now();
+    ACTIVITY_EVENTS.forEach(type => window.addEventListener(type, this.onActivity, { passive: true }));
+    // Vérification périodique plutôt qu'un minuteur réarmé à chaque mouvement de souris
+    this.idleTimer = setInterval(() => {
+      if (Date.now() - this.lastActivity >= minutes * CONFIG.TIME.MINUTE) {
+        storage.lock('idle');
+      }
+    }, CONFIG.TIME.MINUTE / 4);
+  }
+
+  _stopIdleWatch() {
+    clearInterval(this.idleTimer);
+    this.idleTimer = null;
+    ACTIVITY_EVENTS.forEach(type => window.removeEventListener(type, this.onActivity));
+  }
+
+  _onActivity() {
+    this.lastActivity = Date.now();
+  }
+}
+
+// Singleton instance
+export const lockScreen = new LockScreen();
@@ -54,6 +54,7 @@ export class ModalSystem {
       onClose,
       onConfirm,
       onCancel,
+      onChoice,
       closeOnOverlay = true,
       closeOnEscape = true,
       showCloseButton = true,
@@ -112,10 +113,11 @@ export class ModalSystem {
     });
     
     // Bind des boutons
-    this._bindModalButtons(modal, { onConfirm, onCancel });
+    this._bindModalButtons(modal, { onConfirm, onCancel, onChoice });
     
     return {
       id,
+      element: modal,
       close: () => this.close(id),
       updateContent: (newContent) => this._updateContent(id, newContent),
       setLoading: (loading) => this._setLoading(id, loading),
@@ -165,6 +167,48 @@ export class ModalSystem {
     });
   }
 
+  /**
+   * Crée une modale de choix entre plusieurs options
+   * @param {Object} options - { title, message, choices: [{ value, text, class }], cancelText }
+   * @returns {Promise<string|null>} Valeur choisie, null si annulé
+   */
+  choose(options) {
+    const {
+      message,
+      title = 'Choisir',
+      choices = [],
+      cancelText = 'Annuler',
+    } = options;
+    
+    return new Promise((resolve) => {
+      const modal = this.create({
+        title,
+        size: 'small',
+        type: 'confirm',
+        content: `<p class="modal-message">${message}</p>`,
+        buttons: [
+          {
+            text: cancelText,
+            class: 'btn--ghost',
+            action: 'cancel',
+          },
+          ...choices.map(choice => ({
+            text: choice.text,
+            class: choice.class || 'btn--primary',
+            action: 'choice',
+            value: choice.value,
+          })),
+        ],
+        onChoice: (value) => {
+          resolve(value);
+          modal.close();
+        },
+        onCancel: () => resolve(null),
+        onClose: () => resolve(null),
+      });
+    });
+  }
+
   /**
    * Crée une modale d'alerte rapide
    */
@@ -203,6 +247,7 @@ export class ModalSystem {
   form(options) {
     const {
       title,
+      intro = '',
       fields = [],
       submitText = 'Enregistrer',
       cancelText = 'Annuler',
@@ -211,12 +256,13 @@ export class ModalSystem {
     } = options;
     
     const formHtml = this._buildFormHTML(fields);
+    const formId = `modal_form_${Date.now()}`;
     
     const modal = this.create({
       title,
       size: 'medium',
       type: 'form',
-      content: `<form class="harmony-form" id="modal_form_${Date.now()}">${formHtml}</form>`,
+      content: `${intro}<form class="harmony-form" id="${formId}">${formHtml}</form>`,
       buttons: [
         {
           text: cancelText,
@@ -228,6 +274,8 @@ export class ModalSystem {
           class: 'btn--primary',
           action: 'submit',
           type: 'submit',
+          // Le pied de modale est hors du <form> : le bouton y est rattaché par `form`
+          form: formId,
         },
       ],
     });
@@ -351,6 +399,8 @@ export class ModalSystem {
         type="${btn.type || 'button'}"
         class="btn ${btn.class || 'btn--primary'}"
         data-action="${btn.action || ''}"
+        ${btn.form ? `form="${btn.form}"` : ''}
+        ${btn.value !== undefined ? `data-value="${btn.value}"` : ''}
         ${btn.disabled ? 'disabled' : ''}
       >
         ${btn.icon ? `<span class="btn-icon">${btn.icon}</span>` : ''}
@@ -393,6 +443,7 @@ export class ModalSystem {
         value = '',
         options = [],
         helpText = '',
+        suggestions = [], // Autocomplétion : [{ value, label }]
       } = field;
       
       let inputHtml = '';
@@ -452,7 +503,13 @@ export class ModalSystem {
               placeholder="${placeholder}"
               value="${value}"
               ${required ? 'required' : ''}
+              ${suggestions.length ? `list="field_${name}_list" autocomplete="off"` : ''}
             >
+            ${suggestions.length ? `
+              <datalist id="field_${name}_list">
+                ${suggestions.map(opt => `<option value="${opt.value}">${opt.label || ''}</option>`).join('')}
+              </datalist>
+            ` : ''}
           `;
       }
       
@@ -489,6 +546,9 @@ export class ModalSystem {
           case 'confirm':
             if (callbacks.onConfirm) callbacks.onConfirm();
             break;
+          case 'choice':
+            if (callbacks.onChoice) callbacks.onChoice(e.currentTarget.dataset.value);
+            break;
         }
       });
     });
@@ -0,0 +1,287 @@
+/**
+ * ============================================================
+ * HARMONY SCHEDULER v2.0 — Command History
+ * ============================================================
+ * Journal d'annulation / rétablissement des actions sur le
+ * calendrier (création, modification, suppression, blocage,
+ * imports et actions groupées).
+ * Chaque commande mémorise l'état des enregistrements touchés
+ * (événements, fiches clients créées ou complétées au passage,
+ * notifications émises par l'action)
+ * avant et après l'action ; un import conserve le store complet.
+ * Le journal survit aux rechargements le temps de la session,
+ * sauf si le store est chiffré : il reste alors en mémoire et
+ * disparaît au verrouillage.
+ * Un effacement ou une anonymisation RGPD (dans cet onglet ou un
+ * autre) retire les commandes qui en conservent des copies.
+ */
+
+import { CONFIG } from './Config.js';
+import { storage } from './StorageManager.js';
+import { SecurityUtils } from '../utils/Validator.js';
+
+const SESSION_KEY = `${CONFIG.STORAGE_KEY}_history`;
+
+// Collections capturées par une commande ordinaire (hors imports)
+const TRACKED_COLLECTIONS = ['events', 'clients', 'notifications'];
+
+// Tenus par l'écriture elle-même ou conservés par replaceStore : hors comparaison
+const VOLATILE_STORE_FIELDS = ['revision', 'updatedAt', 'auditLog'];
+
+export class CommandHistory {
+  constructor() {
+    this.undoStack = [];
+    this.redoStack = [];
+    this.listeners = new Set();
+    this._load();
+    
+    // Les états capturés contiennent des données en clair
+    storage.subscribe('storage:locked', () => this.clear());
+    storage.subscribe('storage:encryption', () => this._save());
+    storage.subscribe('privacy:purged', () => this._purge());
+    // Journal rechargé de la session : une purge a pu avoir lieu entre-temps
+    storage.ready.then(() => this._purge());
+  }
+
+  /**
+   * Exécute une action et l'inscrit au journal si elle modifie des données.
+   * @param {string} label - Libellé affiché (« Déplacement du RDV »)
+   * @param {Function} action - Fonction (sync ou async) renvoyant { success, ... }
+   * @param {Object} options - { fullStore } : capture le store entier (imports)
+   * @returns {Promise<Object>} Résultat de l'action
+   */
+  async run(label, action, options = {}) {
+    const before = this._capture(options.fullStore);
+    const result = await action();
+
+    if (result?.success === false) return result;
+
+    const changes = options.fullStore
+      ? { store: { before, after: this._capture(true) } }
+      : this._diff(before, this._capture(false));
+
+    if (changes.store || TRACKED_COLLECTIONS.some(collection => changes[collection].length)) {
+      this.undoStack.push({
+        id: SecurityUtils.generateSecureId(),
+        label,
+        at: new Date().toISOString(),
+        ...changes,
+      });
+      this.undoStack = this.undoStack.slice(-CONFIG.HISTORY.MAX_ENTRIES);
+      this.redoStack = [];
+      this._save();
+      this._notify('run');
+    }
+
+    return result;
+  }
+
+  undo() {
+    return this._replay(this.undoStack, this.redoStack, 'before', 'after', 'undo');
+  }
+
+  redo() {
+    return this._replay(this.redoStack, this.undoStack, 'after', 'before', 'redo');
+  }
+
+  canUndo() {
+    return this.undoStack.length > 0;
+  }
+
+  canRedo() {
+    return this.redoStack.length > 0;
+  }
+
+  /**
+   * Libellés des prochaines commandes à annuler / rétablir
+   */
+  peek() {
+    return {
+      undo: this.undoStack[this.undoStack.length - 1]?.label || null,
+      redo: this.redoStack[this.redoStack.length - 1]?.label || null,
+    };
+  }
+
+  clear() {
+    this.undoStack = [];
+    this.redoStack = [];
+    this._save();
+    this._notify('clear');
+  }
+
+  /**
+   * @param {Function} callback - (type: 'run'|'undo'|'redo'|'clear'|'purge', command)
+   * @returns {Function} Désinscription
+   */
+  subscribe(callback) {
+    this.listeners.add(callback);
+    return () => this.listeners.delete(callback);
+  }
+
+  /**
+   * ============================================================
+   * MÉTHODES PRIVÉES
+   * ============================================================
+   */
+
+  _replay(source, target, restoreKey, expectedKey, type) {
+    const command = source[source.length - 1];
+    if (!command) {
+      return { success: false, error: type === 'undo' ? 'Rien à annuler' : 'Rien à rétablir' };
+    }
+
+    if (command.store) {
+      // Toute écriture hors journal depuis (réservation, réglages, autre onglet, effacement RGPD) bloque le retour arrière
+      if (this._fingerprint(storage.getStore()) !== this._fingerprint(command.store[expectedKey])) {
+        return { success: false, error: `« ${command.label} » ne peut plus être ${type === 'undo' ? 'annulé' : 'rétabli'} : les données ont changé depuis` };
+      }
+      storage.replaceStore(command.store[restoreKey]);
+    } else {
+      // Un enregistrement modifié depuis (autre onglet, autre action hors journal) bloque le retour arrière
+      const changes = this._recordChanges(command);
+      const conflict = Object.entries(changes).some(([collection, entries]) => {
+        const current = new Map(storage.getRecords(collection).map(record => [record.id, JSON.stringify(record)]));
+        return entries.some(change =>
+          (current.get(change.id) ?? null) !== (change[expectedKey] ? JSON.stringify(change[expectedKey]) : null)
+        );
+      });
+      if (conflict) {
+        return { success: false, error: `« ${command.label} » ne peut plus être ${type === 'undo' ? 'annulé' : 'rétabli'} : les rendez-vous concernés ont changé depuis` };
+      }
+
+      const result = storage.replaceRecords(Object.fromEntries(
+        Object.entries(changes).map(([collection, entries]) => [
+          collection,
+          entries.map(change => ({ id: change.id, record: change[restoreKey] })),
+        ])
+      ));
+      if (!result.success) return result;
+    }
+
+    source.pop();
+    target.push(command);
+    this._save();
+    this._notify(type, command);
+
+    return { success: true, label: command.label };
+  }
+
+  /**
+   * Retire les commandes enregistrées avant un effacement ou une anonymisation
+   * et qui en gardent des données : rendez-vous ou client concernés, et tout
+   * store complet (il contient tous les clients)
+   */
+  _purge() {
+    const keep = (command) => {
+      const { clientIds, eventIds, any } = storage.getPrivacyPurgesSince(command.at);
+      if (command.store) return !any && !eventIds.length;
+
+      const { events, clients, notifications } = this._recordChanges(command);
+      const concernsPurged = record => (record?.clientId && clientIds.includes(record.clientId)) ||
+        (record?.eventId && eventIds.includes(record.eventId));
+      return !clients.some(change => clientIds.includes(change.id)) &&
+        !events.some(change => eventIds.includes(change.id) || concernsPurged(change.before) || concernsPurged(change.after)) &&
+        !notifications.some(change => concernsPurged(change.before) || concernsPurged(change.after));
+    };
+
+    const undoStack = this.undoStack.filter(keep);
+    const redoStack = this.redoStack.filter(keep);
+    if (undoStack.length === this.undoStack.length && redoStack.length === this.redoStack.length) return;
+
+    this.undoStack = undoStack;
+    this.redoStack = redoStack;
+    this._save();
+    this._notify('purge');
+  }
+
+  _capture(fullStore) {
+    if (fullStore) return storage.getStore();
+    return Object.fromEntries(TRACKED_COLLECTIONS.map(collection => [
+      collection,
+      new Map(storage.getRecords(collection).map(record => [record.id, record])),
+    ]));
+  }
+
+  /**
+   * Changements d'une commande par collection (les commandes d'une session
+   * antérieure ne portent que sur les événements)
+   */
+  _recordChanges(command) {
+    return Object.fromEntries(TRACKED_COLLECTIONS.map(collection => [collection, command[collection] || []]));
+  }
+
+  /**
+   * Contenu comparable d'un store (clés triées, champs volatils exclus)
+   */
+  _fingerprint(store) {
+    const content = Object.fromEntries(
+      Object.entries(store).filter(([key]) => !VOLATILE_STORE_FIELDS.includes(key))
+    );
+    return JSON.stringify(content, (key, value) => (
+      value && typeof value === 'object' && !Array.isArray(value)
+        ? Object.fromEntries(Object.entries(value).sort(([a], [b]) => a.localeCompare(b)))
+        : value
+    ));
+  }
+
+  _diff(before, after) {
+    return Object.fromEntries(TRACKED_COLLECTIONS.map(collection => {
+      const previous = before[collection];
+      const next = after[collection];
+      const ids = new Set([...previous.keys(), ...next.keys()]);
+
+      return [collection, [...ids]
+        .filter(id => JSON.stringify(previous.get(id)) !== JSON.stringify(next.get(id)))
+        .map(id => ({ id, before: previous.get(id) || null, after: next.get(id) || null }))];
+    }));
+  }
+
+  _notify(type, command = null) {
+    this.listeners.forEach(callback => {
+      try {
+        callback(type, command);
+      } catch (error) {
+        console.error('[CommandHistory] Listener error:', error);
+      }
+    });
+  }
+
+  _load() {
+    try {
+      const saved = JSON.parse(sessionStorage.getItem(SESSION_KEY));
+      this.undoStack = saved?.undo || [];
+      this.redoStack = saved?.redo || [];
+    } catch {
+      // Pas de sessionStorage (navigation privée stricte, Node) : journal en mémoire
+    }
+  }
+
+  _save() {
+    if (storage.isEncrypted()) {
+      try {
+        sessionStorage.removeItem(SESSION_KEY);
+      } catch {
+        // Pas de sessionStorage : rien à effacer
+      }
+      return;
+    }
+    
+    const undo = [...this.undoStack];
+    const redo = [...this.redoStack];
+
+    // Quota dépassé : on abandonne les commandes les plus anciennes (les imports pèsent lourd)
+    while (true) {
+      try {
+        sessionStorage.setItem(SESSION_KEY, JSON.stringify({ undo, redo }));
+        return;
+      } catch (error) {
+        if (error.name !== 'QuotaExceededError' || (!undo.length && !redo.length)) return;
+        if (undo.length) undo.shift();
+        else redo.shift();
+      }
+    }
+  }
+}
+
+// Singleton instance
+export const commandHistory = new CommandHistory();
@@ -13,7 +13,53 @@ export const CONFIG = Object.freeze({
   
   // Storage
   STORAGE_KEY: 'harmonyScheduler_v2',
-  STORAGE_VERSION: 2,
+  STORAGE_VERSION: 4,       // Voir le registre de js/core/Migrations.js
+  
+  // IndexedDB : un object store par collection (+ `meta` pour le reste du store)
+  INDEXED_DB: {
+    NAME: 'harmonyScheduler',
+    VERSION: 3,
+    META_STORE: 'meta',
+    SNAPSHOT_STORE: 'snapshots',
+    COLLECTIONS: {
+      events: ['start', 'status'],    // Index créés sur ces champs
+      clients: ['email', 'phone'],
+      notifications: ['createdAt'],
+      weeklyReports: ['weekStart'],
+      recoveryHistory: ['weekStart'],
+    },
+  },
+  
+  // Migrations du schéma
+  MIGRATIONS: {
+    MAX_SNAPSHOTS: 5,       // Instantanés ponctuels conservés (avant migration, import, réinitialisation, restauration)
+    LOG_SIZE: 20,           // Entrées du journal des migrations
+    // Repli localStorage (quota ~5 Mo partagé avec le store) : copies complètes limitées
+    LOCAL_SNAPSHOTS: {
+      MAX_COUNT: 3,
+      MAX_CHARS: 2000000,   // Taille JSON cumulée des instantanés
+    },
+  },
+  
+  // Données personnelles des clients (RGPD)
+  PRIVACY: {
+    ANONYMOUS_NAME: 'Client anonymisé',
+    AUDIT_LOG_SIZE: 500,      // Entrées du journal des exports / effacements
+    MIN_RETENTION_DAYS: 30,
+    MAX_RETENTION_DAYS: 3650,
+  },
+  
+  // Journal d'annulation (conservé le temps de la session)
+  HISTORY: {
+    MAX_ENTRIES: 50,
+  },
+  
+  // Chiffrement du store par phrase secrète (PBKDF2 + AES-GCM)
+  ENCRYPTION: {
+    FORMAT: 'harmony-encrypted',
+    PBKDF2_ITERATIONS: 310000,   // Recommandation OWASP pour PBKDF2-SHA256
+    MIN_PASSPHRASE_LENGTH: 8,
+  },
   
   // Time constants (ms)
   TIME: {
@@ -23,7 +69,8 @@ export const CONFIG = Object.freeze({
     WEEK: 604800000,
   },
   
-  // Harmony Score Weights (somme = 100)
+  // Harmony Score Weights (somme = 100) — clés de référence, le profil actif
+  // est résolu via getWeightProfile()
   HARMONY_WEIGHTS: {
     DAILY_LOAD: 25,           // Charge journalière
     BREAK_COMPLIANCE: 20,     // Respect des pauses
@@ -33,6 +80,64 @@ export const CONFIG = Object.freeze({
     PREDICTIVE_STRESS: 5,     // Stress prédictif (NOUVEAU)
   },
   
+  // Profils de pondération (chaque jeu de poids somme à 100).
+  // Les ajustements sont appliqués quand la semaine compte des journées
+  // très chargées (intensiveDays) ou dépasse 35h (longWeek).
+  WEIGHT_PROFILES: {
+    DEFAULT: 'standard',
+    CUSTOM: 'custom',
+    PRESETS: {
+      standard: {
+        label: 'Équilibré',
+        description: 'Pondération générale, adaptée à la plupart des pratiques',
+        weights: {
+          DAILY_LOAD: 25, BREAK_COMPLIANCE: 20, EVENING_WORK: 15,
+          WEEKLY_BALANCE: 20, RECOVERY_ADEQUACY: 15, PREDICTIVE_STRESS: 5,
+        },
+        adjustments: {
+          intensiveDays: { BREAK_COMPLIANCE: 5, DAILY_LOAD: -5 },
+          longWeek: { WEEKLY_BALANCE: 5, EVENING_WORK: -5 },
+        },
+      },
+      physical: {
+        label: 'Pratique physique',
+        description: 'Massage, kinésithérapie, ostéopathie : la fatigue corporelle s\'accumule à chaque séance',
+        weights: {
+          DAILY_LOAD: 30, BREAK_COMPLIANCE: 25, EVENING_WORK: 10,
+          WEEKLY_BALANCE: 15, RECOVERY_ADEQUACY: 15, PREDICTIVE_STRESS: 5,
+        },
+        adjustments: {
+          intensiveDays: { RECOVERY_ADEQUACY: 5, EVENING_WORK: -5 },
+          longWeek: { RECOVERY_ADEQUACY: 5, WEEKLY_BALANCE: -5 },
+        },
+      },
+      talkTherapy: {
+        label: 'Thérapie par la parole',
+        description: 'Psychologie, psychothérapie : la charge émotionnelle impose des pauses entre les séances',
+        weights: {
+          DAILY_LOAD: 20, BREAK_COMPLIANCE: 25, EVENING_WORK: 15,
+          WEEKLY_BALANCE: 15, RECOVERY_ADEQUACY: 15, PREDICTIVE_STRESS: 10,
+        },
+        adjustments: {
+          intensiveDays: { BREAK_COMPLIANCE: 5, PREDICTIVE_STRESS: 5, DAILY_LOAD: -10 },
+          longWeek: { RECOVERY_ADEQUACY: 5, EVENING_WORK: -5 },
+        },
+      },
+      consulting: {
+        label: 'Conseil & coaching',
+        description: 'Séances à distance : c\'est le volume hebdomadaire et les soirées qui pèsent',
+        weights: {
+          DAILY_LOAD: 15, BREAK_COMPLIANCE: 15, EVENING_WORK: 20,
+          WEEKLY_BALANCE: 30, RECOVERY_ADEQUACY: 10, PREDICTIVE_STRESS: 10,
+        },
+        adjustments: {
+          intensiveDays: { DAILY_LOAD: 5, PREDICTIVE_STRESS: -5 },
+          longWeek: { WEEKLY_BALANCE: 5, BREAK_COMPLIANCE: -5 },
+        },
+      },
+    },
+  },
+  
   // Seuils dynamiques (ajustables selon le profil)
   THRESHOLDS: {
     SCORE: {
@@ -62,6 +167,100 @@ export const CONFIG = Object.freeze({
       MIN_HOURS_BETWEEN_DAYS: 12,    // Heures min entre fin et début
       IDEAL_BREAK_RATIO: 0.25,        // 25% du temps en pause
       MAX_CONSECUTIVE_INTENSIVE: 3,   // Jours intenses max consécutifs
+      MAX_BREAK_CREDIT_MINUTES: 120,  // Pause intra-journée max comptée comme récupération
+      DAY_OFF_CREDIT_HOURS: 2,        // Crédit de récupération d'un jour off dans la semaine
+      DAY_OFF_REPAYMENT_HOURS: 8,     // Dette remboursée par un jour off
+      SUSTAINABLE_DAILY_HOURS: 7,     // Au-delà, chaque heure crée de la dette
+      DEBT_WINDOW_DAYS: 7,            // Fenêtre glissante de calcul de la dette
+      DEBT_CARRY_OVER: 0.5,           // Part de la dette reportée sur la semaine suivante
+      HISTORY_WEEKS: 52,              // Semaines conservées dans recoveryHistory
+    },
+  },
+  
+  // Analyse des tendances (semaine courante vs semaines précédentes)
+  TRENDS: {
+    WEEKS: 4,               // Semaines précédentes comparées
+    MIN_WEEKS: 2,           // Historique minimum pour juger la significativité
+    STABLE_SLOPE: 1.5,      // Pente (points/semaine) sous laquelle on reste stable
+    STABLE_CHANGE: 2,       // Variation (%) vs semaine dernière considérée stable
+    MIN_DEVIATION: 5,       // Écart-type plancher (évite les z-scores explosifs)
+    SIGNIFICANCE: {
+      HIGH: 2,              // |z| ≥ 2
+      MEDIUM: 1,            // |z| ≥ 1
+    },
+  },
+  
+  // Modèle prédictif de stress (valeurs par défaut avant apprentissage)
+  STRESS_MODEL: {
+    RAPID_GAP_MINUTES: 10,  // Enchaînement « rapide »
+    SHORT_GAP_MINUTES: 20,  // Pause trop courte
+    INTENSIVE_DAY_COUNT: 6, // RDV à partir desquels une journée est intense
+    LEARNING_WEEKS: 12,     // Semaines clôturées utilisées pour l'apprentissage
+    MIN_WEEKS: 3,           // En dessous, on garde les valeurs par défaut
+    SIGNATURE_WEIGHT: 0.4,  // Poids de la ressemblance avec une semaine épuisante
+    BOUNDS: {
+      RAPID_GAP_MINUTES: [5, 15],
+      SHORT_GAP_MINUTES: [10, 30],
+      INTENSIVE_DAY_COUNT: [3, 10],
+    },
+  },
+  
+  // Rapports hebdomadaires (historique du score)
+  REPORTS: {
+    HISTORY_WEEKS: 26,      // Rapports conservés (6 mois)
+    CHART_WEEKS: 12,        // Semaines affichées dans les graphiques
+  },
+  
+  // Simulation « et si ? »
+  SIMULATION: {
+    SIGNIFICANT_DELTA: 3,   // Variation de score (points) jugée significative
+  },
+  
+  // Planificateur de blocages de créneaux
+  BLOCKING: {
+    LUNCH_START: '11:30',   // Fenêtre dans laquelle protéger la pause déjeuner
+    LUNCH_END: '14:00',
+    LUNCH_MINUTES: 45,
+    MIN_DAY_APPOINTMENTS: 4, // En dessous, la journée n'a pas besoin d'être protégée
+    CHAIN_MIN_LENGTH: 3,    // Enchaînement à partir duquel on protège une pause
+    SHORT_REST_POINTS_PER_HOUR: 3, // Points perdus par heure de repos nocturne manquante
+    HORIZON_DAYS: 14,       // Jours à venir analysés
+    MAX_SUGGESTIONS: 10,
+    URGENCY: {
+      HIGH: 5,              // Gain attendu (points de score) ≥ 5
+      MEDIUM: 2,            // Gain attendu ≥ 2
+    },
+  },
+  
+  // Rendez-vous récurrents
+  RECURRENCE: {
+    FREQUENCIES: {
+      DAILY: 'daily',
+      WEEKLY: 'weekly',
+      MONTHLY: 'monthly',   // Même jour de semaine (ex. 2e mardi)
+    },
+    SCOPES: {
+      THIS: 'this',           // Cette occurrence
+      FOLLOWING: 'following', // Cette occurrence et les suivantes
+      ALL: 'all',             // Toute la série
+    },
+    MAX_INTERVAL: 12,
+    MAX_OCCURRENCES: 104,   // Plafond d'une série (2 ans hebdomadaires)
+  },
+  
+  // Disponibilités hebdomadaires tant qu'aucune n'est enregistrée
+  DEFAULT_AVAILABILITY: [1, 2, 3, 4, 5].map(dayOfWeek => ({ dayOfWeek, start: '09:00', end: '18:00' })),
+  
+  // Exceptions datées aux disponibilités hebdomadaires
+  AVAILABILITY_OVERRIDES: {
+    TYPES: {
+      CLOSED: 'closed',     // Journées fermées (congés, jour férié)
+      OPEN: 'open',         // Plage d'ouverture supplémentaire
+    },
+    MAX_RANGE_DAYS: 366,
+    HOLIDAY_PRESETS: {
+      fr: 'France métropolitaine',
+      'fr-alsace-moselle': 'Alsace-Moselle',
     },
   },
   
@@ -77,9 +276,18 @@ export const CONFIG = Object.freeze({
     maxDailyAppointments: 8,
     maxWeeklyHours: 40,
     preferredEveningEnd: '19:00',
+    weightProfile: {
+      id: 'standard',
+      customWeights: null,
+    },
     autoBlockCriticalDays: true,
+    rankBookingSlots: false,        // Réservation : créneaux classés par score projeté plutôt que par heure
     enablePredictiveAlerts: true,
     darkMode: false,
+    autoLockMinutes: 15,            // Verrouillage après inactivité si chiffré (0 = jamais)
+    restorePoints: { daily: 7, weekly: 4 },  // Rotation des points de restauration automatiques
+    services: [],                   // Catalogue : { id, name, duration, bufferBefore, bufferAfter, price, color, bookable }
+    cancellationNoticeHours: 24,    // Délai minimal pour qu'un client annule ou déplace son rendez-vous
     notificationPreferences: {
       email: true,
       browser: true,
@@ -148,3 +356,22 @@ export const getLoadIntensity = (value, type = 'daily') => {
   if (value <= thresholds.DANGER || value <= thresholds.DANGER_HOURS) return 'danger';
   return 'critical';
 };
+
+// Helper pour obtenir le profil de pondération actif.
+// Le mode personnalisé n'applique aucun ajustement contextuel : les poids
+// choisis par le professionnel sont respectés tels quels.
+export const getWeightProfile = (setting = {}) => {
+  const { DEFAULT, CUSTOM, PRESETS } = CONFIG.WEIGHT_PROFILES;
+
+  if (setting.id === CUSTOM && setting.customWeights) {
+    return {
+      id: CUSTOM,
+      label: 'Personnalisé',
+      weights: { ...CONFIG.HARMONY_WEIGHTS, ...setting.customWeights },
+      adjustments: {},
+    };
+  }
+
+  const id = PRESETS[setting.id] ? setting.id : DEFAULT;
+  return { id, ...PRESETS[id] };
+};
@@ -0,0 +1,169 @@
+/**
+ * ============================================================
+ * HARMONY SCHEDULER v2.0 — Event Index
+ * ============================================================
+ * Index en mémoire des événements, trié par date de début.
+ * Les séries récurrentes y figurent développées en occurrences et
+ * les dates n'y sont analysées qu'une fois.
+ * L'index suit les enregistrements du store : à chaque changement,
+ * seuls les enregistrements ajoutés, modifiés ou supprimés sont
+ * réindexés (reconstruction complète au-delà d'un certain volume
+ * ou si le fuseau de référence change). Un enregistrement est
+ * reconnu modifié à sa version et sa date de mise à jour, que
+ * toute écriture du store incrémente.
+ */
+
+import { DateUtils } from '../utils/DateUtils.js';
+import { RecurrenceUtils } from '../utils/RecurrenceUtils.js';
+import { ClientUtils } from '../utils/ClientUtils.js';
+
+// Au-delà, un tri complet coûte moins que les insertions une à une
+const REBUILD_THRESHOLD = 50;
+
+export class EventIndex {
+  constructor() {
+    // Entrées { ts, event, recordId } triées par ts
+    this.entries = [];
+    // recordId → { signature, entries }
+    this.records = new Map();
+    // Tableau d'enregistrements indexé et fuseau utilisé pour développer les séries
+    this.source = null;
+    this.timeZone = null;
+  }
+
+  /**
+   * Met l'index à jour d'après les enregistrements du store
+   * @param {Array} records - store.events (séries non développées)
+   */
+  sync(records) {
+    if (records === this.source && this.timeZone === DateUtils.getTimeZone()) return;
+
+    if (this.timeZone !== DateUtils.getTimeZone()) {
+      this._rebuild(records);
+      return;
+    }
+
+    const seen = new Set();
+    const changed = [];
+    records.forEach(record => {
+      seen.add(record.id);
+      const signature = this._signature(record);
+      if (this.records.get(record.id)?.signature !== signature) {
+        changed.push({ record, signature });
+      }
+    });
+    const removed = [...this.records.keys()].filter(id => !seen.has(id));
+
+    if (changed.length + removed.length > REBUILD_THRESHOLD) {
+      this._rebuild(records);
+      return;
+    }
+
+    removed.forEach(id => this._remove(id));
+    changed.forEach(({ record, signature }) => {
+      this._remove(record.id);
+      this._insert(record, signature);
+    });
+    this.source = records;
+  }
+
+  /**
+   * Entrées dont le début est compris dans [from, to] (timestamps, bornes optionnelles)
+   */
+  between(from = -Infinity, to = Infinity) {
+    const result = [];
+    for (let i = this._lowerBound(from); i < this.entries.length && this.entries[i].ts <= to; i++) {
+      result.push(this.entries[i]);
+    }
+    return result;
+  }
+
+  /**
+   * Texte normalisé (sans accents ni casse) servant à la recherche
+   */
+  searchText(entry) {
+    if (entry.text === undefined) {
+      const { clientName, title, clientEmail, clientPhone, notes } = entry.event;
+      entry.text = ClientUtils.normalizeName([clientName, title, clientEmail, clientPhone, notes].filter(Boolean).join(' '));
+    }
+    return entry.text;
+  }
+
+  /**
+   * ============================================================
+   * MÉTHODES PRIVÉES
+   * ============================================================
+   */
+
+  _rebuild(records) {
+    this.timeZone = DateUtils.getTimeZone();
+    this.records = new Map();
+    this.entries = [];
+
+    records.forEach(record => {
+      const entries = this._expand(record);
+      this.records.set(record.id, { signature: this._signature(record), entries });
+      this.entries.push(...entries);
+    });
+    this.entries.sort((a, b) => a.ts - b.ts);
+    this.source = records;
+  }
+
+  /**
+   * Empreinte d'un enregistrement, sans le sérialiser : le store est
+   * recopié à chaque écriture, l'identité des objets ne dit rien
+   */
+  _signature(record) {
+    return `${record.version || 1}|${record.updatedAt || record.createdAt || ''}`;
+  }
+
+  _insert(record, signature) {
+    const entries = this._expand(record);
+    this.records.set(record.id, { signature, entries });
+    entries.forEach(entry => {
+      this.entries.splice(this._upperBound(entry.ts), 0, entry);
+    });
+  }
+
+  _remove(recordId) {
+    const indexed = this.records.get(recordId);
+    if (!indexed) return;
+
+    const stale = new Set(indexed.entries);
+    this.entries = this.entries.filter(entry => !stale.has(entry));
+    this.records.delete(recordId);
+  }
+
+  _expand(record) {
+    const events = record.recurrence ? RecurrenceUtils.expand(record, this.timeZone) : [record];
+    return events.map(event => ({ ts: new Date(event.start).getTime(), event, recordId: record.id }));
+  }
+
+  /**
+   * Première position dont le ts est >= value
+   */
+  _lowerBound(value) {
+    let low = 0;
+    let high = this.entries.length;
+    while (low < high) {
+      const mid = (low + high) >>> 1;
+      if (this.entries[mid].ts < value) low = mid + 1;
+      else high = mid;
+    }
+    return low;
+  }
+
+  /**
+   * Première position dont le ts est > value (insertion stable)
+   */
+  _upperBound(value) {
+    let low = 0;
+    let high = this.entries.length;
+    while (low < high) {
+      const mid = (low + high) >>> 1;
+      if (this.entries[mid].ts <= value) low = mid + 1;
+      else high = mid;
+    }
+    return low;
+  }
+}
@@ -12,15 +12,40 @@
  * - Indicateur de récupération recommandée
  */
 
-import { CONFIG, getScoreLevel, getLoadIntensity } from './Config.js';
+import { CONFIG, getScoreLevel, getLoadIntensity, getWeightProfile } from './Config.js';
 import { DateUtils } from '../utils/DateUtils.js';
+import { AvailabilityUtils } from '../utils/AvailabilityUtils.js';
 import { MathUtils } from '../utils/MathUtils.js';
 
+// Libellés des dimensions du score (insights & recommandations)
+const DIMENSION_LABELS = {
+  dailyLoad: 'Charge journalière',
+  breakCompliance: 'Respect des pauses',
+  eveningWork: 'Horaires sains',
+  weeklyBalance: 'Équilibre hebdomadaire',
+  recoveryAdequacy: 'Récupération',
+  predictiveStress: 'Stress anticipé',
+};
+
 export class HarmonyEngine {
-  constructor(settings = {}) {
+  /**
+   * @param {Object} settings - Profil du professionnel
+   * @param {Object} options - { stressModel } paramètres appris du modèle de stress
+   */
+  constructor(settings = {}, options = {}) {
     this.settings = { ...CONFIG.DEFAULT_PROFESSIONAL, ...settings };
+    // Fuseau du professionnel : référence pour les jours, soirées et semaines
+    this.timeZone = DateUtils.isValidTimeZone(this.settings.timezone)
+      ? this.settings.timezone
+      : DateUtils.getTimeZone();
     this.historicalData = [];
-    this.predictiveModel = new PredictiveStressModel();
+    this.weightProfile = getWeightProfile(this.settings.weightProfile);
+    this.predictiveModel = new PredictiveStressModel({
+      timeZone: this.timeZone,
+      params: options.stressModel,
+    });
+    // Modèle hebdomadaire et exceptions datées : bornes des créneaux proposés
+    this.availability = options.availability || null;
   }
 
   /**
@@ -32,24 +57,18 @@ export class HarmonyEngine {
   computeWeeklyScore(events, options = {}) {
     try {
       const appointments = this._filterAppointments(events);
-      const weekRange = options.weekRange || DateUtils.getCurrentWeekRange();
-      
-      // Calcul des 6 dimensions du score
-      const breakdown = {
-        dailyLoad: this._computeDailyLoadScore(appointments),
-        breakCompliance: this._computeBreakComplianceScore(appointments),
-        eveningWork: this._computeEveningWorkScore(appointments),
-        weeklyBalance: this._computeWeeklyBalanceScore(appointments),
-        recoveryAdequacy: this._computeRecoveryAdequacyScore(appointments, weekRange),
-        predictiveStress: this._computePredictiveStressScore(appointments, weekRange),
-      };
-
-      // Pondération finale avec ajustements contextuels
-      const weightedScore = this._applyIntelligentWeighting(breakdown, appointments);
-      const clampedScore = MathUtils.clamp(Math.round(weightedScore), 0, 100);
+      const weekRange = options.weekRange || DateUtils.getCurrentWeekRange(this.timeZone);
       
-      // Analyse des tendances
-      const trends = this._analyzeTrends(appointments, weekRange);
+      // Calcul des 6 dimensions du score + pondération contextuelle
+      const { breakdown, score: clampedScore } = this._computeWeekSnapshot(appointments, weekRange);
+      
+      // Analyse des tendances (historique fourni, sinon les événements reçus)
+      const trends = this._analyzeTrends(appointments, weekRange, {
+        breakdown,
+        score: clampedScore,
+        history: this._filterAppointments(options.history || events),
+        weeks: options.trendWeeks,
+      });
       
       // Génération des insights
       const insights = this._generateAdvancedInsights(breakdown, appointments, trends);
@@ -64,8 +83,11 @@ export class HarmonyEngine {
         trends,
         insights,
         recommendations,
-        criticalDays: this._detectCriticalDays(appointments),
-        recoveryRecommendation: this._generateRecoveryRecommendation(breakdown, appointments),
+        criticalDays: this._detectCriticalDays(appointments, options),
+        recoveryRecommendation: this._generateRecoveryRecommendation(breakdown, appointments, {
+          weekRange,
+          recoveryHistory: options.recoveryHistory,
+        }),
         computedAt: new Date().toISOString(),
         version: CONFIG.VERSION,
       };
@@ -145,18 +167,16 @@ export class HarmonyEngine {
   predictOverloadRisk(upcomingEvents, horizonDays = 7) {
     try {
       const predictions = [];
-      const today = new Date();
+      const todayKey = DateUtils.getTodayKey(this.timeZone);
       
       for (let i = 0; i < horizonDays; i++) {
-        const date = new Date(today);
-        date.setDate(today.getDate() + i);
-        const dateStr = date.toISOString().split('T')[0];
+        const dateStr = DateUtils.addDaysToKey(todayKey, i);
         
         const dayEvents = this._filterDayAppointments(upcomingEvents, dateStr);
         const dailyScore = this.computeDailyScore(dateStr, upcomingEvents);
         
         // Calcul du risque cumulé
-        const consecutiveIntensity = this._calculateConsecutiveIntensity(dateStr, upcomingEvents, i);
+        const consecutiveIntensity = this._calculateConsecutiveIntensity(dateStr, upcomingEvents);
         const recoveryDebt = this._calculateRecoveryDebt(dateStr, upcomingEvents);
         
         const riskFactors = {
@@ -197,10 +217,13 @@ export class HarmonyEngine {
   
   detectCriticalDays(events, options = {}) {
     const appointments = this._filterAppointments(events);
-    const byDay = DateUtils.groupByDay(appointments);
+    const byDay = DateUtils.groupByDay(appointments, this.timeZone);
     const criticalDays = [];
     
     Object.entries(byDay).forEach(([date, dayEvents]) => {
+      // Les journées passées ne sont plus actionnables
+      if (options.fromDate && date < options.fromDate) return;
+      
       const analysis = this._analyzeDayCriticality(date, dayEvents);
       
       if (analysis.isCritical) {
@@ -210,7 +233,7 @@ export class HarmonyEngine {
           factors: analysis.factors,
           eventCount: dayEvents.length,
           totalHours: analysis.totalHours,
-          suggestedActions: this._suggestCriticalDayActions(analysis),
+          suggestedActions: this._suggestCriticalDayActions(analysis, appointments),
         });
       }
     });
@@ -227,13 +250,36 @@ export class HarmonyEngine {
    * ============================================================
    */
   
+  /**
+   * Propose des créneaux libres à protéger, classés par gain de score attendu.
+   * Les buckets immediate/planned/preventive regroupent toutes les suggestions
+   * par urgence ; `recovery` isole les blocages inter-journées.
+   */
   suggestOptimalBlocks(events, options = {}) {
+    const { HORIZON_DAYS, MAX_SUGGESTIONS } = CONFIG.BLOCKING;
     const suggestions = [];
     const appointments = this._filterAppointments(events);
-    const byDay = DateUtils.groupByDay(appointments);
+    const byDay = DateUtils.groupByDay(appointments, this.timeZone);
+    
+    // Pauses, blocages et récupérations déjà posés occupent aussi l'agenda
+    const busy = events.filter(ev =>
+      ev.status !== CONFIG.STATUS.CANCELLED &&
+      ev.type !== CONFIG.EVENT_TYPES.AVAILABILITY
+    );
+    const busyByDay = DateUtils.groupByDay(busy, this.timeZone);
+    const fromDate = options.fromDate || null;
+    const untilDate = fromDate
+      ? DateUtils.addDaysToKey(fromDate, options.horizonDays || HORIZON_DAYS)
+      : null;
+    const inHorizon = date => (!fromDate || date >= fromDate) && (!untilDate || date <= untilDate);
     
     Object.entries(byDay).forEach(([date, dayEvents]) => {
-      const dailyAnalysis = this._analyzeDayForBlocking(date, dayEvents);
+      if (!inHorizon(date)) return;
+      
+      const dailyAnalysis = this._analyzeDayForBlocking(date, dayEvents, {
+        busy: busyByDay[date] || [],
+        appointments,
+      });
       
       if (dailyAnalysis.shouldSuggestBlocks) {
         suggestions.push(...dailyAnalysis.blockSuggestions);
@@ -241,14 +287,249 @@ export class HarmonyEngine {
     });
     
     // Suggestions de récupération inter-journées
-    const recoveryBlocks = this._suggestRecoveryBlocks(appointments);
+    const recoveryBlocks = this._suggestRecoveryBlocks(appointments, { busyByDay, inHorizon });
+    
+    // Classement par gain attendu ; un créneau déjà couvert par une meilleure suggestion est écarté
+    const ranked = [];
+    [...suggestions, ...recoveryBlocks]
+      .sort((a, b) => b.expectedGain - a.expectedGain)
+      .forEach(suggestion => {
+        const overlaps = ranked.some(kept => DateUtils.hasOverlap(kept.start, kept.end, suggestion.start, suggestion.end));
+        if (!overlaps && ranked.length < (options.limit || MAX_SUGGESTIONS)) ranked.push(suggestion);
+      });
     
     return {
-      immediate: suggestions.filter(s => s.urgency === 'high'),
-      planned: suggestions.filter(s => s.urgency === 'medium'),
-      preventive: suggestions.filter(s => s.urgency === 'low'),
-      recovery: recoveryBlocks,
+      immediate: ranked.filter(s => s.urgency === 'high'),
+      planned: ranked.filter(s => s.urgency === 'medium'),
+      preventive: ranked.filter(s => s.urgency === 'low'),
+      recovery: ranked.filter(s => s.kind === 'morningAfter'),
+    };
+  }
+
+  /**
+   * ============================================================
+   * SIMULATION « ET SI ? » — Impact d'un changement sur le score
+   * ============================================================
+   */
+  
+  /**
+   * Compare le score avant/après des changements hypothétiques.
+   * @param {Array} events - Événements actuels
+   * @param {Object} changes - {
+   *   add: [event],               // nouveaux RDV
+   *   move: [{ id, start, end }], // déplacements
+   *   cancel: [id],               // annulations
+   *   confirm: [id],              // demandes en attente : ignorées avant, comptées après
+   * }
+   * @param {Object} options - { weekRange } pour forcer la semaine de référence
+   */
+  simulateChanges(events, changes = {}, options = {}) {
+    const confirmIds = new Set(changes.confirm || []);
+    const beforeEvents = events.filter(ev => !confirmIds.has(ev.id));
+    const afterEvents = this._applySimulatedChanges(events, changes);
+    
+    const beforeAppointments = this._filterAppointments(beforeEvents);
+    const afterAppointments = this._filterAppointments(afterEvents);
+    
+    // Jours et semaines touchés (ancienne et nouvelle position des RDV)
+    const affectedDates = this._collectAffectedDates(events, changes, afterEvents);
+    const weekRanges = options.weekRange
+      ? [options.weekRange]
+      : [...new Map(affectedDates.map(date => {
+          const range = DateUtils.getWeekRangeFor(date, this.timeZone);
+          return [range.start, range];
+        })).values()];
+    
+    const weeks = weekRanges.map(range => {
+      const before = this._computeWeekSnapshot(beforeAppointments.filter(ev => DateUtils.isInRange(ev.start, range)), range);
+      const after = this._computeWeekSnapshot(afterAppointments.filter(ev => DateUtils.isInRange(ev.start, range)), range);
+      
+      return {
+        weekStart: range.start,
+        before: before.score,
+        after: after.score,
+        delta: after.score - before.score,
+        dimensions: this._computeDimensionDeltas(before.breakdown, after.breakdown),
+      };
+    });
+    
+    const days = affectedDates.map(date => {
+      const before = this.computeDailyScore(date, beforeAppointments);
+      const after = this.computeDailyScore(date, afterAppointments);
+      const wasCritical = this._analyzeDayCriticality(date, this._filterDayAppointments(beforeAppointments, date)).isCritical;
+      const criticality = this._analyzeDayCriticality(date, this._filterDayAppointments(afterAppointments, date));
+      
+      return {
+        date,
+        before: before.score,
+        after: after.score,
+        delta: after.score - before.score,
+        appointmentCount: after.appointmentCount,
+        becomesCritical: !wasCritical && criticality.isCritical,
+        factors: criticality.factors,
+      };
+    });
+    
+    const weekly = weeks[0] || null;
+    const worstDelta = Math.min(0, ...weeks.map(w => w.delta), ...days.map(d => d.delta));
+    const bestDelta = Math.max(0, ...weeks.map(w => w.delta));
+    
+    return {
+      weekly,
+      weeks,
+      daily: days,
+      impact: worstDelta <= -CONFIG.SIMULATION.SIGNIFICANT_DELTA
+        ? 'negative'
+        : bestDelta >= CONFIG.SIMULATION.SIGNIFICANT_DELTA ? 'positive' : 'neutral',
+      createsCriticalDay: days.some(d => d.becomesCritical),
+    };
+  }
+
+  /**
+   * ============================================================
+   * CRÉNEAUX DE RÉSERVATION — Limites du professionnel
+   * ============================================================
+   */
+  
+  /**
+   * Écarte les créneaux qui dépasseraient le maximum de RDV du jour ou
+   * les heures hebdomadaires, ou (autoBlockCriticalDays) rendraient la
+   * journée critique. Les demandes en attente comptent dans la charge.
+   * @param {Array} events - Événements actuels
+   * @param {Array} slots - Créneaux candidats { start, end }
+   * @param {Object} options - { rank } pour classer par score projeté décroissant
+   * @returns {{ slots: Array, rejected: Array }} créneaux retenus (avec `score`,
+   *   score hebdomadaire projeté) et créneaux écartés (avec `reason`)
+   */
+  evaluateBookingSlots(events, slots, options = {}) {
+    const appointments = this._filterAppointments(events);
+    const maxWeeklyMinutes = this.settings.maxWeeklyHours * 60;
+    const accepted = [];
+    const rejected = [];
+    
+    slots.forEach(slot => {
+      const candidate = { ...slot, id: 'booking-candidate', type: CONFIG.EVENT_TYPES.APPOINTMENT, status: CONFIG.STATUS.PENDING };
+      const dateKey = DateUtils.toDateKey(slot.start, this.timeZone);
+      const dayEvents = this._filterDayAppointments(appointments, slot.start);
+      const weekRange = DateUtils.getWeekRangeFor(slot.start, this.timeZone);
+      const weekEvents = appointments.filter(ev => DateUtils.isInRange(ev.start, weekRange));
+      
+      let reason = null;
+      if (dayEvents.length >= this.settings.maxDailyAppointments) {
+        reason = 'dailyLimit';
+      } else if (this._calculateTotalWorkMinutes([...weekEvents, candidate]) > maxWeeklyMinutes) {
+        reason = 'weeklyHours';
+      } else if (this.settings.autoBlockCriticalDays &&
+                 this._analyzeDayCriticality(dateKey, [...dayEvents, candidate]).isCritical) {
+        reason = 'criticalDay';
+      }
+      
+      if (reason) {
+        rejected.push({ ...slot, reason });
+        return;
+      }
+      
+      accepted.push({ ...slot, score: this._computeWeekSnapshot([...weekEvents, candidate], weekRange).score });
+    });
+    
+    if (options.rank) {
+      accepted.sort((a, b) => b.score - a.score || new Date(a.start) - new Date(b.start));
+    }
+    
+    return { slots: accepted, rejected };
+  }
+
+  /**
+   * Créneaux de remplacement pour une demande : même durée, dans les plages
+   * ouvertes (_getDayWindows) du jour demandé et des `horizonDays` suivants,
+   * dans les limites (evaluateBookingSlots) ; un par jour, au plus près de
+   * l'heure demandée.
+   * @param {Object} options - { limit, horizonDays, from } : aucun créneau avant `from` (défaut : maintenant)
+   */
+  suggestAlternativeSlots(events, request, options = {}) {
+    const { limit = 3, horizonDays = 7 } = options;
+    const duration = DateUtils.minutesBetween(request.start, request.end);
+    const buffer = this.settings.breakDuration;
+    const notBefore = new Date(options.from || Date.now()).getTime();
+    const others = events.filter(ev => ev.id !== request.id);
+    const busy = others
+      .filter(ev => ev.status !== CONFIG.STATUS.CANCELLED && ev.type !== CONFIG.EVENT_TYPES.AVAILABILITY)
+      .map(ev => ({ start: DateUtils.addMinutes(ev.start, -buffer), end: DateUtils.addMinutes(ev.end, buffer) }));
+    const byDay = DateUtils.groupByDay(this._filterAppointments(others), this.timeZone);
+    const requestedDate = DateUtils.toDateKey(request.start, this.timeZone);
+    const candidates = [];
+    
+    for (let offset = 0; offset <= horizonDays; offset++) {
+      const date = DateUtils.addDaysToKey(requestedDate, offset);
+      
+      this._getDayWindows(date, Boolean(byDay[date])).forEach(({ start: dayStart, end: dayEnd }) => {
+        const dayBusy = busy.filter(b => DateUtils.hasOverlap(b.start, b.end, dayStart, dayEnd));
+        
+        // Départs toutes les demi-heures dans chaque plage libre
+        this._findFreeWindows(dayBusy, dayStart, dayEnd, duration).forEach(window => {
+          for (let start = window.start; DateUtils.addMinutes(start, duration) <= window.end; start = DateUtils.addMinutes(start, 30)) {
+            if (new Date(start).getTime() >= notBefore && start !== request.start) {
+              candidates.push({ start, end: DateUtils.addMinutes(start, duration) });
+            }
+          }
+        });
+      });
+    }
+    
+    // Pour chaque jour, le plus proche de l'heure demandée, pour varier les propositions
+    const minuteOfDay = iso => {
+      const { hour, minute } = DateUtils.getZonedParts(iso, this.timeZone);
+      return hour * 60 + minute;
     };
+    const requestedMinute = minuteOfDay(request.start);
+    const distance = slot => Math.abs(minuteOfDay(slot.start) - requestedMinute);
+    const dayOf = slot => DateUtils.toDateKey(slot.start, this.timeZone);
+    const seenDays = new Set();
+    return this.evaluateBookingSlots(others, candidates).slots
+      .sort((a, b) => dayOf(a).localeCompare(dayOf(b)) || distance(a) - distance(b))
+      .filter(slot => {
+        const date = dayOf(slot);
+        if (seenDays.has(date)) return false;
+        seenDays.add(date);
+        return true;
+      })
+      .slice(0, limit);
+  }
+
+  /**
+   * ============================================================
+   * APPRENTISSAGE DU PROFIL DE STRESS PERSONNEL
+   * ============================================================
+   */
+  
+  /**
+   * Apprend une base personnelle (charge et pauses habituelles, semaines
+   * signalées épuisantes) à partir des dernières semaines clôturées.
+   * @param {Object} options - { flaggedWeeks: [weekStart], since: ISO }
+   * @returns {Object|null} Paramètres appris, null si l'historique est insuffisant
+   */
+  learnStressProfile(events, options = {}) {
+    const appointments = this._filterAppointments(events);
+    const currentWeek = DateUtils.getCurrentWeekRange(this.timeZone);
+    const flaggedWeeks = new Set(options.flaggedWeeks || []);
+    const since = options.since ? new Date(options.since).getTime() : -Infinity;
+    const weeks = [];
+    
+    for (let offset = -CONFIG.STRESS_MODEL.LEARNING_WEEKS; offset <= -1; offset++) {
+      const range = DateUtils.getWeekRangeOffset(currentWeek, offset, this.timeZone);
+      if (new Date(range.start).getTime() < since) continue;
+      
+      const weekAppointments = appointments.filter(ev => DateUtils.isInRange(ev.start, range));
+      if (!weekAppointments.length) continue;
+      
+      weeks.push({
+        weekStart: range.start,
+        appointments: weekAppointments,
+        exhausting: flaggedWeeks.has(range.start),
+      });
+    }
+    
+    return this.predictiveModel.learn(weeks);
   }
 
   /**
@@ -259,11 +540,11 @@ export class HarmonyEngine {
   
   calculateRecoveryRecommendation(events, options = {}) {
     const appointments = this._filterAppointments(events);
-    const weekRange = options.weekRange || DateUtils.getCurrentWeekRange();
+    const weekRange = options.weekRange || DateUtils.getCurrentWeekRange(this.timeZone);
     
     // Métriques de charge
     const totalHours = this._calculateTotalWorkMinutes(appointments) / 60;
-    const byDay = DateUtils.groupByDay(appointments);
+    const byDay = DateUtils.groupByDay(appointments, this.timeZone);
     const dayCount = Object.keys(byDay).length;
     const avgDailyHours = dayCount > 0 ? totalHours / dayCount : 0;
     
@@ -293,17 +574,38 @@ export class HarmonyEngine {
       recommendedRecoveryHours *= 1.3;
     }
     
-    // Déficit cumulé
-    const recoveryDebt = Math.max(0, recommendedRecoveryHours - recoveryMetrics.actualRecoveryHours);
+    // Déficit de la semaine + dette reportée des semaines précédentes
+    const weekDebt = Math.max(0, recommendedRecoveryHours - recoveryMetrics.actualRecoveryHours);
+    const carriedDebt = this._calculateCarriedDebt(options.recoveryHistory || [], weekRange);
+    const recoveryDebt = weekDebt + carriedDebt;
+    
+    const round = value => Math.round(value * 10) / 10;
     
     return {
-      recommendedHours: Math.round(recommendedRecoveryHours * 10) / 10,
+      recommendedHours: round(recommendedRecoveryHours),
       recoveryType,
-      recoveryDebt: Math.round(recoveryDebt * 10) / 10,
+      recoveryDebt: round(recoveryDebt),
+      weekDebt: round(weekDebt),
+      carriedDebt: round(carriedDebt),
       breakQuality: Math.round(recoveryMetrics.breakQuality * 100),
-      actualRecoveryHours: Math.round(recoveryMetrics.actualRecoveryHours * 10) / 10,
-      suggestions: this._generateRecoverySuggestions(recoveryType, recoveryDebt),
+      actualRecoveryHours: round(recoveryMetrics.actualRecoveryHours),
+      metrics: recoveryMetrics,
+      suggestions: this._generateRecoverySuggestions(recoveryType, recoveryDebt, recoveryMetrics),
       priority: recoveryDebt > 8 ? 'high' : recoveryDebt > 4 ? 'medium' : 'low',
+      // Entrée prête à être persistée dans recoveryHistory
+      record: {
+        weekStart: weekRange.start,
+        weekEnd: weekRange.end,
+        workHours: round(totalHours),
+        recommendedHours: round(recommendedRecoveryHours),
+        actualRecoveryHours: round(recoveryMetrics.actualRecoveryHours),
+        breakHours: recoveryMetrics.breakHours,
+        daysOff: recoveryMetrics.daysOff,
+        shortOvernightRests: recoveryMetrics.shortOvernightRests,
+        weekDebt: round(weekDebt),
+        carriedDebt: round(carriedDebt),
+        recoveryDebt: round(recoveryDebt),
+      },
     };
   }
 
@@ -313,10 +615,31 @@ export class HarmonyEngine {
    * ============================================================
    */
   
+  _computeBreakdown(appointments, weekRange) {
+    return {
+      dailyLoad: this._computeDailyLoadScore(appointments),
+      breakCompliance: this._computeBreakComplianceScore(appointments),
+      eveningWork: this._computeEveningWorkScore(appointments),
+      weeklyBalance: this._computeWeeklyBalanceScore(appointments),
+      recoveryAdequacy: this._computeRecoveryAdequacyScore(appointments, weekRange),
+      predictiveStress: this._computePredictiveStressScore(appointments, weekRange),
+    };
+  }
+
+  _computeWeekSnapshot(appointments, weekRange) {
+    const breakdown = this._computeBreakdown(appointments, weekRange);
+    const weightedScore = this._applyIntelligentWeighting(breakdown, appointments);
+    
+    return {
+      breakdown,
+      score: MathUtils.clamp(Math.round(weightedScore), 0, 100),
+    };
+  }
+
   _computeDailyLoadScore(appointments) {
     if (!appointments.length) return 100;
     
-    const byDay = DateUtils.groupByDay(appointments);
+    const byDay = DateUtils.groupByDay(appointments, this.timeZone);
     const counts = Object.values(byDay).map(evs => evs.length);
     
     const avgCount = MathUtils.average(counts);
@@ -344,7 +667,7 @@ export class HarmonyEngine {
   _computeBreakComplianceScore(appointments) {
     if (appointments.length < 2) return 100;
     
-    const byDay = DateUtils.groupByDay(appointments);
+    const byDay = DateUtils.groupByDay(appointments, this.timeZone);
     let totalGaps = 0;
     let compliantGaps = 0;
     let totalGapMinutes = 0;
@@ -433,25 +756,23 @@ export class HarmonyEngine {
   }
 
   _applyIntelligentWeighting(breakdown, appointments) {
-    const weights = CONFIG.HARMONY_WEIGHTS;
+    const { weights, adjustments } = this.weightProfile;
     
-    // Ajustement dynamique des pondérations selon le contexte
+    // Ajustement dynamique des pondérations selon le contexte (propre au profil)
     let adjustedWeights = { ...weights };
     
     const totalHours = this._calculateTotalWorkMinutes(appointments) / 60;
-    const byDay = DateUtils.groupByDay(appointments);
+    const byDay = DateUtils.groupByDay(appointments, this.timeZone);
     const hasIntensiveDays = Object.values(byDay).some(evs => evs.length >= 8);
     
-    // Si journées très chargées, augmenter l'importance des pauses
+    // Si journées très chargées (ex. pauses plus importantes)
     if (hasIntensiveDays) {
-      adjustedWeights.BREAK_COMPLIANCE += 5;
-      adjustedWeights.DAILY_LOAD -= 5;
+      this._shiftWeights(adjustedWeights, adjustments.intensiveDays);
     }
     
-    // Si semaine longue, augmenter l'importance de l'équilibre
+    // Si semaine longue (ex. équilibre plus important)
     if (totalHours > 35) {
-      adjustedWeights.WEEKLY_BALANCE += 5;
-      adjustedWeights.EVENING_WORK -= 5;
+      this._shiftWeights(adjustedWeights, adjustments.longWeek);
     }
     
     // Normalisation pour garder la somme à 100
@@ -474,6 +795,921 @@ export class HarmonyEngine {
     return score;
   }
 
+  _shiftWeights(weights, shift = {}) {
+    Object.entries(shift).forEach(([key, delta]) => {
+      weights[key] = Math.max(0, (weights[key] || 0) + delta);
+    });
+  }
+
+  /**
+   * ============================================================
+   * ANALYSE DES TENDANCES — Semaine courante vs N semaines
+   * ============================================================
+   */
+  
+  _analyzeTrends(appointments, weekRange, context = {}) {
+    const weekCount = context.weeks || CONFIG.TRENDS.WEEKS;
+    const history = context.history || appointments;
+    const current = context.breakdown
+      ? { breakdown: context.breakdown, score: context.score }
+      : this._computeWeekSnapshot(appointments, weekRange);
+    
+    // Snapshots des semaines précédentes (ordre chronologique)
+    const previousWeeks = [];
+    for (let offset = -weekCount; offset <= -1; offset++) {
+      const range = DateUtils.getWeekRangeOffset(weekRange, offset, this.timeZone);
+      const weekAppointments = history.filter(ev => DateUtils.isInRange(ev.start, range));
+      
+      // Une semaine vide est ignorée : on ne distingue pas repos et absence de données
+      if (!weekAppointments.length) continue;
+      
+      previousWeeks.push({
+        offset,
+        weekStart: range.start,
+        ...this._computeWeekSnapshot(weekAppointments, range),
+      });
+    }
+    
+    // Tendance par dimension
+    const dimensions = {};
+    Object.keys(current.breakdown).forEach(key => {
+      dimensions[key] = this._computeTrendSeries(
+        previousWeeks.map(week => week.breakdown[key]),
+        current.breakdown[key]
+      );
+    });
+    
+    // Tendance globale — la variation est exprimée vs la semaine dernière
+    const overall = this._computeTrendSeries(previousWeeks.map(week => week.score), current.score);
+    const lastWeek = previousWeeks.find(week => week.offset === -1);
+    const change = lastWeek && lastWeek.score > 0
+      ? Math.round(((current.score - lastWeek.score) / lastWeek.score) * 100)
+      : 0;
+    
+    let direction = overall.direction;
+    if (lastWeek) {
+      if (change >= CONFIG.TRENDS.STABLE_CHANGE) direction = 'up';
+      else if (change <= -CONFIG.TRENDS.STABLE_CHANGE) direction = 'down';
+      else direction = 'stable';
+    }
+    
+    const isNotable = trend => trend.significance === 'high' || trend.significance === 'medium';
+    
+    return {
+      direction,
+      change,
+      slope: overall.slope,
+      significance: overall.significance,
+      previousScore: lastWeek ? lastWeek.score : null,
+      averageScore: overall.previousAverage,
+      weeksAnalyzed: previousWeeks.length,
+      history: previousWeeks.map(week => ({ weekStart: week.weekStart, score: week.score })),
+      dimensions,
+      improving: Object.keys(dimensions).filter(key => dimensions[key].direction === 'up' && isNotable(dimensions[key])),
+      declining: Object.keys(dimensions).filter(key => dimensions[key].direction === 'down' && isNotable(dimensions[key])),
+    };
+  }
+
+  _computeTrendSeries(previousValues, currentValue) {
+    const series = [...previousValues, currentValue];
+    
+    if (!previousValues.length) {
+      return {
+        direction: 'stable',
+        slope: 0,
+        significance: 'insufficient',
+        current: currentValue,
+        previousAverage: null,
+        delta: 0,
+        series,
+      };
+    }
+    
+    const slope = MathUtils.round(MathUtils.linearTrend(series), 2);
+    const previousAverage = MathUtils.round(MathUtils.average(previousValues), 1);
+    const delta = MathUtils.round(currentValue - previousAverage, 1);
+    
+    let direction = 'stable';
+    if (slope >= CONFIG.TRENDS.STABLE_SLOPE) direction = 'up';
+    else if (slope <= -CONFIG.TRENDS.STABLE_SLOPE) direction = 'down';
+    
+    // Significativité : écart à la moyenne rapporté à la variabilité habituelle
+    let significance = 'insufficient';
+    if (previousValues.length >= CONFIG.TRENDS.MIN_WEEKS) {
+      const spread = Math.max(MathUtils.standardDeviation(previousValues), CONFIG.TRENDS.MIN_DEVIATION);
+      const zScore = Math.abs(delta) / spread;
+      
+      if (zScore >= CONFIG.TRENDS.SIGNIFICANCE.HIGH) significance = 'high';
+      else if (zScore >= CONFIG.TRENDS.SIGNIFICANCE.MEDIUM) significance = 'medium';
+      else significance = 'low';
+    }
+    
+    return {
+      direction,
+      slope,
+      significance,
+      current: currentValue,
+      previousAverage,
+      delta,
+      series,
+    };
+  }
+
+  /**
+   * ============================================================
+   * ANALYSE DE CRITICITÉ JOURNALIÈRE — Facteurs explicables
+   * ============================================================
+   */
+  
+  _detectCriticalDays(appointments, options = {}) {
+    return this.detectCriticalDays(appointments, { fromDate: options.fromDate });
+  }
+
+  _analyzeDayCriticality(date, dayEvents) {
+    const { DAILY, EVENING_HOUR, NIGHT_HOUR } = CONFIG.THRESHOLDS;
+    const sorted = DateUtils.sortByStartTime(dayEvents);
+    const count = sorted.length;
+    const totalHours = MathUtils.round(this._calculateTotalWorkMinutes(sorted) / 60, 1);
+    const maxDaily = this.settings.maxDailyAppointments;
+    const factors = [];
+    
+    // Volume de rendez-vous
+    if (count >= DAILY.CRITICAL) {
+      factors.push({ id: 'dailyLoad', severity: 'critical', label: 'Charge extrême', detail: `${count} RDV (seuil critique : ${DAILY.CRITICAL})` });
+    } else if (count > DAILY.WARNING) {
+      factors.push({ id: 'dailyLoad', severity: 'high', label: 'Charge très élevée', detail: `${count} RDV (seuil d'alerte : ${DAILY.WARNING})` });
+    } else if (count > maxDaily) {
+      factors.push({ id: 'dailyLoad', severity: 'medium', label: 'Maximum personnel dépassé', detail: `${count} RDV pour un maximum de ${maxDaily}` });
+    }
+    
+    // Amplitude de travail
+    if (totalHours > 10) {
+      factors.push({ id: 'workHours', severity: 'critical', label: 'Journée trop longue', detail: `${totalHours}h de rendez-vous` });
+    } else if (totalHours > 8) {
+      factors.push({ id: 'workHours', severity: 'medium', label: 'Journée longue', detail: `${totalHours}h de rendez-vous` });
+    }
+    
+    // Horaires tardifs
+    const nightEvents = sorted.filter(ev => this._isNightEvent(ev));
+    const eveningEvents = sorted.filter(ev => this._isEveningEvent(ev) && !this._isNightEvent(ev));
+    if (nightEvents.length) {
+      factors.push({ id: 'nightWork', severity: 'high', label: 'Travail de nuit', detail: `${nightEvents.length} RDV après ${NIGHT_HOUR}h`, eventIds: nightEvents.map(ev => ev.id) });
+    }
+    if (eveningEvents.length) {
+      factors.push({
+        id: 'eveningWork',
+        severity: eveningEvents.length >= 2 ? 'medium' : 'low',
+        label: 'Travail en soirée',
+        detail: `${eveningEvents.length} RDV après ${EVENING_HOUR}h`,
+        eventIds: eveningEvents.map(ev => ev.id),
+      });
+    }
+    
+    // Enchaînements sans pause
+    const chains = this._findBackToBackChains(sorted);
+    const longestChain = chains.reduce((longest, chain) => chain.events.length > (longest?.events.length || 0) ? chain : longest, null);
+    if (longestChain && longestChain.events.length >= 3) {
+      factors.push({
+        id: 'backToBack',
+        severity: longestChain.events.length >= 4 ? 'high' : 'medium',
+        label: 'Enchaînement sans pause',
+        detail: `${longestChain.events.length} RDV d'affilée de ${DateUtils.formatTime(longestChain.start)} à ${DateUtils.formatTime(longestChain.end)}`,
+        eventIds: longestChain.events.map(ev => ev.id),
+      });
+    }
+    
+    // Pauses insuffisantes sur une journée déjà chargée
+    const breakScore = this._computeBreakComplianceScore(sorted);
+    if (count > DAILY.GOOD && breakScore < 50) {
+      factors.push({ id: 'breaks', severity: 'medium', label: 'Pauses insuffisantes', detail: `${breakScore}% des transitions respectent ${this.settings.breakDuration} min` });
+    }
+    
+    // Sévérité : facteur le plus grave, aggravé si les facteurs s'accumulent
+    const levels = ['low', 'medium', 'high', 'critical'];
+    const significant = factors.filter(f => f.severity !== 'low');
+    let levelIndex = significant.reduce((max, f) => Math.max(max, levels.indexOf(f.severity)), 0);
+    if (significant.length >= 3) levelIndex = Math.min(levelIndex + 1, levels.length - 1);
+    
+    return {
+      date,
+      isCritical: significant.length > 0,
+      severity: levels[levelIndex],
+      factors,
+      eventCount: count,
+      totalHours,
+      events: sorted,
+      chains,
+      longestChain,
+      eveningEvents: [...eveningEvents, ...nightEvents],
+    };
+  }
+
+  _suggestCriticalDayActions(analysis, appointments = analysis.events) {
+    const actions = [];
+    const factorIds = analysis.factors.map(f => f.id);
+    const addAction = action => actions.push({ id: `${action.type}_${actions.length}`, date: analysis.date, ...action });
+    
+    // 1. Déplacer le rendez-vous le plus tardif (soirée/nuit en priorité)
+    const overloaded = factorIds.includes('dailyLoad') || factorIds.includes('workHours');
+    const lateEvent = analysis.eveningEvents[analysis.eveningEvents.length - 1];
+    const candidate = lateEvent || (overloaded ? analysis.events[analysis.events.length - 1] : null);
+    
+    if (candidate) {
+      const slot = this._findRelocationSlot(candidate, appointments);
+      if (slot) {
+        addAction({
+          type: 'move',
+          eventId: candidate.id,
+          label: `Déplacer le RDV de ${DateUtils.formatTime(candidate.start)}${candidate.clientName ? ` (${candidate.clientName})` : ''} au ${DateUtils.formatDateTime(slot.start)}`,
+          start: candidate.start,
+          end: candidate.end,
+          newStart: slot.start,
+          newEnd: slot.end,
+        });
+      }
+    }
+    
+    // 2. Ajouter une pause à la sortie de l'enchaînement le plus long
+    if (factorIds.includes('backToBack') || factorIds.includes('breaks')) {
+      const chain = analysis.longestChain;
+      const breakStart = chain ? chain.end : null;
+      const breakEnd = breakStart ? DateUtils.addMinutes(breakStart, this.settings.breakDuration) : null;
+      const isFree = breakStart && !analysis.events.some(ev => DateUtils.hasOverlap(breakStart, breakEnd, ev.start, ev.end));
+      
+      if (isFree) {
+        addAction({
+          type: 'addBreak',
+          label: `Ajouter une pause de ${this.settings.breakDuration} min à ${DateUtils.formatTime(breakStart)}`,
+          start: breakStart,
+          end: breakEnd,
+        });
+      }
+    }
+    
+    // 3. Fermer les créneaux encore libres aux nouvelles réservations
+    if (analysis.severity !== 'medium') {
+      const windows = this._getDayWindows(analysis.date, true).flatMap(({ start, end }) =>
+        this._findFreeWindows(analysis.events, start, end, this.settings.defaultDuration)
+      );
+      if (windows.length) {
+        addAction({
+          type: 'block',
+          label: windows.length > 1
+            ? `Bloquer les ${windows.length} créneaux encore libres`
+            : `Bloquer le créneau libre de ${DateUtils.formatTime(windows[0].start)} à ${DateUtils.formatTime(windows[0].end)}`,
+          slots: windows,
+          start: windows[0].start,
+          end: windows[windows.length - 1].end,
+        });
+      }
+    }
+    
+    return actions;
+  }
+
+  /**
+   * Cherche un créneau de repli dans les 7 jours suivants.
+   * On privilégie les journées déjà travaillées mais légères, pour ne pas
+   * entamer les jours off ; à défaut, un jour ouvert libre.
+   */
+  _findRelocationSlot(event, appointments) {
+    const duration = DateUtils.minutesBetween(event.start, event.end);
+    const buffer = this.settings.breakDuration;
+    const byDay = DateUtils.groupByDay(this._filterAppointments(appointments), this.timeZone);
+    const limit = Math.min(this.settings.maxDailyAppointments, CONFIG.THRESHOLDS.DAILY.GOOD);
+    const candidates = [];
+    
+    for (let offset = 1; offset <= 7; offset++) {
+      const sameTime = DateUtils.addDays(event.start, offset, this.timeZone);
+      const date = DateUtils.toDateKey(sameTime, this.timeZone);
+      const dayEvents = byDay[date] || [];
+      
+      if (dayEvents.length + 1 > limit) continue;
+      const windows = this._getDayWindows(date, dayEvents.length > 0);
+      if (!windows.length) continue;
+      
+      candidates.push({ sameTime, dayEvents, windows, priority: dayEvents.length ? 0 : 1 });
+    }
+    
+    candidates.sort((a, b) => a.priority - b.priority);
+    
+    for (const { sameTime, dayEvents, windows } of candidates) {
+      const busy = dayEvents.map(ev => ({
+        start: DateUtils.addMinutes(ev.start, -buffer),
+        end: DateUtils.addMinutes(ev.end, buffer),
+      }));
+      
+      // Même heure si possible, sinon premier créneau libre de la journée
+      const sameTimeEnd = DateUtils.addMinutes(sameTime, duration);
+      const sameTimeOpen = windows.some(w => w.start <= sameTime && sameTimeEnd <= w.end);
+      const sameTimeFree = sameTimeOpen && !busy.some(b => DateUtils.hasOverlap(sameTime, sameTimeEnd, b.start, b.end)) &&
+        !this._isEveningEvent({ start: sameTime });
+      if (sameTimeFree) return { start: sameTime, end: sameTimeEnd };
+      
+      for (const window of windows) {
+        const [free] = DateUtils.findFreeSlots(busy, window.start, window.end, duration);
+        if (free) return free;
+      }
+    }
+    
+    return null;
+  }
+
+  /**
+   * Plages libres complètes (et non tronquées à une durée) entre deux bornes
+   */
+  _findFreeWindows(busyEvents, from, to, minMinutes) {
+    const rangeStart = new Date(from).getTime();
+    const rangeEnd = new Date(to).getTime();
+    const windows = [];
+    let cursor = rangeStart;
+    
+    const pushWindow = (windowStart, windowEnd) => {
+      if (windowEnd - windowStart >= minMinutes * CONFIG.TIME.MINUTE) {
+        windows.push({ start: new Date(windowStart).toISOString(), end: new Date(windowEnd).toISOString() });
+      }
+    };
+    
+    DateUtils.sortByStartTime(busyEvents).forEach(ev => {
+      pushWindow(cursor, Math.min(new Date(ev.start).getTime(), rangeEnd));
+      cursor = Math.max(cursor, new Date(ev.end).getTime());
+    });
+    pushWindow(cursor, rangeEnd);
+    
+    return windows;
+  }
+
+  /**
+   * Regroupe les rendez-vous enchaînés avec moins de `breakDuration` de pause
+   */
+  _findBackToBackChains(sortedEvents) {
+    const chains = [];
+    let current = null;
+    
+    sortedEvents.forEach((ev, i) => {
+      const gap = i > 0 ? DateUtils.minutesBetween(sortedEvents[i - 1].end, ev.start) : Infinity;
+      
+      if (current && gap < this.settings.breakDuration) {
+        current.events.push(ev);
+        current.end = ev.end;
+      } else {
+        current = { start: ev.start, end: ev.end, events: [ev] };
+        chains.push(current);
+      }
+    });
+    
+    return chains.filter(chain => chain.events.length >= 2);
+  }
+
+  _analyzeTimeDistribution(dayEvents) {
+    const distribution = { morning: 0, afternoon: 0, evening: 0 };
+    
+    dayEvents.forEach(ev => {
+      const hour = this._getLocalHour(ev.start);
+      if (hour < 12) distribution.morning++;
+      else if (hour < CONFIG.THRESHOLDS.EVENING_HOUR) distribution.afternoon++;
+      else distribution.evening++;
+    });
+    
+    // Concentration : part max des RDV débutant dans une fenêtre de 3h
+    const starts = dayEvents.map(ev => new Date(ev.start).getTime()).sort((a, b) => a - b);
+    let maxInWindow = 0;
+    starts.forEach((start, i) => {
+      const inWindow = starts.slice(i).filter(t => t - start < 3 * CONFIG.TIME.HOUR).length;
+      maxInWindow = Math.max(maxInWindow, inWindow);
+    });
+    
+    const longestChain = this._findBackToBackChains(DateUtils.sortByStartTime(dayEvents))
+      .reduce((max, chain) => Math.max(max, chain.events.length), 0);
+    
+    return {
+      ...distribution,
+      maxInThreeHours: maxInWindow,
+      longestChain,
+      isClustered: dayEvents.length >= 4 && (maxInWindow / dayEvents.length > 0.6 || longestChain >= 4),
+    };
+  }
+
+  /**
+   * ============================================================
+   * PLANIFICATEUR DE BLOCAGES — Créneaux à protéger
+   * ============================================================
+   */
+  
+  _analyzeDayForBlocking(date, dayEvents, context = {}) {
+    const { LUNCH_START, LUNCH_END, LUNCH_MINUTES, MIN_DAY_APPOINTMENTS, CHAIN_MIN_LENGTH } = CONFIG.BLOCKING;
+    const sorted = DateUtils.sortByStartTime(dayEvents);
+    const busy = context.busy || sorted;
+    const appointments = context.appointments || sorted;
+    const workEnd = new Date(this._workingTime(date, this.settings.workingHours.end)).getTime();
+    const candidates = [];
+    
+    // 1. Pause déjeuner sur une journée chargée qui l'encadre
+    if (sorted.length >= MIN_DAY_APPOINTMENTS) {
+      const lunchStart = this._workingTime(date, LUNCH_START);
+      const lunchEnd = this._workingTime(date, LUNCH_END);
+      const spansLunch = sorted[0].start < lunchEnd && sorted[sorted.length - 1].end > lunchStart;
+      const alreadyProtected = busy.some(ev =>
+        ev.type !== CONFIG.EVENT_TYPES.APPOINTMENT &&
+        DateUtils.hasOverlap(ev.start, ev.end, lunchStart, lunchEnd)
+      );
+      
+      if (spansLunch && !alreadyProtected) {
+        const [slot] = DateUtils.findFreeSlots(busy, lunchStart, lunchEnd, LUNCH_MINUTES);
+        if (slot) {
+          candidates.push({
+            kind: 'lunch',
+            ...slot,
+            reason: `Protéger une pause déjeuner sur une journée de ${sorted.length} RDV`,
+          });
+        }
+      }
+    }
+    
+    // 2. Tampon à la sortie des enchaînements intenses
+    this._findBackToBackChains(sorted)
+      .filter(chain => chain.events.length >= CHAIN_MIN_LENGTH)
+      .forEach(chain => {
+        const end = DateUtils.addMinutes(chain.end, this.settings.breakDuration);
+        const isFree = !busy.some(ev => DateUtils.hasOverlap(chain.end, end, ev.start, ev.end));
+        
+        if (isFree && new Date(end).getTime() <= workEnd) {
+          candidates.push({
+            kind: 'chainBuffer',
+            start: chain.end,
+            end,
+            reason: `Souffler après ${chain.events.length} RDV enchaînés sans pause`,
+          });
+        }
+      });
+    
+    const blockSuggestions = candidates.map(candidate => this._buildBlockSuggestion(date, candidate, appointments));
+    
+    return {
+      date,
+      shouldSuggestBlocks: blockSuggestions.length > 0,
+      blockSuggestions,
+    };
+  }
+
+  _suggestRecoveryBlocks(appointments, context = {}) {
+    const { MIN_HOURS_BETWEEN_DAYS } = CONFIG.THRESHOLDS.RECOVERY;
+    const byDay = DateUtils.groupByDay(appointments, this.timeZone);
+    const busyByDay = context.busyByDay || byDay;
+    const inHorizon = context.inHorizon || (() => true);
+    const suggestions = [];
+    
+    Object.entries(byDay).forEach(([date, dayEvents]) => {
+      const lastEvent = DateUtils.sortByEndTime(dayEvents).pop();
+      if (!this._isEveningEvent(lastEvent)) return;
+      
+      const nextDate = DateUtils.addDaysToKey(date, 1);
+      if (!inHorizon(nextDate)) return;
+      
+      // Le lendemain matin doit laisser un repos nocturne complet
+      const workStart = this._workingTime(nextDate, this.settings.workingHours.start);
+      const workEnd = this._workingTime(nextDate, this.settings.workingHours.end);
+      const restUntil = DateUtils.addHours(lastEvent.end, MIN_HOURS_BETWEEN_DAYS);
+      if (restUntil <= workStart) return;
+      
+      const windowEnd = restUntil < workEnd ? restUntil : workEnd;
+      const [window] = this._findFreeWindows(busyByDay[nextDate] || [], workStart, windowEnd, this.settings.breakDuration);
+      if (!window) return;
+      
+      // Heures de repos nocturne perdues si un RDV venait occuper le créneau
+      const restDeficit = MIN_HOURS_BETWEEN_DAYS - DateUtils.hoursBetween(lastEvent.end, window.start);
+      
+      suggestions.push(this._buildBlockSuggestion(nextDate, {
+        kind: 'morningAfter',
+        ...window,
+        extraGain: restDeficit * CONFIG.BLOCKING.SHORT_REST_POINTS_PER_HOUR,
+        reason: `Récupérer après une fin de journée à ${DateUtils.formatTime(lastEvent.end)} (${MIN_HOURS_BETWEEN_DAYS}h de repos)`,
+      }, appointments));
+    });
+    
+    return suggestions;
+  }
+
+  /**
+   * Gain attendu = points de score perdus si un RDV venait occuper le créneau.
+   * Combine l'impact hebdomadaire, l'impact sur la journée et, pour les
+   * blocages de récupération, le repos nocturne amputé (non couvert par les scores).
+   */
+  _buildBlockSuggestion(date, candidate, appointments) {
+    const { URGENCY } = CONFIG.BLOCKING;
+    const duration = Math.min(this.settings.defaultDuration, DateUtils.minutesBetween(candidate.start, candidate.end));
+    const hypothetical = {
+      id: '__hypothetical',
+      type: CONFIG.EVENT_TYPES.APPOINTMENT,
+      status: CONFIG.STATUS.CONFIRMED,
+      start: candidate.start,
+      end: DateUtils.addMinutes(candidate.start, duration),
+    };
+    
+    const weekRange = DateUtils.getWeekRangeFor(candidate.start, this.timeZone);
+    const weekAppointments = appointments.filter(ev => DateUtils.isInRange(ev.start, weekRange));
+    const weeklyGain = this._computeWeekSnapshot(weekAppointments, weekRange).score -
+      this._computeWeekSnapshot([...weekAppointments, hypothetical], weekRange).score;
+    const dailyGain = this.computeDailyScore(date, appointments).score -
+      this.computeDailyScore(date, [...appointments, hypothetical]).score;
+    
+    const expectedGain = MathUtils.round(
+      Math.max(0, weeklyGain) + Math.max(0, dailyGain) / 2 + (candidate.extraGain || 0),
+      1
+    );
+    const urgency = expectedGain >= URGENCY.HIGH ? 'high' : expectedGain >= URGENCY.MEDIUM ? 'medium' : 'low';
+    const dayLabel = DateUtils.formatDate(candidate.start, { weekday: 'short', day: 'numeric', month: 'short' });
+    
+    return {
+      id: `block_${candidate.kind}_${candidate.start}`,
+      date,
+      kind: candidate.kind,
+      start: candidate.start,
+      end: candidate.end,
+      timeLabel: `${dayLabel} ${DateUtils.formatTime(candidate.start)}–${DateUtils.formatTime(candidate.end)}`,
+      reason: candidate.reason,
+      urgency,
+      expectedGain,
+      weeklyGain,
+      dailyGain,
+    };
+  }
+
+  /**
+   * ============================================================
+   * SIMULATION — Application des changements hypothétiques
+   * ============================================================
+   */
+  
+  _applySimulatedChanges(events, changes) {
+    const cancelled = new Set(changes.cancel || []);
+    const confirmed = new Set(changes.confirm || []);
+    const moves = new Map((changes.move || []).map(move => [move.id, move]));
+    
+    const simulated = events
+      .filter(ev => !cancelled.has(ev.id))
+      .map(ev => {
+        const move = moves.get(ev.id);
+        const updated = move ? { ...ev, start: move.start, end: move.end } : ev;
+        return confirmed.has(ev.id) ? { ...updated, status: CONFIG.STATUS.CONFIRMED } : updated;
+      });
+    
+    (changes.add || []).forEach((ev, i) => {
+      simulated.push({
+        id: `__simulated_${i}`,
+        type: CONFIG.EVENT_TYPES.APPOINTMENT,
+        status: CONFIG.STATUS.CONFIRMED,
+        ...ev,
+      });
+    });
+    
+    return simulated;
+  }
+
+  _collectAffectedDates(events, changes, afterEvents) {
+    const touchedIds = new Set([
+      ...(changes.cancel || []),
+      ...(changes.confirm || []),
+      ...(changes.move || []).map(move => move.id),
+    ]);
+    
+    const dates = new Set();
+    const dayOf = ev => DateUtils.toDateKey(ev.start, this.timeZone);
+    
+    events.filter(ev => touchedIds.has(ev.id)).forEach(ev => dates.add(dayOf(ev)));
+    afterEvents.filter(ev => touchedIds.has(ev.id)).forEach(ev => dates.add(dayOf(ev)));
+    (changes.add || []).forEach(ev => dates.add(dayOf(ev)));
+    
+    return [...dates].sort();
+  }
+
+  _computeDimensionDeltas(before, after) {
+    const deltas = {};
+    
+    Object.keys(after).forEach(key => {
+      deltas[key] = {
+        label: DIMENSION_LABELS[key] || key,
+        before: before[key],
+        after: after[key],
+        delta: after[key] - before[key],
+      };
+    });
+    
+    return deltas;
+  }
+
+  /**
+   * ============================================================
+   * MODÈLE DE RÉCUPÉRATION — Repos nocturne, pauses, jours off, dette
+   * ============================================================
+   */
+  
+  _calculateRecoveryMetrics(appointments, weekRange) {
+    const { MIN_HOURS_BETWEEN_DAYS, MAX_BREAK_CREDIT_MINUTES, DAY_OFF_CREDIT_HOURS } = CONFIG.THRESHOLDS.RECOVERY;
+    const byDay = DateUtils.groupByDay(appointments, this.timeZone);
+    const workedDays = Object.keys(byDay).sort();
+    
+    // Pauses intra-journée
+    let totalGaps = 0;
+    let compliantGaps = 0;
+    let breakMinutes = 0;
+    
+    workedDays.forEach(date => {
+      const sorted = DateUtils.sortByStartTime(byDay[date]);
+      for (let i = 1; i < sorted.length; i++) {
+        const gap = DateUtils.minutesBetween(sorted[i - 1].end, sorted[i].start);
+        totalGaps++;
+        if (gap >= this.settings.breakDuration) compliantGaps++;
+        if (gap > 0) breakMinutes += Math.min(gap, MAX_BREAK_CREDIT_MINUTES);
+      }
+    });
+    
+    // Repos nocturne entre deux journées travaillées consécutives
+    const overnightRests = [];
+    for (let i = 1; i < workedDays.length; i++) {
+      const previousDay = workedDays[i - 1];
+      const nextDay = workedDays[i];
+      if (DateUtils.daysBetween(previousDay, nextDay) !== 1) continue;
+      
+      const lastEnd = DateUtils.sortByEndTime(byDay[previousDay]).pop().end;
+      const firstStart = DateUtils.sortByStartTime(byDay[nextDay])[0].start;
+      const hours = DateUtils.hoursBetween(lastEnd, firstStart);
+      
+      overnightRests.push({
+        from: previousDay,
+        to: nextDay,
+        hours: MathUtils.round(hours, 1),
+        sufficient: hours >= MIN_HOURS_BETWEEN_DAYS,
+      });
+    }
+    
+    const shortRests = overnightRests.filter(rest => !rest.sufficient);
+    const overnightDeficit = shortRests.reduce((sum, rest) => sum + (MIN_HOURS_BETWEEN_DAYS - rest.hours), 0);
+    
+    // Jours complets sans rendez-vous dans la semaine analysée
+    const range = weekRange || DateUtils.getCurrentWeekRange(this.timeZone);
+    const daysOff = DateUtils.generateDateRange(range.start, range.end, this.timeZone)
+      .filter(date => !byDay[date]).length;
+    
+    const breakHours = breakMinutes / 60;
+    const actualRecoveryHours = Math.max(0, breakHours + daysOff * DAY_OFF_CREDIT_HOURS - overnightDeficit);
+    
+    return {
+      actualRecoveryHours,
+      breakHours: MathUtils.round(breakHours, 1),
+      breakQuality: totalGaps ? compliantGaps / totalGaps : 1,
+      daysOff,
+      overnightRests,
+      shortOvernightRests: shortRests.length,
+      overnightDeficitHours: MathUtils.round(overnightDeficit, 1),
+      minOvernightRestHours: overnightRests.length ? MathUtils.min(overnightRests.map(r => r.hours)) : null,
+    };
+  }
+
+  /**
+   * Dette de récupération glissante (en heures) à la fin d'une journée.
+   * Chaque heure au-delà du rythme soutenable et chaque nuit trop courte
+   * creusent la dette ; un jour off la rembourse.
+   */
+  _calculateRecoveryDebt(dateStr, events) {
+    const {
+      MIN_HOURS_BETWEEN_DAYS,
+      SUSTAINABLE_DAILY_HOURS,
+      DAY_OFF_REPAYMENT_HOURS,
+      DEBT_WINDOW_DAYS,
+    } = CONFIG.THRESHOLDS.RECOVERY;
+    
+    const byDay = DateUtils.groupByDay(this._filterAppointments(events), this.timeZone);
+    const windowStart = DateUtils.addDaysToKey(dateStr, -(DEBT_WINDOW_DAYS - 1));
+    const dates = DateUtils.generateDateRange(windowStart, dateStr);
+    
+    let debt = 0;
+    let previousDayEnd = null;
+    
+    dates.forEach(date => {
+      const dayEvents = byDay[date] || [];
+      
+      if (!dayEvents.length) {
+        debt = Math.max(0, debt - DAY_OFF_REPAYMENT_HOURS);
+        previousDayEnd = null;
+        return;
+      }
+      
+      const workHours = this._calculateTotalWorkMinutes(dayEvents) / 60;
+      debt += Math.max(0, workHours - SUSTAINABLE_DAILY_HOURS);
+      
+      if (previousDayEnd) {
+        const firstStart = DateUtils.sortByStartTime(dayEvents)[0].start;
+        const rest = DateUtils.hoursBetween(previousDayEnd, firstStart);
+        debt += Math.max(0, MIN_HOURS_BETWEEN_DAYS - rest);
+      }
+      
+      previousDayEnd = DateUtils.sortByEndTime(dayEvents).pop().end;
+    });
+    
+    return MathUtils.round(debt, 1);
+  }
+
+  _calculateCarriedDebt(recoveryHistory, weekRange) {
+    const weekStart = new Date(weekRange.start).getTime();
+    const previous = recoveryHistory
+      .filter(record => new Date(record.weekStart).getTime() < weekStart)
+      .sort((a, b) => new Date(b.weekStart) - new Date(a.weekStart))[0];
+    
+    if (!previous || !previous.recoveryDebt) return 0;
+    
+    // La dette s'atténue à chaque semaine écoulée depuis le dernier relevé
+    const weeksElapsed = Math.max(1, Math.round((weekStart - new Date(previous.weekStart).getTime()) / CONFIG.TIME.WEEK));
+    return previous.recoveryDebt * Math.pow(CONFIG.THRESHOLDS.RECOVERY.DEBT_CARRY_OVER, weeksElapsed);
+  }
+
+  _generateRecoveryRecommendation(breakdown, appointments, options = {}) {
+    const recommendation = this.calculateRecoveryRecommendation(appointments, options);
+    
+    if (!appointments.length && recommendation.recoveryDebt === 0) return null;
+    
+    // Un score de récupération faible justifie au moins une priorité moyenne
+    if (breakdown.recoveryAdequacy < 50 && recommendation.priority === 'low') {
+      recommendation.priority = 'medium';
+    }
+    
+    return recommendation;
+  }
+
+  _generateRecoverySuggestions(recoveryType, recoveryDebt, metrics = {}) {
+    const suggestions = [];
+    const minRest = CONFIG.THRESHOLDS.RECOVERY.MIN_HOURS_BETWEEN_DAYS;
+    
+    const byType = {
+      extended: 'Prévoyez une journée complète sans rendez-vous dans les prochains jours.',
+      significant: 'Bloquez une demi-journée de récupération cette semaine.',
+      moderate: 'Réservez quelques heures de calme en fin de semaine.',
+      light: 'Ménagez une pause plus longue au milieu de vos journées chargées.',
+    };
+    if (byType[recoveryType]) suggestions.push(byType[recoveryType]);
+    
+    if (metrics.shortOvernightRests > 0) {
+      suggestions.push(`${metrics.shortOvernightRests} nuit(s) avec moins de ${minRest}h de repos entre deux journées : évitez de finir tard la veille d'une matinée chargée.`);
+    }
+    
+    if (metrics.breakQuality !== undefined && metrics.breakQuality < 0.5) {
+      suggestions.push(`Plus de la moitié de vos enchaînements ont moins de ${this.settings.breakDuration} min de pause.`);
+    }
+    
+    if (metrics.daysOff === 0) {
+      suggestions.push('Aucun jour off cette semaine : protégez au moins une journée.');
+    }
+    
+    if (recoveryDebt > 8) {
+      suggestions.push(`Déficit de ${Math.round(recoveryDebt)}h à rattraper : allégez la semaine prochaine.`);
+    }
+    
+    return suggestions;
+  }
+
+  /**
+   * ============================================================
+   * PRÉDICTION — Facteurs de risque journaliers
+   * ============================================================
+   */
+  
+  _calculateConsecutiveIntensity(dateStr, events) {
+    const byDay = DateUtils.groupByDay(this._filterAppointments(events), this.timeZone);
+    let consecutive = 0;
+    let cursor = dateStr;
+    
+    // Remonte jour par jour tant que les journées restent intenses
+    for (let i = 0; i < CONFIG.THRESHOLDS.RECOVERY.DEBT_WINDOW_DAYS; i++) {
+      const dayEvents = byDay[cursor] || [];
+      const hours = this._calculateTotalWorkMinutes(dayEvents) / 60;
+      const isIntensive = dayEvents.length >= CONFIG.THRESHOLDS.DAILY.GOOD ||
+        hours > CONFIG.THRESHOLDS.RECOVERY.SUSTAINABLE_DAILY_HOURS;
+      
+      if (!isIntensive) break;
+      consecutive++;
+      cursor = DateUtils.addDaysToKey(cursor, -1);
+    }
+    
+    return consecutive;
+  }
+
+  _generatePreemptiveRecommendation(riskFactors, dailyScore) {
+    if (riskFactors.highLoad) {
+      return `Journée très chargée (${dailyScore.appointmentCount} RDV) : déplacez un rendez-vous ou ajoutez une pause.`;
+    }
+    if (riskFactors.poorRecovery) {
+      return 'Dette de récupération élevée : protégez votre soirée et commencez plus tard le lendemain.';
+    }
+    if (riskFactors.consecutiveStress) {
+      return 'Plusieurs journées intenses d\'affilée : prévoyez une journée plus légère.';
+    }
+    if (riskFactors.eveningHeavy) {
+      return 'Travail tardif prévu : évitez d\'enchaîner avec une matinée chargée.';
+    }
+    return null;
+  }
+
+  _calculateOverallRisk(predictions) {
+    const high = predictions.filter(p => p.riskLevel === 'high').length;
+    const medium = predictions.filter(p => p.riskLevel === 'medium').length;
+    
+    if (high > 0 || medium >= 3) return 'high';
+    if (medium > 0) return 'medium';
+    return 'low';
+  }
+
+  _generatePredictiveInsights(predictions) {
+    const factorLabels = {
+      highLoad: 'charge élevée',
+      poorRecovery: 'récupération insuffisante',
+      consecutiveStress: 'journées intenses consécutives',
+      eveningHeavy: 'travail tardif',
+    };
+    
+    return predictions
+      .filter(p => p.riskLevel !== 'low')
+      .sort((a, b) => b.riskScore - a.riskScore)
+      .map(p => {
+        const factors = Object.entries(p.riskFactors)
+          .filter(([, active]) => active)
+          .map(([key]) => factorLabels[key]);
+        const day = DateUtils.formatDate(p.date, { weekday: 'long', day: 'numeric', month: 'long' });
+        return `${day} : risque ${p.riskLevel === 'high' ? 'élevé' : 'modéré'} (${factors.join(', ')}).`;
+      });
+  }
+
+  /**
+   * ============================================================
+   * INSIGHTS & RECOMMANDATIONS
+   * ============================================================
+   */
+  
+  _generateAdvancedInsights(breakdown, appointments, trends) {
+    const insights = [];
+    
+    if (!appointments.length) {
+      insights.push('Aucun rendez-vous cette semaine : profitez-en pour vous ressourcer.');
+    }
+    
+    // Dimensions en difficulté
+    Object.entries(breakdown)
+      .filter(([, value]) => value < 50)
+      .sort((a, b) => a[1] - b[1])
+      .forEach(([key, value]) => {
+        insights.push(`${DIMENSION_LABELS[key]} : ${value}/100, c'est le point le plus fragile de votre semaine.`);
+      });
+    
+    // Évolutions marquantes
+    if (trends.weeksAnalyzed === 0) {
+      insights.push('Première semaine analysée : les tendances apparaîtront dès la semaine prochaine.');
+    } else {
+      trends.declining.forEach(key => {
+        const trend = trends.dimensions[key];
+        insights.push(`${DIMENSION_LABELS[key]} en baisse de ${Math.abs(trend.delta)} points par rapport à votre moyenne des ${trends.weeksAnalyzed} dernières semaines.`);
+      });
+      
+      trends.improving.forEach(key => {
+        const trend = trends.dimensions[key];
+        insights.push(`${DIMENSION_LABELS[key]} en nette amélioration (+${trend.delta} points vs votre moyenne récente).`);
+      });
+    }
+    
+    return insights.slice(0, 5);
+  }
+
+  _generateSmartRecommendations(breakdown, trends) {
+    const messages = {
+      dailyLoad: `Allégez vos journées les plus chargées (objectif : ${this.settings.maxDailyAppointments} RDV maximum).`,
+      breakCompliance: `Prévoyez au moins ${this.settings.breakDuration} minutes de pause entre deux rendez-vous.`,
+      eveningWork: `Limitez les rendez-vous après ${CONFIG.THRESHOLDS.EVENING_HOUR}h.`,
+      weeklyBalance: `Visez moins de ${this.settings.maxWeeklyHours}h de travail par semaine.`,
+      recoveryAdequacy: 'Bloquez des plages de récupération dans votre semaine.',
+      predictiveStress: 'Espacez les enchaînements rapides et alternez journées chargées et légères.',
+    };
+    
+    const recommendations = [];
+    
+    Object.entries(breakdown).forEach(([key, value]) => {
+      const trend = trends.dimensions?.[key];
+      const isDeclining = trends.declining?.includes(key);
+      
+      if (value >= 70 && !isDeclining) return;
+      
+      recommendations.push({
+        dimension: key,
+        priority: value < 50 || (isDeclining && trend.significance === 'high') ? 'high' : 'medium',
+        message: messages[key],
+        score: value,
+        trend: trend ? trend.direction : 'stable',
+      });
+    });
+    
+    const priorityOrder = { high: 2, medium: 1 };
+    return recommendations.sort((a, b) =>
+      priorityOrder[b.priority] - priorityOrder[a.priority] || a.score - b.score
+    );
+  }
+
   /**
    * ============================================================
    * MÉTHODES UTILITAIRES PRIVÉES
@@ -488,8 +1724,9 @@ export class HarmonyEngine {
   }
 
   _filterDayAppointments(events, dateISO) {
+    const dateKey = DateUtils.toDateKey(dateISO, this.timeZone);
     return this._filterAppointments(events).filter(ev => 
-      ev.start.startsWith(dateISO)
+      DateUtils.toDateKey(ev.start, this.timeZone) === dateKey
     );
   }
 
@@ -501,13 +1738,45 @@ export class HarmonyEngine {
   }
 
   _isEveningEvent(event) {
-    const hour = new Date(event.start).getHours();
-    return hour >= CONFIG.THRESHOLDS.EVENING_HOUR;
+    return this._getLocalHour(event.start) >= CONFIG.THRESHOLDS.EVENING_HOUR;
   }
 
   _isNightEvent(event) {
-    const hour = new Date(event.start).getHours();
-    return hour >= CONFIG.THRESHOLDS.NIGHT_HOUR;
+    return this._getLocalHour(event.start) >= CONFIG.THRESHOLDS.NIGHT_HOUR;
+  }
+
+  /**
+   * Heure murale dans le fuseau du professionnel (et non celui du navigateur)
+   */
+  _getLocalHour(dateISO) {
+    return DateUtils.getZonedParts(dateISO, this.timeZone).hour;
+  }
+
+  /**
+   * Plages ouvertes d'une journée, en instants ISO : modèle hebdomadaire et
+   * exceptions datées si fournis au moteur, sinon les heures de travail,
+   * un week-end sans rendez-vous (`worked`) restant libre.
+   */
+  _getDayWindows(dateKey, worked = false) {
+    if (!this.availability) {
+      const dayOfWeek = DateUtils.getDayOfWeek(dateKey);
+      if (!worked && (dayOfWeek === 0 || dayOfWeek === 6)) return [];
+      return [{
+        start: this._workingTime(dateKey, this.settings.workingHours.start),
+        end: this._workingTime(dateKey, this.settings.workingHours.end),
+      }];
+    }
+    
+    const { template = [], overrides = [] } = this.availability;
+    return AvailabilityUtils.getWindowsForDate(dateKey, template.length ? template : CONFIG.DEFAULT_AVAILABILITY, overrides)
+      .map(({ start, end }) => ({ start: this._workingTime(dateKey, start), end: this._workingTime(dateKey, end) }));
+  }
+
+  /**
+   * Instant ISO d'une heure de travail (HH:MM) pour une date du professionnel
+   */
+  _workingTime(dateKey, timeStr) {
+    return DateUtils.zonedTimeToISO(dateKey, timeStr, this.timeZone);
   }
 
   _getFallbackScore() {
@@ -532,52 +1801,232 @@ export class HarmonyEngine {
  * ============================================================
  */
 class PredictiveStressModel {
-  constructor() {
+  constructor(options = {}) {
+    this.timeZone = options.timeZone || DateUtils.getTimeZone();
+    this.params = { ...PredictiveStressModel.getDefaultParams(), ...(options.params || {}) };
+    // Caractéristiques des semaines ayant servi à l'apprentissage
     this.patternHistory = [];
+    // Détail de la dernière prédiction
     this.stressIndicators = {
       rapidSuccession: 0,
       insufficientBreaks: 0,
       eveningOverload: 0,
       consecutiveIntensive: 0,
+      exhaustionSimilarity: 0,
+    };
+  }
+
+  /**
+   * Seuils de la population générale, utilisés tant que rien n'est appris
+   */
+  static getDefaultParams() {
+    const { RAPID_GAP_MINUTES, SHORT_GAP_MINUTES, INTENSIVE_DAY_COUNT } = CONFIG.STRESS_MODEL;
+    return {
+      rapidGapMinutes: RAPID_GAP_MINUTES,
+      shortGapMinutes: SHORT_GAP_MINUTES,
+      intensiveDayCount: INTENSIVE_DAY_COUNT,
+      typicalDailyCount: null,
+      typicalGapMinutes: null,
+      exhaustion: null,
+      weeksLearned: 0,
     };
   }
 
   predictStressLevel(appointments, weekRange) {
     if (!appointments.length) return 100;
     
-    let stressIndicators = 0;
-    const byDay = DateUtils.groupByDay(appointments);
+    const { rapidGapMinutes, shortGapMinutes, intensiveDayCount } = this.params;
+    const indicators = {
+      rapidSuccession: 0,
+      insufficientBreaks: 0,
+      eveningOverload: 0,
+      consecutiveIntensive: 0,
+      exhaustionSimilarity: 0,
+    };
+    const byDay = DateUtils.groupByDay(appointments, this.timeZone);
     
-    // Détection des enchaînements rapides
+    // Détection des enchaînements rapides (par rapport aux pauses habituelles)
     Object.values(byDay).forEach(dayEvents => {
-      const sorted = DateUtils.sortByStartTime(dayEvents);
-      for (let i = 1; i < sorted.length; i++) {
-        const gap = DateUtils.minutesBetween(sorted[i - 1].end, sorted[i].start);
-        if (gap < 10) stressIndicators += 2;
-        else if (gap < 20) stressIndicators += 1;
-      }
+      this._getGaps(dayEvents).forEach(gap => {
+        if (gap < rapidGapMinutes) indicators.rapidSuccession++;
+        else if (gap < shortGapMinutes) indicators.insufficientBreaks++;
+      });
     });
     
     // Détection des journées consécutives intenses
-    const dates = Object.keys(byDay).sort();
-    let consecutiveIntensive = 0;
-    let maxConsecutive = 0;
-    
-    dates.forEach((date, i) => {
-      if (byDay[date].length >= 6) {
-        consecutiveIntensive++;
-        maxConsecutive = Math.max(maxConsecutive, consecutiveIntensive);
-      } else {
-        consecutiveIntensive = 0;
-      }
-    });
+    indicators.consecutiveIntensive = this._getMaxConsecutiveIntensive(byDay, intensiveDayCount);
+    indicators.eveningOverload = appointments.filter(ev => this._isEvening(ev)).length;
     
-    stressIndicators += maxConsecutive * 3;
+    let stressIndicators = indicators.rapidSuccession * 2 +
+      indicators.insufficientBreaks +
+      indicators.consecutiveIntensive * 3;
     
     // Score inverse (moins d'indicateurs = meilleur score)
     const maxIndicators = appointments.length * 0.5;
-    const ratio = Math.min(stressIndicators / maxIndicators, 1);
+    let ratio = Math.min(stressIndicators / maxIndicators, 1);
+    
+    // Ressemblance avec les semaines signalées comme épuisantes
+    if (this.params.exhaustion) {
+      indicators.exhaustionSimilarity = MathUtils.round(
+        this._getExhaustionSimilarity(this._extractWeekFeatures(appointments)), 2
+      );
+      ratio = Math.min(1, ratio + indicators.exhaustionSimilarity * CONFIG.STRESS_MODEL.SIGNATURE_WEIGHT);
+    }
+    
+    this.stressIndicators = indicators;
     
     return Math.round((1 - ratio) * 100);
   }
+
+  /**
+   * Apprend la base personnelle à partir de semaines passées.
+   * @param {Array} weeks - [{ weekStart, appointments, exhausting }]
+   * @returns {Object|null} Paramètres appris, null si l'historique est insuffisant
+   */
+  learn(weeks) {
+    const { MIN_WEEKS, BOUNDS } = CONFIG.STRESS_MODEL;
+    if (weeks.length < MIN_WEEKS) return null;
+    
+    // La base personnelle s'appuie sur les semaines ordinaires
+    const ordinaryWeeks = weeks.some(week => !week.exhausting)
+      ? weeks.filter(week => !week.exhausting)
+      : weeks;
+    
+    const dailyCounts = [];
+    const gaps = [];
+    ordinaryWeeks.forEach(week => {
+      Object.values(DateUtils.groupByDay(week.appointments, this.timeZone)).forEach(dayEvents => {
+        dailyCounts.push(dayEvents.length);
+        gaps.push(...this._getGaps(dayEvents));
+      });
+    });
+    
+    const typicalDailyCount = MathUtils.median(dailyCounts);
+    const busyDayCount = this._percentile(dailyCounts, 0.75);
+    const typicalGapMinutes = gaps.length ? MathUtils.median(gaps) : null;
+    const defaults = PredictiveStressModel.getDefaultParams();
+    
+    // Une journée devient intense au-delà des journées chargées habituelles
+    const params = {
+      typicalDailyCount: MathUtils.round(typicalDailyCount, 1),
+      typicalGapMinutes: typicalGapMinutes === null ? null : Math.round(typicalGapMinutes),
+      intensiveDayCount: MathUtils.clamp(Math.round(busyDayCount) + 1, ...BOUNDS.INTENSIVE_DAY_COUNT),
+      rapidGapMinutes: typicalGapMinutes === null
+        ? defaults.rapidGapMinutes
+        : MathUtils.clamp(Math.round(typicalGapMinutes / 2), ...BOUNDS.RAPID_GAP_MINUTES),
+      shortGapMinutes: typicalGapMinutes === null
+        ? defaults.shortGapMinutes
+        : MathUtils.clamp(Math.round(typicalGapMinutes), ...BOUNDS.SHORT_GAP_MINUTES),
+      weeksLearned: weeks.length,
+    };
+    
+    // Les caractéristiques sont calculées avec les seuils personnels
+    this.params = { ...defaults, ...params };
+    this.patternHistory = weeks.map(week => ({
+      weekStart: week.weekStart,
+      exhausting: !!week.exhausting,
+      features: this._extractWeekFeatures(week.appointments),
+    }));
+    params.exhaustion = this._learnExhaustionSignature(this.patternHistory);
+    
+    this.params = { ...defaults, ...params };
+    return params;
+  }
+
+  /**
+   * ============================================================
+   * MÉTHODES PRIVÉES
+   * ============================================================
+   */
+  
+  _extractWeekFeatures(appointments) {
+    const byDay = DateUtils.groupByDay(appointments, this.timeZone);
+    const counts = Object.values(byDay).map(dayEvents => dayEvents.length);
+    const gaps = Object.values(byDay).flatMap(dayEvents => this._getGaps(dayEvents));
+    const totalMinutes = appointments.reduce((sum, ev) => sum + DateUtils.minutesBetween(ev.start, ev.end), 0);
+    
+    return {
+      avgDailyCount: MathUtils.round(MathUtils.average(counts), 2),
+      maxDailyCount: counts.length ? Math.max(...counts) : 0,
+      rapidGapRatio: gaps.length
+        ? MathUtils.round(gaps.filter(gap => gap < this.params.rapidGapMinutes).length / gaps.length, 2)
+        : 0,
+      eveningRatio: appointments.length
+        ? MathUtils.round(appointments.filter(ev => this._isEvening(ev)).length / appointments.length, 2)
+        : 0,
+      maxConsecutiveIntensive: this._getMaxConsecutiveIntensive(byDay, this.params.intensiveDayCount),
+      weeklyHours: MathUtils.round(totalMinutes / 60, 1),
+    };
+  }
+
+  /**
+   * Moyennes des caractéristiques : semaines épuisantes vs semaines normales
+   */
+  _learnExhaustionSignature(history) {
+    const flagged = history.filter(week => week.exhausting);
+    const normal = history.filter(week => !week.exhausting);
+    if (!flagged.length || !normal.length) return null;
+    
+    const averageFeatures = weeks => {
+      const result = {};
+      Object.keys(weeks[0].features).forEach(key => {
+        result[key] = MathUtils.round(MathUtils.average(weeks.map(week => week.features[key])), 2);
+      });
+      return result;
+    };
+    
+    return {
+      flaggedWeeks: flagged.length,
+      flagged: averageFeatures(flagged),
+      normal: averageFeatures(normal),
+    };
+  }
+
+  /**
+   * 0 = semaine normale, 1 = aussi marquée que les semaines épuisantes
+   */
+  _getExhaustionSimilarity(features) {
+    const { flagged, normal } = this.params.exhaustion;
+    
+    const similarities = Object.keys(flagged)
+      .filter(key => flagged[key] > normal[key])
+      .map(key => MathUtils.clamp((features[key] - normal[key]) / (flagged[key] - normal[key]), 0, 1));
+    
+    return similarities.length ? MathUtils.average(similarities) : 0;
+  }
+
+  _getGaps(dayEvents) {
+    const sorted = DateUtils.sortByStartTime(dayEvents);
+    const gaps = [];
+    for (let i = 1; i < sorted.length; i++) {
+      gaps.push(DateUtils.minutesBetween(sorted[i - 1].end, sorted[i].start));
+    }
+    return gaps;
+  }
+
+  _getMaxConsecutiveIntensive(byDay, intensiveDayCount) {
+    let consecutive = 0;
+    let maxConsecutive = 0;
+    
+    Object.keys(byDay).sort().forEach(date => {
+      if (byDay[date].length >= intensiveDayCount) {
+        consecutive++;
+        maxConsecutive = Math.max(maxConsecutive, consecutive);
+      } else {
+        consecutive = 0;
+      }
+    });
+    
+    return maxConsecutive;
+  }
+
+  _isEvening(event) {
+    return DateUtils.getZonedParts(event.start, this.timeZone).hour >= CONFIG.THRESHOLDS.EVENING_HOUR;
+  }
+
+  _percentile(values, p) {
+    if (!values.length) return 0;
+    const sorted = [...values].sort((a, b) => a - b);
+    return sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+  }
 }
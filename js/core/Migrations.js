@@ -0,0 +1,158 @@
+/**
+ * ============================================================
+ * HARMONY SCHEDULER v2.0 — Schema Migrations
+ * ============================================================
+ * Registre ordonné des migrations du store : une étape par
+ * version, appliquée au store courant comme aux sauvegardes
+ * importées. Chaque étape reçoit le store de la version
+ * précédente et le modifie en place. Une étape publiée ne doit
+ * plus changer : elle décrit le schéma tel qu'il était alors.
+ */
+
+import { CONFIG } from './Config.js';
+import { SecurityUtils } from '../utils/Validator.js';
+import { ClientUtils } from '../utils/ClientUtils.js';
+
+// Collections dont chaque enregistrement est indexé par `id`
+const RECORD_COLLECTIONS = ['events', 'notifications', 'weeklyReports', 'recoveryHistory'];
+
+export const MIGRATION_STEPS = [
+  {
+    version: 2,
+    description: 'Métadonnées, historique de récupération et réglages',
+    migrate(store) {
+      store.metadata = {
+        lastSync: null,
+        deviceId: SecurityUtils.generateSecureId(),
+        sessionCount: 0,
+        ...store.metadata,
+      };
+      store.recoveryHistory = [];
+      store.blockedSlots = [];
+      store.settings = {
+        autoBlockCriticalDays: true,
+        enablePredictiveAlerts: true,
+        preferredNotificationTime: '18:00',
+        dataRetentionDays: 365,
+      };
+    },
+  },
+  {
+    version: 3,
+    description: 'Identifiants uniques par enregistrement (stockage IndexedDB)',
+    migrate(store) {
+      RECORD_COLLECTIONS.forEach(name => {
+        const byId = new Map();
+        (store[name] || []).forEach(record => {
+          const id = record.id || SecurityUtils.generateSecureId();
+          // En cas de doublon, la dernière version l'emporte
+          byId.set(id, { ...record, id });
+        });
+        store[name] = [...byId.values()];
+      });
+
+      store.events.forEach(event => {
+        event.version = event.version || 1;
+      });
+    },
+  },
+  {
+    version: 4,
+    description: 'Fiches clients, dédoublonnées par email et téléphone',
+    migrate(store) {
+      store.clients = store.clients || [];
+      ClientUtils.linkEvents(
+        store.clients,
+        store.events,
+        event => (event.type || CONFIG.EVENT_TYPES.APPOINTMENT) === CONFIG.EVENT_TYPES.APPOINTMENT
+      );
+    },
+  },
+];
+
+/**
+ * Étapes à appliquer pour amener un store à la version courante
+ */
+export const getPendingMigrations = (fromVersion) => MIGRATION_STEPS.filter(
+  step => step.version > fromVersion && step.version <= CONFIG.STORAGE_VERSION
+);
+
+/**
+ * Vérifie la structure minimale d'un store migré
+ * @returns {Array<string>} Erreurs détectées
+ */
+export const validateStore = (store) => {
+  const errors = [];
+
+  if (!Number.isInteger(store?.version)) {
+    errors.push('Version absente ou invalide');
+    return errors;
+  }
+
+  if (!Array.isArray(store.events)) {
+    errors.push('Liste d\'événements absente');
+  } else {
+    const invalid = store.events.filter(ev => !ev.id || !ev.start || !ev.end);
+    if (invalid.length) {
+      errors.push(`${invalid.length} événement(s) sans identifiant ou sans dates`);
+    }
+  }
+
+  [...RECORD_COLLECTIONS.slice(1), 'clients'].forEach(name => {
+    if (store[name] !== undefined && !Array.isArray(store[name])) {
+      errors.push(`Collection « ${name} » invalide`);
+    }
+  });
+
+  if (store.professional !== undefined && typeof store.professional !== 'object') {
+    errors.push('Profil professionnel invalide');
+  }
+
+  return errors;
+};
+
+/**
+ * Applique les migrations en attente sur une copie du store.
+ * @param {Object} options - { dryRun } : valide sans rien conserver
+ * @returns {Object} { success, store, fromVersion, toVersion, applied, eventCount, errors }
+ */
+export const runMigrations = (input, options = {}) => {
+  const store = structuredClone(input);
+  const fromVersion = Number(store.version) || 1;
+  const report = {
+    success: false,
+    store: null,
+    fromVersion,
+    toVersion: CONFIG.STORAGE_VERSION,
+    dryRun: !!options.dryRun,
+    applied: [],
+    eventCount: 0,
+    errors: [],
+  };
+
+  if (fromVersion > CONFIG.STORAGE_VERSION) {
+    report.errors.push(`Données en version ${fromVersion}, plus récente que l'application (version ${CONFIG.STORAGE_VERSION})`);
+    return report;
+  }
+
+  for (const step of getPendingMigrations(fromVersion)) {
+    try {
+      step.migrate(store);
+      store.version = step.version;
+      report.applied.push({ version: step.version, description: step.description });
+    } catch (error) {
+      report.errors.push(`Migration v${step.version} : ${error.message}`);
+      return report;
+    }
+  }
+
+  store.version = CONFIG.STORAGE_VERSION;
+  report.errors = validateStore(store);
+  report.eventCount = store.events?.length || 0;
+  report.success = report.errors.length === 0;
+  if (report.success && !options.dryRun) {
+    report.store = store;
+  }
+
+  return report;
+};
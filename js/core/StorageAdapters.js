@@ -0,0 +1,399 @@
+/**
+ * ============================================================
+ * HARMONY SCHEDULER v2.0 — Storage Adapters
+ * ============================================================
+ * Backends de persistance interchangeables pour StorageManager.
+ * Chaque adaptateur charge et enregistre le store complet :
+ *   - load()  → Promise<store|null>
+ *   - loadRevision() → Promise<string|null> (révision persistée, sans lire le store)
+ *   - save(store) → Promise<void>
+ *   - clear() → Promise<void>
+ * et conserve des instantanés du store (avant migration, import…) :
+ *   - saveSnapshot(snapshot), listSnapshots(), loadSnapshot(id), deleteSnapshot(id)
+ * StorageManager garde le store en mémoire et délègue l'écriture.
+ */
+
+import { CONFIG } from './Config.js';
+import { SecurityUtils } from '../utils/Validator.js';
+
+/**
+ * ============================================================
+ * MÉMOIRE (repli : rien n'est conservé au rechargement)
+ * ============================================================
+ */
+
+export class MemoryAdapter {
+  constructor() {
+    this.name = 'memory';
+    this.persistent = false;
+    this.data = null;
+    this.snapshots = new Map();
+  }
+
+  async load() {
+    return this.data ? structuredClone(this.data) : null;
+  }
+
+  async loadRevision() {
+    return this.data?.revision ?? null;
+  }
+
+  async save(store) {
+    this.data = structuredClone(store);
+  }
+
+  async clear() {
+    this.data = null;
+  }
+
+  async saveSnapshot(snapshot) {
+    this.snapshots.set(snapshot.id, structuredClone(snapshot));
+  }
+
+  async listSnapshots() {
+    return [...this.snapshots.values()].map(({ data, ...meta }) => meta);
+  }
+
+  async loadSnapshot(id) {
+    return this.snapshots.has(id) ? structuredClone(this.snapshots.get(id)) : null;
+  }
+
+  async deleteSnapshot(id) {
+    this.snapshots.delete(id);
+  }
+}
+
+/**
+ * ============================================================
+ * LOCALSTORAGE (une seule clé JSON — format historique)
+ * ============================================================
+ */
+
+export class LocalStorageAdapter {
+  constructor(key = CONFIG.STORAGE_KEY) {
+    this.name = 'localStorage';
+    this.persistent = true;
+    this.key = key;
+  }
+
+  static isAvailable() {
+    return SecurityUtils.isStorageAvailable();
+  }
+
+  async load() {
+    return this.loadSync();
+  }
+
+  // Une seule clé JSON : la révision n'est lisible qu'avec le store
+  async loadRevision() {
+    return this.loadSync()?.revision ?? null;
+  }
+
+  loadSync() {
+    try {
+      const raw = localStorage.getItem(this.key);
+      return raw ? JSON.parse(raw) : null;
+    } catch (error) {
+      console.error('[LocalStorageAdapter] load error:', error);
+      return null;
+    }
+  }
+
+  async save(store) {
+    localStorage.setItem(this.key, JSON.stringify(store));
+  }
+
+  async clear() {
+    localStorage.removeItem(this.key);
+  }
+
+  /**
+   * Copies complètes dans une seule clé : les plus anciennes cèdent la place
+   * au-delà de LOCAL_SNAPSHOTS (nombre et taille). Lève QuotaExceededError
+   * si même l'instantané seul ne tient pas.
+   */
+  async saveSnapshot(snapshot) {
+    const { MAX_COUNT, MAX_CHARS } = CONFIG.MIGRATIONS.LOCAL_SNAPSHOTS;
+    let size = JSON.stringify(snapshot).length;
+    if (size > MAX_CHARS) {
+      throw new DOMException('Instantané trop volumineux pour localStorage', 'QuotaExceededError');
+    }
+
+    const kept = [];
+    this._readSnapshots()
+      .filter(s => s.id !== snapshot.id)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .forEach(s => {
+        const length = JSON.stringify(s).length;
+        if (kept.length + 1 >= MAX_COUNT || size + length > MAX_CHARS) return;
+        kept.push(s);
+        size += length;
+      });
+
+    try {
+      localStorage.setItem(`${this.key}_snapshots`, JSON.stringify([...kept.reverse(), snapshot]));
+    } catch (error) {
+      if (error.name !== 'QuotaExceededError') throw error;
+      // Dernier recours : l'instantané seul
+      localStorage.setItem(`${this.key}_snapshots`, JSON.stringify([snapshot]));
+    }
+  }
+
+  async listSnapshots() {
+    return this._readSnapshots().map(({ data, ...meta }) => meta);
+  }
+
+  async loadSnapshot(id) {
+    return this._readSnapshots().find(s => s.id === id) || null;
+  }
+
+  async deleteSnapshot(id) {
+    const snapshots = this._readSnapshots().filter(s => s.id !== id);
+    localStorage.setItem(`${this.key}_snapshots`, JSON.stringify(snapshots));
+  }
+
+  _readSnapshots() {
+    try {
+      return JSON.parse(localStorage.getItem(`${this.key}_snapshots`)) || [];
+    } catch {
+      return [];
+    }
+  }
+}
+
+/**
+ * ============================================================
+ * INDEXEDDB (un object store par collection)
+ * ============================================================
+ * Les collections volumineuses sont stockées enregistrement par
+ * enregistrement ; le reste du store (profil, réglages…) tient
+ * dans un unique enregistrement « root » du store `meta`.
+ * Seuls les enregistrements modifiés sont réécrits. La révision est
+ * aussi inscrite à part (`meta` « revision ») : la vérifier avant
+ * chaque écriture ne coûte qu'une lecture.
+ */
+
+export class IndexedDBAdapter {
+  constructor(dbName = CONFIG.INDEXED_DB.NAME) {
+    this.name = 'indexedDB';
+    this.persistent = true;
+    this.dbName = dbName;
+    this.db = null;
+    // Empreinte JSON des enregistrements déjà écrits, par collection
+    this.fingerprints = new Map();
+  }
+
+  static isAvailable() {
+    try {
+      return typeof indexedDB !== 'undefined' && indexedDB !== null;
+    } catch {
+      return false;
+    }
+  }
+
+  async load() {
+    const db = await this._open();
+    const { COLLECTIONS, META_STORE } = CONFIG.INDEXED_DB;
+    const storeNames = [...Object.keys(COLLECTIONS), META_STORE];
+    const tx = db.transaction(storeNames, 'readonly');
+
+    const [root, ...collections] = await Promise.all([
+      this._request(tx.objectStore(META_STORE).get('root')),
+      ...Object.keys(COLLECTIONS).map(name => this._request(tx.objectStore(name).getAll())),
+    ]);
+
+    if (!root) return null;
+
+    const store = { ...root.value };
+    Object.keys(COLLECTIONS).forEach((name, i) => {
+      store[name] = collections[i];
+      this.fingerprints.set(name, new Map(collections[i].map(record => [record.id, JSON.stringify(record)])));
+    });
+    this.fingerprints.set(META_STORE, JSON.stringify(root.value));
+
+    return store;
+  }
+
+  async loadRevision() {
+    const db = await this._open();
+    const { META_STORE } = CONFIG.INDEXED_DB;
+    const record = await this._request(db.transaction(META_STORE, 'readonly').objectStore(META_STORE).get('revision'));
+    if (record) return record.value;
+
+    // Base écrite avant l'enregistrement dédié : révision lue dans « root »
+    const root = await this._request(db.transaction(META_STORE, 'readonly').objectStore(META_STORE).get('root'));
+    return root?.value.revision ?? null;
+  }
+
+  async save(store) {
+    const db = await this._open();
+    const { COLLECTIONS, META_STORE } = CONFIG.INDEXED_DB;
+    const tx = db.transaction([...Object.keys(COLLECTIONS), META_STORE], 'readwrite');
+    const nextFingerprints = new Map();
+
+    Object.keys(COLLECTIONS).forEach(name => {
+      const objectStore = tx.objectStore(name);
+      const previous = this.fingerprints.get(name) || new Map();
+      const next = new Map();
+
+      (store[name] || []).forEach(record => {
+        const serialized = JSON.stringify(record);
+        next.set(record.id, serialized);
+        if (previous.get(record.id) !== serialized) objectStore.put(record);
+      });
+
+      previous.forEach((_, id) => {
+        if (!next.has(id)) objectStore.delete(id);
+      });
+
+      nextFingerprints.set(name, next);
+    });
+
+    const root = { ...store };
+    Object.keys(COLLECTIONS).forEach(name => delete root[name]);
+    const serializedRoot = JSON.stringify(root);
+    if (this.fingerprints.get(META_STORE) !== serializedRoot) {
+      tx.objectStore(META_STORE).put({ key: 'root', value: root });
+    }
+    tx.objectStore(META_STORE).put({ key: 'revision', value: store.revision ?? null });
+    nextFingerprints.set(META_STORE, serializedRoot);
+
+    await this._complete(tx);
+    this.fingerprints = nextFingerprints;
+  }
+
+  async clear() {
+    const db = await this._open();
+    const { COLLECTIONS, META_STORE } = CONFIG.INDEXED_DB;
+    const storeNames = [...Object.keys(COLLECTIONS), META_STORE];
+    const tx = db.transaction(storeNames, 'readwrite');
+
+    storeNames.forEach(name => tx.objectStore(name).clear());
+    await this._complete(tx);
+    this.fingerprints = new Map();
+  }
+
+  async saveSnapshot(snapshot) {
+    const db = await this._open();
+    const tx = db.transaction(CONFIG.INDEXED_DB.SNAPSHOT_STORE, 'readwrite');
+    tx.objectStore(CONFIG.INDEXED_DB.SNAPSHOT_STORE).put(snapshot);
+    await this._complete(tx);
+  }
+
+  async listSnapshots() {
+    const db = await this._open();
+    const tx = db.transaction(CONFIG.INDEXED_DB.SNAPSHOT_STORE, 'readonly');
+    const snapshots = await this._request(tx.objectStore(CONFIG.INDEXED_DB.SNAPSHOT_STORE).getAll());
+    return snapshots.map(({ data, ...meta }) => meta);
+  }
+
+  async loadSnapshot(id) {
+    const db = await this._open();
+    const tx = db.transaction(CONFIG.INDEXED_DB.SNAPSHOT_STORE, 'readonly');
+    return (await this._request(tx.objectStore(CONFIG.INDEXED_DB.SNAPSHOT_STORE).get(id))) || null;
+  }
+
+  async deleteSnapshot(id) {
+    const db = await this._open();
+    const tx = db.transaction(CONFIG.INDEXED_DB.SNAPSHOT_STORE, 'readwrite');
+    tx.objectStore(CONFIG.INDEXED_DB.SNAPSHOT_STORE).delete(id);
+    await this._complete(tx);
+  }
+
+  /**
+   * Événements dont le début est compris dans [from, to] (index `start`)
+   */
+  async getEventsBetween(from, to) {
+    const db = await this._open();
+    const index = db.transaction('events', 'readonly').objectStore('events').index('start');
+    return this._request(index.getAll(IDBKeyRange.bound(from, to)));
+  }
+
+  /**
+   * Événements d'un statut donné (index `status`)
+   */
+  async getEventsByStatus(status) {
+    const db = await this._open();
+    const index = db.transaction('events', 'readonly').objectStore('events').index('status');
+    return this._request(index.getAll(status));
+  }
+
+  /**
+   * ============================================================
+   * MÉTHODES PRIVÉES
+   * ============================================================
+   */
+
+  _open() {
+    if (this.db) return Promise.resolve(this.db);
+
+    const { VERSION, COLLECTIONS, META_STORE, SNAPSHOT_STORE } = CONFIG.INDEXED_DB;
+
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(this.dbName, VERSION);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+
+        Object.entries(COLLECTIONS).forEach(([name, indexes]) => {
+          const objectStore = db.objectStoreNames.contains(name)
+            ? request.transaction.objectStore(name)
+            : db.createObjectStore(name, { keyPath: 'id' });
+
+          indexes.forEach(field => {
+            if (!objectStore.indexNames.contains(field)) {
+              objectStore.createIndex(field, field, { unique: false });
+            }
+          });
+        });
+
+        if (!db.objectStoreNames.contains(META_STORE)) {
+          db.createObjectStore(META_STORE, { keyPath: 'key' });
+        }
+
+        // v2 : instantanés du store
+        if (!db.objectStoreNames.contains(SNAPSHOT_STORE)) {
+          db.createObjectStore(SNAPSHOT_STORE, { keyPath: 'id' });
+        }
+      };
+
+      request.onsuccess = () => {
+        this.db = request.result;
+        // Une autre version de l'application met la base à jour : on libère la connexion
+        this.db.onversionchange = () => {
+          this.db.close();
+          this.db = null;
+        };
+        resolve(this.db);
+      };
+
+      request.onerror = () => reject(request.error);
+      request.onblocked = () => console.warn('[IndexedDBAdapter] Ouverture bloquée par un autre onglet');
+    });
+  }
+
+  _request(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  _complete(tx) {
+    return new Promise((resolve, reject) => {
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error || new Error('Transaction annulée'));
+    });
+  }
+}
+
+/**
+ * Choisit le meilleur backend disponible : IndexedDB, puis
+ * localStorage, puis mémoire.
+ */
+export const createStorageAdapter = () => {
+  if (IndexedDBAdapter.isAvailable()) return new IndexedDBAdapter();
+  if (LocalStorageAdapter.isAvailable()) return new LocalStorageAdapter();
+  return new MemoryAdapter();
+};
@@ -4,23 +4,65 @@
  * ============================================================
  * Gestion sécurisée de la persistance des données
  * Architecture: Pattern Repository avec encryption légère
+ *
+ * Le store est tenu en mémoire (lectures synchrones) et persisté
+ * en arrière-plan par un adaptateur (IndexedDB par défaut, voir
+ * StorageAdapters.js). Les pages attendent `storage.ready`.
+ *
+ * Chiffrement optionnel : le store persisté, ses instantanés et les
+ * sauvegardes deviennent des enveloppes AES-GCM (voir CryptoUtils.js).
+ * Un store chiffré n'est chargé qu'après `unlock(passphrase)`.
+ *
+ * Plusieurs onglets partagent le même store : chaque écriture relit
+ * la révision persistée et fusionne celle d'un autre onglet au lieu
+ * de l'écraser (voir StoreSync.js).
  */
 
 import { CONFIG } from './Config.js';
 import { Validator, SecurityUtils } from '../utils/Validator.js';
 import { DateUtils } from '../utils/DateUtils.js';
+import { RecurrenceUtils } from '../utils/RecurrenceUtils.js';
+import { ClientUtils } from '../utils/ClientUtils.js';
+import { CryptoUtils } from '../utils/CryptoUtils.js';
+import { AvailabilityUtils } from '../utils/AvailabilityUtils.js';
+import { createStorageAdapter, LocalStorageAdapter, MemoryAdapter } from './StorageAdapters.js';
+import { runMigrations } from './Migrations.js';
+import { StoreSync, mergeStores } from './StoreSync.js';
+import { EventIndex } from './EventIndex.js';
+import { HarmonyEngine } from './HarmonyEngine.js';
+
+// Champs de date comparés chronologiquement par queryEvents
+const DATE_FIELD = /(^|\.)(start|end|\w+At|\w+Date)$/;
+
+// Opérations du journal RGPD qui retirent des données personnelles
+const PURGE_ACTIONS = ['anonymize', 'erase', 'retention'];
 
 export class StorageManager {
   constructor() {
     this.key = CONFIG.STORAGE_KEY;
-    this.cache = null;
-    this.cacheTimestamp = 0;
-    this.cacheTTL = 5000; // 5 secondes
+    this.adapter = null;
+    this.memoryMode = false;
+    // Store provisoire jusqu'au chargement (jamais persisté tel quel)
+    this.cache = this._getDefaultSchema();
     this.subscribers = new Map();
-    this.transactionQueue = [];
-    this.isProcessingQueue = false;
-    
-    this._initStorage();
+    // File d'écriture : seule la dernière version du store en attente est écrite
+    this.pendingStore = null;
+    this.writing = null;
+    // Chiffrement : paramètres PBKDF2 et clé dérivée (absente tant que verrouillé)
+    this.encryption = null;
+    this.cryptoKey = null;
+    this.locked = false;
+    this.sealed = null;
+    this.unlockResolver = null;
+    // Synchronisation entre onglets : dernière révision persistée connue de cet onglet
+    this.syncBase = null;
+    this.sync = new StoreSync(() => this._onRemoteWrite());
+    // Jour du dernier point de restauration quotidien connu (évite de relister les instantanés)
+    this.dailyRestorePoint = null;
+    // Index des événements par date, tenu à jour à la demande (queryEvents)
+    this.eventIndex = new EventIndex();
+    
+    this.ready = this._initStorage();
   }
 
   /**
@@ -29,21 +71,90 @@ export class StorageManager {
    * ============================================================
    */
   
-  _initStorage() {
-    if (!SecurityUtils.isStorageAvailable()) {
-      console.warn('[StorageManager] localStorage non disponible - mode mémoire uniquement');
-      this.memoryMode = true;
-      this.memoryStore = this._getDefaultSchema();
-      return;
+  async _initStorage(adapter = createStorageAdapter()) {
+    let store;
+    
+    try {
+      store = await adapter.load();
+      
+      // Première ouverture d'IndexedDB : reprise transparente des données localStorage
+      if (!store && adapter.name === 'indexedDB' && LocalStorageAdapter.isAvailable()) {
+        store = await this._migrateFromLocalStorage(adapter);
+      }
+    } catch (error) {
+      console.error(`[StorageManager] Backend ${adapter.name} indisponible:`, error);
+      const fallback = adapter.name === 'indexedDB' && LocalStorageAdapter.isAvailable()
+        ? new LocalStorageAdapter(this.key)
+        : new MemoryAdapter();
+      return adapter.name === 'memory' ? this : this._initStorage(fallback);
     }
     
-    this.memoryMode = false;
+    this.adapter = adapter;
+    this.memoryMode = !adapter.persistent;
+    if (this.memoryMode) {
+      console.warn('[StorageManager] Stockage persistant non disponible - mode mémoire uniquement');
+    }
+    
+    // Store chiffré : le chargement reprend une fois la phrase secrète saisie
+    if (CryptoUtils.isEnvelope(store)) {
+      store = await this._waitForUnlock(store);
+    }
+    this.syncBase = store ? structuredClone(store) : null;
     
     // Vérifie et migre les données si nécessaire
-    const store = this._readRaw();
+    let needsWrite = !store;
     if (store && store.version !== CONFIG.STORAGE_VERSION) {
-      this._migrateData(store);
+      const migrated = await this._migrateLiveStore(store);
+      needsWrite = migrated !== store;
+      store = migrated;
     }
+    
+    this.cache = this._mergeWithDefaults(store || this._getDefaultSchema());
+    if (needsWrite) this._persist(this.cache);
+    
+    // Les jours, heures et semaines s'évaluent dans le fuseau du professionnel
+    DateUtils.setTimeZone(this.cache.professional?.timezone);
+    this.applyRetentionPolicy();
+    
+    return this;
+  }
+
+  /**
+   * Migre le store chargé après en avoir pris un instantané.
+   * En cas d'échec, les données restent dans leur version d'origine.
+   */
+  async _migrateLiveStore(store) {
+    const report = runMigrations(store);
+    
+    if (!report.success) {
+      console.error('[StorageManager] Migration impossible, données conservées en l\'état:', report.errors);
+      return store;
+    }
+    
+    const snapshot = await this.createSnapshot('migration', store);
+    this._recordMigration(report.store, 'store', report, snapshot?.id);
+    console.log(`[StorageManager] Migration v${report.fromVersion} → v${report.toVersion} :`,
+      report.applied.map(step => `v${step.version}`).join(', ') || 'aucune étape');
+    
+    return report.store;
+  }
+
+  async _migrateFromLocalStorage(adapter) {
+    const legacy = new LocalStorageAdapter(this.key);
+    const store = legacy.loadSync();
+    if (!store) return null;
+    
+    // Copie telle quelle : la migration éventuelle suit dans _initStorage
+    store.metadata = {
+      ...store.metadata,
+      migratedFromLocalStorageAt: new Date().toISOString(),
+    };
+    
+    await adapter.save(store);
+    await legacy.clear();
+    console.log(`📦 ${store.events?.length || 0} événement(s) migré(s) de localStorage vers IndexedDB`);
+    
+    return store;
   }
 
   _getDefaultSchema() {
@@ -53,11 +164,20 @@ export class StorageManager {
       updatedAt: new Date().toISOString(),
       professional: { ...CONFIG.DEFAULT_PROFESSIONAL },
       events: [],
+      clients: [],
       availability: [],
+      availabilityOverrides: [],
       notifications: [],
       weeklyReports: [],
       recoveryHistory: [],
       blockedSlots: [],
+      auditLog: [],
+      stressModel: {
+        params: null,
+        flaggedWeeks: [],
+        learnedAt: null,
+        resetAt: null,
+      },
       settings: {
         autoBlockCriticalDays: true,
         enablePredictiveAlerts: true,
@@ -78,107 +198,139 @@ export class StorageManager {
    * ============================================================
    */
   
-  getStore(forceRefresh = false) {
-    const now = Date.now();
-    
-    if (!forceRefresh && this.cache && (now - this.cacheTimestamp) < this.cacheTTL) {
-      return structuredClone ? structuredClone(this.cache) : JSON.parse(JSON.stringify(this.cache));
-    }
-    
-    let store;
-    
-    if (this.memoryMode) {
-      store = this.memoryStore;
-    } else {
-      store = this._readRaw();
-    }
-    
-    if (!store) {
-      store = this._getDefaultSchema();
-      this._writeRaw(store);
-    }
-    
-    // Merge avec les valeurs par défaut pour les nouvelles clés
-    store = this._mergeWithDefaults(store);
-    
-    this.cache = store;
-    this.cacheTimestamp = now;
-    
-    return structuredClone ? structuredClone(store) : JSON.parse(JSON.stringify(store));
+  getStore() {
+    return structuredClone ? structuredClone(this.cache) : JSON.parse(JSON.stringify(this.cache));
   }
 
   saveStore(store) {
-    store.updatedAt = new Date().toISOString();
+    // Verrouillé : le store en mémoire n'est qu'un store vide provisoire
+    if (this.locked) return false;
     
-    if (this.memoryMode) {
-      this.memoryStore = store;
-      this.cache = store;
-      this.cacheTimestamp = Date.now();
-      this._notifySubscribers('store', store);
-      return true;
+    store.updatedAt = new Date().toISOString();
+    this.cache = store;
+    this._notifySubscribers('store', store);
+    this._persist(store);
+    return true;
+  }
+
+  /**
+   * Attend la fin des écritures en cours (avant un rechargement de page)
+   */
+  flush() {
+    return this.writing || Promise.resolve();
+  }
+
+  /**
+   * Efface toutes les données persistées (tous backends confondus)
+   * @param {Object} options - { keepSnapshots } : conserve les instantanés, même chiffrés
+   */
+  async clearAll(options = {}) {
+    // Depuis l'écran de verrouillage (phrase oubliée), `ready` n'est pas encore résolu
+    if (!this.locked) await this.ready;
+    await this.flush();
+    await this.adapter.clear();
+    if (LocalStorageAdapter.isAvailable()) {
+      localStorage.removeItem(this.key);
     }
     
-    try {
-      this._writeRaw(store);
-      this.cache = store;
-      this.cacheTimestamp = Date.now();
-      this._notifySubscribers('store', store);
-      return true;
-    } catch (error) {
-      if (error.name === 'QuotaExceededError') {
-        console.error('[StorageManager] Quota dépassé - nettoyage automatique');
-        this._cleanupOldData();
-        try {
-          this._writeRaw(store);
-          return true;
-        } catch (retryError) {
-          console.error('[StorageManager] Échec persistant:', retryError);
-          return false;
-        }
-      }
-      console.error('[StorageManager] saveStore error:', error);
-      return false;
+    // Des instantanés chiffrés deviendraient illisibles sans la phrase secrète : on les supprime aussi
+    if (this.encryption && !options.keepSnapshots) {
+      const snapshots = await this.adapter.listSnapshots();
+      await Promise.all(snapshots.map(s => this.adapter.deleteSnapshot(s.id)));
+    }
+    this.encryption = null;
+    this.cryptoKey = null;
+    this.sealed = null;
+    this.locked = false;
+    // Plus de révision persistée : la prochaine écriture n'a rien à fusionner
+    this.syncBase = null;
+    
+    this.cache = this._getDefaultSchema();
+    if (this.unlockResolver) {
+      this._resolveUnlock(null);
+    } else {
+      this._notifySubscribers('store', this.cache);
     }
   }
 
+  getBackendName() {
+    return this.adapter?.name || null;
+  }
+
   /**
    * ============================================================
    * GESTION DES ÉVÉNEMENTS
    * ============================================================
    */
   
+  /**
+   * Événements (séries développées), triés par début, suppressions comprises.
+   * `startDate` et `endDate` bornent le début de l'événement (inclus).
+   */
   getAllEvents(options = {}) {
-    const store = this.getStore();
-    let events = store.events || [];
-    
-    // Filtres
-    if (options.type) {
-      events = events.filter(ev => ev.type === options.type);
-    }
-    
-    if (options.status) {
-      events = events.filter(ev => ev.status === options.status);
+    const { type, status, startDate, endDate } = options;
+    return this.queryEvents({ type, status, startDate, endDate, includeDeleted: true }).events;
+  }
+
+  /**
+   * Recherche d'événements sur l'index en mémoire (séries développées)
+   * @param {Object} query
+   * @param {string|string[]} [query.type] - Type ou liste de types
+   * @param {string|string[]} [query.status] - Statut ou liste de statuts
+   * @param {string} [query.startDate] - Début au plus tôt (inclus)
+   * @param {string} [query.endDate] - Début au plus tard (inclus)
+   * @param {string} [query.clientId]
+   * @param {string|string[]} [query.source] - Origine (metadata.source)
+   * @param {string} [query.search] - Texte cherché dans client, titre, contact et notes
+   * @param {boolean} [query.includeDeleted=false] - Inclure la corbeille
+   * @param {string} [query.sortBy='start'] - Champ de tri (chemin pointé accepté)
+   * @param {string} [query.sortDirection='asc'] - 'asc' | 'desc'
+   * @param {number} [query.limit] - Taille de la page
+   * @param {number} [query.offset=0] - Position de départ
+   * @returns {{ events: Array, total: number }} total : nombre avant pagination
+   */
+  queryEvents(query = {}) {
+    this.eventIndex.sync(this.cache.events || []);
+
+    const from = query.startDate ? new Date(query.startDate).getTime() : -Infinity;
+    const to = query.endDate ? new Date(query.endDate).getTime() : Infinity;
+    const matches = (value, expected) => expected === undefined || expected === null
+      || (Array.isArray(expected) ? expected.includes(value) : value === expected);
+    const search = query.search ? ClientUtils.normalizeName(query.search) : '';
+
+    let entries = this.eventIndex.between(from, to).filter(({ event }) =>
+      (query.includeDeleted || !event.deletedAt)
+      && matches(event.type, query.type)
+      && matches(event.status, query.status)
+      && matches(event.clientId, query.clientId)
+      && matches(event.metadata?.source, query.source)
+    );
+    if (search) {
+      entries = entries.filter(entry => this.eventIndex.searchText(entry).includes(search));
     }
-    
-    if (options.startDate && options.endDate) {
-      events = events.filter(ev => {
-        const evStart = new Date(ev.start).getTime();
-        const rangeStart = new Date(options.startDate).getTime();
-        const rangeEnd = new Date(options.endDate).getTime();
-        return evStart >= rangeStart && evStart <= rangeEnd;
-      });
+
+    // L'index est déjà trié par début : seul un autre champ impose un tri
+    const sortBy = query.sortBy && query.sortBy !== true ? query.sortBy : 'start';
+    if (sortBy !== 'start') {
+      entries = [...entries].sort((a, b) => this._compareEventField(a.event, b.event, sortBy));
     }
-    
-    // Tri
-    if (options.sortBy) {
-      events = DateUtils.sortByStartTime(events);
+    if (query.sortDirection === 'desc') {
+      entries = [...entries].reverse();
     }
-    
-    return events;
+
+    const total = entries.length;
+    const offset = Math.max(0, query.offset || 0);
+    const page = query.limit > 0 ? entries.slice(offset, offset + query.limit) : entries.slice(offset);
+
+    return { events: page.map(({ event }) => structuredClone(event)), total };
   }
 
   getEventById(id) {
     const store = this.getStore();
+    const occurrence = RecurrenceUtils.parseOccurrenceId(id);
+    if (occurrence) {
+      return this._findOccurrence(store, occurrence)?.occurrence;
+    }
     return store.events.find(ev => ev.id === id);
   }
 
@@ -189,7 +341,20 @@ export class StorageManager {
       return { success: false, errors: validation.errors };
     }
     
+    // Règle de récurrence éventuelle (l'événement devient le maître de la série)
+    let recurrence = null;
+    if (eventData.recurrence) {
+      recurrence = RecurrenceUtils.normalizeRule(eventData.recurrence, eventData.start);
+      const recurrenceValidation = Validator.validateRecurrence(recurrence, eventData.start);
+      if (!recurrenceValidation.valid) {
+        return { success: false, errors: recurrenceValidation.errors };
+      }
+    }
+    
     const store = this.getStore();
+    const type = eventData.type || CONFIG.EVENT_TYPES.APPOINTMENT;
+    // Rendez-vous rattaché à une fiche client (existante ou créée à la volée)
+    const clientId = type === CONFIG.EVENT_TYPES.APPOINTMENT ? this._resolveClient(store, eventData) : null;
     
     const newEvent = {
       id: SecurityUtils.generateSecureId(),
@@ -199,10 +364,13 @@ export class StorageManager {
       clientName: Validator.sanitizeInput(eventData.clientName),
       clientEmail: eventData.clientEmail?.toLowerCase().trim(),
       clientPhone: eventData.clientPhone?.replace(/\s/g, ''),
-      type: eventData.type || CONFIG.EVENT_TYPES.APPOINTMENT,
+      ...(clientId ? { clientId } : {}),
+      ...(eventData.serviceId ? { serviceId: eventData.serviceId } : {}),
+      type,
       status: eventData.status || CONFIG.STATUS.CONFIRMED,
       notes: eventData.notes ? Validator.sanitizeInput(eventData.notes) : '',
       color: eventData.color || this._getDefaultColor(eventData.type),
+      ...(recurrence ? { recurrence } : {}),
       createdAt: new Date().toISOString(),
       updatedAt: new Date().toISOString(),
       createdBy: 'user',
@@ -224,7 +392,17 @@ export class StorageManager {
     return { success: false, errors: { general: 'Erreur de sauvegarde' } };
   }
 
-  updateEvent(id, updates) {
+  /**
+   * @param {Object} options - { scope } pour une occurrence de série :
+   *   'this' (défaut), 'following' ou 'all' (CONFIG.RECURRENCE.SCOPES) ;
+   *   { source } auteur inscrit à l'historique des changements ('client'…)
+   */
+  updateEvent(id, updates, options = {}) {
+    const occurrence = RecurrenceUtils.parseOccurrenceId(id);
+    if (occurrence) {
+      return this._updateOccurrence(occurrence, updates, options.scope || CONFIG.RECURRENCE.SCOPES.THIS);
+    }
+    
     const store = this.getStore();
     const index = store.events.findIndex(ev => ev.id === id);
     
@@ -245,26 +423,7 @@ export class StorageManager {
       }
     }
     
-    // Création d'un historique des modifications
-    const changeLog = {
-      timestamp: new Date().toISOString(),
-      changes: Object.keys(updates),
-      previousValues: {},
-    };
-    
-    Object.keys(updates).forEach(key => {
-      if (existingEvent[key] !== undefined) {
-        changeLog.previousValues[key] = existingEvent[key];
-      }
-    });
-    
-    store.events[index] = {
-      ...existingEvent,
-      ...updates,
-      updatedAt: new Date().toISOString(),
-      version: (existingEvent.version || 1) + 1,
-      changeHistory: [...(existingEvent.changeHistory || []), changeLog].slice(-10), // Garde les 10 dernières modifications
-    };
+    store.events[index] = this._applyEventUpdates(existingEvent, updates, options.source);
     
     if (this.saveStore(store)) {
       this._notifySubscribers('event:updated', store.events[index]);
@@ -274,7 +433,15 @@ export class StorageManager {
     return { success: false, errors: { general: 'Erreur de sauvegarde' } };
   }
 
-  deleteEvent(id) {
+  /**
+   * @param {Object} options - { scope } pour une occurrence de série (voir updateEvent)
+   */
+  deleteEvent(id, options = {}) {
+    const occurrence = RecurrenceUtils.parseOccurrenceId(id);
+    if (occurrence) {
+      return this._deleteOccurrence(occurrence, options.scope || CONFIG.RECURRENCE.SCOPES.THIS);
+    }
+    
     const store = this.getStore();
     const event = store.events.find(ev => ev.id === id);
     
@@ -284,12 +451,12 @@ export class StorageManager {
     
     // Soft delete - marque comme supprimé plutôt que de supprimer
     const index = store.events.findIndex(ev => ev.id === id);
-    store.events[index] = {
-      ...event,
-      status: CONFIG.STATUS.CANCELLED,
-      deletedAt: new Date().toISOString(),
-      updatedAt: new Date().toISOString(),
-    };
+    store.events[index] = this._softDelete(event);
+    
+    // Supprimer le maître d'une série supprime aussi ses occurrences modifiées
+    if (event.recurrence) {
+      this._cancelDetachedOccurrences(store, id);
+    }
     
     if (this.saveStore(store)) {
       this._notifySubscribers('event:deleted', { id, event: store.events[index] });
@@ -317,246 +484,2003 @@ export class StorageManager {
   }
 
   /**
-   * ============================================================
-   * GESTION DU PROFIL PROFESSIONNEL
-   * ============================================================
+   * Enregistrements stockés tels quels (séries non développées, supprimés inclus)
+   * @param {string} [collection='events'] - Collection du store ('events', 'clients'…)
    */
-  
-  getProfessional() {
-    const store = this.getStore();
-    return store.professional;
+  getRecords(collection = 'events') {
+    return structuredClone(this.cache[collection] || []);
   }
 
-  updateProfessional(updates) {
-    const validation = Validator.validateProfessionalSettings(updates);
-    if (!validation.valid) {
-      return { success: false, errors: validation.errors };
-    }
-    
+  /**
+   * Réécrit des enregistrements par identifiant (`record: null` le retire),
+   * toutes collections en une seule écriture.
+   * Utilisé par le journal d'annulation pour rétablir un état antérieur.
+   * @param {Object} changes - { events: [{ id, record }], clients: [...] }
+   */
+  replaceRecords(changes) {
     const store = this.getStore();
-    store.professional = {
-      ...store.professional,
-      ...updates,
-    };
+    
+    Object.entries(changes).forEach(([collection, entries]) => {
+      if (!entries.length) return;
+      const byId = new Map((store[collection] || []).map(record => [record.id, record]));
+      entries.forEach(({ id, record }) => {
+        if (record) byId.set(id, record);
+        else byId.delete(id);
+      });
+      store[collection] = [...byId.values()];
+    });
     
     if (this.saveStore(store)) {
-      this._notifySubscribers('professional:updated', store.professional);
-      return { success: true, professional: store.professional };
+      this._notifySubscribers('records:replaced', Object.fromEntries(
+        Object.entries(changes).map(([collection, entries]) => [collection, entries.map(entry => entry.id)])
+      ));
+      return { success: true };
     }
     
-    return { success: false, errors: { general: 'Erreur de sauvegarde' } };
+    return { success: false, error: 'Erreur de sauvegarde' };
   }
 
   /**
    * ============================================================
-   * GESTION DES DISPONIBILITÉS
+   * CORBEILLE
    * ============================================================
+   * Les événements supprimés (deletedAt) restent restaurables
+   * jusqu'à leur purge, `dataRetentionDays` après la suppression.
    */
   
-  getAvailability() {
+  /**
+   * @returns {Array} Événements supprimés, les plus récents d'abord,
+   *   avec leur date de purge (`purgeAt`) et les jours restants (`daysLeft`)
+   */
+  getTrashedEvents() {
     const store = this.getStore();
-    return store.availability || [];
+    const retentionMs = store.settings.dataRetentionDays * CONFIG.TIME.DAY;
+    
+    return store.events
+      .filter(ev => ev.deletedAt)
+      .sort((a, b) => b.deletedAt.localeCompare(a.deletedAt))
+      .map(ev => {
+        const purgeAt = new Date(new Date(ev.deletedAt).getTime() + retentionMs);
+        return {
+          ...ev,
+          purgeAt: purgeAt.toISOString(),
+          daysLeft: Math.max(0, Math.ceil((purgeAt - Date.now()) / CONFIG.TIME.DAY)),
+        };
+      });
   }
 
-  saveAvailability(slots) {
+  /**
+   * Restaure un événement supprimé après avoir vérifié qu'il ne
+   * chevauche aucun rendez-vous actif.
+   * @param {Object} options - { force } : restaure malgré les conflits
+   * @returns {Object} { success, event } ou { success: false, error, conflicts }
+   */
+  restoreEvent(id, options = {}) {
     const store = this.getStore();
+    const index = store.events.findIndex(ev => ev.id === id && ev.deletedAt);
     
-    // Validation des créneaux
-    const validSlots = slots.filter(slot => {
-      return slot.dayOfWeek >= 0 && slot.dayOfWeek <= 6 &&
-             slot.start && slot.end &&
-             slot.start < slot.end;
-    });
+    if (index === -1) {
+      return { success: false, error: 'Événement introuvable dans la corbeille' };
+    }
     
-    store.availability = validSlots.map(slot => ({
-      ...slot,
-      id: slot.id || SecurityUtils.generateSecureId(),
-      updatedAt: new Date().toISOString(),
-    }));
+    const trashed = store.events[index];
+    const conflicts = this._findConflicts(store, trashed);
+    if (conflicts.length && !options.force) {
+      return {
+        success: false,
+        error: `Chevauche ${conflicts.length} rendez-vous existant(s)`,
+        conflicts,
+      };
+    }
+    
+    const { deletedAt, statusBeforeDelete, ...event } = this._applyEventUpdates(trashed, {
+      status: trashed.statusBeforeDelete || CONFIG.STATUS.CONFIRMED,
+    });
+    store.events[index] = event;
     
     if (this.saveStore(store)) {
-      this._notifySubscribers('availability:updated', store.availability);
-      return { success: true, slots: store.availability };
+      this._notifySubscribers('event:restored', event);
+      return { success: true, event, conflicts };
     }
     
     return { success: false, error: 'Erreur de sauvegarde' };
   }
 
   /**
-   * ============================================================
-   * NOTIFICATIONS
-   * ============================================================
+   * Supprime définitivement tous les événements de la corbeille
    */
-  
-  getNotifications(options = {}) {
+  emptyTrash() {
     const store = this.getStore();
-    let notifications = store.notifications || [];
-    
-    if (options.unreadOnly) {
-      notifications = notifications.filter(n => !n.read);
-    }
+    const ids = store.events.filter(ev => ev.deletedAt).map(ev => ev.id);
     
-    if (options.limit) {
-      notifications = notifications.slice(-options.limit);
+    if (!ids.length) {
+      return { success: true, count: 0 };
     }
     
-    return DateUtils.sortByStartTime(notifications).reverse();
-  }
-
-  addNotification(notification) {
-    const store = this.getStore();
-    
-    const newNotification = {
-      id: SecurityUtils.generateSecureId(),
-      type: notification.type || 'info',
-      level: notification.level || 'info',
-      title: notification.title || 'Notification',
-      message: Validator.sanitizeInput(notification.message),
-      read: false,
-      createdAt: new Date().toISOString(),
-      action: notification.action || null,
-    };
-    
-    store.notifications = store.notifications || [];
-    store.notifications.push(newNotification);
-    
-    // Limite à 100 notifications
-    if (store.notifications.length > 100) {
-      store.notifications = store.notifications.slice(-100);
-    }
+    store.events = store.events.filter(ev => !ev.deletedAt);
     
     if (this.saveStore(store)) {
-      this._notifySubscribers('notification:created', newNotification);
-      return { success: true, notification: newNotification };
+      ids.forEach(id => this._notifySubscribers('event:hardDeleted', { id }));
+      return { success: true, count: ids.length };
     }
     
     return { success: false, error: 'Erreur de sauvegarde' };
   }
 
-  markNotificationAsRead(id) {
-    const store = this.getStore();
-    const notification = store.notifications.find(n => n.id === id);
+  /**
+   * Rendez-vous actifs chevauchant un événement (ou l'une des occurrences de sa série)
+   */
+  _findConflicts(store, event) {
+    const active = this._expandRecurringEvents(
+      store.events.filter(ev => ev.id !== event.id && !ev.deletedAt && ev.status !== CONFIG.STATUS.CANCELLED)
+    ).filter(ev => ev.status !== CONFIG.STATUS.CANCELLED);
+    const targets = event.recurrence ? RecurrenceUtils.expand(event) : [event];
     
-    if (notification) {
-      notification.read = true;
-      notification.readAt = new Date().toISOString();
-      this.saveStore(store);
-      this._notifySubscribers('notification:read', notification);
-    }
-  }
-
-  markAllNotificationsAsRead() {
-    const store = this.getStore();
-    store.notifications.forEach(n => {
-      if (!n.read) {
-        n.read = true;
-        n.readAt = new Date().toISOString();
-      }
-    });
-    this.saveStore(store);
-    this._notifySubscribers('notifications:allRead', {});
+    return active.filter(ev => targets.some(target => DateUtils.hasOverlap(target.start, target.end, ev.start, ev.end)));
   }
 
   /**
    * ============================================================
-   * RAPPORTS HEBDOMADAIRES
+   * SÉRIES RÉCURRENTES
    * ============================================================
+   * Le maître porte la règle (`recurrence`) ; une occurrence modifiée
+   * seule devient un événement détaché (seriesId + occurrenceDate)
+   * et sa date rejoint les exceptions de la règle (`exdates`).
    */
   
-  saveWeeklyReport(report) {
+  _expandRecurringEvents(events) {
+    return events.flatMap(ev => (ev.recurrence ? RecurrenceUtils.expand(ev) : [ev]));
+  }
+
+  _findOccurrence(store, { seriesId, date }) {
+    const index = store.events.findIndex(ev => ev.id === seriesId);
+    const master = store.events[index];
+    if (!master?.recurrence) return null;
+    
+    const occurrence = RecurrenceUtils.expand(master).find(o => o.occurrenceDate === date);
+    return occurrence ? { index, master, occurrence } : null;
+  }
+
+  /**
+   * Vrai si la date est la première occurrence de la série
+   */
+  _isFirstOccurrence(master, date) {
+    const dates = RecurrenceUtils.getOccurrenceDates(DateUtils.toDateKey(master.start), master.recurrence);
+    return dates[0] === date;
+  }
+
+  _updateOccurrence(ref, updates, scope) {
+    const { SCOPES } = CONFIG.RECURRENCE;
     const store = this.getStore();
+    const found = this._findOccurrence(store, ref);
     
+    if (!found) {
+      return { success: false, errors: { general: 'Occurrence non trouvée' } };
+    }
+    
+    const { index, master, occurrence } = found;
+    let result;
+    
+    if (scope === SCOPES.ALL || (scope === SCOPES.FOLLOWING && this._isFirstOccurrence(master, ref.date))) {
+      result = this._shiftSeries(master, occurrence, updates);
+      if (result.errors) return { success: false, errors: result.errors };
+      store.events[index] = result.event;
+    } else if (scope === SCOPES.FOLLOWING) {
+      // Scission : l'ancienne série s'arrête la veille, une nouvelle reprend à cette date
+      const nextMaster = {
+        ...master,
+        id: SecurityUtils.generateSecureId(),
+        start: occurrence.start,
+        end: occurrence.end,
+        recurrence: RecurrenceUtils.continueFrom(master.recurrence, DateUtils.toDateKey(master.start), ref.date),
+        createdAt: new Date().toISOString(),
+        version: 1,
+        changeHistory: [],
+      };
+      
+      result = this._shiftSeries(nextMaster, { ...occurrence, id: nextMaster.id }, updates);
+      if (result.errors) return { success: false, errors: result.errors };
+      
+      store.events[index] = this._applyEventUpdates(master, {
+        recurrence: RecurrenceUtils.truncateBefore(master.recurrence, ref.date),
+      });
+      store.events.push(result.event);
+      
+      // Les occurrences déjà modifiées suivent la nouvelle série
+      store.events.forEach((ev, i) => {
+        if (ev.seriesId === master.id && ev.occurrenceDate >= ref.date) {
+          store.events[i] = {
+            ...ev,
+            seriesId: result.event.id,
+            updatedAt: new Date().toISOString(),
+            version: (ev.version || 1) + 1,
+          };
+        }
+      });
+    } else {
+      const { isOccurrence, recurrence, ...occurrenceData } = occurrence;
+      const detached = {
+        ...occurrenceData,
+        id: SecurityUtils.generateSecureId(),
+        version: 1,
+        changeHistory: [],
+      };
+      
+      const validation = Validator.validateEvent({ ...detached, ...updates });
+      if (!validation.valid) {
+        return { success: false, errors: validation.errors };
+      }
+      
+      store.events[index] = {
+        ...master,
+        recurrence: { ...recurrence, exdates: [...recurrence.exdates, ref.date] },
+        updatedAt: new Date().toISOString(),
+        version: (master.version || 1) + 1,
+      };
+      result = { event: this._applyEventUpdates(detached, updates) };
+      store.events.push(result.event);
+    }
+    
+    if (this.saveStore(store)) {
+      this._notifySubscribers('event:updated', result.event);
+      return { success: true, event: result.event, scope };
+    }
+    
+    return { success: false, errors: { general: 'Erreur de sauvegarde' } };
+  }
+
+  /**
+   * Applique à toute une série les modifications faites sur une occurrence.
+   * Un déplacement est reporté en jours et en heure locale sur le maître.
+   */
+  _shiftSeries(master, occurrence, updates) {
+    const { start, end, ...otherUpdates } = updates;
+    let seriesUpdates = { ...otherUpdates };
+    
+    if (start || end) {
+      const newStart = start || occurrence.start;
+      const newEnd = end || new Date(new Date(occurrence.end).getTime()
+        + (new Date(newStart) - new Date(occurrence.start))).toISOString();
+      const durationMs = new Date(newEnd) - new Date(newStart);
+      
+      const dayShift = Math.round(
+        (new Date(`${DateUtils.toDateKey(newStart)}T12:00:00Z`) - new Date(`${occurrence.occurrenceDate}T12:00:00Z`)) / CONFIG.TIME.DAY
+      );
+      const { hour, minute } = DateUtils.getZonedParts(newStart);
+      const masterStart = DateUtils.zonedTimeToISO(
+        DateUtils.addDaysToKey(DateUtils.toDateKey(master.start), dayShift),
+        `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`
+      );
+      
+      const rule = master.recurrence;
+      seriesUpdates = {
+        ...seriesUpdates,
+        start: masterStart,
+        end: new Date(new Date(masterStart).getTime() + durationMs).toISOString(),
+        recurrence: dayShift === 0 ? rule : {
+          ...rule,
+          weekdays: rule.weekdays.map(day => (((day + dayShift) % 7) + 7) % 7).sort(),
+          until: rule.until ? DateUtils.addDaysToKey(rule.until, dayShift) : null,
+          exdates: rule.exdates.map(date => DateUtils.addDaysToKey(date, dayShift)),
+        },
+      };
+    }
+    
+    const validation = Validator.validateEvent({ ...master, ...seriesUpdates });
+    if (!validation.valid) {
+      return { errors: validation.errors };
+    }
+    
+    return { event: this._applyEventUpdates(master, seriesUpdates) };
+  }
+
+  _deleteOccurrence(ref, scope) {
+    const { SCOPES } = CONFIG.RECURRENCE;
+    const store = this.getStore();
+    const found = this._findOccurrence(store, ref);
+    
+    if (!found) {
+      return { success: false, error: 'Occurrence non trouvée' };
+    }
+    
+    const { index, master, occurrence } = found;
+    
+    if (scope === SCOPES.ALL || (scope === SCOPES.FOLLOWING && this._isFirstOccurrence(master, ref.date))) {
+      store.events[index] = this._softDelete(master);
+      this._cancelDetachedOccurrences(store, master.id);
+    } else if (scope === SCOPES.FOLLOWING) {
+      store.events[index] = this._applyEventUpdates(master, {
+        recurrence: RecurrenceUtils.truncateBefore(master.recurrence, ref.date),
+      });
+      this._cancelDetachedOccurrences(store, master.id, ref.date);
+    } else {
+      store.events[index] = {
+        ...master,
+        recurrence: { ...master.recurrence, exdates: [...master.recurrence.exdates, ref.date] },
+        updatedAt: new Date().toISOString(),
+        version: (master.version || 1) + 1,
+      };
+    }
+    
+    if (this.saveStore(store)) {
+      this._notifySubscribers('event:deleted', { id: occurrence.id, event: occurrence, scope });
+      return { success: true };
+    }
+    
+    return { success: false, error: 'Erreur de sauvegarde' };
+  }
+
+  _cancelDetachedOccurrences(store, seriesId, fromDate = '') {
+    store.events.forEach((ev, i) => {
+      if (ev.seriesId === seriesId && !ev.deletedAt && ev.occurrenceDate >= fromDate) {
+        store.events[i] = this._softDelete(ev);
+      }
+    });
+  }
+
+  /**
+   * ============================================================
+   * CLIENTS
+   * ============================================================
+   * Fiches clients dédoublonnées par email / téléphone normalisés.
+   * Les rendez-vous y sont rattachés par `clientId` et gardent une
+   * copie des coordonnées saisies.
+   */
+  
+  /**
+   * @param {Object} options - { search } : filtre sur le nom, l'email ou le téléphone
+   */
+  getClients(options = {}) {
+    let clients = this.getStore().clients || [];
+    
+    if (options.search) {
+      const query = ClientUtils.normalizeName(options.search);
+      const phoneQuery = ClientUtils.normalizePhone(options.search);
+      clients = clients.filter(c =>
+        ClientUtils.normalizeName(c.name).includes(query) ||
+        ClientUtils.normalizeEmail(c.email).includes(query) ||
+        (phoneQuery.length >= 3 && ClientUtils.normalizePhone(c.phone).includes(phoneQuery))
+      );
+    }
+    
+    return clients.sort((a, b) => a.name.localeCompare(b.name, 'fr'));
+  }
+
+  getClientById(id) {
+    return this.getStore().clients.find(c => c.id === id) || null;
+  }
+
+  addClient(data) {
+    const validation = Validator.validateClient(data);
+    if (!validation.valid) {
+      return { success: false, errors: validation.errors };
+    }
+    
+    const store = this.getStore();
+    const duplicate = ClientUtils.findMatch(store.clients, data);
+    if (duplicate) {
+      return { success: false, errors: { general: `Fiche existante : ${duplicate.name}` }, client: duplicate };
+    }
+    
+    const client = ClientUtils.createClient({
+      name: Validator.sanitizeInput(data.name),
+      email: data.email,
+      phone: data.phone,
+      notes: data.notes ? Validator.sanitizeInput(data.notes) : '',
+    });
+    store.clients.push(client);
+    
+    if (this.saveStore(store)) {
+      this._notifySubscribers('client:created', client);
+      return { success: true, client };
+    }
+    
+    return { success: false, errors: { general: 'Erreur de sauvegarde' } };
+  }
+
+  /**
+   * Met à jour nom, coordonnées ou notes d'une fiche
+   * (refuse des coordonnées déjà portées par une autre fiche)
+   */
+  updateClient(id, updates) {
+    const store = this.getStore();
+    const index = store.clients.findIndex(c => c.id === id);
+    if (index === -1) {
+      return { success: false, errors: { general: 'Client introuvable' } };
+    }
+    
+    const next = { ...store.clients[index] };
+    ['name', 'email', 'phone', 'notes'].forEach(key => {
+      if (updates[key] !== undefined) next[key] = updates[key];
+    });
+    
+    const validation = Validator.validateClient(next);
+    if (!validation.valid) {
+      return { success: false, errors: validation.errors };
+    }
+    
+    const others = store.clients.filter(c => c.id !== id);
+    const duplicate = ClientUtils.findMatch(others, { email: next.email, phone: next.phone });
+    if (duplicate) {
+      return { success: false, errors: { general: `Coordonnées déjà utilisées par ${duplicate.name}` } };
+    }
+    
+    const client = {
+      ...next,
+      name: updates.name !== undefined ? Validator.sanitizeInput(next.name) : next.name,
+      email: ClientUtils.normalizeEmail(next.email),
+      phone: next.phone ? next.phone.replace(/\s/g, '') : '',
+      notes: updates.notes !== undefined ? Validator.sanitizeInput(next.notes) : next.notes,
+      updatedAt: new Date().toISOString(),
+    };
+    store.clients[index] = client;
+    
+    if (this.saveStore(store)) {
+      this._notifySubscribers('client:updated', client);
+      return { success: true, client };
+    }
+    
+    return { success: false, errors: { general: 'Erreur de sauvegarde' } };
+  }
+
+  /**
+   * Fiche, historique des rendez-vous (du plus récent au plus ancien) et statistiques
+   */
+  getClientProfile(id) {
+    const client = this.getClientById(id);
+    if (!client) return null;
+    
+    const now = Date.now();
+    const { events } = this.queryEvents({
+      type: CONFIG.EVENT_TYPES.APPOINTMENT,
+      clientId: id,
+      includeDeleted: true,
+      sortDirection: 'desc',
+    });
+    
+    const attended = [CONFIG.STATUS.CONFIRMED, CONFIG.STATUS.COMPLETED];
+    const past = events.filter(ev => new Date(ev.end).getTime() <= now);
+    const visits = past.filter(ev => attended.includes(ev.status));
+    const upcoming = events.filter(ev => new Date(ev.end).getTime() > now && ev.status !== CONFIG.STATUS.CANCELLED);
+    const totalMinutes = visits.reduce((sum, ev) => sum + DateUtils.minutesBetween(ev.start, ev.end), 0);
+    
+    return {
+      client,
+      events,
+      stats: {
+        visitCount: visits.length,
+        upcomingCount: upcoming.length,
+        noShowCount: past.filter(ev => ev.status === CONFIG.STATUS.NO_SHOW).length,
+        cancelledCount: events.filter(ev => ev.status === CONFIG.STATUS.CANCELLED).length,
+        totalHours: Math.round(totalMinutes / 60 * 10) / 10,
+        firstVisit: visits[visits.length - 1]?.start || null,
+        lastVisit: visits[0]?.start || null,
+        nextVisit: upcoming[upcoming.length - 1]?.start || null,
+      },
+    };
+  }
+
+  /**
+   * Fiche client d'un nouveau rendez-vous : `clientId` fourni, sinon
+   * rapprochement par coordonnées, sinon nouvelle fiche (modifie `store`)
+   */
+  _resolveClient(store, eventData) {
+    store.clients = store.clients || [];
+    const contact = { email: eventData.clientEmail, phone: eventData.clientPhone, name: eventData.clientName };
+    
+    let client = eventData.clientId && store.clients.find(c => c.id === eventData.clientId);
+    client = client || ClientUtils.findMatch(store.clients, contact);
+    
+    if (client) {
+      if (ClientUtils.fillMissing(client, contact)) client.updatedAt = new Date().toISOString();
+      return client.id;
+    }
+    
+    client = ClientUtils.createClient({ ...contact, name: Validator.sanitizeInput(eventData.clientName) });
+    store.clients.push(client);
+    return client.id;
+  }
+
+  /**
+   * ============================================================
+   * DONNÉES PERSONNELLES (RGPD)
+   * ============================================================
+   * Export, anonymisation et effacement des données d'un client, et
+   * anonymisation automatique des rendez-vous plus anciens que
+   * `settings.dataRetentionDays`. Un rendez-vous anonymisé garde ses
+   * dates, sa durée et son statut : les heures agrégées des analyses
+   * restent justes. Chaque opération est inscrite au journal `auditLog`
+   * (identifiants et nombres seulement, jamais les données effacées).
+   */
+  
+  /**
+   * Tout ce que le store contient sur un client (fiche et rendez-vous, corbeille comprise)
+   * @returns {Object} { success, data } ou { success: false, error }
+   */
+  exportClientData(id) {
+    const store = this.getStore();
+    const client = store.clients.find(c => c.id === id);
+    if (!client) {
+      return { success: false, error: 'Client introuvable' };
+    }
+    
+    const data = {
+      format: 'harmony-client-export',
+      exportedAt: new Date().toISOString(),
+      client,
+      appointments: store.events.filter(ev => ev.clientId === id),
+    };
+    
+    this._recordAudit(store, 'export', { clientId: id, appointments: data.appointments.length });
+    this.saveStore(store);
+    return { success: true, data };
+  }
+
+  /**
+   * Anonymise les rendez-vous d'un client et supprime sa fiche,
+   * y compris dans les points de restauration
+   * @param {Object} options - { reason } : motif inscrit au journal
+   */
+  async anonymizeClient(id, options = {}) {
+    return this._applyClientRequest(id, 'anonymize', options.reason, (store) => {
+      const eventIds = new Set();
+      store.events = store.events.map(ev => {
+        if (ev.clientId !== id) return ev;
+        eventIds.add(ev.id);
+        return this._anonymizeEvent(ev);
+      });
+      store.clients = store.clients.filter(c => c.id !== id);
+      this._dropNotifications(store, new Set([id]), eventIds);
+      return eventIds.size;
+    });
+  }
+
+  /**
+   * Efface définitivement la fiche et les rendez-vous d'un client,
+   * y compris dans les points de restauration
+   * @param {Object} options - { reason } : motif inscrit au journal
+   */
+  async eraseClient(id, options = {}) {
+    return this._applyClientRequest(id, 'erase', options.reason, (store) => {
+      const eventIds = new Set(store.events.filter(ev => ev.clientId === id).map(ev => ev.id));
+      store.events = store.events.filter(ev => !eventIds.has(ev.id));
+      store.clients = store.clients.filter(c => c.id !== id);
+      this._dropNotifications(store, new Set([id]), eventIds);
+      return eventIds.size;
+    });
+  }
+
+  /**
+   * Anonymise les rendez-vous terminés depuis plus de `dataRetentionDays`
+   * et supprime les fiches qui n'ont plus de rendez-vous nominatif.
+   * Les points de restauration, à durée de vie courte, ne sont pas repris.
+   * @returns {Object} { success, appointments, clients }
+   */
+  applyRetentionPolicy() {
+    const store = this.getStore();
+    const cutoff = Date.now() - store.settings.dataRetentionDays * CONFIG.TIME.DAY;
+    const lastEnd = ev => new Date(ev.recurrence ? RecurrenceUtils.expand(ev).at(-1)?.end || ev.end : ev.end).getTime();
+    
+    const eventIds = new Set();
+    store.events = store.events.map(ev => {
+      if (ev.type !== CONFIG.EVENT_TYPES.APPOINTMENT || ev.anonymizedAt || lastEnd(ev) >= cutoff) return ev;
+      eventIds.add(ev.id);
+      return this._anonymizeEvent(ev);
+    });
+    const appointments = eventIds.size;
+    
+    const named = new Set(store.events.map(ev => ev.clientId).filter(Boolean));
+    const removedClientIds = new Set(store.clients.filter(c => !named.has(c.id) && new Date(c.updatedAt).getTime() < cutoff).map(c => c.id));
+    store.clients = store.clients.filter(c => !removedClientIds.has(c.id));
+    const clients = removedClientIds.size;
+    // Notifications des rendez-vous anonymisés et des fiches supprimées : elles citent le client
+    this._dropNotifications(store, removedClientIds, eventIds);
+    
+    if (!appointments && !clients) {
+      return { success: true, appointments, clients };
+    }
+    
+    const entry = this._recordAudit(store, 'retention', { appointments, clients });
+    if (!this.saveStore(store)) {
+      return { success: false, error: 'Erreur de sauvegarde' };
+    }
+    this._notifySubscribers('privacy:purged', entry);
+    return { success: true, appointments, clients };
+  }
+
+  /**
+   * @param {number} days - Durée de conservation des rendez-vous et de la corbeille
+   */
+  setDataRetentionDays(days) {
+    const { MIN_RETENTION_DAYS, MAX_RETENTION_DAYS } = CONFIG.PRIVACY;
+    if (!Number.isInteger(days) || days < MIN_RETENTION_DAYS || days > MAX_RETENTION_DAYS) {
+      return { success: false, error: `La durée de conservation doit être comprise entre ${MIN_RETENTION_DAYS} et ${MAX_RETENTION_DAYS} jours` };
+    }
+    
+    const store = this.getStore();
+    store.settings.dataRetentionDays = days;
+    if (!this.saveStore(store)) {
+      return { success: false, error: 'Erreur de sauvegarde' };
+    }
+    return this.applyRetentionPolicy();
+  }
+
+  getDataRetentionDays() {
+    return this.cache.settings.dataRetentionDays;
+  }
+
+  /**
+   * Clients effacés ou anonymisés et rendez-vous anonymisés depuis une date :
+   * les copies plus anciennes (journal d'annulation) ne doivent plus les contenir
+   * @param {string} since - Instant ISO
+   * @returns {{ clientIds: Array, eventIds: Array, any: boolean }}
+   */
+  getPrivacyPurgesSince(since) {
+    const entries = (this.cache.auditLog || [])
+      .filter(entry => entry.at > since && PURGE_ACTIONS.includes(entry.action));
+    const clientIds = entries.map(entry => entry.clientId).filter(Boolean);
+    const eventIds = this.cache.events
+      .filter(ev => ev.anonymizedAt && ev.anonymizedAt > since)
+      .map(ev => ev.id);
+    return { clientIds, eventIds, any: entries.length > 0 };
+  }
+
+  /**
+   * Journal des exports, anonymisations et effacements (du plus récent au plus ancien)
+   */
+  getAuditLog() {
+    return [...(this.cache.auditLog || [])].reverse();
+  }
+
+  /**
+   * Applique une demande (anonymisation, effacement) au store puis aux points de restauration
+   * @param {Function} apply - (store) => nombre de rendez-vous concernés ; modifie `store`
+   */
+  async _applyClientRequest(clientId, action, reason, apply) {
+    await this.ready;
+    const store = this.getStore();
+    if (!store.clients.some(c => c.id === clientId)) {
+      return { success: false, error: 'Client introuvable' };
+    }
+    
+    const appointments = apply(store);
+    if (!this.saveStore(store)) {
+      return { success: false, error: 'Erreur de sauvegarde' };
+    }
+    // Le point de restauration quotidien éventuel est pris avant l'écriture : il est repris ci-dessous
+    await this.flush();
+    const restorePoints = await this._rewriteSnapshots(data => {
+      const concerned = data.clients?.some(c => c.id === clientId) || data.events?.some(ev => ev.clientId === clientId);
+      if (!concerned) return null;
+      apply(data);
+      return data;
+    });
+    
+    const logged = this.getStore();
+    const entry = this._recordAudit(logged, action, { clientId, appointments, restorePoints }, reason);
+    this.saveStore(logged);
+    this._notifySubscribers('privacy:purged', entry);
+    return { success: true, appointments, restorePoints, auditId: entry.id };
+  }
+
+  /**
+   * Réécrit les instantanés concernés ; ceux qu'on ne peut déchiffrer
+   * (autre phrase secrète) sont supprimés faute de pouvoir être nettoyés
+   * @param {Function} transform - (store) => store modifié, ou null si non concerné
+   * @returns {Promise<Object>} { updated, deleted }
+   */
+  async _rewriteSnapshots(transform) {
+    const counts = { updated: 0, deleted: 0 };
+    
+    for (const meta of await this.adapter.listSnapshots()) {
+      const snapshot = await this.adapter.loadSnapshot(meta.id);
+      let data;
+      try {
+        data = await this._unseal(snapshot.data);
+      } catch {
+        await this.adapter.deleteSnapshot(meta.id);
+        counts.deleted++;
+        continue;
+      }
+      
+      const next = transform(data);
+      if (!next) continue;
+      await this.adapter.saveSnapshot({
+        ...snapshot,
+        eventCount: next.events?.length || 0,
+        clientCount: next.clients?.length || 0,
+        data: await this._seal(next),
+      });
+      counts.updated++;
+    }
+    
+    return counts;
+  }
+
+  /**
+   * Rendez-vous sans données personnelles : client, coordonnées, notes, motifs et historique retirés
+   */
+  _anonymizeEvent(event) {
+    const { clientId, clientEmail, clientPhone, changeHistory, declineReason, cancellationReason, ...rest } = event;
+    const now = new Date().toISOString();
+    return {
+      ...rest,
+      title: `RDV — ${CONFIG.PRIVACY.ANONYMOUS_NAME}`,
+      clientName: CONFIG.PRIVACY.ANONYMOUS_NAME,
+      notes: '',
+      metadata: { ...event.metadata, userAgent: null },
+      anonymizedAt: now,
+      updatedAt: now,
+      version: (event.version || 1) + 1,
+    };
+  }
+
+  /**
+   * Retire les notifications liées à des clients ou des rendez-vous
+   * effacés ou anonymisés (leur message cite le nom du client)
+   * @param {Set} clientIds
+   * @param {Set} eventIds
+   */
+  _dropNotifications(store, clientIds, eventIds) {
+    store.notifications = (store.notifications || []).filter(n =>
+      !(n.clientId && clientIds.has(n.clientId)) && !(n.eventId && eventIds.has(n.eventId))
+    );
+  }
+
+  /**
+   * Reporte le journal courant dans un store restauré ou importé :
+   * les effacements postérieurs à la sauvegarde restent tracés (modifie `store`)
+   */
+  _keepAuditLog(store) {
+    const known = new Set((store.auditLog || []).map(entry => entry.id));
+    store.auditLog = [...(store.auditLog || []), ...(this.cache.auditLog || []).filter(entry => !known.has(entry.id))]
+      .sort((a, b) => a.at.localeCompare(b.at))
+      .slice(-CONFIG.PRIVACY.AUDIT_LOG_SIZE);
+  }
+
+  /**
+   * Inscrit une opération au journal (modifie `store`)
+   */
+  _recordAudit(store, action, details, reason = '') {
+    const entry = {
+      id: SecurityUtils.generateSecureId(),
+      action,
+      at: new Date().toISOString(),
+      ...details,
+      reason: reason ? Validator.sanitizeInput(reason) : '',
+    };
+    store.auditLog = [...(store.auditLog || []), entry].slice(-CONFIG.PRIVACY.AUDIT_LOG_SIZE);
+    return entry;
+  }
+
+  /**
+   * ============================================================
+   * GESTION DU PROFIL PROFESSIONNEL
+   * ============================================================
+   */
+  
+  getProfessional() {
+    const store = this.getStore();
+    return store.professional;
+  }
+
+  updateProfessional(updates) {
+    const validation = Validator.validateProfessionalSettings(updates);
+    if (!validation.valid) {
+      return { success: false, errors: validation.errors };
+    }
+    
+    const store = this.getStore();
+    store.professional = {
+      ...store.professional,
+      ...updates,
+    };
+    
+    if (this.saveStore(store)) {
+      DateUtils.setTimeZone(store.professional.timezone);
+      this._notifySubscribers('professional:updated', store.professional);
+      return { success: true, professional: store.professional };
+    }
+    
+    return { success: false, errors: { general: 'Erreur de sauvegarde' } };
+  }
+
+  /**
+   * Catalogue des prestations (durée, temps de préparation avant / après, prix)
+   * @param {Object} options - { bookableOnly } : seules les prestations réservables en ligne
+   */
+  getServices(options = {}) {
+    const services = this.cache.professional.services || [];
+    return structuredClone(options.bookableOnly ? services.filter(s => s.bookable) : services);
+  }
+
+  getServiceById(id) {
+    return this.getServices().find(s => s.id === id) || null;
+  }
+
+  /**
+   * Crée une prestation, ou la met à jour si `data.id` est connu
+   */
+  saveService(data) {
+    const store = this.getStore();
+    const services = store.professional.services || [];
+    const existing = data.id ? services.find(s => s.id === data.id) : null;
+    
+    const service = {
+      id: existing?.id || SecurityUtils.generateSecureId(),
+      // Nom repris tel quel de la fiche existante : déjà échappé
+      name: existing && data.name === existing.name ? existing.name : Validator.sanitizeInput((data.name || '').trim()),
+      duration: data.duration,
+      bufferBefore: data.bufferBefore ?? 0,
+      bufferAfter: data.bufferAfter ?? 0,
+      price: data.price ?? null,
+      color: data.color || this._getDefaultColor(CONFIG.EVENT_TYPES.APPOINTMENT),
+      bookable: data.bookable !== false,
+    };
+    
+    const validation = Validator.validateService(service);
+    if (!validation.valid) {
+      return { success: false, errors: validation.errors };
+    }
+    
+    store.professional.services = existing
+      ? services.map(s => (s.id === service.id ? service : s))
+      : [...services, service];
+    
+    if (this.saveStore(store)) {
+      this._notifySubscribers('professional:updated', store.professional);
+      return { success: true, service };
+    }
+    
+    return { success: false, errors: { general: 'Erreur de sauvegarde' } };
+  }
+
+  /**
+   * Retire une prestation du catalogue (les rendez-vous gardent son identifiant)
+   */
+  deleteService(id) {
+    const store = this.getStore();
+    const services = store.professional.services || [];
+    if (!services.some(s => s.id === id)) {
+      return { success: false, error: 'Prestation introuvable' };
+    }
+    
+    store.professional.services = services.filter(s => s.id !== id);
+    if (this.saveStore(store)) {
+      this._notifySubscribers('professional:updated', store.professional);
+      return { success: true };
+    }
+    
+    return { success: false, error: 'Erreur de sauvegarde' };
+  }
+
+  /**
+   * ============================================================
+   * GESTION DES DISPONIBILITÉS
+   * ============================================================
+   */
+  
+  getAvailability() {
+    const store = this.getStore();
+    return store.availability || [];
+  }
+
+  saveAvailability(slots) {
+    const store = this.getStore();
+    
+    // Validation des créneaux
+    const validSlots = slots.filter(slot => {
+      return slot.dayOfWeek >= 0 && slot.dayOfWeek <= 6 &&
+             slot.start && slot.end &&
+             slot.start < slot.end;
+    });
+    
+    store.availability = validSlots.map(slot => ({
+      ...slot,
+      id: slot.id || SecurityUtils.generateSecureId(),
+      updatedAt: new Date().toISOString(),
+    }));
+    
+    if (this.saveStore(store)) {
+      this._notifySubscribers('availability:updated', store.availability);
+      return { success: true, slots: store.availability };
+    }
+    
+    return { success: false, error: 'Erreur de sauvegarde' };
+  }
+
+  /**
+   * Exceptions datées au modèle hebdomadaire : fermetures (congés,
+   * jours fériés) et ouvertures supplémentaires
+   * @param {Object} options - { from, to } : seules celles qui recoupent la période (AAAA-MM-JJ)
+   */
+  getAvailabilityOverrides(options = {}) {
+    return structuredClone(this.cache.availabilityOverrides || [])
+      .filter(o => (!options.from || o.endDate >= options.from) && (!options.to || o.startDate <= options.to))
+      .sort((a, b) => a.startDate.localeCompare(b.startDate) || (a.start || '').localeCompare(b.start || ''));
+  }
+
+  /**
+   * Plages ouvertes un jour donné (HH:MM, heure du professionnel),
+   * exceptions comprises ; sans modèle enregistré, les horaires par défaut
+   */
+  getAvailabilityForDate(dateKey) {
+    const template = this.cache.availability?.length ? this.cache.availability : CONFIG.DEFAULT_AVAILABILITY;
+    return AvailabilityUtils.getWindowsForDate(dateKey, template, this.getAvailabilityOverrides({ from: dateKey, to: dateKey }));
+  }
+
+  /**
+   * Crée une exception, ou la met à jour si `data.id` est connu
+   * @param {Object} data - { type, startDate, endDate, start, end, label }
+   */
+  saveAvailabilityOverride(data) {
+    const store = this.getStore();
+    const overrides = store.availabilityOverrides || [];
+    const existing = data.id ? overrides.find(o => o.id === data.id) : null;
+    const label = (data.label || '').trim();
+    
+    const override = {
+      id: existing?.id || SecurityUtils.generateSecureId(),
+      type: data.type,
+      startDate: data.startDate,
+      endDate: data.endDate || data.startDate,
+      ...(data.type === CONFIG.AVAILABILITY_OVERRIDES.TYPES.OPEN ? { start: data.start, end: data.end } : {}),
+      // Libellé repris tel quel de l'exception existante : déjà échappé
+      label: existing && label === existing.label ? existing.label : Validator.sanitizeInput(label),
+      ...(existing?.source ? { source: existing.source } : {}),
+      updatedAt: new Date().toISOString(),
+    };
+    
+    const validation = Validator.validateAvailabilityOverride(override);
+    if (!validation.valid) {
+      return { success: false, errors: validation.errors };
+    }
+    
+    store.availabilityOverrides = existing
+      ? overrides.map(o => (o.id === override.id ? override : o))
+      : [...overrides, override];
+    
+    if (this.saveStore(store)) {
+      this._notifySubscribers('availability:updated', store.availability);
+      return { success: true, override };
+    }
+    
+    return { success: false, errors: { general: 'Erreur de sauvegarde' } };
+  }
+
+  deleteAvailabilityOverride(id) {
+    const store = this.getStore();
+    const overrides = store.availabilityOverrides || [];
+    if (!overrides.some(o => o.id === id)) {
+      return { success: false, error: 'Exception introuvable' };
+    }
+    
+    store.availabilityOverrides = overrides.filter(o => o.id !== id);
+    if (this.saveStore(store)) {
+      this._notifySubscribers('availability:updated', store.availability);
+      return { success: true };
+    }
+    
+    return { success: false, error: 'Erreur de sauvegarde' };
+  }
+
+  /**
+   * Ajoute les jours fériés d'une année comme journées fermées.
+   * Les jours déjà fermés ne sont pas dupliqués.
+   * @param {string} preset - Clé de CONFIG.AVAILABILITY_OVERRIDES.HOLIDAY_PRESETS
+   * @returns {Object} { success, added }
+   */
+  importHolidays(preset, year) {
+    const holidays = AvailabilityUtils.getHolidays(preset, year);
+    if (holidays.length === 0) {
+      return { success: false, error: 'Calendrier de jours fériés inconnu' };
+    }
+    
+    const store = this.getStore();
+    const overrides = store.availabilityOverrides || [];
+    const { CLOSED } = CONFIG.AVAILABILITY_OVERRIDES.TYPES;
+    const added = holidays
+      .filter(({ date }) => !AvailabilityUtils.getOverridesForDate(date, overrides).some(o => o.type === CLOSED))
+      .map(({ date, label }) => ({
+        id: SecurityUtils.generateSecureId(),
+        type: CLOSED,
+        startDate: date,
+        endDate: date,
+        label: Validator.sanitizeInput(label),
+        source: `holidays:${preset}`,
+        updatedAt: new Date().toISOString(),
+      }));
+    
+    if (added.length === 0) {
+      return { success: true, added: 0 };
+    }
+    
+    store.availabilityOverrides = [...overrides, ...added];
+    if (this.saveStore(store)) {
+      this._notifySubscribers('availability:updated', store.availability);
+      return { success: true, added: added.length };
+    }
+    
+    return { success: false, error: 'Erreur de sauvegarde' };
+  }
+
+  /**
+   * ============================================================
+   * DEMANDES DE RÉSERVATION
+   * ============================================================
+   * Demandes en attente (page de réservation) : acceptation, refus
+   * motivé ou proposition d'autres créneaux. Chaque décision est
+   * tracée par une notification de type 'booking'.
+   */
+  
+  /**
+   * Demandes en attente, de la plus proche à la plus lointaine
+   */
+  getPendingRequests() {
+    return this.queryEvents({
+      type: CONFIG.EVENT_TYPES.APPOINTMENT,
+      status: CONFIG.STATUS.PENDING,
+    }).events;
+  }
+
+  /**
+   * Confirme une demande, au créneau demandé ou à l'un des créneaux proposés.
+   * Refusée si le créneau chevauche un rendez-vous (les autres demandes en
+   * attente ne comptent pas) ; `force` confirme malgré les conflits.
+   * @param {Object} options - { slot: { start, end } } créneau retenu, { force }
+   * @returns {Object} { success, event } ou { success: false, errors, conflicts }
+   */
+  acceptBookingRequest(id, options = {}) {
+    const { slot, force } = options;
+    return this._decideBookingRequest(id, {
+      status: CONFIG.STATUS.CONFIRMED,
+      ...(slot ? { start: slot.start, end: slot.end } : {}),
+    }, (event) => ({
+      level: 'success',
+      title: 'Demande acceptée',
+      message: `Rendez-vous de ${event.clientName} confirmé le ${DateUtils.formatDateTime(event.start)}${slot ? ' (créneau proposé)' : ''}.`,
+    }), { force });
+  }
+
+  /**
+   * Refuse une demande ; le motif est conservé sur le rendez-vous annulé
+   */
+  declineBookingRequest(id, options = {}) {
+    const reason = (options.reason || '').trim();
+    if (!reason) {
+      return { success: false, errors: { reason: 'Le motif du refus est requis' } };
+    }
+    
+    return this._decideBookingRequest(id, {
+      status: CONFIG.STATUS.CANCELLED,
+      declineReason: Validator.sanitizeInput(reason),
+    }, (event) => ({
+      level: 'warning',
+      title: 'Demande refusée',
+      message: `Demande de ${event.clientName} pour le ${DateUtils.formatDateTime(event.start)} refusée : ${reason}`,
+    }));
+  }
+
+  /**
+   * Propose d'autres créneaux ; la demande reste en attente de la réponse du client
+   * @param {Array} slots - [{ start, end }]
+   */
+  proposeBookingAlternatives(id, slots = []) {
+    if (!slots.length) {
+      return { success: false, errors: { slots: 'Choisissez au moins un créneau' } };
+    }
+    
+    const proposedSlots = slots.map(({ start, end }) => ({ start, end }));
+    const request = (this.cache.events || []).find(ev => ev.id === id && !ev.deletedAt);
+    const slotError = request && proposedSlots.map(slot => this._checkProposedSlot(request, slot)).find(Boolean);
+    if (slotError) {
+      return { success: false, errors: { slots: slotError } };
+    }
+    
+    return this._decideBookingRequest(id, {
+      proposedSlots,
+      proposedAt: new Date().toISOString(),
+    }, (event) => ({
+      level: 'info',
+      title: 'Autres créneaux proposés',
+      message: `Proposé à ${event.clientName} : ${proposedSlots.map(s => DateUtils.formatDateTime(s.start)).join(', ')}.`,
+    }));
+  }
+
+  /**
+   * Créneau proposé par le professionnel : dates valides, à venir et libre
+   * (les autres demandes en attente ne bloquent pas, comme à la confirmation)
+   * @returns {string|null} Motif du refus
+   */
+  _checkProposedSlot(request, slot) {
+    const validation = Validator.validateEvent({ ...request, start: slot.start, end: slot.end });
+    if (!validation.valid) return Object.values(validation.errors)[0];
+    
+    const label = DateUtils.formatDateTime(slot.start);
+    if (new Date(slot.start).getTime() <= Date.now()) {
+      return `${label} : ce créneau est déjà passé`;
+    }
+    
+    const conflicts = this._findConflicts(this.cache, { ...request, ...slot, status: CONFIG.STATUS.CONFIRMED })
+      .filter(ev => ev.status !== CONFIG.STATUS.PENDING);
+    if (conflicts.length) {
+      return `${label} : chevauche ${conflicts.length} rendez-vous existant(s)`;
+    }
+    
+    return null;
+  }
+
+  /**
+   * Applique une décision à une demande en attente et l'inscrit aux notifications (une seule écriture)
+   * @param {Function} describe - (event mis à jour) => { level, title, message }
+   * @param {Object} options - { force } : confirme malgré les chevauchements
+   */
+  _decideBookingRequest(id, updates, describe, options = {}) {
+    const store = this.getStore();
+    const index = store.events.findIndex(ev => ev.id === id && !ev.deletedAt);
+    if (index === -1 || store.events[index].status !== CONFIG.STATUS.PENDING) {
+      return { success: false, errors: { general: 'Demande introuvable ou déjà traitée' } };
+    }
+    
+    const request = store.events[index];
+    if (updates.start) {
+      const validation = Validator.validateEvent({ ...request, ...updates });
+      if (!validation.valid) {
+        return { success: false, errors: validation.errors };
+      }
+    }
+    
+    if (updates.status === CONFIG.STATUS.CONFIRMED && !options.force) {
+      const conflicts = this._findConflicts(store, { ...request, ...updates })
+        .filter(ev => ev.status !== CONFIG.STATUS.PENDING);
+      if (conflicts.length) {
+        return {
+          success: false,
+          errors: { general: `Chevauche ${conflicts.length} rendez-vous existant(s)` },
+          conflicts,
+        };
+      }
+    }
+    
+    const event = this._applyEventUpdates(request, updates);
+    store.events[index] = event;
+    const notification = this._pushNotification(store, {
+      type: 'booking',
+      ...describe(event),
+      eventId: event.id,
+      clientId: event.clientId,
+    });
+    
+    if (this.saveStore(store)) {
+      this._notifySubscribers('event:updated', event);
+      this._notifySubscribers('notification:created', notification);
+      return { success: true, event, notification };
+    }
+    
+    return { success: false, errors: { general: 'Erreur de sauvegarde' } };
+  }
+
+  /**
+   * ============================================================
+   * GESTION DU RENDEZ-VOUS PAR LE CLIENT
+   * ============================================================
+   * Lien personnel `?manage=<jeton>` : le jeton est l'identifiant du
+   * rendez-vous signé (HMAC) par une clé propre à l'installation.
+   * Annulation et déplacement sont possibles jusqu'à
+   * `cancellationNoticeHours` avant le rendez-vous.
+   */
+  
+  /**
+   * @returns {Promise<string|null>} Jeton de gestion, null sans WebCrypto
+   */
+  async createManageToken(eventId) {
+    if (!CryptoUtils.isSupported()) return null;
+    
+    let secret = this.cache.settings.manageLinkSecret;
+    if (!secret) {
+      const store = this.getStore();
+      secret = SecurityUtils.generateCSRFToken();
+      store.settings.manageLinkSecret = secret;
+      this.saveStore(store);
+    }
+    return `${eventId}.${await CryptoUtils.sign(eventId, secret)}`;
+  }
+
+  /**
+   * @returns {Promise<Object|null>} Rendez-vous désigné par un jeton valide
+   */
+  async getEventByManageToken(token) {
+    const [eventId, signature] = String(token || '').split('.');
+    const secret = this.cache.settings.manageLinkSecret;
+    if (!eventId || !signature || !secret || !CryptoUtils.isSupported()) return null;
+    if (await CryptoUtils.sign(eventId, secret) !== signature) return null;
+    
+    const event = this.getEventById(eventId);
+    return event && !event.deletedAt ? event : null;
+  }
+
+  /**
+   * Dernier instant où le client peut encore annuler ou déplacer le rendez-vous
+   */
+  getClientChangeDeadline(event) {
+    return new Date(new Date(event.start).getTime() - this._getCancellationNoticeHours() * CONFIG.TIME.HOUR).toISOString();
+  }
+
+  async cancelByClient(token, options = {}) {
+    const event = await this.getEventByManageToken(token);
+    const error = this._checkClientChange(event);
+    if (error) return { success: false, errors: { general: error } };
+    
+    const reason = (options.reason || '').trim();
+    const result = this.updateEvent(event.id, {
+      status: CONFIG.STATUS.CANCELLED,
+      cancelledBy: 'client',
+      ...(reason ? { cancellationReason: Validator.sanitizeInput(reason) } : {}),
+    }, { source: 'client' });
+    
+    if (result.success) {
+      this.addNotification({
+        type: 'booking',
+        level: 'warning',
+        title: 'Annulation par le client',
+        message: `${event.clientName} a annulé son rendez-vous du ${DateUtils.formatDateTime(event.start)}${reason ? ` : ${reason}` : '.'}`,
+        eventId: event.id,
+        clientId: event.clientId,
+      });
+    }
+    return result;
+  }
+
+  /**
+   * Déplace le rendez-vous : un créneau proposé par le professionnel est
+   * confirmé d'office, tout autre repasse en attente de validation
+   * @param {Object} slot - { start, end }
+   */
+  async rescheduleByClient(token, slot) {
+    const event = await this.getEventByManageToken(token);
+    const error = this._checkClientChange(event);
+    if (error) return { success: false, errors: { general: error } };
+    if (!slot?.start || new Date(slot.start).getTime() <= Date.now()) {
+      return { success: false, errors: { start: 'Choisissez un créneau à venir' } };
+    }
+    
+    const proposed = (event.proposedSlots || []).some(p => p.start === slot.start && p.end === slot.end);
+    const slotError = this._checkClientSlot(event, slot, { proposed });
+    if (slotError) return { success: false, errors: { start: slotError } };
+    
+    const result = this.updateEvent(event.id, {
+      start: slot.start,
+      end: slot.end,
+      status: proposed ? CONFIG.STATUS.CONFIRMED : CONFIG.STATUS.PENDING,
+      ...(event.proposedSlots?.length ? { proposedSlots: [] } : {}),
+    }, { source: 'client' });
+    
+    if (result.success) {
+      this.addNotification({
+        type: 'booking',
+        level: 'info',
+        title: proposed ? 'Créneau proposé accepté' : 'Rendez-vous déplacé par le client',
+        message: `${event.clientName} : ${DateUtils.formatDateTime(event.start)} → ${DateUtils.formatDateTime(slot.start)}${proposed ? '' : ' (à valider)'}.`,
+        eventId: event.id,
+        clientId: event.clientId,
+      });
+    }
+    return result;
+  }
+
+  /**
+   * @returns {string|null} Motif du refus d'une modification par le client
+   */
+  _checkClientChange(event) {
+    if (!event) return 'Lien invalide ou rendez-vous introuvable';
+    if (![CONFIG.STATUS.PENDING, CONFIG.STATUS.CONFIRMED].includes(event.status)) {
+      return 'Ce rendez-vous ne peut plus être modifié';
+    }
+    if (Date.now() > new Date(this.getClientChangeDeadline(event)).getTime()) {
+      return `Les modifications ne sont plus possibles moins de ${this._getCancellationNoticeHours()} h avant le rendez-vous`;
+    }
+    return null;
+  }
+
+  /**
+   * Vérifie un créneau choisi par le client : durée de la prestation,
+   * horaires d'ouverture, chevauchements et limites Harmony.
+   * Un créneau proposé par le professionnel (éventuellement hors horaires
+   * ou hors limites, faute de mieux) n'est contrôlé que sur la durée et
+   * les chevauchements ; il confirme le rendez-vous, les demandes en
+   * attente ne le bloquent donc pas.
+   * @param {Object} options - { proposed }
+   * @returns {string|null} Motif du refus
+   */
+  _checkClientSlot(event, slot, { proposed = false } = {}) {
+    const store = this.getStore();
+    const duration = DateUtils.minutesBetween(slot.start, slot.end);
+    const service = event.serviceId ? this.getServiceById(event.serviceId) : null;
+    const expected = service ? service.duration : DateUtils.minutesBetween(event.start, event.end);
+    if (!(duration > 0) || duration !== expected) {
+      return `Le créneau doit durer ${expected} min`;
+    }
+    
+    const status = proposed ? CONFIG.STATUS.CONFIRMED : CONFIG.STATUS.PENDING;
+    const candidate = { ...event, start: slot.start, end: slot.end, status };
+    const conflicts = this._findConflicts(store, candidate)
+      .filter(ev => !proposed || ev.status !== CONFIG.STATUS.PENDING);
+    if (conflicts.length) return 'Ce créneau n\'est plus disponible, merci d\'en choisir un autre';
+    if (proposed) return null;
+    
+    const timeZone = store.professional.timezone || DateUtils.getTimeZone();
+    const dateKey = DateUtils.toDateKey(slot.start, timeZone);
+    const [start, end] = [new Date(slot.start).getTime(), new Date(slot.end).getTime()];
+    const isOpen = this.getAvailabilityForDate(dateKey).some(window =>
+      new Date(DateUtils.zonedTimeToISO(dateKey, window.start, timeZone)).getTime() <= start &&
+      end <= new Date(DateUtils.zonedTimeToISO(dateKey, window.end, timeZone)).getTime()
+    );
+    if (!isOpen) return 'Ce créneau est en dehors des horaires d\'ouverture';
+    
+    const week = DateUtils.getWeekRangeFor(slot.start, timeZone);
+    const engine = new HarmonyEngine(store.professional, { stressModel: store.stressModel?.params });
+    const { rejected } = engine.evaluateBookingSlots(
+      this.queryEvents({ startDate: week.start, endDate: week.end }).events.filter(ev => ev.id !== event.id),
+      [slot]
+    );
+    if (rejected.length) return 'Ce créneau n\'est plus proposé, merci d\'en choisir un autre';
+    
+    return null;
+  }
+
+  _getCancellationNoticeHours() {
+    return this.cache.professional.cancellationNoticeHours ?? CONFIG.DEFAULT_PROFESSIONAL.cancellationNoticeHours;
+  }
+
+  /**
+   * ============================================================
+   * NOTIFICATIONS
+   * ============================================================
+   */
+  
+  getNotifications(options = {}) {
+    const store = this.getStore();
+    let notifications = store.notifications || [];
+    
+    if (options.unreadOnly) {
+      notifications = notifications.filter(n => !n.read);
+    }
+    
+    if (options.limit) {
+      notifications = notifications.slice(-options.limit);
+    }
+    
+    return DateUtils.sortByStartTime(notifications).reverse();
+  }
+
+  addNotification(notification) {
+    const store = this.getStore();
+    const newNotification = this._pushNotification(store, notification);
+    
+    if (this.saveStore(store)) {
+      this._notifySubscribers('notification:created', newNotification);
+      return { success: true, notification: newNotification };
+    }
+    
+    return { success: false, error: 'Erreur de sauvegarde' };
+  }
+
+  /**
+   * Ajoute une notification au store (modifie `store`)
+   * @param {Object} notification - { type, level, title, message, action, eventId, clientId }
+   */
+  _pushNotification(store, notification) {
+    const newNotification = {
+      id: SecurityUtils.generateSecureId(),
+      type: notification.type || 'info',
+      level: notification.level || 'info',
+      title: notification.title || 'Notification',
+      message: Validator.sanitizeInput(notification.message),
+      read: false,
+      createdAt: new Date().toISOString(),
+      action: notification.action || null,
+      ...(notification.eventId ? { eventId: notification.eventId } : {}),
+      ...(notification.clientId ? { clientId: notification.clientId } : {}),
+    };
+    
+    store.notifications = store.notifications || [];
+    store.notifications.push(newNotification);
+    
+    // Limite à 100 notifications
+    if (store.notifications.length > 100) {
+      store.notifications = store.notifications.slice(-100);
+    }
+    
+    return newNotification;
+  }
+
+  markNotificationAsRead(id) {
+    const store = this.getStore();
+    const notification = store.notifications.find(n => n.id === id);
+    
+    if (notification) {
+      notification.read = true;
+      notification.readAt = new Date().toISOString();
+      this.saveStore(store);
+      this._notifySubscribers('notification:read', notification);
+    }
+  }
+
+  markAllNotificationsAsRead() {
+    const store = this.getStore();
+    store.notifications.forEach(n => {
+      if (!n.read) {
+        n.read = true;
+        n.readAt = new Date().toISOString();
+      }
+    });
+    this.saveStore(store);
+    this._notifySubscribers('notifications:allRead', {});
+  }
+
+  /**
+   * ============================================================
+   * RAPPORTS HEBDOMADAIRES
+   * ============================================================
+   */
+  
+  saveWeeklyReport(report) {
+    const store = this.getStore();
+    store.weeklyReports = store.weeklyReports || [];
+    
+    // Un rapport par semaine : un nouveau snapshot remplace le précédent
+    const index = report.weekStart
+      ? store.weeklyReports.findIndex(r => r.weekStart === report.weekStart)
+      : -1;
     const enrichedReport = {
       ...report,
-      id: SecurityUtils.generateSecureId(),
+      id: index !== -1 ? store.weeklyReports[index].id : SecurityUtils.generateSecureId(),
       savedAt: new Date().toISOString(),
     };
     
-    store.weeklyReports = store.weeklyReports || [];
-    store.weeklyReports.push(enrichedReport);
+    if (index !== -1) {
+      store.weeklyReports[index] = enrichedReport;
+    } else {
+      store.weeklyReports.push(enrichedReport);
+    }
+    
+    store.weeklyReports.sort((a, b) => new Date(a.weekStart || a.savedAt) - new Date(b.weekStart || b.savedAt));
+    
+    // Garde les derniers rapports (6 mois)
+    const maxWeeks = CONFIG.REPORTS.HISTORY_WEEKS;
+    if (store.weeklyReports.length > maxWeeks) {
+      store.weeklyReports = store.weeklyReports.slice(-maxWeeks);
+    }
+    
+    if (this.saveStore(store)) {
+      this._notifySubscribers('report:saved', enrichedReport);
+      return { success: true, report: enrichedReport };
+    }
+    
+    return { success: false, error: 'Erreur de sauvegarde' };
+  }
+
+  getWeeklyReports(options = {}) {
+    const store = this.getStore();
+    let reports = store.weeklyReports || [];
+    
+    if (options.limit) {
+      reports = reports.slice(-options.limit);
+    }
+    
+    // Copie : reverse() ne doit pas modifier le store en cache
+    return [...reports].reverse();
+  }
+
+  getLatestWeeklyReport() {
+    const reports = this.getStore().weeklyReports || [];
+    return reports[reports.length - 1] || null;
+  }
+
+  /**
+   * ============================================================
+   * HISTORIQUE DE RÉCUPÉRATION
+   * ============================================================
+   */
+  
+  saveRecoveryRecord(record) {
+    const store = this.getStore();
+    store.recoveryHistory = store.recoveryHistory || [];
+    
+    // Une entrée par semaine : un recalcul remplace la valeur précédente
+    const index = store.recoveryHistory.findIndex(r => r.weekStart === record.weekStart);
+
+    // Bilan inchangé (tableau de bord rafraîchi) : rien à écrire
+    if (index !== -1) {
+      const { id, savedAt, ...saved } = store.recoveryHistory[index];
+      const keys = Object.keys(record);
+      const unchanged = keys.length === Object.keys(saved).length &&
+        keys.every(key => JSON.stringify(saved[key]) === JSON.stringify(record[key]));
+      if (unchanged) return { success: true, record: store.recoveryHistory[index], unchanged: true };
+    }
+
+    const enrichedRecord = {
+      ...record,
+      id: index !== -1 ? store.recoveryHistory[index].id : SecurityUtils.generateSecureId(),
+      savedAt: new Date().toISOString(),
+    };
+    
+    if (index !== -1) {
+      store.recoveryHistory[index] = enrichedRecord;
+    } else {
+      store.recoveryHistory.push(enrichedRecord);
+    }
+    
+    store.recoveryHistory.sort((a, b) => new Date(a.weekStart) - new Date(b.weekStart));
+    
+    const maxWeeks = CONFIG.THRESHOLDS.RECOVERY.HISTORY_WEEKS;
+    if (store.recoveryHistory.length > maxWeeks) {
+      store.recoveryHistory = store.recoveryHistory.slice(-maxWeeks);
+    }
+    
+    if (this.saveStore(store)) {
+      this._notifySubscribers('recovery:saved', enrichedRecord);
+      return { success: true, record: enrichedRecord };
+    }
+    
+    return { success: false, error: 'Erreur de sauvegarde' };
+  }
+
+  getRecoveryHistory(options = {}) {
+    const store = this.getStore();
+    let history = store.recoveryHistory || [];
+    
+    if (options.before) {
+      const before = new Date(options.before).getTime();
+      history = history.filter(r => new Date(r.weekStart).getTime() < before);
+    }
+    
+    if (options.limit) {
+      history = history.slice(-options.limit);
+    }
+    
+    return history;
+  }
+
+  /**
+   * ============================================================
+   * MODÈLE DE STRESS PERSONNALISÉ
+   * ============================================================
+   */
+  
+  getStressModel() {
+    const store = this.getStore();
+    return store.stressModel;
+  }
+
+  saveStressModelParams(params) {
+    const store = this.getStore();
+    store.stressModel.params = params;
+    store.stressModel.learnedAt = params ? new Date().toISOString() : null;
+    
+    if (this.saveStore(store)) {
+      this._notifySubscribers('stressModel:updated', store.stressModel);
+      return { success: true, stressModel: store.stressModel };
+    }
+    
+    return { success: false, error: 'Erreur de sauvegarde' };
+  }
+
+  /**
+   * Signale (ou retire) une semaine comme épuisante
+   * @param {string} weekStart - Début de semaine ISO (identique aux rapports)
+   */
+  toggleExhaustingWeek(weekStart, flagged) {
+    const store = this.getStore();
+    const flaggedWeeks = new Set(store.stressModel.flaggedWeeks);
+    
+    if (flagged ?? !flaggedWeeks.has(weekStart)) {
+      flaggedWeeks.add(weekStart);
+    } else {
+      flaggedWeeks.delete(weekStart);
+    }
+    
+    store.stressModel.flaggedWeeks = [...flaggedWeeks].sort();
+    
+    if (this.saveStore(store)) {
+      this._notifySubscribers('stressModel:updated', store.stressModel);
+      return { success: true, flagged: flaggedWeeks.has(weekStart) };
+    }
+    
+    return { success: false, error: 'Erreur de sauvegarde' };
+  }
+
+  /**
+   * Oublie l'apprentissage : seules les semaines postérieures
+   * à la réinitialisation serviront au prochain apprentissage
+   */
+  resetStressModel() {
+    const store = this.getStore();
+    store.stressModel = {
+      params: null,
+      flaggedWeeks: [],
+      learnedAt: null,
+      resetAt: new Date().toISOString(),
+    };
+    
+    if (this.saveStore(store)) {
+      this._notifySubscribers('stressModel:reset', store.stressModel);
+      return { success: true };
+    }
+    
+    return { success: false, error: 'Erreur de sauvegarde' };
+  }
+
+  /**
+   * ============================================================
+   * EXPORT / IMPORT
+   * ============================================================
+   */
+  
+  exportToCSV(options = {}) {
+    const events = this.getAllEvents({ 
+      type: CONFIG.EVENT_TYPES.APPOINTMENT,
+      ...options 
+    });
+    
+    const headers = ['ID', 'Titre', 'Client', 'Email', 'Téléphone', 'Début', 'Fin', 'Statut', 'Notes', 'Créé le'];
+    
+    const rows = events.map(ev => [
+      ev.id,
+      `"${(ev.title || '').replace(/"/g, "'")}"`,
+      `"${(ev.clientName || '').replace(/"/g, "'")}"`,
+      ev.clientEmail || '',
+      ev.clientPhone || '',
+      ev.start,
+      ev.end,
+      ev.status,
+      `"${(ev.notes || '').replace(/"/g, "'")}"`,
+      ev.createdAt,
+    ]);
+    
+    const csv = [headers.join(','), ...rows.map(r => r.join(','))].join('\n');
+    return '\uFEFF' + csv; // BOM pour UTF-8
+  }
+
+  /**
+   * Sauvegarde JSON complète, chiffrée avec la phrase secrète courante si le store l'est
+   */
+  async exportFullBackup() {
+    const backup = await this._seal(this.getStore());
+    return JSON.stringify(backup, null, 2);
+  }
+
+  /**
+   * Importe une sauvegarde JSON, migrée vers la version courante.
+   * @param {Object} options - { dryRun } : valide et décrit les migrations sans rien écrire ;
+   *                           { passphrase } : phrase secrète d'une sauvegarde chiffrée
+   * @returns {Promise<Object>} { success, eventCount, fromVersion, toVersion, migrations, snapshotId }
+   *                            ou { success: false, needsPassphrase: true } pour une sauvegarde chiffrée
+   */
+  async importFromBackup(jsonString, options = {}) {
+    let data;
+    try {
+      data = JSON.parse(jsonString);
+    } catch (error) {
+      return { success: false, error: 'JSON invalide: ' + error.message };
+    }
+    
+    if (CryptoUtils.isEnvelope(data)) {
+      if (!options.passphrase) {
+        return { success: false, needsPassphrase: true, error: 'Sauvegarde chiffrée : phrase secrète requise' };
+      }
+      try {
+        const key = await CryptoUtils.deriveKey(options.passphrase, data.kdf);
+        data = await CryptoUtils.open(data, key);
+      } catch {
+        return { success: false, needsPassphrase: true, error: 'Phrase secrète incorrecte' };
+      }
+    }
+    
+    // Validation basique
+    if (!data?.version || !Array.isArray(data.events)) {
+      return { success: false, error: 'Format de backup invalide' };
+    }
+    
+    const report = runMigrations(data, { dryRun: options.dryRun });
+    const summary = {
+      eventCount: report.eventCount,
+      fromVersion: report.fromVersion,
+      toVersion: report.toVersion,
+      migrations: report.applied,
+    };
+    
+    if (!report.success) {
+      return { success: false, error: report.errors.join(' · '), ...summary };
+    }
+    
+    if (options.dryRun) {
+      return { success: true, dryRun: true, ...summary };
+    }
+    
+    await this.ready;
+    const snapshot = await this.createSnapshot('import');
+    if (!snapshot) {
+      return { success: false, error: 'Impossible de sauvegarder les données actuelles avant l\'import', ...summary };
+    }
+    
+    const store = this._mergeWithDefaults(report.store);
+    this._recordMigration(store, 'import', report, snapshot.id);
+    this._keepAuditLog(store);
+    this.saveStore(store);
+    DateUtils.setTimeZone(store.professional?.timezone);
+    this.applyRetentionPolicy();
+    
+    return { success: true, snapshotId: snapshot.id, snapshotSkipped: !!snapshot.skipped, ...summary };
+  }
+
+  /**
+   * Remplace le store complet (annulation d'un import)
+   */
+  replaceStore(store) {
+    const merged = this._mergeWithDefaults(structuredClone(store));
+    this._keepAuditLog(merged);
+    this.saveStore(merged);
+    DateUtils.setTimeZone(merged.professional?.timezone);
+    return { success: true };
+  }
+
+  /**
+   * ============================================================
+   * MIGRATIONS & INSTANTANÉS
+   * ============================================================
+   */
+  
+  /**
+   * Journal des migrations appliquées (store courant et imports)
+   */
+  getMigrationLog() {
+    return [...(this.cache.metadata?.migrationLog || [])];
+  }
+
+  /**
+   * Enregistre une copie complète du store auprès du backend (point de restauration).
+   * Faute de place (localStorage), l'instantané est abandonné sans bloquer
+   * l'opération : métadonnées sans identifiant, `skipped: true`.
+   * @param {string} reason - 'daily' | 'migration' | 'import' | 'reset' | 'restore'
+   * @returns {Promise<Object|null>} Métadonnées de l'instantané, null en cas d'échec
+   */
+  async createSnapshot(reason, store = this.cache) {
+    const snapshot = {
+      id: SecurityUtils.generateSecureId(),
+      reason,
+      createdAt: new Date().toISOString(),
+      version: store.version,
+      eventCount: store.events?.length || 0,
+      clientCount: store.clients?.length || 0,
+      data: await this._seal(structuredClone(store)),
+    };
+    
+    try {
+      await this.adapter.saveSnapshot(snapshot);
+      await this._rotateSnapshots();
+      
+      const { data, ...meta } = snapshot;
+      return meta;
+    } catch (error) {
+      if (error.name === 'QuotaExceededError') {
+        console.warn('[StorageManager] Instantané abandonné, espace insuffisant:', error.message);
+        const { data, ...meta } = snapshot;
+        return { ...meta, id: null, skipped: true };
+      }
+      console.error('[StorageManager] Instantané impossible:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Points de restauration du plus récent au plus ancien.
+   * `tier` indique à quel titre chacun est conservé : 'daily', 'weekly' ou 'event'.
+   */
+  async listSnapshots() {
+    await this.ready;
+    const snapshots = await this.adapter.listSnapshots();
+    const tiers = this._planRotation(snapshots);
+    return snapshots
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .map(snapshot => ({ ...snapshot, tier: tiers.get(snapshot.id) || 'event' }));
+  }
+
+  /**
+   * Compare un point de restauration aux données actuelles
+   * @param {Object} options - { passphrase } : instantané chiffré avec une autre phrase secrète
+   * @returns {Promise<Object>} { success, snapshot, current, added, removed, modified }
+   *                            où snapshot/current = { eventCount, appointmentCount, clientCount, firstEvent, lastEvent }
+   */
+  async compareSnapshot(id, options = {}) {
+    await this.ready;
+    const opened = await this._openSnapshot(id, options.passphrase);
+    if (!opened.success) return opened;
     
-    // Garde les 24 derniers rapports (6 mois)
-    if (store.weeklyReports.length > 24) {
-      store.weeklyReports = store.weeklyReports.slice(-24);
+    const before = new Map((opened.data.events || []).map(ev => [ev.id, JSON.stringify(ev)]));
+    const after = new Map((this.cache.events || []).map(ev => [ev.id, JSON.stringify(ev)]));
+    
+    return {
+      success: true,
+      snapshot: this._summarizeStore(opened.data),
+      current: this._summarizeStore(this.cache),
+      // Écarts vus depuis le point de restauration : ce qu'une restauration annulerait
+      added: [...after.keys()].filter(eventId => !before.has(eventId)).length,
+      removed: [...before.keys()].filter(eventId => !after.has(eventId)).length,
+      modified: [...after].filter(([eventId, json]) => before.has(eventId) && before.get(eventId) !== json).length,
+    };
+  }
+
+  /**
+   * Restaure un instantané (migré si besoin) après avoir sauvegardé l'état actuel
+   * @param {Object} options - { passphrase } : instantané chiffré avec une autre phrase secrète
+   */
+  async restoreSnapshot(id, options = {}) {
+    await this.ready;
+    const opened = await this._openSnapshot(id, options.passphrase);
+    if (!opened.success) return opened;
+    
+    const report = runMigrations(opened.data);
+    if (!report.success) {
+      return { success: false, error: report.errors.join(' · ') };
     }
     
-    if (this.saveStore(store)) {
-      this._notifySubscribers('report:saved', enrichedReport);
-      return { success: true, report: enrichedReport };
+    await this.createSnapshot('restore');
+    const store = this._mergeWithDefaults(report.store);
+    if (report.applied.length) {
+      this._recordMigration(store, 'restore', report, id);
     }
+    this._keepAuditLog(store);
+    this.saveStore(store);
+    DateUtils.setTimeZone(store.professional?.timezone);
+    this.applyRetentionPolicy();
     
-    return { success: false, error: 'Erreur de sauvegarde' };
+    return { success: true, eventCount: store.events.length, migrations: report.applied };
   }
 
-  getWeeklyReports(options = {}) {
-    const store = this.getStore();
-    let reports = store.weeklyReports || [];
-    
-    if (options.limit) {
-      reports = reports.slice(-options.limit);
+  /**
+   * Modifie la rotation des points de restauration et l'applique immédiatement
+   * @param {Object} retention - { daily, weekly }
+   */
+  async setRestorePointRetention(retention) {
+    const result = this.updateProfessional({ restorePoints: retention });
+    if (result.success) {
+      await this.ready;
+      await this._rotateSnapshots();
+    }
+    return result;
+  }
+
+  /**
+   * Réinitialise toutes les données en conservant un point de restauration
+   */
+  async resetAll() {
+    await this.ready;
+    const snapshot = await this.createSnapshot('reset');
+    if (!snapshot) {
+      return { success: false, error: 'Impossible de sauvegarder les données actuelles avant la réinitialisation' };
     }
     
-    return reports.reverse();
+    await this.clearAll({ keepSnapshots: true });
+    return { success: true, snapshotId: snapshot.id, snapshotSkipped: !!snapshot.skipped };
   }
 
   /**
    * ============================================================
-   * EXPORT / IMPORT
+   * CHIFFREMENT & VERROUILLAGE
    * ============================================================
    */
   
-  exportToCSV(options = {}) {
-    const events = this.getAllEvents({ 
-      type: CONFIG.EVENT_TYPES.APPOINTMENT,
-      ...options 
-    });
+  isEncrypted() {
+    return !!this.encryption || this.locked;
+  }
+
+  isLocked() {
+    return this.locked;
+  }
+
+  /**
+   * Déverrouille le store avec la phrase secrète
+   * @returns {Promise<Object>} { success, error }
+   */
+  async unlock(passphrase) {
+    if (!this.locked) return { success: true };
     
-    const headers = ['ID', 'Titre', 'Client', 'Email', 'Téléphone', 'Début', 'Fin', 'Statut', 'Notes', 'Créé le'];
+    let store;
+    let key;
+    try {
+      key = await CryptoUtils.deriveKey(passphrase, this.sealed.kdf);
+      store = await CryptoUtils.open(this.sealed, key);
+    } catch {
+      return { success: false, error: 'Phrase secrète incorrecte' };
+    }
     
-    const rows = events.map(ev => [
-      ev.id,
-      `"${(ev.title || '').replace(/"/g, "'")}"`,
-      `"${(ev.clientName || '').replace(/"/g, "'")}"`,
-      ev.clientEmail || '',
-      ev.clientPhone || '',
-      ev.start,
-      ev.end,
-      ev.status,
-      `"${(ev.notes || '').replace(/"/g, "'")}"`,
-      ev.createdAt,
-    ]);
+    this.encryption = { ...this.sealed.kdf };
+    this.cryptoKey = key;
+    this.sealed = null;
+    this.locked = false;
     
-    const csv = [headers.join(','), ...rows.map(r => r.join(','))].join('\n');
-    return '\uFEFF' + csv; // BOM pour UTF-8
+    if (this.unlockResolver) {
+      // Premier déverrouillage : _initStorage reprend (migration, fusion, ready)
+      this._resolveUnlock(store);
+    } else {
+      this.cache = this._mergeWithDefaults(store);
+      DateUtils.setTimeZone(this.cache.professional?.timezone);
+      this._notifySubscribers('store', this.cache);
+    }
+    
+    this._notifySubscribers('storage:unlocked', {});
+    return { success: true };
   }
 
-  exportFullBackup() {
-    const store = this.getStore();
-    return JSON.stringify(store, null, 2);
+  /**
+   * Verrouille le store : écritures terminées, clé et données retirées de la mémoire
+   * @param {string} reason - 'manual' | 'idle'
+   */
+  async lock(reason = 'manual') {
+    if (!this.encryption || this.locked) return false;
+    
+    // Bloque les écritures avant de vider la file (qui a encore besoin de la clé)
+    this.locked = true;
+    await this.flush();
+    
+    this.sealed = await CryptoUtils.seal(this.cache, this.cryptoKey, this.encryption, { version: this.cache.version });
+    this.cryptoKey = null;
+    this.cache = this._getDefaultSchema();
+    this._notifySubscribers('storage:locked', { reason });
+    return true;
   }
 
-  importFromBackup(jsonString) {
-    try {
-      const data = JSON.parse(jsonString);
-      
-      // Validation basique
-      if (!data.version || !data.events) {
-        return { success: false, error: 'Format de backup invalide' };
-      }
-      
-      // Migration si nécessaire
-      if (data.version !== CONFIG.STORAGE_VERSION) {
-        data = this._migrateImportData(data);
-      }
-      
-      if (this.saveStore(data)) {
-        return { success: true, eventCount: data.events.length };
-      }
-      
-      return { success: false, error: 'Erreur de sauvegarde' };
-    } catch (error) {
-      return { success: false, error: 'JSON invalide: ' + error.message };
+  /**
+   * Active le chiffrement du store et des instantanés existants
+   */
+  async enableEncryption(passphrase) {
+    await this.ready;
+    if (!CryptoUtils.isSupported()) {
+      return { success: false, error: 'Chiffrement non pris en charge par ce navigateur' };
+    }
+    if (this.encryption) {
+      return { success: false, error: 'Les données sont déjà chiffrées' };
+    }
+    const error = this._validatePassphrase(passphrase);
+    if (error) return { success: false, error };
+    
+    const kdf = CryptoUtils.createKdfParams();
+    const key = await CryptoUtils.deriveKey(passphrase, kdf);
+    await this._applyEncryption({ kdf, key });
+    
+    this._notifySubscribers('storage:encryption', { enabled: true });
+    return { success: true };
+  }
+
+  async changePassphrase(currentPassphrase, nextPassphrase) {
+    await this.ready;
+    if (!await this._verifyPassphrase(currentPassphrase)) {
+      return { success: false, error: 'Phrase secrète actuelle incorrecte' };
+    }
+    const error = this._validatePassphrase(nextPassphrase);
+    if (error) return { success: false, error };
+    
+    const kdf = CryptoUtils.createKdfParams();
+    const key = await CryptoUtils.deriveKey(nextPassphrase, kdf);
+    await this._applyEncryption({ kdf, key });
+    
+    return { success: true };
+  }
+
+  /**
+   * Désactive le chiffrement : le store et les instantanés sont réécrits en clair
+   */
+  async disableEncryption(passphrase) {
+    await this.ready;
+    if (!await this._verifyPassphrase(passphrase)) {
+      return { success: false, error: 'Phrase secrète incorrecte' };
     }
+    
+    await this._applyEncryption(null);
+    
+    this._notifySubscribers('storage:encryption', { enabled: false });
+    return { success: true };
   }
 
   /**
@@ -596,18 +2520,293 @@ export class StorageManager {
    * ============================================================
    */
   
-  _readRaw() {
+  _persist(store) {
+    this.pendingStore = store;
+    if (!this.writing) {
+      this.writing = this._drainWrites();
+    }
+    return this.writing;
+  }
+
+  async _drainWrites() {
     try {
-      const raw = localStorage.getItem(this.key);
-      return raw ? JSON.parse(raw) : null;
-    } catch (error) {
-      console.error('[StorageManager] _readRaw error:', error);
-      return null;
+      await this.ready;
+      while (this.pendingStore) {
+        const store = this.pendingStore;
+        this.pendingStore = null;
+        try {
+          await this.sync.withLock(() => this._write(store));
+        } catch (error) {
+          await this._handlePersistError(error);
+        }
+      }
+    } finally {
+      this.writing = null;
+    }
+  }
+
+  /**
+   * Écrit une nouvelle révision. Si un autre onglet a écrit depuis la
+   * dernière lecture, sa révision est d'abord fusionnée dans le cache.
+   */
+  async _write(store) {
+    // Révision seule : le store persisté n'est relu que si un autre onglet a écrit
+    if (this._isNewerRevision(await this.adapter.loadRevision())) {
+      const remote = await this._readRemote(await this.adapter.load());
+      if (!remote) return;
+      store = this._integrateRemote(remote);
+      this.pendingStore = null;
+    }
+    
+    await this._ensureDailyRestorePoint();
+    
+    // Identifiant plutôt que compteur : une base réinitialisée ne peut pas retomber sur un ancien numéro
+    store.revision = SecurityUtils.generateSecureId();
+    await this.adapter.save(await this._seal(store));
+    this.syncBase = structuredClone(store);
+    this.sync.broadcast(store.revision);
+  }
+
+  /**
+   * Un autre onglet a écrit : le cache intègre sa révision
+   */
+  async _onRemoteWrite() {
+    if (this.locked) {
+      await this._refreshSealed();
+      return;
+    }
+    // Une écriture en cours a peut-être déjà fusionné cette révision
+    await this.ready;
+    await this.flush();
+    if (this.locked) return;
+    
+    await this.sync.withLock(async () => {
+      if (!this._isNewerRevision(await this.adapter.loadRevision())) return;
+      
+      const remote = await this._readRemote(await this.adapter.load());
+      if (remote) this._integrateRemote(remote);
+    });
+  }
+
+  _isNewerRevision(revision) {
+    return (revision ?? null) !== (this.syncBase?.revision ?? null);
+  }
+
+  /**
+   * Révision persistée en clair, ou null si elle est illisible avec la
+   * clé courante (chiffrement activé ou phrase changée dans un autre onglet)
+   */
+  async _readRemote(persisted) {
+    if (!persisted) return this._getDefaultSchema();
+    
+    if (CryptoUtils.isEnvelope(persisted)) {
+      try {
+        return this._mergeWithDefaults(await this._unseal(persisted));
+      } catch {
+        this._lockForRemote(persisted);
+        return null;
+      }
+    }
+    
+    // Chiffrement désactivé dans un autre onglet
+    if (this.encryption) {
+      this.encryption = null;
+      this.cryptoKey = null;
+      this._notifySubscribers('storage:encryption', { enabled: false });
+    }
+    return this._mergeWithDefaults(persisted);
+  }
+
+  _integrateRemote(remote) {
+    const previous = this.cache;
+    const { store, conflicts } = mergeStores(this.syncBase, this.cache, remote);
+    
+    this.syncBase = structuredClone(remote);
+    this.cache = store;
+    // Une écriture en attente partirait d'un état antérieur à la fusion
+    if (this.pendingStore) this.pendingStore = store;
+    DateUtils.setTimeZone(store.professional?.timezone);
+    
+    this._notifyRemoteChanges(previous, store, conflicts);
+    return store;
+  }
+
+  /**
+   * Renotifie les abonnés comme si les modifications venaient de cet onglet
+   */
+  _notifyRemoteChanges(previous, next, conflicts) {
+    const before = new Map((previous.events || []).map(ev => [ev.id, ev]));
+    const eventIds = [];
+    
+    next.events.forEach(event => {
+      const old = before.get(event.id);
+      before.delete(event.id);
+      if (old && JSON.stringify(old) === JSON.stringify(event)) return;
+      
+      eventIds.push(event.id);
+      if (!old) {
+        this._notifySubscribers('event:created', event);
+      } else if (event.deletedAt && !old.deletedAt) {
+        this._notifySubscribers('event:deleted', { id: event.id, event });
+      } else {
+        this._notifySubscribers('event:updated', event);
+      }
+    });
+    before.forEach((_, id) => {
+      eventIds.push(id);
+      this._notifySubscribers('event:hardDeleted', { id });
+    });
+    
+    if (JSON.stringify(previous.professional) !== JSON.stringify(next.professional)) {
+      this._notifySubscribers('professional:updated', next.professional);
+    }
+    if (JSON.stringify(previous.availability) !== JSON.stringify(next.availability)
+        || JSON.stringify(previous.availabilityOverrides) !== JSON.stringify(next.availabilityOverrides)) {
+      this._notifySubscribers('availability:updated', next.availability);
+    }
+    
+    // Effacement RGPD dans un autre onglet : les copies locales doivent suivre
+    const knownAudit = new Set((previous.auditLog || []).map(entry => entry.id));
+    (next.auditLog || [])
+      .filter(entry => !knownAudit.has(entry.id) && PURGE_ACTIONS.includes(entry.action))
+      .forEach(entry => this._notifySubscribers('privacy:purged', entry));
+    
+    this._notifySubscribers('store', next);
+    this._notifySubscribers('sync:remote', { eventIds, conflicts });
+  }
+
+  /**
+   * Verrouillé : l'écran de déverrouillage doit ouvrir la dernière révision
+   */
+  async _refreshSealed() {
+    const persisted = await this.adapter?.load();
+    if (CryptoUtils.isEnvelope(persisted)) {
+      this.sealed = persisted;
+    } else if (persisted && this.unlockResolver) {
+      // Chiffrement désactivé dans un autre onglet : plus rien à déverrouiller
+      this.encryption = null;
+      this.sealed = null;
+      this.locked = false;
+      this._resolveUnlock(persisted);
+      this._notifySubscribers('storage:unlocked', {});
+    }
+  }
+
+  _lockForRemote(envelope) {
+    this.locked = true;
+    this.sealed = envelope;
+    this.cryptoKey = null;
+    this.pendingStore = null;
+    this.cache = this._getDefaultSchema();
+    this._notifySubscribers('storage:locked', { reason: 'remote' });
+  }
+
+  /**
+   * Chiffre une valeur avec la clé courante (inchangée si le store est en clair)
+   */
+  async _seal(value) {
+    if (!this.cryptoKey) return value;
+    return CryptoUtils.seal(value, this.cryptoKey, this.encryption, {
+      version: value.version,
+      revision: value.revision,
+    });
+  }
+
+  async _unseal(value) {
+    if (!CryptoUtils.isEnvelope(value)) return value;
+    if (!this.cryptoKey) throw new Error('Store verrouillé');
+    return CryptoUtils.open(value, this.cryptoKey);
+  }
+
+  _waitForUnlock(envelope) {
+    this.sealed = envelope;
+    this.locked = true;
+    const unlocked = new Promise(resolve => { this.unlockResolver = resolve; });
+    this._notifySubscribers('storage:locked', { reason: 'startup' });
+    return unlocked;
+  }
+
+  _resolveUnlock(store) {
+    const resolve = this.unlockResolver;
+    this.unlockResolver = null;
+    resolve(store);
+  }
+
+  /**
+   * Passe à une nouvelle clé (ou en clair avec `next = null`) :
+   * instantanés rechiffrés, puis store réécrit
+   * @param {Object|null} next - { kdf, key }
+   */
+  async _applyEncryption(next) {
+    await this.flush();
+    const previousKey = this.cryptoKey;
+    
+    this.encryption = next ? next.kdf : null;
+    this.cryptoKey = next ? next.key : null;
+    
+    const snapshots = await this.adapter.listSnapshots();
+    for (const meta of snapshots) {
+      try {
+        const snapshot = await this.adapter.loadSnapshot(meta.id);
+        const data = CryptoUtils.isEnvelope(snapshot.data)
+          ? await CryptoUtils.open(snapshot.data, previousKey)
+          : snapshot.data;
+        await this.adapter.saveSnapshot({ ...snapshot, data: await this._seal(data) });
+      } catch (error) {
+        console.error(`[StorageManager] Instantané ${meta.id} illisible, laissé en l'état:`, error);
+      }
+    }
+    
+    await this._persist(this.cache);
+  }
+
+  _validatePassphrase(passphrase) {
+    if (typeof passphrase !== 'string' || passphrase.length < CONFIG.ENCRYPTION.MIN_PASSPHRASE_LENGTH) {
+      return `La phrase secrète doit contenir au moins ${CONFIG.ENCRYPTION.MIN_PASSPHRASE_LENGTH} caractères`;
+    }
+    return null;
+  }
+
+  /**
+   * Vérifie une phrase secrète sans exporter la clé : un témoin chiffré
+   * avec la clé courante doit se déchiffrer avec la clé dérivée
+   */
+  async _verifyPassphrase(passphrase) {
+    if (!this.cryptoKey || typeof passphrase !== 'string') return false;
+    try {
+      const probe = await CryptoUtils.seal({ probe: true }, this.cryptoKey, this.encryption);
+      const key = await CryptoUtils.deriveKey(passphrase, this.encryption);
+      await CryptoUtils.open(probe, key);
+      return true;
+    } catch {
+      return false;
     }
   }
 
-  _writeRaw(store) {
-    localStorage.setItem(this.key, JSON.stringify(store));
+  /**
+   * Échec d'écriture. Quota localStorage dépassé : nettoyage du cache
+   * puis une seule nouvelle tentative, sans repasser par saveStore
+   * (qui remettrait une écriture en file et relancerait l'échec)
+   */
+  async _handlePersistError(error) {
+    // Le nettoyage automatique ne concerne que le format localStorage (quota ~5 Mo)
+    if (error.name === 'QuotaExceededError' && this.adapter.name === 'localStorage') {
+      console.error('[StorageManager] Quota dépassé - nettoyage automatique');
+      this.cache = this._cleanupOldData(this.getStore());
+      // Le cache nettoyé est la dernière version : il remplace l'écriture en attente
+      this.pendingStore = null;
+      this._notifySubscribers('store', this.cache);
+      
+      try {
+        await this.sync.withLock(() => this._write(this.cache));
+        return;
+      } catch (retryError) {
+        error = retryError;
+      }
+    }
+    
+    console.error(`[StorageManager] Échec d'écriture (${this.adapter.name}):`, error);
+    this._notifySubscribers('storage:error', { backend: this.adapter.name, error: error.message });
   }
 
   _mergeWithDefaults(store) {
@@ -628,27 +2827,120 @@ export class StorageManager {
     return merge(store, defaults);
   }
 
-  _migrateData(store) {
-    console.log(`[StorageManager] Migration de la version ${store.version} vers ${CONFIG.STORAGE_VERSION}`);
+  _recordMigration(store, source, report, snapshotId = null) {
+    store.metadata = store.metadata || {};
+    store.metadata.migrationLog = [
+      ...(store.metadata.migrationLog || []),
+      {
+        at: new Date().toISOString(),
+        source,
+        fromVersion: report.fromVersion,
+        toVersion: report.toVersion,
+        applied: report.applied,
+        snapshotId,
+      },
+    ].slice(-CONFIG.MIGRATIONS.LOG_SIZE);
+  }
+
+  /**
+   * Point de restauration quotidien : état persisté avant la première écriture du jour.
+   * Appelé sous le verrou inter-onglets, un seul onglet le crée.
+   */
+  async _ensureDailyRestorePoint() {
+    const today = DateUtils.getTodayKey();
+    if (this.dailyRestorePoint === today || !this.syncBase) return;
+    
+    const snapshots = await this.adapter.listSnapshots();
+    const exists = snapshots.some(s => s.reason === 'daily' && DateUtils.toDateKey(s.createdAt) === today);
+    if (exists || await this.createSnapshot('daily', this.syncBase)) {
+      this.dailyRestorePoint = today;
+    }
+  }
+
+  /**
+   * Rotation : les points quotidiens des `restorePoints.daily` derniers jours,
+   * puis le plus récent de chacune des `restorePoints.weekly` semaines précédentes ;
+   * les instantanés ponctuels (import, migration…) dans la limite de MAX_SNAPSHOTS.
+   * @returns {Map<string, string>} id → tier des instantanés conservés
+   */
+  _planRotation(snapshots) {
+    const retention = { ...CONFIG.DEFAULT_PROFESSIONAL.restorePoints, ...this.cache.professional?.restorePoints };
+    const sorted = [...snapshots].sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    const tiers = new Map();
+    
+    sorted
+      .filter(s => s.reason !== 'daily')
+      .slice(0, CONFIG.MIGRATIONS.MAX_SNAPSHOTS)
+      .forEach(s => tiers.set(s.id, 'event'));
+    
+    const days = new Set();
+    const weeks = new Set();
+    sorted.filter(s => s.reason === 'daily').forEach(s => {
+      const day = DateUtils.toDateKey(s.createdAt);
+      if (days.size < retention.daily || days.has(day)) {
+        if (!days.has(day)) tiers.set(s.id, 'daily');
+        days.add(day);
+        return;
+      }
+      const week = DateUtils.getWeekRangeFor(s.createdAt).start;
+      if (weeks.size < retention.weekly && !weeks.has(week)) {
+        tiers.set(s.id, 'weekly');
+        weeks.add(week);
+      }
+    });
     
-    // Migration v1 -> v2
-    if (store.version === 1) {
-      store.metadata = {
-        lastSync: null,
-        deviceId: SecurityUtils.generateSecureId(),
-        sessionCount: 0,
-      };
-      store.recoveryHistory = [];
-      store.blockedSlots = [];
-      store.settings = this._getDefaultSchema().settings;
+    return tiers;
+  }
+
+  async _rotateSnapshots() {
+    const snapshots = await this.adapter.listSnapshots();
+    const tiers = this._planRotation(snapshots);
+    await Promise.all(snapshots
+      .filter(s => !tiers.has(s.id))
+      .map(s => this.adapter.deleteSnapshot(s.id)));
+  }
+
+  /**
+   * Charge et déchiffre un instantané (clé courante, sinon phrase secrète fournie)
+   */
+  async _openSnapshot(id, passphrase) {
+    const snapshot = await this.adapter.loadSnapshot(id);
+    if (!snapshot) {
+      return { success: false, error: 'Instantané introuvable' };
     }
     
-    store.version = CONFIG.STORAGE_VERSION;
-    this._writeRaw(store);
+    try {
+      return { success: true, data: await this._unseal(snapshot.data) };
+    } catch {
+      // Chiffré avec une ancienne phrase secrète, ou avant une réinitialisation
+    }
+    if (!passphrase) {
+      return { success: false, needsPassphrase: true, error: 'Instantané chiffré avec une autre phrase secrète' };
+    }
+    try {
+      const key = await CryptoUtils.deriveKey(passphrase, snapshot.data.kdf);
+      return { success: true, data: await CryptoUtils.open(snapshot.data, key) };
+    } catch {
+      return { success: false, needsPassphrase: true, error: 'Phrase secrète incorrecte' };
+    }
   }
 
-  _cleanupOldData() {
-    const store = this.getStore();
+  _summarizeStore(store) {
+    const events = (store.events || []).filter(ev => !ev.deletedAt);
+    const starts = events.map(ev => ev.start).filter(Boolean).sort();
+    return {
+      eventCount: events.length,
+      appointmentCount: events.filter(ev => ev.type === CONFIG.EVENT_TYPES.APPOINTMENT).length,
+      clientCount: store.clients?.length || 0,
+      firstEvent: starts[0] || null,
+      lastEvent: starts.at(-1) || null,
+    };
+  }
+
+  /**
+   * Allège une copie du store (quota dépassé) ; l'écriture revient à l'appelant
+   */
+  _cleanupOldData(store) {
     const cutoffDate = new Date();
     cutoffDate.setDate(cutoffDate.getDate() - store.settings.dataRetentionDays);
     
@@ -666,11 +2958,68 @@ export class StorageManager {
     }
     
     // Limite les rapports
-    if (store.weeklyReports.length > 12) {
-      store.weeklyReports = store.weeklyReports.slice(-12);
+    if (store.weeklyReports.length > CONFIG.REPORTS.HISTORY_WEEKS) {
+      store.weeklyReports = store.weeklyReports.slice(-CONFIG.REPORTS.HISTORY_WEEKS);
     }
     
-    this.saveStore(store);
+    return store;
+  }
+
+  /**
+   * Applique des modifications en conservant l'historique des changements
+   * @param {string} [source] - Auteur de la modification ('client'…)
+   */
+  _applyEventUpdates(existingEvent, updates, source) {
+    const changeLog = {
+      timestamp: new Date().toISOString(),
+      changes: Object.keys(updates),
+      previousValues: {},
+      ...(source ? { source } : {}),
+    };
+    
+    Object.keys(updates).forEach(key => {
+      if (existingEvent[key] !== undefined) {
+        changeLog.previousValues[key] = existingEvent[key];
+      }
+    });
+    
+    return {
+      ...existingEvent,
+      ...updates,
+      updatedAt: new Date().toISOString(),
+      version: (existingEvent.version || 1) + 1,
+      changeHistory: [...(existingEvent.changeHistory || []), changeLog].slice(-10), // Garde les 10 dernières modifications
+    };
+  }
+
+  /**
+   * Comparaison de deux événements sur un champ (valeurs absentes en dernier)
+   */
+  _compareEventField(a, b, path) {
+    const read = ev => path.split('.').reduce((value, key) => value?.[key], ev);
+    let va = read(a);
+    let vb = read(b);
+    if (va === undefined || va === null || va === '') return vb === undefined || vb === null || vb === '' ? 0 : 1;
+    if (vb === undefined || vb === null || vb === '') return -1;
+
+    if (DATE_FIELD.test(path)) {
+      va = new Date(va).getTime();
+      vb = new Date(vb).getTime();
+    }
+    if (typeof va === 'number' && typeof vb === 'number') return va - vb;
+    return String(va).localeCompare(String(vb), 'fr', { sensitivity: 'base', numeric: true });
+  }
+
+  _softDelete(event) {
+    return {
+      ...event,
+      // Statut rétabli en cas de restauration depuis la corbeille
+      statusBeforeDelete: event.status,
+      status: CONFIG.STATUS.CANCELLED,
+      deletedAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+      version: (event.version || 1) + 1,
+    };
   }
 
   _getDefaultColor(type) {
@@ -0,0 +1,163 @@
+/**
+ * ============================================================
+ * HARMONY SCHEDULER v2.0 — Store Sync
+ * ============================================================
+ * Synchronisation du store entre onglets d'un même navigateur.
+ * Chaque écriture porte un identifiant de révision et est annoncée aux
+ * autres onglets (BroadcastChannel, à défaut l'événement `storage`).
+ * Un onglet dont la révision de référence est dépassée fusionne la
+ * révision écrite avec ses propres modifications (mergeStores) au
+ * lieu de l'écraser.
+ */
+
+import { CONFIG } from './Config.js';
+import { SecurityUtils } from '../utils/Validator.js';
+
+const CHANNEL_NAME = `${CONFIG.STORAGE_KEY}_sync`;
+
+// Champs tenus par l'écriture elle-même, jamais fusionnés
+const WRITE_FIELDS = ['revision', 'updatedAt'];
+
+export class StoreSync {
+  /**
+   * @param {Function} onRemoteWrite - ({ revision, from }) appelé à chaque écriture d'un autre onglet
+   */
+  constructor(onRemoteWrite) {
+    this.tabId = SecurityUtils.generateSecureId();
+    this.onRemoteWrite = onRemoteWrite;
+    this.channel = null;
+    this._connect();
+  }
+
+  /**
+   * Annonce une révision écrite aux autres onglets
+   */
+  broadcast(revision) {
+    const message = { type: 'written', revision, from: this.tabId };
+
+    if (this.channel) {
+      this.channel.postMessage(message);
+      return;
+    }
+    try {
+      localStorage.setItem(CHANNEL_NAME, JSON.stringify({ ...message, at: Date.now() }));
+    } catch {
+      // Ni BroadcastChannel ni localStorage : onglet isolé
+    }
+  }
+
+  /**
+   * Exécute `task` en exclusion mutuelle avec les autres onglets (Web Locks).
+   * Sans l'API, la relecture avant écriture réduit la fenêtre sans la fermer.
+   */
+  withLock(task) {
+    if (typeof navigator !== 'undefined' && navigator.locks?.request) {
+      return navigator.locks.request(CHANNEL_NAME, task);
+    }
+    return task();
+  }
+
+  /**
+   * ============================================================
+   * MÉTHODES PRIVÉES
+   * ============================================================
+   */
+
+  _connect() {
+    if (typeof BroadcastChannel !== 'undefined') {
+      this.channel = new BroadcastChannel(CHANNEL_NAME);
+      this.channel.onmessage = (e) => this._receive(e.data);
+    } else if (typeof window !== 'undefined') {
+      // L'événement `storage` n'est reçu que par les autres onglets
+      window.addEventListener('storage', (e) => {
+        if (e.key !== CHANNEL_NAME || !e.newValue) return;
+        try {
+          this._receive(JSON.parse(e.newValue));
+        } catch {
+          // Valeur étrangère à la synchronisation
+        }
+      });
+    }
+  }
+
+  _receive(message) {
+    if (message?.type !== 'written' || message.from === this.tabId) return;
+    this.onRemoteWrite(message);
+  }
+}
+
+/**
+ * Fusion à trois voies : `base` est la dernière révision lue ou écrite
+ * par l'onglet, `local` son état courant, `remote` la révision écrite
+ * depuis par un autre onglet. Ce qui n'a changé que d'un côté est
+ * conservé ; un enregistrement modifié des deux côtés est un conflit,
+ * tranché par son champ `version` (à égalité, la révision déjà écrite
+ * l'emporte).
+ * @returns {{ store: Object, conflicts: Array<{ collection, id, kept, local, remote }> }}
+ */
+export function mergeStores(base, local, remote) {
+  const conflicts = [];
+  const store = { ...remote };
+
+  new Set([...Object.keys(local), ...Object.keys(remote)]).forEach(key => {
+    if (WRITE_FIELDS.includes(key)) return;
+    store[key] = mergeValue(key, base?.[key], local[key], remote[key], conflicts);
+  });
+
+  return { store, conflicts };
+}
+
+function mergeValue(path, base, local, remote, conflicts) {
+  if (same(local, base) || same(local, remote)) return remote;
+  if (same(remote, base)) return local;
+
+  if (isRecordList(local) && isRecordList(remote)) {
+    return mergeRecords(path, base || [], local, remote, conflicts);
+  }
+
+  if (isPlainObject(local) && isPlainObject(remote)) {
+    const merged = {};
+    new Set([...Object.keys(local), ...Object.keys(remote)]).forEach(key => {
+      const value = mergeValue(`${path}.${key}`, base?.[key], local[key], remote[key], conflicts);
+      if (value !== undefined) merged[key] = value;
+    });
+    return merged;
+  }
+
+  conflicts.push({ collection: path, id: null, kept: 'remote', local, remote });
+  return remote;
+}
+
+/**
+ * Fusion enregistrement par enregistrement (identifiés par `id`)
+ */
+function mergeRecords(collection, base, local, remote, conflicts) {
+  const byId = list => new Map(list.map(record => [record.id, record]));
+  const [baseById, localById, remoteById] = [byId(base), byId(local), byId(remote)];
+  const ids = new Set([...remoteById.keys(), ...localById.keys()]);
+
+  return [...ids].map(id => {
+    const b = baseById.get(id) ?? null;
+    const l = localById.get(id) ?? null;
+    const r = remoteById.get(id) ?? null;
+
+    if (same(l, b) || same(l, r)) return r;
+    if (same(r, b)) return l;
+
+    const kept = (l?.version || 0) > (r?.version || 0) ? 'local' : 'remote';
+    conflicts.push({ collection, id, kept, local: l, remote: r });
+    return kept === 'local' ? l : r;
+  }).filter(Boolean);
+}
+
+function same(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isRecordList(value) {
+  return Array.isArray(value) && value.every(item => isPlainObject(item) && item.id !== undefined);
+}
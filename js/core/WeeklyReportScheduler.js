@@ -0,0 +1,168 @@
+/**
+ * ============================================================
+ * HARMONY SCHEDULER v2.0 — Weekly Report Scheduler
+ * ============================================================
+ * Fige le score Harmony de chaque semaine clôturée dans les
+ * rapports hebdomadaires (historique affiché par l'analytics).
+ * Au premier lancement, les semaines passées sont reconstituées
+ * à partir des événements existants. Le modèle de stress personnel
+ * est réappris dès qu'une semaine s'est clôturée depuis le dernier
+ * apprentissage.
+ */
+
+import { CONFIG } from './Config.js';
+import { storage } from './StorageManager.js';
+import { HarmonyEngine } from './HarmonyEngine.js';
+import { DateUtils } from '../utils/DateUtils.js';
+
+export class WeeklyReportScheduler {
+  constructor() {
+    this.timer = null;
+  }
+
+  /**
+   * Rattrape les semaines manquantes puis programme le prochain
+   * snapshot au changement de semaine (si la page reste ouverte).
+   */
+  start() {
+    if (this._hasClosedWeekSinceLearning()) this.relearnStressModel();
+    const result = this.runPendingSnapshots();
+    this._scheduleNext();
+    return result;
+  }
+
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Génère les rapports des semaines clôturées qui n'en ont pas encore
+   */
+  runPendingSnapshots() {
+    try {
+      const appointments = storage.getAllEvents({ type: CONFIG.EVENT_TYPES.APPOINTMENT });
+      const lastClosedWeek = DateUtils.getWeekRangeOffset(DateUtils.getCurrentWeekRange(), -1);
+      const latestReport = storage.getLatestWeeklyReport();
+      const isBackfill = !latestReport?.weekStart;
+
+      const firstWeek = isBackfill
+        ? this._getBackfillStart(appointments, lastClosedWeek)
+        : DateUtils.getWeekRangeOffset(DateUtils.getWeekRangeFor(latestReport.weekStart), 1);
+
+      if (!firstWeek) return { success: true, created: [] };
+
+      const engine = new HarmonyEngine(storage.getProfessional(), {
+        stressModel: storage.getStressModel().params,
+        availability: { template: storage.getAvailability(), overrides: storage.getAvailabilityOverrides() },
+      });
+      const created = [];
+
+      for (let range = firstWeek; range.start <= lastClosedWeek.start; range = DateUtils.getWeekRangeOffset(range, 1)) {
+        const weekAppointments = appointments.filter(ev => DateUtils.isInRange(ev.start, range));
+
+        // Semaine sans RDV : pas de donnée à figer (cohérent avec l'analyse des tendances)
+        if (!weekAppointments.length) continue;
+
+        const report = this._buildReport(engine, weekAppointments, appointments, range, isBackfill);
+        const result = storage.saveWeeklyReport(report);
+        if (result.success) created.push(result.report);
+      }
+
+      if (created.length) {
+        console.log(`📊 ${created.length} rapport(s) hebdomadaire(s) enregistré(s)`);
+      }
+
+      return { success: true, created };
+    } catch (error) {
+      console.error('[WeeklyReportScheduler] runPendingSnapshots:', error);
+      return { success: false, error: error.message, created: [] };
+    }
+  }
+
+  /**
+   * Réapprend le modèle de stress sur les semaines clôturées
+   * (postérieures à une éventuelle réinitialisation)
+   */
+  relearnStressModel() {
+    try {
+      const stressModel = storage.getStressModel();
+      const engine = new HarmonyEngine(storage.getProfessional());
+      const params = engine.learnStressProfile(storage.getAllEvents(), {
+        flaggedWeeks: stressModel.flaggedWeeks,
+        since: stressModel.resetAt,
+      });
+
+      // Toujours pas assez de semaines : rien à enregistrer
+      if (!params && !stressModel.params) return { success: true, stressModel };
+
+      return storage.saveStressModelParams(params);
+    } catch (error) {
+      console.error('[WeeklyReportScheduler] relearnStressModel:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * ============================================================
+   * MÉTHODES PRIVÉES
+   * ============================================================
+   */
+
+  /**
+   * Vrai si la dernière semaine clôturée l'a été après l'apprentissage
+   * (ou s'il n'y en a jamais eu)
+   */
+  _hasClosedWeekSinceLearning() {
+    const { learnedAt } = storage.getStressModel();
+    if (!learnedAt) return true;
+
+    return new Date(learnedAt) < DateUtils.getCurrentWeekRange().startDate;
+  }
+
+  _getBackfillStart(appointments, lastClosedWeek) {
+    if (!appointments.length) return null;
+
+    const earliest = DateUtils.sortByStartTime(appointments)[0].start;
+    const oldestAllowed = DateUtils.getWeekRangeOffset(lastClosedWeek, -(CONFIG.REPORTS.HISTORY_WEEKS - 1));
+    const earliestWeek = DateUtils.getWeekRangeFor(earliest);
+
+    return earliestWeek.start < oldestAllowed.start ? oldestAllowed : earliestWeek;
+  }
+
+  _buildReport(engine, weekAppointments, allAppointments, range, isBackfill) {
+    const scoreData = engine.computeWeeklyScore(weekAppointments, {
+      weekRange: range,
+      history: allAppointments,
+      recoveryHistory: storage.getRecoveryHistory({ before: range.start }),
+    });
+
+    const totalMinutes = weekAppointments.reduce(
+      (sum, ev) => sum + DateUtils.minutesBetween(ev.start, ev.end), 0
+    );
+
+    return {
+      weekStart: range.start,
+      weekEnd: range.end,
+      score: scoreData.score,
+      level: scoreData.level,
+      breakdown: scoreData.breakdown,
+      appointmentCount: weekAppointments.length,
+      totalHours: Math.round(totalMinutes / 60 * 10) / 10,
+      criticalDayCount: scoreData.criticalDays?.length || 0,
+      source: isBackfill ? 'backfill' : 'scheduled',
+    };
+  }
+
+  _scheduleNext() {
+    this.stop();
+
+    const nextWeekStart = DateUtils.getWeekRangeOffset(DateUtils.getCurrentWeekRange(), 1).startDate;
+    const delay = nextWeekStart.getTime() - Date.now() + CONFIG.TIME.MINUTE;
+
+    this.timer = setTimeout(() => this.start(), delay);
+  }
+}
+
+// Singleton instance
+export const weeklyReportScheduler = new WeeklyReportScheduler();
@@ -6,24 +6,51 @@
 
 import { storage } from '../core/StorageManager.js';
 import { HarmonyEngine } from '../core/HarmonyEngine.js';
+import { weeklyReportScheduler } from '../core/WeeklyReportScheduler.js';
 import { HarmonyScoreWidget } from '../components/HarmonyScoreWidget.js';
+import { toast } from '../components/ToastSystem.js';
 import { DateUtils } from '../utils/DateUtils.js';
 import { CONFIG } from '../core/Config.js';
 
 class AnalyticsController {
   constructor() {
-    this.harmonyEngine = new HarmonyEngine(storage.getProfessional());
+    this.harmonyEngine = this._createEngine();
     this.charts = {};
     this.currentPeriod = 30;
   }
 
   async init() {
+    // Fige les semaines clôturées avant d'afficher l'historique
+    weeklyReportScheduler.start();
+    this.harmonyEngine = this._createEngine();
+
     this._initScoreWidget();
     this._initCharts();
     this._loadInsights();
     this._loadScoreHistory();
     this._checkPredictions();
     this._bindEvents();
+    storage.subscribe('sync:remote', () => this._onRemoteChange());
+  }
+
+  /**
+   * Données modifiées dans un autre onglet : score, graphiques et bilans recalculés
+   */
+  _onRemoteChange() {
+    this.harmonyEngine = this._createEngine();
+    this._initScoreWidget();
+    Object.values(this.charts).forEach(chart => chart.destroy());
+    this.charts = {};
+    this._initCharts();
+    this._loadInsights();
+    this._loadScoreHistory();
+  }
+
+  _createEngine() {
+    return new HarmonyEngine(storage.getProfessional(), {
+      stressModel: storage.getStressModel().params,
+      availability: { template: storage.getAvailability(), overrides: storage.getAvailabilityOverrides() },
+    });
   }
 
   _initScoreWidget() {
@@ -32,8 +59,12 @@ class AnalyticsController {
 
     const events = storage.getAllEvents({ type: CONFIG.EVENT_TYPES.APPOINTMENT });
     const weekRange = DateUtils.getCurrentWeekRange();
+    const weekEvents = events.filter(ev => DateUtils.isInRange(ev.start, weekRange));
 
-    const scoreData = this.harmonyEngine.computeWeeklyScore(events, { weekRange });
+    const scoreData = this.harmonyEngine.computeWeeklyScore(weekEvents, {
+      weekRange,
+      history: events,
+    });
 
     const widget = new HarmonyScoreWidget('harmonyScoreWidgetDetailed', {
       size: 180,
@@ -85,7 +116,7 @@ class AnalyticsController {
     this.charts.appointments = new Chart(ctx, {
       type: 'line',
       data: {
-        labels: labels.map(d => new Date(d).toLocaleDateString('fr-FR', { day: 'numeric', month: 'short' })),
+        labels: labels.map(d => DateUtils.formatDate(d, { weekday: undefined, day: 'numeric', month: 'short' })),
         datasets: [{
           label: 'Rendez-vous',
           data,
@@ -122,15 +153,10 @@ class AnalyticsController {
     const ctx = document.getElementById('scoreChart')?.getContext('2d');
     if (!ctx) return;
 
-    // Génère des données de score simulées pour la démo
-    const labels = [];
-    const data = [];
-    for (let i = 6; i >= 0; i--) {
-      const date = new Date();
-      date.setDate(date.getDate() - i * 7);
-      labels.push(`Semaine -${i}`);
-      data.push(Math.floor(Math.random() * 30) + 60); // Score entre 60 et 90
-    }
+    // Rapports hebdomadaires persistés, du plus ancien au plus récent
+    const reports = storage.getWeeklyReports({ limit: CONFIG.REPORTS.CHART_WEEKS }).reverse();
+    const labels = reports.map(report => DateUtils.formatDate(report.weekStart, { day: 'numeric', month: 'short' }));
+    const data = reports.map(report => report.score);
 
     this.charts.score = new Chart(ctx, {
       type: 'bar',
@@ -185,7 +211,7 @@ class AnalyticsController {
     this.charts.hours = new Chart(ctx, {
       type: 'line',
       data: {
-        labels: labels.map(d => new Date(d).toLocaleDateString('fr-FR', { weekday: 'short' })),
+        labels: labels.map(d => DateUtils.getDayName(d, 'short')),
         datasets: [{
           label: 'Heures',
           data,
@@ -234,7 +260,8 @@ class AnalyticsController {
     }
 
     events.forEach(ev => {
-      const hour = new Date(ev.start).getHours();
+      // Heure dans le fuseau du professionnel
+      const hour = DateUtils.getZonedParts(ev.start).hour;
       if (distribution[hour] !== undefined) {
         distribution[hour]++;
       }
@@ -343,31 +370,63 @@ class AnalyticsController {
     const container = document.getElementById('scoreHistoryList');
     if (!container) return;
 
-    // Génère un historique simulé pour la démo
-    const history = [];
-    for (let i = 6; i >= 0; i--) {
-      const date = new Date();
-      date.setDate(date.getDate() - i * 7);
-      const score = Math.floor(Math.random() * 30) + 60;
-      history.push({
-        date: date.toISOString().split('T')[0],
-        score,
-        label: `Semaine du ${date.toLocaleDateString('fr-FR', { day: 'numeric', month: 'long' })}`,
-      });
+    const flaggedWeeks = new Set(storage.getStressModel().flaggedWeeks);
+    const history = storage.getWeeklyReports({ limit: CONFIG.REPORTS.CHART_WEEKS }).map(report => ({
+      weekStart: report.weekStart,
+      exhausting: flaggedWeeks.has(report.weekStart),
+      score: report.score,
+      label: `Semaine du ${DateUtils.formatDate(report.weekStart, { day: 'numeric', month: 'long' })}`,
+      detail: `${report.appointmentCount} RDV · ${report.totalHours}h`,
+    }));
+
+    if (!history.length) {
+      container.innerHTML = `
+        <p style="text-align:center;padding:var(--hs-space-6) 0;color:var(--hs-text-muted)">
+          L'historique apparaîtra à la fin de votre première semaine de rendez-vous.
+        </p>
+      `;
+      return;
     }
 
     container.innerHTML = history.map(item => `
       <div class="score-history-item">
-        <span class="score-history-item__date">${item.label}</span>
+        <span class="score-history-item__date" title="${item.detail}">${item.label}</span>
         <div class="score-history-item__bar">
           <div class="score-history-item__fill" 
                style="width: ${item.score}%; background: ${item.score >= 80 ? '#22c55e' : item.score >= 60 ? '#f97316' : '#ef4444'}"></div>
         </div>
         <span class="score-history-item__value">${item.score}</span>
+        <button type="button"
+                class="score-history-item__flag ${item.exhausting ? 'is-active' : ''}"
+                data-flag-week="${item.weekStart}"
+                aria-pressed="${item.exhausting}"
+                title="${item.exhausting ? 'Semaine signalée comme épuisante' : 'Signaler comme semaine épuisante'}">😩</button>
       </div>
     `).join('');
   }
 
+  /**
+   * Signale une semaine épuisante puis réapprend le modèle de stress
+   */
+  _toggleExhaustingWeek(weekStart) {
+    const result = storage.toggleExhaustingWeek(weekStart);
+    if (!result.success) {
+      toast.error('Erreur lors de l\'enregistrement');
+      return;
+    }
+
+    const learning = weeklyReportScheduler.relearnStressModel();
+    this.harmonyEngine = this._createEngine();
+    this._loadScoreHistory();
+    this._initScoreWidget();
+
+    if (!learning.stressModel?.params) {
+      toast.info(`Signalement enregistré — il faut au moins ${CONFIG.STRESS_MODEL.MIN_WEEKS} semaines d'historique pour l'apprentissage`);
+    } else {
+      toast.success(result.flagged ? 'Semaine signalée comme épuisante' : 'Signalement retiré');
+    }
+  }
+
   _checkPredictions() {
     const events = storage.getAllEvents({ type: CONFIG.EVENT_TYPES.APPOINTMENT });
     const predictions = this.harmonyEngine.predictOverloadRisk(events, 7);
@@ -400,6 +459,12 @@ class AnalyticsController {
       document.getElementById('predictionsSection')?.classList.add('hs-hidden');
     });
 
+    // Signalement des semaines épuisantes
+    document.getElementById('scoreHistoryList')?.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-flag-week]');
+      if (button) this._toggleExhaustingWeek(button.dataset.flagWeek);
+    });
+
     // Mise à jour des graphiques au changement de thème
     window.addEventListener('themechange', () => {
       this._updateChartColors();
@@ -430,10 +495,12 @@ class AnalyticsController {
   }
 }
 
-// Initialise le contrôleur
-const controller = new AnalyticsController();
-if (document.readyState === 'loading') {
-  document.addEventListener('DOMContentLoaded', () => controller.init());
-} else {
-  controller.init();
-}
+// Initialise le contrôleur une fois les données chargées
+storage.ready.then(() => {
+  const controller = new AnalyticsController();
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', () => controller.init());
+  } else {
+    controller.init();
+  }
+});
@@ -2,6 +2,12 @@
  * ============================================================
  * HARMONY SCHEDULER v2.0 — Booking Page Controller
  * ============================================================
+ * Parcours : prestation → date → créneau → coordonnées.
+ * Les créneaux suivent la durée et les temps de préparation
+ * (avant / après) de la prestation choisie, et ne sont proposés
+ * que dans les limites Harmony du professionnel.
+ * Avec `?manage=<jeton>`, la page sert à annuler ou déplacer un
+ * rendez-vous existant.
  */
 
 import { storage } from '../core/StorageManager.js';
@@ -9,22 +15,92 @@ import { DateUtils } from '../utils/DateUtils.js';
 import { Validator } from '../utils/Validator.js';
 import { toast } from '../components/ToastSystem.js';
 import { CONFIG } from '../core/Config.js';
+import { HarmonyEngine } from '../core/HarmonyEngine.js';
+import { AvailabilityUtils } from '../utils/AvailabilityUtils.js';
+
+const STATUS_LABELS = {
+  [CONFIG.STATUS.CONFIRMED]: 'Confirmé',
+  [CONFIG.STATUS.PENDING]: 'En attente de confirmation',
+  [CONFIG.STATUS.CANCELLED]: 'Annulé',
+  [CONFIG.STATUS.COMPLETED]: 'Terminé',
+  [CONFIG.STATUS.NO_SHOW]: 'Absent',
+};
 
 class BookingController {
   constructor() {
     this.calendar = null;
     this.selectedDate = null;
     this.selectedSlot = null;
+    this.services = [];
+    this.selectedService = null;
     this.availability = [];
+    this.availabilityOverrides = [];
     this.professional = null;
+    this.harmonyEngine = null;
+    // Rendez-vous géré via un lien ?manage=
+    this.manageToken = new URLSearchParams(window.location.search).get('manage');
+    this.managedEvent = null;
+    // Le fuseau du professionnel fait foi ; l'affichage suit celui du visiteur
+    this.timeZone = DateUtils.getTimeZone();
+    this.visitorTimeZone = DateUtils.getBrowserTimeZone();
   }
 
   async init() {
     this.professional = storage.getProfessional();
+    this.timeZone = this.professional.timezone || DateUtils.getTimeZone();
+    this.harmonyEngine = this._createEngine();
+    if (this.manageToken) {
+      await this._initManageView();
+    }
     this._loadProfessionalInfo();
+    this._loadServices();
     this._initCalendar();
     this._loadAvailability();
     this._bindEvents();
+    storage.subscribe('sync:remote', () => this._onRemoteChange());
+  }
+
+  /**
+   * Réservations ou disponibilités modifiées dans un autre onglet :
+   * les créneaux affichés sont recalculés
+   */
+  async _onRemoteChange() {
+    this.professional = storage.getProfessional();
+    this.harmonyEngine = this._createEngine();
+    if (this.manageToken) {
+      this.managedEvent = await storage.getEventByManageToken(this.manageToken);
+      this._renderManagedEvent();
+    }
+    this._loadProfessionalInfo();
+    this._loadServices();
+    this._loadAvailability();
+    if (!this.selectedDate) return;
+
+    if (!this.selectedService) {
+      // Prestation retirée de la réservation en ligne
+      this._resetSlot();
+      document.getElementById('slotsList').innerHTML = '<p style="color: var(--hs-text-muted); text-align: center">Choisissez une prestation pour voir les créneaux libres.</p>';
+      return;
+    }
+
+    this._generateSlots(this.selectedDate);
+    if (!this.selectedSlot) return;
+
+    // Le créneau choisi reste sélectionné tant qu'il est libre
+    const selected = document.querySelector(`.slot-btn[data-slot-start="${this.selectedSlot.start}"]`);
+    if (selected) {
+      selected.classList.add('slot-btn--selected');
+      return;
+    }
+
+    this._resetSlot();
+    toast.warning('Le créneau choisi n\'est plus disponible, merci d\'en sélectionner un autre');
+  }
+
+  _createEngine() {
+    return new HarmonyEngine(this.professional, {
+      stressModel: storage.getStressModel().params,
+    });
   }
 
   _loadProfessionalInfo() {
@@ -39,6 +115,212 @@ class BookingController {
     }
   }
 
+  /**
+   * Prestations réservables en ligne ; sans catalogue, une séance
+   * à la durée par défaut suivie de la pause habituelle
+   */
+  _loadServices() {
+    // Déplacement d'un rendez-vous : sa prestation est conservée
+    if (this.manageToken) return;
+
+    this.services = storage.getServices({ bookableOnly: true });
+    if (this.services.length === 0) {
+      this.services = [{
+        id: null,
+        name: 'Séance',
+        duration: this.professional.defaultDuration || 60,
+        bufferBefore: 0,
+        bufferAfter: this.professional.breakDuration ?? 20,
+        price: null,
+        color: null,
+      }];
+    }
+
+    // Prestation retirée du catalogue entre-temps : le choix est à refaire
+    const selectedId = this.selectedService?.id;
+    this.selectedService = this.services.find(s => s.id === selectedId)
+      || (this.services.length === 1 ? this.services[0] : null);
+
+    this._renderServices();
+  }
+
+  /**
+   * ============================================================
+   * GESTION D'UN RENDEZ-VOUS (lien ?manage=)
+   * ============================================================
+   */
+
+  async _initManageView() {
+    document.body.classList.add('booking--manage');
+    document.getElementById('manageSection')?.classList.remove('hs-hidden');
+
+    this.managedEvent = await storage.getEventByManageToken(this.manageToken);
+    if (this.managedEvent) {
+      // Les nouveaux créneaux suivent la prestation réservée (durée, temps de préparation)
+      const event = this.managedEvent;
+      const service = event.serviceId ? storage.getServiceById(event.serviceId) : null;
+      this.selectedService = {
+        id: event.serviceId || null,
+        name: service?.name || 'Séance',
+        duration: service ? service.duration : DateUtils.minutesBetween(event.start, event.end),
+        bufferBefore: service ? service.bufferBefore : 0,
+        bufferAfter: service ? service.bufferAfter : (this.professional.breakDuration ?? 20),
+        price: service?.price ?? null,
+        color: service?.color || null,
+      };
+    }
+
+    document.getElementById('btnManageReschedule')?.addEventListener('click', () => this._rescheduleManagedEvent());
+    document.getElementById('btnManageCancel')?.addEventListener('click', (e) => this._cancelManagedEvent(e.currentTarget));
+    document.getElementById('manageProposals')?.addEventListener('click', (e) => {
+      const btn = e.target.closest('[data-proposal-start]');
+      if (btn) {
+        this._rescheduleManagedEvent({ start: btn.dataset.proposalStart, end: btn.dataset.proposalEnd });
+      }
+    });
+
+    this._renderManagedEvent();
+  }
+
+  _renderManagedEvent() {
+    const event = this.managedEvent;
+    const status = document.getElementById('manageStatus');
+    const details = document.getElementById('manageDetails');
+    const notice = document.getElementById('manageNotice');
+    const actions = document.getElementById('manageActions');
+    const picker = document.getElementById('bookingPicker');
+
+    if (!event) {
+      status.textContent = 'Lien invalide';
+      details.innerHTML = '';
+      notice.textContent = 'Ce lien ne correspond à aucun rendez-vous. Contactez directement le professionnel.';
+      actions.classList.add('hs-hidden');
+      picker?.classList.add('hs-hidden');
+      return;
+    }
+
+    const deadline = storage.getClientChangeDeadline(event);
+    const isOpen = [CONFIG.STATUS.PENDING, CONFIG.STATUS.CONFIRMED].includes(event.status);
+    const canChange = isOpen && Date.now() <= new Date(deadline).getTime();
+    const format = (iso) => DateUtils.formatDateTime(iso, { timeZone: this.visitorTimeZone });
+
+    status.textContent = STATUS_LABELS[event.status] || event.status;
+    details.innerHTML = `
+      <strong>${this.selectedService.name}</strong>
+      <span>${format(event.start)} · ${this.selectedService.duration} min</span>
+      <span style="color: var(--hs-text-muted)">${event.clientName}</span>
+    `;
+
+    if (!isOpen) {
+      notice.textContent = 'Ce rendez-vous ne peut plus être modifié.';
+    } else if (!canChange) {
+      notice.textContent = `Les modifications ne sont plus possibles en ligne moins de ${this.professional.cancellationNoticeHours ?? CONFIG.DEFAULT_PROFESSIONAL.cancellationNoticeHours} h avant le rendez-vous. Contactez directement le professionnel.`;
+    } else {
+      notice.textContent = `Vous pouvez annuler ou déplacer ce rendez-vous jusqu'au ${format(deadline)}.`;
+    }
+    actions.classList.toggle('hs-hidden', !canChange);
+    picker?.classList.toggle('hs-hidden', !canChange);
+
+    const proposals = (event.proposedSlots || []).filter(slot => new Date(slot.start).getTime() > Date.now());
+    document.getElementById('manageProposals').innerHTML = proposals.length === 0 ? '' : `
+      <p style="font-size: var(--hs-text-sm); color: var(--hs-text-soft)">Créneaux proposés par le professionnel :</p>
+      ${proposals.map(slot => `
+        <button type="button" class="hs-btn hs-btn--secondary"
+                data-proposal-start="${slot.start}" data-proposal-end="${slot.end}">
+          ✓ ${format(slot.start)}
+        </button>
+      `).join('')}
+    `;
+  }
+
+  async _rescheduleManagedEvent(slot = this.selectedSlot) {
+    if (!slot) return;
+
+    const result = await storage.rescheduleByClient(this.manageToken, slot);
+    if (!result.success) {
+      toast.error(Object.values(result.errors)[0]);
+      return;
+    }
+
+    this.managedEvent = result.event;
+    this._resetSlot();
+    this._renderManagedEvent();
+    if (this.selectedDate) this._generateSlots(this.selectedDate);
+    toast.success(result.event.status === CONFIG.STATUS.CONFIRMED
+      ? 'Rendez-vous déplacé et confirmé'
+      : 'Rendez-vous déplacé, en attente de confirmation');
+  }
+
+  async _cancelManagedEvent(button) {
+    if (button.dataset.confirming !== 'true') {
+      button.dataset.confirming = 'true';
+      button.textContent = 'Confirmer l\'annulation';
+      return;
+    }
+
+    button.disabled = true;
+    const result = await storage.cancelByClient(this.manageToken, {
+      reason: document.getElementById('manageReason')?.value,
+    });
+    button.disabled = false;
+    button.dataset.confirming = 'false';
+    button.textContent = 'Annuler mon rendez-vous';
+
+    if (!result.success) {
+      toast.error(Object.values(result.errors)[0]);
+      return;
+    }
+
+    this.managedEvent = result.event;
+    this._renderManagedEvent();
+    toast.success('Votre rendez-vous est annulé');
+  }
+
+  _renderServices() {
+    const container = document.getElementById('serviceList');
+    if (!container) return;
+
+    container.innerHTML = this.services.map(service => `
+      <button type="button"
+              class="service-btn ${service === this.selectedService ? 'service-btn--selected' : ''}"
+              data-service-id="${service.id ?? ''}"
+              ${service.color ? `style="--service-color: ${service.color}"` : ''}>
+        <span class="service-btn__name">${service.name}</span>
+        <span class="service-btn__meta">
+          ${service.duration} min${service.price !== null ? ` · ${this._formatPrice(service.price)}` : ''}
+        </span>
+      </button>
+    `).join('');
+
+    container.querySelectorAll('.service-btn').forEach(btn => {
+      btn.addEventListener('click', () => this._selectService(btn.dataset.serviceId || null));
+    });
+
+    const durations = this.services.map(s => s.duration);
+    const [min, max] = [Math.min(...durations), Math.max(...durations)];
+    const durationMeta = document.getElementById('bookingDurationMeta');
+    if (durationMeta) {
+      durationMeta.textContent = min === max ? `${min} min / séance` : `${min} à ${max} min`;
+    }
+
+    document.getElementById('step1')?.classList.toggle('step--completed', Boolean(this.selectedService));
+    document.getElementById('step2')?.classList.toggle('step--active', Boolean(this.selectedService));
+  }
+
+  _selectService(id) {
+    this.selectedService = this.services.find(s => s.id === id) || null;
+    this._renderServices();
+    if (!this.selectedDate) return;
+
+    // Durée différente : les créneaux sont recalculés et le choix est à refaire
+    this._resetSlot();
+    this._generateSlots(this.selectedDate);
+  }
+
+  _formatPrice(price) {
+    return price.toLocaleString('fr-FR', { style: 'currency', currency: 'EUR' });
+  }
+
   _initCalendar() {
     const calendarEl = document.getElementById('bookingCalendar');
     if (!calendarEl) return;
@@ -55,9 +337,9 @@ class BookingController {
       selectMirror: true,
       select: (info) => this._onDateSelect(info),
       dayCellClassNames: (info) => {
-        const dateStr = info.date.toISOString().split('T')[0];
-        const dayOfWeek = info.date.getDay();
-        const hasAvailability = this._hasAvailabilityOnDay(dayOfWeek);
+        // Les cellules du calendrier sont des jours du visiteur
+        const dateKey = DateUtils.toDateKey(info.date, this.visitorTimeZone);
+        const hasAvailability = this._hasAvailabilityOnDay(dateKey);
         return hasAvailability ? [] : ['fc-day-disabled'];
       },
       validRange: {
@@ -68,95 +350,126 @@ class BookingController {
     this.calendar.render();
   }
 
-  _hasAvailabilityOnDay(dayOfWeek) {
-    return this.availability.some(slot => slot.dayOfWeek === dayOfWeek);
+  _hasAvailabilityOnDay(dateKey) {
+    return this._getAvailabilityWindows(dateKey).length > 0;
+  }
+
+  /**
+   * Plages de disponibilité (instants ISO) qui touchent un jour du visiteur.
+   * Les plages sont définies en heure du professionnel, exceptions datées
+   * comprises : avec un décalage horaire, celles de la veille ou du
+   * lendemain peuvent tomber ce jour-là.
+   */
+  _getAvailabilityWindows(dateKey) {
+    const dayStart = DateUtils.startOfDay(dateKey, this.visitorTimeZone);
+    const dayEnd = DateUtils.endOfDay(dateKey, this.visitorTimeZone);
+    const windows = [];
+
+    [-1, 0, 1].forEach(offset => {
+      const proDate = DateUtils.addDaysToKey(dateKey, offset);
+
+      AvailabilityUtils.getWindowsForDate(proDate, this.availability, this.availabilityOverrides)
+        .forEach(slot => {
+          const start = DateUtils.zonedTimeToISO(proDate, slot.start, this.timeZone);
+          const end = DateUtils.zonedTimeToISO(proDate, slot.end, this.timeZone);
+          if (start <= dayEnd && end > dayStart) {
+            windows.push({ start, end, dayStart, dayEnd });
+          }
+        });
+    });
+
+    return windows;
   }
 
   _loadAvailability() {
     this.availability = storage.getAvailability();
     if (this.availability.length === 0) {
-      // Disponibilités par défaut
-      this.availability = [
-        { dayOfWeek: 1, start: '09:00', end: '18:00' }, // Lundi
-        { dayOfWeek: 2, start: '09:00', end: '18:00' }, // Mardi
-        { dayOfWeek: 3, start: '09:00', end: '18:00' }, // Mercredi
-        { dayOfWeek: 4, start: '09:00', end: '18:00' }, // Jeudi
-        { dayOfWeek: 5, start: '09:00', end: '18:00' }, // Vendredi
-      ];
+      this.availability = CONFIG.DEFAULT_AVAILABILITY;
     }
+    this.availabilityOverrides = storage.getAvailabilityOverrides();
     this.calendar?.render();
   }
 
   _onDateSelect(info) {
-    const date = info.start;
-    const dayOfWeek = date.getDay();
+    const dateKey = DateUtils.toDateKey(info.start, this.visitorTimeZone);
+
+    if (!this.selectedService) {
+      toast.warning('Choisissez d\'abord une prestation');
+      return;
+    }
     
     // Vérifie si le jour est disponible
-    if (!this._hasAvailabilityOnDay(dayOfWeek)) {
+    if (!this._hasAvailabilityOnDay(dateKey)) {
       toast.warning('Ce jour n\'est pas disponible pour la réservation');
       return;
     }
 
-    this.selectedDate = date;
-    const dateStr = date.toISOString().split('T')[0];
+    this.selectedDate = dateKey;
     
     // Met à jour le label
     const label = document.getElementById('selectedDateLabel');
     if (label) {
-      label.textContent = DateUtils.formatDate(dateStr, { weekday: 'long', day: 'numeric', month: 'long' });
+      label.textContent = DateUtils.formatDate(dateKey, { weekday: 'long', day: 'numeric', month: 'long' });
     }
 
     // Génère les créneaux
-    this._generateSlots(date);
+    this._resetSlot();
+    this._generateSlots(dateKey);
 
     // Met à jour les étapes
-    document.getElementById('step1')?.classList.add('step--completed');
-    document.getElementById('step2')?.classList.add('step--active');
+    document.getElementById('step2')?.classList.add('step--completed');
+    document.getElementById('step3')?.classList.add('step--active');
   }
 
-  _generateSlots(date) {
+  _generateSlots(dateKey) {
     const container = document.getElementById('slotsList');
     if (!container) return;
 
-    const dayOfWeek = date.getDay();
-    const dayAvailability = this.availability.filter(a => a.dayOfWeek === dayOfWeek);
+    const dayAvailability = this._getAvailabilityWindows(dateKey);
     
     if (dayAvailability.length === 0) {
       container.innerHTML = '<p style="color: var(--hs-text-muted); text-align: center">Aucun créneau disponible ce jour.</p>';
       return;
     }
 
-    // Récupère les RDV existants
-    const existingEvents = storage.getAllEvents({
-      startDate: DateUtils.startOfDay(date.toISOString()),
-      endDate: DateUtils.endOfDay(date.toISOString()),
-    });
+    // Récupère les RDV existants (journées du professionnel concernées)
+    const existingEvents = storage.queryEvents({
+      startDate: DateUtils.startOfDay(dayAvailability[0].start, this.timeZone),
+      endDate: DateUtils.endOfDay(dayAvailability[dayAvailability.length - 1].end, this.timeZone),
+    }).events.filter(ev => ev.status !== CONFIG.STATUS.CANCELLED && ev.id !== this.managedEvent?.id);
+    const busy = existingEvents.map(ev => this._getOccupiedRange(ev));
 
     const slots = [];
-    const defaultDuration = this.professional.defaultDuration || 60;
+    const { duration, bufferBefore, bufferAfter } = this.selectedService;
 
     dayAvailability.forEach(availability => {
-      let currentTime = DateUtils.parseDateTime(date.toISOString(), availability.start);
-      const endTime = DateUtils.parseDateTime(date.toISOString(), availability.end);
+      // La préparation avant le rendez-vous tient dans la plage de disponibilité
+      let currentTime = new Date(DateUtils.addMinutes(availability.start, bufferBefore));
+      const endTime = new Date(availability.end);
 
       while (currentTime < endTime) {
         const slotStart = currentTime.toISOString();
-        const slotEnd = DateUtils.addMinutes(slotStart, defaultDuration);
+        const slotEnd = DateUtils.addMinutes(slotStart, duration);
 
-        // Vérifie si le créneau est libre
-        const isAvailable = !existingEvents.some(ev => 
-          DateUtils.hasOverlap(slotStart, slotEnd, ev.start, ev.end, 20)
+        // Vérifie si le créneau, temps de préparation compris, est libre
+        const occupiedStart = DateUtils.addMinutes(slotStart, -bufferBefore);
+        const occupiedEnd = DateUtils.addMinutes(slotEnd, bufferAfter);
+        const isAvailable = !busy.some(range =>
+          DateUtils.hasOverlap(occupiedStart, occupiedEnd, range.start, range.end)
         );
 
-        if (isAvailable && new Date(slotEnd) <= endTime) {
+        // Seuls les créneaux débutant dans la journée du visiteur sont proposés
+        const isOnSelectedDay = slotStart >= availability.dayStart && slotStart <= availability.dayEnd;
+
+        if (isAvailable && isOnSelectedDay && new Date(slotEnd) <= endTime) {
           slots.push({
             start: slotStart,
             end: slotEnd,
-            label: DateUtils.formatTime(slotStart),
+            label: DateUtils.formatTime(slotStart, { timeZone: this.visitorTimeZone }),
           });
         }
 
-        currentTime = new Date(DateUtils.addMinutes(slotStart, defaultDuration + 20));
+        currentTime = new Date(DateUtils.addMinutes(slotStart, duration + bufferAfter + bufferBefore));
       }
     });
 
@@ -165,9 +478,28 @@ class BookingController {
       return;
     }
 
+    slots.sort((a, b) => new Date(a.start) - new Date(b.start));
+
+    // Limites Harmony : RDV du jour, heures de la semaine, journées critiques
+    const { slots: offered } = this.harmonyEngine.evaluateBookingSlots(
+      storage.queryEvents({
+        startDate: DateUtils.getWeekRangeFor(slots[0].start, this.timeZone).start,
+        endDate: DateUtils.getWeekRangeFor(slots[slots.length - 1].start, this.timeZone).end,
+      }).events.filter(ev => ev.id !== this.managedEvent?.id),
+      slots,
+      { rank: this.professional.rankBookingSlots }
+    );
+
+    if (offered.length === 0) {
+      container.innerHTML = '<p style="color: var(--hs-text-muted); text-align: center">Plus aucun créneau n\'est proposé ce jour, merci de choisir une autre date.</p>';
+      return;
+    }
+
     container.innerHTML = `
+      ${this._renderTimeZoneNotice(offered[0].start)}
+      ${this.professional.rankBookingSlots && offered.length > 1 ? '<p class="slots-ranked" style="color: var(--hs-text-muted); font-size: var(--hs-text-sm); margin-bottom: var(--hs-space-3)">Créneaux conseillés en premier</p>' : ''}
       <div class="slots-grid">
-        ${slots.map(slot => `
+        ${offered.map(slot => `
           <button 
             type="button" 
             class="slot-btn" 
@@ -186,6 +518,49 @@ class BookingController {
     });
   }
 
+  /**
+   * Plage occupée par un rendez-vous existant, temps de préparation de sa prestation compris
+   * (sans prestation : la pause habituelle après le rendez-vous)
+   */
+  _getOccupiedRange(event) {
+    const service = event.serviceId ? storage.getServiceById(event.serviceId) : null;
+    const before = service ? service.bufferBefore : 0;
+    const after = service ? service.bufferAfter : (this.professional.breakDuration ?? 20);
+
+    return {
+      start: DateUtils.addMinutes(event.start, -before),
+      end: DateUtils.addMinutes(event.end, after),
+    };
+  }
+
+  _resetSlot() {
+    this.selectedSlot = null;
+    document.getElementById('bookingFormSection')?.classList.add('hs-hidden');
+    if (this.manageToken) {
+      const newSlot = document.getElementById('manageNewSlot');
+      if (newSlot) newSlot.textContent = 'choisissez une date puis un horaire';
+      const reschedule = document.getElementById('btnManageReschedule');
+      if (reschedule) reschedule.disabled = true;
+    }
+    document.getElementById('step3')?.classList.remove('step--completed');
+    document.getElementById('step4')?.classList.remove('step--active');
+  }
+
+  /**
+   * Précise le fuseau d'affichage quand il diffère de celui du professionnel
+   */
+  _renderTimeZoneNotice(referenceISO) {
+    const visitorOffset = DateUtils.getTimeZoneOffset(referenceISO, this.visitorTimeZone);
+    const proOffset = DateUtils.getTimeZoneOffset(referenceISO, this.timeZone);
+    if (visitorOffset === proOffset) return '';
+
+    return `
+      <p class="slots-timezone" style="color: var(--hs-text-muted); font-size: var(--hs-text-sm); margin-bottom: var(--hs-space-3)">
+        🌍 Horaires affichés dans votre fuseau horaire (${DateUtils.getTimeZoneLabel(this.visitorTimeZone, referenceISO)}).
+      </p>
+    `;
+  }
+
   _selectSlot(btn) {
     // Désélectionne les autres
     document.querySelectorAll('.slot-btn').forEach(b => b.classList.remove('slot-btn--selected'));
@@ -196,6 +571,13 @@ class BookingController {
       end: btn.dataset.slotEnd,
     };
 
+    if (this.manageToken) {
+      document.getElementById('manageNewSlot').textContent =
+        DateUtils.formatDateTime(this.selectedSlot.start, { timeZone: this.visitorTimeZone });
+      document.getElementById('btnManageReschedule').disabled = false;
+      return;
+    }
+
     // Affiche le formulaire
     const formSection = document.getElementById('bookingFormSection');
     const slotLabel = document.getElementById('selectedSlotLabel');
@@ -206,7 +588,12 @@ class BookingController {
     }
 
     if (slotLabel) {
-      slotLabel.textContent = DateUtils.formatDateTime(this.selectedSlot.start);
+      const { name, price } = this.selectedService;
+      slotLabel.textContent = [
+        name,
+        DateUtils.formatDateTime(this.selectedSlot.start, { timeZone: this.visitorTimeZone }),
+        price !== null ? this._formatPrice(price) : null,
+      ].filter(Boolean).join(' · ');
     }
 
     // Met à jour les champs cachés
@@ -214,8 +601,8 @@ class BookingController {
     document.getElementById('bookingEnd').value = this.selectedSlot.end;
 
     // Met à jour les étapes
-    document.getElementById('step2')?.classList.add('step--completed');
-    document.getElementById('step3')?.classList.add('step--active');
+    document.getElementById('step3')?.classList.add('step--completed');
+    document.getElementById('step4')?.classList.add('step--active');
   }
 
   _bindEvents() {
@@ -245,7 +632,10 @@ class BookingController {
 
       try {
         // Crée le RDV en statut "pending"
+        const service = this.selectedService;
         const result = storage.addEvent({
+          ...(service.id ? { serviceId: service.id, title: `${service.name} — ${data.clientName}` } : {}),
+          ...(service.color ? { color: service.color } : {}),
           clientName: data.clientName,
           clientEmail: data.clientEmail,
           clientPhone: data.clientPhone,
@@ -257,6 +647,8 @@ class BookingController {
         });
 
         if (result.success) {
+          await this._showManageLink(result.event.id);
+
           // Affiche le succès
           const formSection = document.getElementById('bookingFormSection');
           const successSection = document.getElementById('bookingSuccess');
@@ -285,13 +677,40 @@ class BookingController {
         }
       }
     });
+
+    document.getElementById('btnCopyManageLink')?.addEventListener('click', async () => {
+      const input = document.getElementById('bookingManageUrl');
+      try {
+        await navigator.clipboard.writeText(input.value);
+        toast.success('Lien copié');
+      } catch {
+        input.select();
+      }
+    });
   }
-}
 
-// Initialise le contrôleur
-const controller = new BookingController();
-if (document.readyState === 'loading') {
-  document.addEventListener('DOMContentLoaded', () => controller.init());
-} else {
-  controller.init();
+  /**
+   * Lien personnel permettant au client d'annuler ou de déplacer sa réservation
+   */
+  async _showManageLink(eventId) {
+    const token = await storage.createManageToken(eventId);
+    if (!token) return;
+
+    const url = new URL(window.location.href);
+    url.search = '';
+    url.hash = '';
+    url.searchParams.set('manage', token);
+    document.getElementById('bookingManageUrl').value = url.toString();
+    document.getElementById('bookingManageLink')?.classList.remove('hs-hidden');
+  }
 }
+
+// Initialise le contrôleur une fois les données chargées
+storage.ready.then(() => {
+  const controller = new BookingController();
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', () => controller.init());
+  } else {
+    controller.init();
+  }
+});
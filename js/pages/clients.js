@@ -0,0 +1,290 @@
+/**
+ * ============================================================
+ * HARMONY SCHEDULER v2.0 — Clients Page Controller
+ * ============================================================
+ * Annuaire des clients et fiche détaillée : coordonnées, notes,
+ * historique des rendez-vous et statistiques (absences, heures).
+ * Demandes RGPD depuis la fiche : export, anonymisation, effacement.
+ * La fiche affichée est reprise de l'URL (clients.html?id=…).
+ */
+
+import { storage } from '../core/StorageManager.js';
+// Journal d'annulation de l'onglet : purgé dès qu'un client est effacé ou anonymisé
+import '../core/CommandHistory.js';
+import { modalSystem } from '../components/ModalSystem.js';
+import { toast } from '../components/ToastSystem.js';
+import { DateUtils } from '../utils/DateUtils.js';
+import { CONFIG } from '../core/Config.js';
+
+const STATUS_LABELS = {
+  [CONFIG.STATUS.CONFIRMED]: 'Confirmé',
+  [CONFIG.STATUS.PENDING]: 'En attente',
+  [CONFIG.STATUS.CANCELLED]: 'Annulé',
+  [CONFIG.STATUS.COMPLETED]: 'Terminé',
+  [CONFIG.STATUS.NO_SHOW]: 'Absent',
+};
+
+class ClientsController {
+  constructor() {
+    this.selectedId = new URLSearchParams(window.location.search).get('id');
+    this.search = '';
+  }
+
+  init() {
+    this._renderList();
+    this._renderProfile();
+    this._bindEvents();
+    // Fiches et rendez-vous modifiés dans un autre onglet
+    storage.subscribe('sync:remote', () => {
+      this._renderList();
+      this._renderProfile();
+    });
+  }
+
+  // ─────────────────────────────────────────────
+  // ANNUAIRE
+  // ─────────────────────────────────────────────
+
+  _renderList() {
+    const list = document.getElementById('clientsList');
+    if (!list) return;
+
+    const clients = storage.getClients({ search: this.search });
+    if (!clients.length) {
+      list.innerHTML = `<li class="clients-empty">${this.search ? 'Aucun client trouvé' : 'Aucun client pour le moment'}</li>`;
+      return;
+    }
+
+    list.innerHTML = clients.map(client => `
+      <li>
+        <button class="clients-list__item ${client.id === this.selectedId ? 'clients-list__item--active' : ''}"
+                data-client-id="${client.id}">
+          <div class="clients-list__name">${client.name}</div>
+          <div class="clients-list__contact">${[client.email, client.phone].filter(Boolean).join(' · ') || 'Sans coordonnées'}</div>
+        </button>
+      </li>
+    `).join('');
+  }
+
+  _select(id) {
+    this.selectedId = id;
+    history.replaceState(null, '', `?id=${encodeURIComponent(id)}`);
+    this._renderList();
+    this._renderProfile();
+  }
+
+  // ─────────────────────────────────────────────
+  // FICHE CLIENT
+  // ─────────────────────────────────────────────
+
+  _renderProfile() {
+    const container = document.getElementById('clientProfile');
+    if (!container) return;
+
+    const profile = this.selectedId ? storage.getClientProfile(this.selectedId) : null;
+    if (!profile) {
+      container.innerHTML = '<p class="clients-empty">Sélectionnez un client pour afficher sa fiche.</p>';
+      return;
+    }
+
+    const { client, events, stats } = profile;
+    const formatDay = iso => iso ? DateUtils.formatDate(iso, { day: 'numeric', month: 'long', year: 'numeric' }) : '—';
+    const now = Date.now();
+
+    container.innerHTML = `
+      <div class="hs-card__header">
+        <div>
+          <div class="hs-card__title">${client.name}</div>
+          <div class="client-profile__contact">
+            ${client.email ? `✉️ ${client.email}` : ''}
+            ${client.phone ? ` 📞 ${client.phone}` : ''}
+            ${!client.email && !client.phone ? 'Aucune coordonnée' : ''}
+          </div>
+        </div>
+        <button id="btnEditClient" class="hs-btn hs-btn--ghost hs-btn--sm">Modifier</button>
+      </div>
+
+      <div class="hs-stats-grid" style="margin-bottom: var(--hs-space-6)">
+        <div class="hs-stat-card">
+          <div class="hs-stat-card__label">Séances</div>
+          <div class="hs-stat-card__value">${stats.visitCount}</div>
+          <div class="hs-stat-card__change">Depuis le ${formatDay(stats.firstVisit)}</div>
+        </div>
+        <div class="hs-stat-card">
+          <div class="hs-stat-card__label">Heures au total</div>
+          <div class="hs-stat-card__value">${stats.totalHours}h</div>
+        </div>
+        <div class="hs-stat-card">
+          <div class="hs-stat-card__label">Absences</div>
+          <div class="hs-stat-card__value">${stats.noShowCount}</div>
+          <div class="hs-stat-card__change">${stats.cancelledCount} annulation(s)</div>
+        </div>
+        <div class="hs-stat-card">
+          <div class="hs-stat-card__label">Prochain RDV</div>
+          <div class="hs-stat-card__value" style="font-size: var(--hs-text-lg)">${formatDay(stats.nextVisit)}</div>
+          <div class="hs-stat-card__change">${stats.upcomingCount} à venir</div>
+        </div>
+      </div>
+
+      <form id="clientNotesForm" style="margin-bottom: var(--hs-space-6)">
+        <label class="field-label" for="clientNotes">📝 Notes</label>
+        <textarea id="clientNotes" name="notes" class="hs-field client-profile__notes"
+                  placeholder="Informations utiles sur ce client">${client.notes || ''}</textarea>
+        <button type="submit" class="hs-btn hs-btn--secondary hs-btn--sm" style="margin-top: var(--hs-space-2)">
+          Enregistrer les notes
+        </button>
+      </form>
+
+      <div class="hs-card__title" style="margin-bottom: var(--hs-space-3)">Historique des rendez-vous</div>
+      ${events.length ? `
+        <ul class="client-history">
+          ${events.map(ev => `
+            <li class="client-history__item ${new Date(ev.start).getTime() > now ? 'client-history__item--upcoming' : ''}">
+              <span>${DateUtils.formatDateTime(ev.start)} · ${DateUtils.hoursBetween(ev.start, ev.end)}h</span>
+              <span>${STATUS_LABELS[ev.status] || ev.status}</span>
+            </li>
+          `).join('')}
+        </ul>
+      ` : '<p class="clients-empty">Aucun rendez-vous enregistré.</p>'}
+
+      <div class="client-privacy">
+        <div class="hs-card__title" style="margin-bottom: var(--hs-space-2)">🛡️ Données personnelles</div>
+        <p class="client-privacy__help">Demandes d'accès, d'anonymisation ou d'effacement (RGPD), inscrites au journal des paramètres.</p>
+        <div class="client-privacy__actions">
+          <button class="hs-btn hs-btn--secondary hs-btn--sm" data-privacy-action="export">Exporter ses données</button>
+          <button class="hs-btn hs-btn--ghost hs-btn--sm" data-privacy-action="anonymize">Anonymiser</button>
+          <button class="hs-btn hs-btn--danger hs-btn--sm" data-privacy-action="erase">Effacer</button>
+        </div>
+      </div>
+    `;
+
+    document.getElementById('btnEditClient')?.addEventListener('click', () => this._openClientForm(client));
+    document.getElementById('clientNotesForm')?.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this._saveNotes(client.id, e.target.elements.notes.value);
+    });
+    container.querySelectorAll('[data-privacy-action]').forEach(btn => {
+      btn.addEventListener('click', () => this._onPrivacyAction(btn.dataset.privacyAction, client));
+    });
+  }
+
+  // ─────────────────────────────────────────────
+  // DONNÉES PERSONNELLES (RGPD)
+  // ─────────────────────────────────────────────
+
+  _onPrivacyAction(action, client) {
+    if (action === 'export') {
+      this._exportClient(client);
+    } else {
+      this._openClientRequest(action, client);
+    }
+  }
+
+  _exportClient(client) {
+    const result = storage.exportClientData(client.id);
+    if (!result.success) {
+      toast.error(result.error);
+      return;
+    }
+
+    const blob = new Blob([JSON.stringify(result.data, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `harmony-client-${DateUtils.getTodayKey()}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+    toast.success('Données du client exportées');
+  }
+
+  /**
+   * Anonymisation ou effacement, avec le motif de la demande pour le journal
+   */
+  _openClientRequest(action, client) {
+    const erase = action === 'erase';
+
+    modalSystem.form({
+      title: erase ? `Effacer — ${client.name}` : `Anonymiser — ${client.name}`,
+      intro: erase
+        ? '<p>La fiche et tous les rendez-vous de ce client seront <strong>supprimés définitivement</strong>, points de restauration compris. Ses heures disparaîtront des statistiques.</p>'
+        : '<p>La fiche sera supprimée et ses rendez-vous conservés sans nom, coordonnées ni notes : les statistiques restent inchangées. <strong>Cette action est définitive.</strong></p>',
+      fields: [
+        { name: 'reason', label: 'Motif', type: 'text', placeholder: 'Ex. : demande reçue par email le 12/10', helpText: 'Inscrit au journal RGPD' },
+      ],
+      submitText: erase ? 'Effacer définitivement' : 'Anonymiser',
+      onSubmit: async (data) => {
+        const result = erase
+          ? await storage.eraseClient(client.id, { reason: data.reason })
+          : await storage.anonymizeClient(client.id, { reason: data.reason });
+        if (!result.success) throw new Error(result.error);
+
+        toast.success(erase
+          ? `Client effacé (${result.appointments} rendez-vous)`
+          : `Client anonymisé (${result.appointments} rendez-vous)`);
+        this.selectedId = null;
+        history.replaceState(null, '', window.location.pathname);
+        this._renderList();
+        this._renderProfile();
+      },
+    });
+  }
+
+  _saveNotes(id, notes) {
+    const result = storage.updateClient(id, { notes });
+    if (result.success) {
+      toast.success('Notes enregistrées');
+    } else {
+      toast.error(Object.values(result.errors)[0]);
+    }
+  }
+
+  /**
+   * Création (sans argument) ou modification d'une fiche
+   */
+  _openClientForm(client = null) {
+    modalSystem.form({
+      title: client ? `Modifier — ${client.name}` : 'Nouveau client',
+      fields: [
+        { name: 'name',  label: 'Nom',       type: 'text',  required: true, value: client?.name || '' },
+        { name: 'email', label: 'Email',     type: 'email', value: client?.email || '' },
+        { name: 'phone', label: 'Téléphone', type: 'tel',   value: client?.phone || '' },
+      ],
+      onSubmit: async (data) => {
+        const result = client ? storage.updateClient(client.id, data) : storage.addClient(data);
+
+        if (!result.success) {
+          throw new Error(Object.values(result.errors).join(', '));
+        }
+
+        toast.success(client ? 'Fiche mise à jour' : `Fiche créée pour ${result.client.name}`);
+        this._select(result.client.id);
+      },
+    });
+  }
+
+  _bindEvents() {
+    document.getElementById('clientSearch')?.addEventListener('input', (e) => {
+      this.search = e.target.value;
+      this._renderList();
+    });
+
+    document.getElementById('clientsList')?.addEventListener('click', (e) => {
+      const item = e.target.closest('[data-client-id]');
+      if (item) this._select(item.dataset.clientId);
+    });
+
+    document.getElementById('btnNewClient')?.addEventListener('click', () => {
+      this._openClientForm();
+    });
+  }
+}
+
+// Initialise le contrôleur une fois les données chargées
+storage.ready.then(() => {
+  const controller = new ClientsController();
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', () => controller.init());
+  } else {
+    controller.init();
+  }
+});
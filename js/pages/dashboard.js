@@ -39,31 +39,50 @@
 
 import { storage } from '../core/StorageManager.js';
 import { HarmonyEngine } from '../core/HarmonyEngine.js';
+import { weeklyReportScheduler } from '../core/WeeklyReportScheduler.js';
+import { commandHistory } from '../core/CommandHistory.js';
 import { HarmonyScoreWidget } from '../components/HarmonyScoreWidget.js';
 import { modalSystem } from '../components/ModalSystem.js';
 import { toast } from '../components/ToastSystem.js';
+import { lockScreen } from '../components/LockScreen.js';
 import { DateUtils } from '../utils/DateUtils.js';
+import { RecurrenceUtils } from '../utils/RecurrenceUtils.js';
+import { ClientUtils } from '../utils/ClientUtils.js';
+import { AvailabilityUtils } from '../utils/AvailabilityUtils.js';
 import { CONFIG } from '../core/Config.js';
 
 class DashboardController {
   constructor() {
     this.calendar = null;
-    this.harmonyEngine = new HarmonyEngine(storage.getProfessional());
+    this.harmonyEngine = this._createEngine();
     this.scoreWidget = null;
     this.currentWeekRange = DateUtils.getCurrentWeekRange();
   }
 
   async init() {
     console.log('🌿 Dashboard init...');
+    weeklyReportScheduler.start();
+    this.harmonyEngine = this._createEngine();
     this._initCalendar();
     this._initScoreWidget();
     this._updateStats();
+    this._renderPendingInbox();
     this._loadAlerts();
     this._checkPredictions();
     this._bindEvents();
+    this._bindHistoryShortcuts();
+    this._updateTrashCount();
+    storage.subscribe('sync:remote', (change) => this._onRemoteChange(change));
     console.log('✅ Dashboard prêt');
   }
 
+  _createEngine() {
+    return new HarmonyEngine(storage.getProfessional(), {
+      stressModel: storage.getStressModel().params,
+      availability: { template: storage.getAvailability(), overrides: storage.getAvailabilityOverrides() },
+    });
+  }
+
   // ─────────────────────────────────────────────
   // CALENDRIER
   // ─────────────────────────────────────────────
@@ -90,6 +109,10 @@ class DashboardController {
       selectable: true,
       selectMirror: true,
       events: formattedEvents,
+      eventSources: [{
+        id: 'availability',
+        events: (info, success) => success(this._getAvailabilityBackground(info.start, info.end)),
+      }],
       eventClick:  (info) => this._onEventClick(info),
       select:      (info) => this._onDateSelect(info),
       eventDrop:   (info) => this._onEventDrop(info),
@@ -124,18 +147,64 @@ class DashboardController {
           notes:       ev.notes,
           status:      ev.status,
           type:        ev.type,
+          clientId:    ev.clientId || null,
+          seriesId:    ev.seriesId || null,
+          isOccurrence: !!ev.isOccurrence,
+          recurrence:  ev.recurrence || null,
         },
       }));
   }
 
+  /**
+   * Fond du calendrier : heures d'ouverture (modèle hebdomadaire corrigé
+   * par les exceptions datées) et journées fermées
+   */
+  _getAvailabilityBackground(rangeStart, rangeEnd) {
+    const timeZone = DateUtils.getTimeZone();
+    const template = storage.getAvailability();
+    const from = DateUtils.toDateKey(rangeStart, timeZone);
+    const to = DateUtils.toDateKey(rangeEnd, timeZone);
+    const overrides = storage.getAvailabilityOverrides({ from, to });
+    const background = [];
+
+    for (let dateKey = from; dateKey <= to; dateKey = DateUtils.addDaysToKey(dateKey, 1)) {
+      AvailabilityUtils.getWindowsForDate(dateKey, template, overrides).forEach(window => {
+        background.push({
+          start: DateUtils.zonedTimeToISO(dateKey, window.start, timeZone),
+          end: DateUtils.zonedTimeToISO(dateKey, window.end, timeZone),
+          display: 'background',
+          classNames: ['harmony-availability'],
+        });
+      });
+
+      const closure = AvailabilityUtils.getOverridesForDate(dateKey, overrides)
+        .find(o => o.type === CONFIG.AVAILABILITY_OVERRIDES.TYPES.CLOSED);
+      if (closure) {
+        background.push({
+          title: closure.label || 'Fermé',
+          start: dateKey,
+          end: DateUtils.addDaysToKey(dateKey, 1),
+          allDay: true,
+          display: 'background',
+          classNames: ['harmony-availability--closed'],
+        });
+      }
+    }
+
+    return background;
+  }
+
   /**
    * Recharge entièrement le calendrier depuis le storage.
    * Appelé après chaque création / import / suppression.
    */
   _reloadCalendar() {
     if (!this.calendar) return;
-    // Supprime tous les événements existants
-    this.calendar.getEvents().forEach(ev => ev.remove());
+    // Supprime tous les événements existants (le fond de disponibilités est recalculé à part)
+    this.calendar.getEvents()
+      .filter(ev => ev.source?.id !== 'availability')
+      .forEach(ev => ev.remove());
+    this.calendar.getEventSourceById('availability')?.refetch();
     // Rajoute les événements mis à jour
     this._getFormattedEvents().forEach(ev => this.calendar.addEvent(ev));
     console.log('📅 Calendrier rechargé');
@@ -156,6 +225,9 @@ class DashboardController {
 
     const scoreData = this.harmonyEngine.computeWeeklyScore(events, {
       weekRange: this.currentWeekRange,
+      // Historique complet pour comparer aux semaines précédentes
+      history:   storage.getAllEvents({ type: CONFIG.EVENT_TYPES.APPOINTMENT }),
+      recoveryHistory: storage.getRecoveryHistory({ before: this.currentWeekRange.start }),
     });
 
     this.scoreWidget = new HarmonyScoreWidget('harmonyScoreWidget', {
@@ -166,11 +238,18 @@ class DashboardController {
 
     this.scoreWidget.render(scoreData);
 
-    const today = new Date().toISOString().split('T')[0];
+    const today = DateUtils.getTodayKey();
     const dailyScore = this.harmonyEngine.computeDailyScore(today, events);
     this._updateDailyScore(dailyScore);
 
-    if (scoreData.recoveryRecommendation?.recommendedHours > 0) {
+    // Persiste le bilan de récupération de la semaine (dette reportée ensuite) ;
+    // sans écriture tant que le bilan ne change pas
+    if (scoreData.recoveryRecommendation?.record) {
+      storage.saveRecoveryRecord(scoreData.recoveryRecommendation.record);
+    }
+
+    if (scoreData.recoveryRecommendation?.recommendedHours > 0 ||
+        scoreData.recoveryRecommendation?.recoveryDebt > 0) {
       this._showRecoveryRecommendation(scoreData.recoveryRecommendation);
     }
   }
@@ -257,7 +336,7 @@ class DashboardController {
     const weeklyCount = document.getElementById('statWeeklyCount');
     if (weeklyCount) weeklyCount.textContent = weekEvents.length;
 
-    const today = new Date().toISOString().split('T')[0];
+    const today = DateUtils.getTodayKey();
     const todayEl = document.getElementById('statTodayCount');
     if (todayEl) todayEl.textContent = (byDay[today] || []).length;
 
@@ -296,8 +375,10 @@ class DashboardController {
     if (!container) return;
 
     const events        = storage.getAllEvents({ type: CONFIG.EVENT_TYPES.APPOINTMENT });
-    const criticalDays  = this.harmonyEngine.detectCriticalDays(events);
-    const blockSuggest  = this.harmonyEngine.suggestOptimalBlocks(events);
+    const today         = DateUtils.getTodayKey();
+    const criticalDays  = this.harmonyEngine.detectCriticalDays(events, { fromDate: today });
+    // Toutes les entrées : pauses et blocages existants ne doivent pas être re-suggérés
+    const blockSuggest  = this.harmonyEngine.suggestOptimalBlocks(storage.getAllEvents(), { fromDate: today });
     const alerts        = [];
 
     criticalDays.forEach(day => {
@@ -305,7 +386,13 @@ class DashboardController {
         type:    'danger',
         title:   `⚠️ Journée critique : ${DateUtils.formatDate(day.date, { day: 'numeric', month: 'long' })}`,
         message: `${day.eventCount} RDV prévus · ${day.totalHours}h de travail`,
+        factors: day.factors.filter(f => f.severity !== 'low'),
         action:  { text: 'Voir', onClick: () => this._goToDate(day.date) },
+        // Actions correctives exécutables en un clic
+        suggestions: day.suggestedActions.map(suggestion => ({
+          text:    suggestion.label,
+          onClick: () => this._executeSuggestedAction(suggestion),
+        })),
       });
     });
 
@@ -313,7 +400,7 @@ class DashboardController {
       alerts.push({
         type:    'warning',
         title:   `🔒 Suggestion : bloquer ${block.timeLabel || 'ce créneau'}`,
-        message: block.reason || '',
+        message: `${block.reason || ''} · +${block.expectedGain} pts de score préservés`,
         action:  { text: 'Bloquer', onClick: () => this._blockSlot(block) },
       });
     });
@@ -334,6 +421,20 @@ class DashboardController {
         <div class="hs-alert__content">
           <div class="hs-alert__title">${alert.title}</div>
           <p class="hs-alert__message">${alert.message}</p>
+          ${alert.factors?.length ? `
+            <ul class="hs-alert__factors">
+              ${alert.factors.map(f => `<li title="${f.detail}"><strong>${f.label}</strong> — ${f.detail}</li>`).join('')}
+            </ul>
+          ` : ''}
+          ${alert.suggestions?.length ? `
+            <div class="hs-alert__actions">
+              ${alert.suggestions.map((suggestion, j) => `
+                <button class="hs-btn hs-btn--sm hs-btn--secondary" data-alert-suggestion="${j}">
+                  ${suggestion.text}
+                </button>
+              `).join('')}
+            </div>
+          ` : ''}
         </div>
         ${alert.action ? `
           <button class="hs-btn hs-btn--sm hs-btn--ghost" data-alert-action>
@@ -343,8 +444,11 @@ class DashboardController {
       </div>
     `).join('');
 
-    container.querySelectorAll('[data-alert-action]').forEach((btn, i) => {
-      btn.addEventListener('click', () => alerts[i].action?.onClick?.());
+    container.querySelectorAll('.hs-alert').forEach((el, i) => {
+      el.querySelector('[data-alert-action]')?.addEventListener('click', () => alerts[i].action?.onClick?.());
+      el.querySelectorAll('[data-alert-suggestion]').forEach(btn => {
+        btn.addEventListener('click', () => alerts[i].suggestions[btn.dataset.alertSuggestion]?.onClick?.());
+      });
     });
   }
 
@@ -375,8 +479,28 @@ class DashboardController {
     console.log('🔄 Rafraîchissement du dashboard...');
     this._reloadCalendar();
     this._updateStats();
+    this._renderPendingInbox();
     this._loadAlerts();
     this._initScoreWidget();
+    this._updateTrashCount();
+  }
+
+  /**
+   * Données modifiées dans un autre onglet : tout est recalculé, et les
+   * modifications locales écartées par un conflit sont signalées.
+   */
+  _onRemoteChange({ conflicts }) {
+    console.log('🔄 Modifications reçues d\'un autre onglet');
+    this.harmonyEngine = this._createEngine();
+    this._refreshDashboard();
+
+    const overridden = conflicts.filter(c => c.collection === 'events' && c.kept === 'remote');
+    if (overridden.length) {
+      const names = overridden.map(c => (c.local || c.remote).clientName || (c.local || c.remote).title || 'Rendez-vous');
+      toast.warning(`${names.join(', ')} : modifié entre-temps dans un autre onglet, votre modification n'a pas été conservée.`, {
+        duration: 8000,
+      });
+    }
   }
 
   // ─────────────────────────────────────────────
@@ -396,7 +520,7 @@ class DashboardController {
       const url  = URL.createObjectURL(blob);
       const link = document.createElement('a');
       link.href     = url;
-      link.download = `harmony-export-${new Date().toISOString().split('T')[0]}.csv`;
+      link.download = `harmony-export-${DateUtils.getTodayKey()}.csv`;
       link.click();
       URL.revokeObjectURL(url);
       toast.success('Export CSV téléchargé');
@@ -406,6 +530,17 @@ class DashboardController {
     // On injecte dynamiquement un bouton + input file si non présents dans le HTML
     this._injectImportButton();
 
+    // Corbeille
+    document.getElementById('btnTrash')?.addEventListener('click', () => {
+      this._openTrash();
+    });
+
+    // Demandes de réservation
+    document.getElementById('pendingInboxList')?.addEventListener('click', (e) => {
+      const btn = e.target.closest('[data-request-action]');
+      if (btn) this._onRequestAction(btn.dataset.requestAction, btn.dataset.id, btn.dataset.slot);
+    });
+
     // Voir prédictions
     document.getElementById('btnViewPredictions')?.addEventListener('click', () => {
       window.location.href = 'analytics.html#predictions';
@@ -501,42 +636,48 @@ class DashboardController {
       let imported = 0;
       let skipped  = 0;
 
-      // On parcourt les lignes de données (skip la ligne 1 = header)
-      for (let i = 1; i < lines.length; i++) {
-        const cols = this._parseCSVLine(lines[i]);
-        if (cols.length < 2) { skipped++; continue; }
-
-        // Construit l'objet événement selon le format détecté
-        const eventData = this._mapCSVRowToEvent(headers, cols);
-
-        if (!eventData) { skipped++; continue; }
-
-        // Vérifie que start et end sont des dates valides
-        if (!eventData.start || !eventData.end ||
-            isNaN(new Date(eventData.start)) || isNaN(new Date(eventData.end))) {
-          console.warn(`⚠️ Ligne ${i + 1} ignorée : dates invalides`, cols);
-          skipped++;
-          continue;
+      // Tout l'import forme une seule commande annulable
+      await commandHistory.run('Import CSV', () => {
+        // On parcourt les lignes de données (skip la ligne 1 = header)
+        for (let i = 1; i < lines.length; i++) {
+          const cols = this._parseCSVLine(lines[i]);
+          if (cols.length < 2) { skipped++; continue; }
+
+          // Construit l'objet événement selon le format détecté
+          const eventData = this._mapCSVRowToEvent(headers, cols);
+
+          if (!eventData) { skipped++; continue; }
+
+          // Vérifie que start et end sont des dates valides
+          if (!eventData.start || !eventData.end ||
+              isNaN(new Date(eventData.start)) || isNaN(new Date(eventData.end))) {
+            console.warn(`⚠️ Ligne ${i + 1} ignorée : dates invalides`, cols);
+            skipped++;
+            continue;
+          }
+
+          // Appel à storage.addEvent() — c'est lui qui valide et persiste
+          const result = storage.addEvent(eventData);
+
+          if (result.success) {
+            imported++;
+            console.log(`✅ RDV importé (ligne ${i + 1}) :`, result.event.clientName,
+                        result.event.start);
+          } else {
+            console.warn(`❌ Ligne ${i + 1} rejetée :`, result.errors);
+            skipped++;
+          }
         }
-
-        // Appel à storage.addEvent() — c'est lui qui valide et persiste
-        const result = storage.addEvent(eventData);
-
-        if (result.success) {
-          imported++;
-          console.log(`✅ RDV importé (ligne ${i + 1}) :`, result.event.clientName,
-                      result.event.start);
-        } else {
-          console.warn(`❌ Ligne ${i + 1} rejetée :`, result.errors);
-          skipped++;
-        }
-      }
+        return { success: imported > 0 };
+      });
 
       // Rafraîchit tout le dashboard
       this._refreshDashboard();
 
       if (imported > 0) {
-        toast.success(`✅ ${imported} rendez-vous importés avec succès.${skipped > 0 ? ` (${skipped} lignes ignorées)` : ''}`);
+        toast.success(`✅ ${imported} rendez-vous importés avec succès.${skipped > 0 ? ` (${skipped} lignes ignorées)` : ''}`, {
+          action: this._undoAction(),
+        });
       } else {
         toast.warning(`Aucun RDV importé. ${skipped} ligne(s) ignorée(s). Vérifiez le format du fichier.`);
       }
@@ -648,46 +789,56 @@ class DashboardController {
   // ─────────────────────────────────────────────
 
   _openNewEventModal() {
-    modalSystem.form({
+    const modal = modalSystem.form({
       title: 'Nouveau rendez-vous',
       fields: [
-        { name: 'clientName', label: 'Nom du client',   type: 'text',   required: true },
+        { name: 'clientName', label: 'Nom du client',   type: 'text',   required: true,
+          suggestions: this._getClientSuggestions() },
         { name: 'clientEmail',label: 'Email',            type: 'email' },
         { name: 'clientPhone',label: 'Téléphone',        type: 'tel' },
         { name: 'date',        label: 'Date',            type: 'date',   required: true },
         { name: 'time',        label: 'Heure de début',  type: 'time',   required: true },
-        { name: 'duration',    label: 'Durée (minutes)', type: 'number', value: '60' },
+        ...this._getServiceFields(),
+        { name: 'duration',    label: 'Durée (minutes)', type: 'number',
+          placeholder: 'Durée de la prestation, à défaut 60' },
         { name: 'notes',       label: 'Notes',           type: 'textarea' },
+        ...this._getRecurrenceFields(),
       ],
       onSubmit: async (data) => {
-        const start    = new Date(`${data.date}T${data.time}`);
-        const duration = parseInt(data.duration, 10) || 60;
+        // Heure saisie dans le fuseau du professionnel
+        const start    = new Date(DateUtils.zonedTimeToISO(data.date, data.time));
+        const service  = storage.getServiceById(data.serviceId);
+        const duration = parseInt(data.duration, 10) || service?.duration || 60;
         const end      = new Date(start.getTime() + duration * 60000);
 
         console.log('📝 Création RDV :', data.clientName, start.toISOString());
 
-        const result = storage.addEvent({
+        const result = await commandHistory.run('Création d\'un rendez-vous', () => storage.addEvent({
+          clientId:    getSelectedClient()?.id,
           clientName:  data.clientName,
           clientEmail: data.clientEmail,
           clientPhone: data.clientPhone,
           start:  start.toISOString(),
           end:    end.toISOString(),
           notes:  data.notes,
+          ...this._getServiceEventData(service, data.clientName),
           // ✅ Type et statut explicitement définis
           type:   CONFIG.EVENT_TYPES.APPOINTMENT,
           status: CONFIG.STATUS.CONFIRMED,
-        });
+          recurrence: this._parseRecurrence(data),
+        }));
 
         if (result.success) {
           console.log('✅ RDV créé avec ID :', result.event.id);
           this._refreshDashboard();
-          toast.success(`Rendez-vous créé pour ${data.clientName}`);
+          toast.success(`Rendez-vous créé pour ${data.clientName}`, { action: this._undoAction() });
         } else {
           console.error('❌ Erreur création RDV :', result.errors);
           throw new Error(Object.values(result.errors).join(', '));
         }
       },
     });
+    const getSelectedClient = this._bindClientAutocomplete(modal);
   }
 
   // ─────────────────────────────────────────────
@@ -709,41 +860,159 @@ class DashboardController {
    */
   _openNewEventModalWithDate(start, end) {
     const durationMin = Math.round((end - start) / 60000);
+    const simulation  = this.harmonyEngine.simulateChanges(storage.getAllEvents(), {
+      add: [{ start: start.toISOString(), end: end.toISOString() }],
+    });
 
-    modalSystem.form({
+    const modal = modalSystem.form({
       title:  `Nouveau rendez-vous — ${DateUtils.formatDateTime(start.toISOString())}`,
+      intro:  this._renderSimulationPreview(simulation),
       fields: [
-        { name: 'clientName',  label: 'Nom du client', type: 'text',     required: true },
+        { name: 'clientName',  label: 'Nom du client', type: 'text',     required: true,
+          suggestions: this._getClientSuggestions() },
         { name: 'clientEmail', label: 'Email',          type: 'email' },
         { name: 'clientPhone', label: 'Téléphone',      type: 'tel' },
+        ...this._getServiceFields(),
         { name: 'notes',       label: 'Notes',          type: 'textarea' },
+        ...this._getRecurrenceFields(),
       ],
       onSubmit: async (data) => {
         console.log('📝 Création RDV via calendrier :', data.clientName,
                     start.toISOString(), '→', end.toISOString());
 
         // ✅ Champs extraits explicitement — plus d'erreur de validation
-        const result = storage.addEvent({
+        const result = await commandHistory.run('Création d\'un rendez-vous', () => storage.addEvent({
+          clientId:    getSelectedClient()?.id,
           clientName:  data.clientName,
           clientEmail: data.clientEmail  || '',
           clientPhone: data.clientPhone  || '',
           notes:       data.notes        || '',
+          ...this._getServiceEventData(storage.getServiceById(data.serviceId), data.clientName),
           start:  start.toISOString(),
           end:    end.toISOString(),
           type:   CONFIG.EVENT_TYPES.APPOINTMENT,
           status: CONFIG.STATUS.CONFIRMED,
-        });
+          recurrence: this._parseRecurrence(data),
+        }));
 
         if (result.success) {
           console.log('✅ RDV créé :', result.event.id, result.event.clientName);
           this._refreshDashboard();
-          toast.success(`Rendez-vous créé pour ${data.clientName}`);
+          toast.success(`Rendez-vous créé pour ${data.clientName}`, { action: this._undoAction() });
         } else {
           console.error('❌ Erreur :', result.errors);
           throw new Error(Object.values(result.errors).join(', '));
         }
       },
     });
+    const getSelectedClient = this._bindClientAutocomplete(modal);
+  }
+
+  // ─────────────────────────────────────────────
+  // PRESTATIONS
+  // ─────────────────────────────────────────────
+
+  _getServiceFields() {
+    const services = storage.getServices();
+    if (!services.length) return [];
+
+    return [{
+      name: 'serviceId', label: 'Prestation', type: 'select', value: '',
+      options: [
+        { value: '', label: 'Aucune' },
+        ...services.map(service => ({ value: service.id, label: `${service.name} (${service.duration} min)` })),
+      ],
+    }];
+  }
+
+  /**
+   * Identifiant, intitulé et couleur du RDV repris de la prestation choisie
+   */
+  _getServiceEventData(service, clientName) {
+    if (!service) return {};
+    return { serviceId: service.id, title: `${service.name} — ${clientName}`, color: service.color };
+  }
+
+  // ─────────────────────────────────────────────
+  // AUTOCOMPLÉTION CLIENT
+  // ─────────────────────────────────────────────
+
+  _getClientSuggestions() {
+    return storage.getClients().map(client => ({
+      value: client.name,
+      label: [client.email, client.phone].filter(Boolean).join(' · '),
+    }));
+  }
+
+  /**
+   * Choisir un client connu pré-remplit ses coordonnées.
+   * @returns {Function} Accesseur vers la fiche retenue (ou null)
+   */
+  _bindClientAutocomplete(modal) {
+    const form = modal.element.querySelector('form');
+    let selected = null;
+
+    form?.elements.clientName?.addEventListener('input', (e) => {
+      const name = ClientUtils.normalizeName(e.target.value);
+      selected = storage.getClients().find(client => ClientUtils.normalizeName(client.name) === name) || null;
+
+      if (selected) {
+        if (selected.email) form.elements.clientEmail.value = selected.email;
+        if (selected.phone) form.elements.clientPhone.value = selected.phone;
+      }
+    });
+
+    return () => selected;
+  }
+
+  // ─────────────────────────────────────────────
+  // RÉCURRENCE
+  // ─────────────────────────────────────────────
+
+  _getRecurrenceFields() {
+    const { FREQUENCIES } = CONFIG.RECURRENCE;
+    return [
+      {
+        name: 'frequency', label: 'Répétition', type: 'select', value: '',
+        options: [
+          { value: '',                    label: 'Ne se répète pas' },
+          { value: FREQUENCIES.DAILY,   label: 'Tous les N jours' },
+          { value: FREQUENCIES.WEEKLY,  label: 'Toutes les N semaines' },
+          { value: FREQUENCIES.MONTHLY, label: 'Tous les N mois (même jour de semaine)' },
+        ],
+      },
+      { name: 'interval', label: 'N (intervalle)',          type: 'number', value: '1' },
+      { name: 'until',    label: 'Jusqu\'au',               type: 'date' },
+      { name: 'count',    label: 'Ou nombre de séances',     type: 'number',
+        helpText: 'Indiquez une date de fin ou un nombre de séances' },
+    ];
+  }
+
+  _parseRecurrence(data) {
+    if (!data.frequency) return null;
+    return {
+      frequency: data.frequency,
+      interval:  parseInt(data.interval, 10) || 1,
+      until:     data.until || null,
+      count:     parseInt(data.count, 10) || null,
+    };
+  }
+
+  /**
+   * Demande la portée d'une modification sur une occurrence de série.
+   * @returns {Promise<string|null>} Portée (CONFIG.RECURRENCE.SCOPES), null si annulé
+   */
+  _askRecurrenceScope(title, verb) {
+    const { SCOPES } = CONFIG.RECURRENCE;
+    return modalSystem.choose({
+      title,
+      message: `Ce rendez-vous fait partie d'une série. Que souhaitez-vous ${verb} ?`,
+      choices: [
+        { value: SCOPES.THIS,      text: 'Cette séance',              class: 'btn--ghost' },
+        { value: SCOPES.FOLLOWING, text: 'Celle-ci et les suivantes', class: 'btn--ghost' },
+        { value: SCOPES.ALL,       text: 'Toute la série' },
+      ],
+    });
   }
 
   // ─────────────────────────────────────────────
@@ -754,7 +1023,12 @@ class DashboardController {
     const event = info.event;
     const props = event.extendedProps;
 
-    modalSystem.create({
+    if (props.status === CONFIG.STATUS.PENDING) {
+      this._openPendingConfirmation(event);
+      return;
+    }
+
+    const modal = modalSystem.create({
       title:   event.title,
       content: `
         <div style="margin-bottom:var(--hs-space-4)">
@@ -762,6 +1036,8 @@ class DashboardController {
           <p><strong>⏱</strong> ${DateUtils.hoursBetween(event.start.toISOString(), event.end.toISOString())}h</p>
           ${props.clientEmail ? `<p><strong>✉️</strong> ${props.clientEmail}</p>` : ''}
           ${props.clientPhone ? `<p><strong>📞</strong> ${props.clientPhone}</p>` : ''}
+          ${props.clientId ? `<p><a href="clients.html?id=${props.clientId}">👤 Voir la fiche client</a></p>` : ''}
+          ${props.recurrence ? `<p><strong>🔁</strong> ${RecurrenceUtils.describe(props.recurrence, DateUtils.toDateKey(storage.getEventById(props.seriesId)?.start || event.start.toISOString()))}</p>` : ''}
           ${props.notes ? `
             <p style="margin-top:var(--hs-space-3);padding:var(--hs-space-3);
                        background:var(--hs-surface-2);border-radius:var(--hs-radius-md)">
@@ -771,15 +1047,23 @@ class DashboardController {
       `,
       buttons: [
         { text: 'Fermer',    class: 'hs-btn hs-btn--ghost',   action: 'cancel' },
-        { text: 'Supprimer', class: 'hs-btn hs-btn--danger',  action: 'delete' },
+        { text: 'Supprimer', class: 'hs-btn hs-btn--danger',  action: 'confirm' },
       ],
-      onConfirm: () => {
+      onConfirm: async () => {
         // Bouton "Supprimer" déclenche onConfirm car c'est le bouton primary
-        const result = storage.deleteEvent(event.id);
+        modal.close();
+
+        let scope;
+        if (props.isOccurrence) {
+          scope = await this._askRecurrenceScope('Supprimer un rendez-vous récurrent', 'supprimer');
+          if (!scope) return;
+        }
+
+        const result = await commandHistory.run('Suppression d\'un rendez-vous', () => storage.deleteEvent(event.id, { scope }));
         if (result.success) {
           console.log('🗑️ RDV supprimé :', event.id);
           this._refreshDashboard();
-          toast.success('Rendez-vous supprimé');
+          toast.success('Rendez-vous supprimé', { action: this._undoAction() });
         } else {
           toast.error('Impossible de supprimer ce rendez-vous');
         }
@@ -787,21 +1071,300 @@ class DashboardController {
     });
   }
 
+  // ─────────────────────────────────────────────
+  // CONFIRMATION D'UNE DEMANDE EN ATTENTE
+  // ─────────────────────────────────────────────
+
+  _openPendingConfirmation(event) {
+    const props      = event.extendedProps;
+    const simulation = this.harmonyEngine.simulateChanges(storage.getAllEvents(), {
+      confirm: [event.id],
+    });
+
+    const modal = modalSystem.create({
+      title:   `Demande en attente — ${event.title}`,
+      content: `
+        <div style="margin-bottom:var(--hs-space-4)">
+          <p><strong>📅</strong> ${DateUtils.formatDateTime(event.start.toISOString())}</p>
+          <p><strong>⏱</strong> ${DateUtils.hoursBetween(event.start.toISOString(), event.end.toISOString())}h</p>
+          ${props.clientEmail ? `<p><strong>✉️</strong> ${props.clientEmail}</p>` : ''}
+          ${props.clientPhone ? `<p><strong>📞</strong> ${props.clientPhone}</p>` : ''}
+        </div>
+        ${this._renderSimulationPreview(simulation)}
+      `,
+      buttons: [
+        { text: 'Plus tard',  class: 'hs-btn hs-btn--ghost',   action: 'cancel' },
+        { text: 'Confirmer',  class: 'hs-btn hs-btn--primary', action: 'confirm' },
+      ],
+      onConfirm: async () => {
+        modal.close();
+        const result = await this._acceptRequest(event.id);
+        if (!result) return;
+
+        if (result.success) {
+          console.log('✅ Demande confirmée :', event.id);
+          this._refreshDashboard();
+          toast.success(`Rendez-vous confirmé pour ${event.title}`, { action: this._undoAction() });
+        } else {
+          toast.error(Object.values(result.errors)[0] || 'Impossible de confirmer cette demande');
+        }
+      },
+    });
+  }
+
+  /**
+   * Aperçu « et si ? » : score avant/après et variations par dimension.
+   */
+  _renderSimulationPreview(simulation) {
+    const { weekly, daily, impact } = simulation;
+    if (!weekly) return '';
+
+    const formatDelta = delta => `${delta > 0 ? '+' : ''}${delta}`;
+    const deltaClass  = delta => delta > 0 ? 'positive' : delta < 0 ? 'negative' : 'neutral';
+
+    const dimensions = Object.values(weekly.dimensions)
+      .filter(dim => dim.delta !== 0)
+      .map(dim => `
+        <li>
+          <span>${dim.label}</span>
+          <span class="harmony-simulation__delta harmony-simulation__delta--${deltaClass(dim.delta)}">
+            ${dim.before} → ${dim.after} (${formatDelta(dim.delta)})
+          </span>
+        </li>
+      `).join('');
+
+    const days = daily.map(day => `
+      <li>
+        <span>${DateUtils.formatDate(day.date, { weekday: 'long', day: 'numeric', month: 'long' })}</span>
+        <span class="harmony-simulation__delta harmony-simulation__delta--${deltaClass(day.delta)}">
+          ${day.before} → ${day.after} (${formatDelta(day.delta)})
+        </span>
+      </li>
+    `).join('');
+
+    const warnings = daily
+      .filter(day => day.becomesCritical)
+      .map(day => `
+        <p class="harmony-simulation__warning">
+          ⚠️ Le ${DateUtils.formatDate(day.date, { day: 'numeric', month: 'long' })} deviendrait une journée critique
+          (${day.factors.filter(f => f.severity !== 'low').map(f => f.label.toLowerCase()).join(', ')}).
+        </p>
+      `).join('');
+
+    return `
+      <div class="harmony-simulation harmony-simulation--${impact}">
+        <div class="harmony-simulation__header">
+          <span>Impact sur le score Harmony de la semaine</span>
+          <strong class="harmony-simulation__delta harmony-simulation__delta--${deltaClass(weekly.delta)}">
+            ${weekly.before} → ${weekly.after} (${formatDelta(weekly.delta)})
+          </strong>
+        </div>
+        ${days ? `<ul class="harmony-simulation__list">${days}</ul>` : ''}
+        ${dimensions ? `<ul class="harmony-simulation__list harmony-simulation__list--dimensions">${dimensions}</ul>` : ''}
+        ${warnings}
+      </div>
+    `;
+  }
+
+  // ─────────────────────────────────────────────
+  // DEMANDES DE RÉSERVATION
+  // ─────────────────────────────────────────────
+
+  _renderPendingInbox() {
+    const card = document.getElementById('pendingInbox');
+    const list = document.getElementById('pendingInboxList');
+    if (!card || !list) return;
+
+    const requests = storage.getPendingRequests();
+    card.style.display = requests.length ? '' : 'none';
+    document.getElementById('pendingInboxCount').textContent = requests.length;
+    if (!requests.length) {
+      list.innerHTML = '';
+      return;
+    }
+
+    const events = storage.getAllEvents();
+    const now = Date.now();
+    const formatDelta = delta => `${delta > 0 ? '+' : ''}${delta}`;
+
+    list.innerHTML = requests.map(ev => {
+      const service = ev.serviceId ? storage.getServiceById(ev.serviceId) : null;
+      const { weekly, impact, createsCriticalDay } = this.harmonyEngine.simulateChanges(events, { confirm: [ev.id] });
+      const isPast = new Date(ev.start).getTime() < now;
+
+      const proposals = (ev.proposedSlots || []).map((slot, i) => `
+        <button class="hs-btn hs-btn--sm hs-btn--ghost" data-request-action="acceptProposal" data-id="${ev.id}" data-slot="${i}">
+          ✓ ${DateUtils.formatDateTime(slot.start)}
+        </button>
+      `).join('');
+
+      return `
+        <li class="harmony-inbox__item">
+          <div class="harmony-inbox__content">
+            <div class="harmony-inbox__title">
+              ${ev.clientName}${service ? ` · ${service.name}` : ''}
+            </div>
+            <div class="harmony-inbox__meta ${isPast ? 'harmony-inbox__meta--past' : ''}">
+              📅 ${DateUtils.formatDateTime(ev.start)} · ${DateUtils.minutesBetween(ev.start, ev.end)} min
+              ${isPast ? ' · date dépassée' : ''}
+            </div>
+            <div class="harmony-inbox__meta">
+              ${[ev.clientEmail && `✉️ ${ev.clientEmail}`, ev.clientPhone && `📞 ${ev.clientPhone}`].filter(Boolean).join(' · ')}
+            </div>
+            ${ev.notes ? `<p class="harmony-inbox__notes">📝 ${ev.notes}</p>` : ''}
+            ${weekly ? `
+              <div class="harmony-inbox__impact harmony-simulation__delta harmony-simulation__delta--${impact}">
+                Score de la semaine : ${weekly.before} → ${weekly.after} (${formatDelta(weekly.delta)})
+                ${createsCriticalDay ? ' · ⚠️ journée critique' : ''}
+              </div>` : ''}
+            ${proposals ? `
+              <div class="harmony-inbox__proposals">
+                <span class="harmony-inbox__meta">Proposé le ${DateUtils.formatDate(ev.proposedAt, { day: 'numeric', month: 'long' })} :</span>
+                ${proposals}
+              </div>` : ''}
+          </div>
+          <div class="harmony-inbox__actions">
+            <button class="hs-btn hs-btn--sm hs-btn--primary" data-request-action="accept" data-id="${ev.id}">Accepter</button>
+            <button class="hs-btn hs-btn--sm hs-btn--secondary" data-request-action="propose" data-id="${ev.id}">Proposer un autre créneau</button>
+            <button class="hs-btn hs-btn--sm hs-btn--ghost" data-request-action="decline" data-id="${ev.id}">Refuser</button>
+          </div>
+        </li>
+      `;
+    }).join('');
+  }
+
+  async _onRequestAction(action, id, slotIndex) {
+    const request = storage.getEventById(id);
+    if (!request) return;
+
+    if (action === 'decline') {
+      this._openDeclineRequest(request);
+      return;
+    }
+    if (action === 'propose') {
+      this._openProposeAlternatives(request);
+      return;
+    }
+
+    const slot = action === 'acceptProposal' ? request.proposedSlots?.[Number(slotIndex)] : null;
+    const result = await this._acceptRequest(id, slot ? { slot } : {});
+    if (!result) return;
+
+    if (result.success) {
+      this._refreshDashboard();
+      toast.success(`Rendez-vous confirmé pour ${request.clientName}`, { action: this._undoAction() });
+    } else {
+      toast.error(Object.values(result.errors)[0]);
+    }
+  }
+
+  /**
+   * Confirme une demande ; si le créneau a été pris entre-temps,
+   * la confirmation reste possible après avertissement
+   * @returns {Promise<Object|null>} Résultat, null si le professionnel renonce
+   */
+  async _acceptRequest(id, options = {}) {
+    const accept = (force) => commandHistory.run('Confirmation d\'une demande', () => (
+      storage.acceptBookingRequest(id, { ...options, force })
+    ));
+
+    const result = await accept(false);
+    if (result.success || !result.conflicts?.length) return result;
+
+    const confirmed = await modalSystem.confirm({
+      title:       'Créneau déjà occupé',
+      message:     `Cette demande chevauche : ${result.conflicts.map(ev =>
+        `${ev.clientName || ev.title} (${DateUtils.formatDateTime(ev.start)})`).join(', ')}. La confirmer quand même ?`,
+      confirmText: 'Confirmer',
+      cancelText:  'Annuler',
+    });
+    return confirmed ? accept(true) : null;
+  }
+
+  _openDeclineRequest(request) {
+    modalSystem.form({
+      title: `Refuser la demande de ${request.clientName}`,
+      intro: `<p>${DateUtils.formatDateTime(request.start)}</p>`,
+      fields: [
+        { name: 'reason', label: 'Motif', type: 'textarea', required: true,
+          placeholder: 'Ce créneau n\'est finalement plus disponible…' },
+      ],
+      submitText: 'Refuser',
+      onSubmit: async (data) => {
+        const result = await commandHistory.run('Refus d\'une demande', () => (
+          storage.declineBookingRequest(request.id, { reason: data.reason })
+        ));
+        if (!result.success) throw new Error(Object.values(result.errors)[0]);
+
+        this._refreshDashboard();
+        toast.success(`Demande de ${request.clientName} refusée`, { action: this._undoAction() });
+      },
+    });
+  }
+
+  /**
+   * Créneaux suggérés (mêmes durée et limites Harmony) ou saisis librement
+   */
+  _openProposeAlternatives(request) {
+    const suggestions = this.harmonyEngine.suggestAlternativeSlots(storage.getAllEvents(), request);
+    const duration = DateUtils.minutesBetween(request.start, request.end);
+
+    modalSystem.form({
+      title: `Proposer un autre créneau à ${request.clientName}`,
+      intro: suggestions.length
+        ? '<p>Créneaux libres les plus proches de la demande, dans vos limites Harmony :</p>'
+        : '<p>Aucun créneau libre dans vos limites cette semaine : indiquez-en un.</p>',
+      fields: [
+        ...suggestions.map((slot, i) => ({
+          name: `slot${i}`, type: 'checkbox', value: true,
+          label: `${DateUtils.formatDateTime(slot.start)} — score ${slot.score}`,
+        })),
+        { name: 'date', label: 'Autre date', type: 'date' },
+        { name: 'time', label: 'Heure', type: 'time' },
+      ],
+      submitText: 'Proposer',
+      validate: (data) => (data.date && !data.time ? { time: 'Indiquez l\'heure' } : {}),
+      onSubmit: async (data) => {
+        const slots = suggestions.filter((_, i) => data[`slot${i}`] === 'on');
+        if (data.date && data.time) {
+          const start = DateUtils.zonedTimeToISO(data.date, data.time);
+          slots.push({ start, end: DateUtils.addMinutes(start, duration) });
+        }
+
+        const result = await commandHistory.run('Proposition d\'autres créneaux', () => (
+          storage.proposeBookingAlternatives(request.id, slots)
+        ));
+        if (!result.success) throw new Error(Object.values(result.errors)[0]);
+
+        this._refreshDashboard();
+        toast.success(`${slots.length} créneau(x) proposé(s) à ${request.clientName}`);
+      },
+    });
+  }
+
   // ─────────────────────────────────────────────
   // DRAG & DROP / RESIZE
   // ─────────────────────────────────────────────
 
-  _onEventDrop(info) {
-    const result = storage.updateEvent(info.event.id, {
+  async _onEventDrop(info) {
+    const scope = await this._getChangeScope(info, 'Déplacer un rendez-vous récurrent', 'déplacer');
+    if (scope === null) return;
+
+    const result = await commandHistory.run('Déplacement d\'un rendez-vous', () => storage.updateEvent(info.event.id, {
       start: info.event.start.toISOString(),
       end:   info.event.end.toISOString(),
-    });
+    }, { scope }));
 
     if (result.success) {
       console.log('📦 RDV déplacé :', info.event.id);
-      this._updateStats();
-      this._loadAlerts();
-      toast.success('Rendez-vous déplacé');
+      // Une série modifiée change d'autres occurrences : on recharge tout
+      if (info.event.extendedProps.isOccurrence) {
+        this._refreshDashboard();
+      } else {
+        this._updateStats();
+        this._loadAlerts();
+      }
+      toast.success('Rendez-vous déplacé', { action: this._undoAction() });
     } else {
       // Annule le déplacement dans FullCalendar
       info.revert();
@@ -809,21 +1372,40 @@ class DashboardController {
     }
   }
 
-  _onEventResize(info) {
-    const result = storage.updateEvent(info.event.id, {
+  async _onEventResize(info) {
+    const scope = await this._getChangeScope(info, 'Modifier un rendez-vous récurrent', 'modifier');
+    if (scope === null) return;
+
+    const result = await commandHistory.run('Modification de la durée', () => storage.updateEvent(info.event.id, {
       end: info.event.end.toISOString(),
-    });
+    }, { scope }));
 
     if (result.success) {
       console.log('↔️ Durée modifiée :', info.event.id);
-      this._updateStats();
-      toast.success('Durée modifiée');
+      if (info.event.extendedProps.isOccurrence) {
+        this._refreshDashboard();
+      } else {
+        this._updateStats();
+      }
+      toast.success('Durée modifiée', { action: this._undoAction() });
     } else {
       info.revert();
       toast.error('Impossible de modifier la durée');
     }
   }
 
+  /**
+   * Portée d'un déplacement/redimensionnement : undefined hors série,
+   * null si l'utilisateur annule (le calendrier est alors rétabli).
+   */
+  async _getChangeScope(info, title, verb) {
+    if (!info.event.extendedProps.isOccurrence) return undefined;
+
+    const scope = await this._askRecurrenceScope(title, verb);
+    if (!scope) info.revert();
+    return scope;
+  }
+
   // ─────────────────────────────────────────────
   // UTILITAIRES
   // ─────────────────────────────────────────────
@@ -832,34 +1414,280 @@ class DashboardController {
     this.calendar?.gotoDate(dateStr);
   }
 
+  /**
+   * Exécute une action suggérée par l'analyse des journées critiques
+   * (déplacement d'un RDV, ajout d'une pause ou blocage de créneaux).
+   */
+  async _executeSuggestedAction(action) {
+    let result;
+
+    switch (action.type) {
+      case 'move':
+        result = await commandHistory.run('Déplacement suggéré', () => (
+          storage.updateEvent(action.eventId, { start: action.newStart, end: action.newEnd })
+        ));
+        if (result.success) {
+          toast.success(`Rendez-vous déplacé au ${DateUtils.formatDateTime(action.newStart)}`, { action: this._undoAction() });
+        }
+        break;
+
+      case 'addBreak':
+        result = await commandHistory.run('Ajout d\'une pause', () => storage.addEvent({
+          title:      '☕ Pause',
+          start:      action.start,
+          end:        action.end,
+          type:       CONFIG.EVENT_TYPES.BREAK,
+          status:     CONFIG.STATUS.CONFIRMED,
+          clientName: 'Pause',
+        }));
+        if (result.success) toast.success('Pause ajoutée', { action: this._undoAction() });
+        break;
+
+      case 'block':
+        await this._blockSlots(action.slots || [action]);
+        return;
+
+      default:
+        return;
+    }
+
+    if (result.success) {
+      console.log('🛠️ Action appliquée :', action.type, action.date);
+      this._refreshDashboard();
+    } else {
+      toast.error(Object.values(result.errors || {})[0] || 'Action impossible');
+    }
+  }
+
   _blockSlot(block) {
-    const result = storage.addEvent({
-      title:  '🚫 Bloqué',
-      start:  block.start,
-      end:    block.end,
-      type:   CONFIG.EVENT_TYPES.BLOCKED,
-      status: CONFIG.STATUS.CONFIRMED,
-      color:  '#ef5350',
-      // Validator exige clientName même pour un slot bloqué
-      clientName: 'Créneau bloqué',
+    return this._blockSlots([block]);
+  }
+
+  /**
+   * Bloque un ou plusieurs créneaux en une seule commande annulable
+   */
+  async _blockSlots(slots) {
+    let blocked = 0;
+
+    await commandHistory.run(slots.length > 1 ? `Blocage de ${slots.length} créneaux` : 'Blocage d\'un créneau', () => {
+      slots.forEach(block => {
+        const result = storage.addEvent({
+          title:  '🚫 Bloqué',
+          start:  block.start,
+          end:    block.end,
+          type:   CONFIG.EVENT_TYPES.BLOCKED,
+          status: CONFIG.STATUS.CONFIRMED,
+          color:  '#ef5350',
+          // Validator exige clientName même pour un slot bloqué
+          clientName: 'Créneau bloqué',
+        });
+
+        if (result.success) {
+          console.log('🔒 Créneau bloqué :', block.start);
+          blocked++;
+        }
+      });
+      return { success: blocked > 0 };
     });
 
+    if (blocked) {
+      this._refreshDashboard();
+      toast.success(blocked > 1 ? `${blocked} créneaux bloqués` : 'Créneau bloqué', { action: this._undoAction() });
+    }
+  }
+
+  // ─────────────────────────────────────────────
+  // CORBEILLE
+  // ─────────────────────────────────────────────
+
+  _updateTrashCount() {
+    const badge = document.getElementById('trashCount');
+    if (!badge) return;
+
+    const count = storage.getTrashedEvents().length;
+    badge.textContent = count;
+    badge.hidden = count === 0;
+  }
+
+  _openTrash() {
+    const modal = modalSystem.create({
+      title:   '🗑️ Corbeille',
+      size:    'large',
+      content: this._renderTrash(),
+      buttons: [
+        { text: 'Fermer',             class: 'hs-btn hs-btn--ghost',  action: 'cancel' },
+        { text: 'Vider la corbeille', class: 'hs-btn hs-btn--danger', action: 'confirm' },
+      ],
+      onOpen: (element) => {
+        element.addEventListener('click', (e) => {
+          const btn = e.target.closest('[data-trash-action]');
+          if (btn) this._onTrashAction(btn.dataset.trashAction, btn.dataset.id, modal);
+        });
+      },
+      onConfirm: async () => {
+        const count = storage.getTrashedEvents().length;
+        if (!count) return;
+
+        const confirmed = await modalSystem.confirm({
+          title:       'Vider la corbeille ?',
+          message:     `${count} rendez-vous seront supprimés définitivement.`,
+          danger:      true,
+          confirmText: 'Vider',
+          cancelText:  'Annuler',
+        });
+        if (!confirmed) return;
+
+        const result = await commandHistory.run('Vidage de la corbeille', () => storage.emptyTrash());
+        if (result.success) {
+          modal.updateContent(this._renderTrash());
+          this._updateTrashCount();
+          toast.success(`${result.count} rendez-vous supprimé(s) définitivement`, { action: this._undoAction() });
+        } else {
+          toast.error(result.error);
+        }
+      },
+    });
+  }
+
+  _renderTrash() {
+    const trashed = storage.getTrashedEvents();
+    if (!trashed.length) {
+      return '<p class="harmony-trash__empty">La corbeille est vide.</p>';
+    }
+
+    const items = trashed.map(ev => `
+      <li class="harmony-trash__item">
+        <div>
+          <div class="harmony-trash__title">${ev.clientName || ev.title || 'Rendez-vous'}</div>
+          <div class="harmony-trash__meta">
+            📅 ${DateUtils.formatDateTime(ev.start)}
+            ${ev.recurrence ? ` · 🔁 ${RecurrenceUtils.describe(ev.recurrence, DateUtils.toDateKey(ev.start))}` : ''}
+          </div>
+          <div class="harmony-trash__meta ${ev.daysLeft <= 7 ? 'harmony-trash__meta--expiring' : ''}">
+            Supprimé le ${DateUtils.formatDate(ev.deletedAt, { day: 'numeric', month: 'long', year: 'numeric' })}
+            · ${ev.daysLeft > 0 ? `conservé encore ${ev.daysLeft} jour(s)` : 'purge imminente'}
+          </div>
+        </div>
+        <div class="harmony-trash__actions">
+          <button class="hs-btn hs-btn--sm hs-btn--secondary" data-trash-action="restore" data-id="${ev.id}">Restaurer</button>
+          <button class="hs-btn hs-btn--sm hs-btn--ghost" data-trash-action="delete" data-id="${ev.id}">Supprimer définitivement</button>
+        </div>
+      </li>
+    `).join('');
+
+    return `<ul class="harmony-trash__list">${items}</ul>`;
+  }
+
+  async _onTrashAction(action, id, modal) {
+    let result;
+
+    if (action === 'restore') {
+      result = await commandHistory.run('Restauration d\'un rendez-vous', () => storage.restoreEvent(id));
+
+      // Le créneau a été repris entre-temps : restauration possible après confirmation
+      if (!result.success && result.conflicts?.length) {
+        const confirmed = await modalSystem.confirm({
+          title:       'Créneau déjà occupé',
+          message:     `Ce rendez-vous chevauche : ${result.conflicts.map(ev =>
+            `${ev.clientName || ev.title} (${DateUtils.formatDateTime(ev.start)})`).join(', ')}. Le restaurer quand même ?`,
+          confirmText: 'Restaurer',
+          cancelText:  'Annuler',
+        });
+        if (!confirmed) return;
+        result = await commandHistory.run('Restauration d\'un rendez-vous', () => storage.restoreEvent(id, { force: true }));
+      }
+    } else if (action === 'delete') {
+      const confirmed = await modalSystem.confirm({
+        title:       'Supprimer définitivement ?',
+        message:     'Ce rendez-vous ne pourra plus être restauré depuis la corbeille.',
+        danger:      true,
+        confirmText: 'Supprimer',
+        cancelText:  'Annuler',
+      });
+      if (!confirmed) return;
+      result = await commandHistory.run('Suppression définitive', () => storage.hardDeleteEvent(id));
+    } else {
+      return;
+    }
+
     if (result.success) {
-      console.log('🔒 Créneau bloqué :', block.start);
+      modal.updateContent(this._renderTrash());
       this._refreshDashboard();
-      toast.success('Créneau bloqué');
+      toast.success(action === 'restore' ? 'Rendez-vous restauré' : 'Rendez-vous supprimé définitivement', {
+        action: this._undoAction(),
+      });
+    } else {
+      toast.error(result.error);
     }
   }
+
+  // ─────────────────────────────────────────────
+  // ANNULER / RÉTABLIR
+  // ─────────────────────────────────────────────
+
+  /**
+   * Ctrl/Cmd+Z annule, Ctrl/Cmd+Maj+Z ou Ctrl+Y rétablit
+   * (hors champs de saisie, qui gardent leur propre historique).
+   */
+  _bindHistoryShortcuts() {
+    document.addEventListener('keydown', (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+      if (e.target.closest?.('input, textarea, select, [contenteditable="true"]')) return;
+
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        this._undo();
+      } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault();
+        this._redo();
+      }
+    });
+  }
+
+  _undoAction() {
+    return { text: 'Annuler', onClick: () => this._undo() };
+  }
+
+  _undo() {
+    const result = commandHistory.undo();
+    if (!result.success) {
+      toast.warning(result.error);
+      return;
+    }
+
+    this._refreshDashboard();
+    toast.info(`Annulé : ${result.label}`, {
+      action: { text: 'Rétablir', onClick: () => this._redo() },
+    });
+  }
+
+  _redo() {
+    const result = commandHistory.redo();
+    if (!result.success) {
+      toast.warning(result.error);
+      return;
+    }
+
+    this._refreshDashboard();
+    toast.info(`Rétabli : ${result.label}`, { action: this._undoAction() });
+  }
 }
 
 // ─────────────────────────────────────────────
 // POINT D'ENTRÉE
 // ─────────────────────────────────────────────
 
-const controller = new DashboardController();
+// Données chiffrées : `storage.ready` attend la phrase secrète saisie sur l'écran de verrouillage
+lockScreen.init();
 
-if (document.readyState === 'loading') {
-  document.addEventListener('DOMContentLoaded', () => controller.init());
-} else {
-  controller.init();
-}
\ No newline at end of file
+// Les données (IndexedDB) doivent être chargées avant de construire le contrôleur
+storage.ready.then(() => {
+  const controller = new DashboardController();
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', () => controller.init());
+  } else {
+    controller.init();
+  }
+});
\ No newline at end of file
@@ -5,14 +5,48 @@
  */
 
 import { storage } from '../core/StorageManager.js';
+import { commandHistory } from '../core/CommandHistory.js';
 import { modalSystem } from '../components/ModalSystem.js';
 import { toast } from '../components/ToastSystem.js';
 import { Validator } from '../utils/Validator.js';
+import { DateUtils } from '../utils/DateUtils.js';
+import { CONFIG, getWeightProfile } from '../core/Config.js';
+import { MathUtils } from '../utils/MathUtils.js';
+
+// Libellés des pondérations du score
+const WEIGHT_LABELS = {
+  DAILY_LOAD: 'Charge journalière',
+  BREAK_COMPLIANCE: 'Respect des pauses',
+  EVENING_WORK: 'Horaires sains',
+  WEEKLY_BALANCE: 'Équilibre hebdomadaire',
+  RECOVERY_ADEQUACY: 'Récupération',
+  PREDICTIVE_STRESS: 'Stress anticipé',
+};
+
+// Origine des points de restauration
+const RESTORE_POINT_LABELS = {
+  daily: 'Quotidien',
+  weekly: 'Hebdomadaire',
+  migration: 'Avant migration',
+  import: 'Avant import',
+  reset: 'Avant réinitialisation',
+  restore: 'Avant restauration',
+};
+
+// Opérations du journal RGPD
+const AUDIT_LABELS = {
+  export: 'Export des données',
+  anonymize: 'Anonymisation',
+  erase: 'Effacement',
+  retention: 'Anonymisation automatique',
+};
 
 class SettingsController {
   constructor() {
     this.professional = null;
     this.availability = [];
+    this.weightProfileId = null;
+    this.weights = {};
   }
 
   async init() {
@@ -21,10 +55,39 @@ class SettingsController {
     
     this._loadProfile();
     this._loadAvailability();
+    this._loadOverrides();
+    this._loadServices();
     this._loadHarmonySettings();
     this._loadNotificationSettings();
+    this._loadSecuritySettings();
+    this._loadRestorePoints();
+    this._loadPrivacySettings();
     this._bindEvents();
     this._initNavigation();
+    storage.subscribe('sync:remote', (change) => this._onRemoteChange(change));
+  }
+
+  /**
+   * Paramètres modifiés dans un autre onglet : formulaires rechargés
+   */
+  _onRemoteChange({ conflicts }) {
+    this.professional = storage.getProfessional();
+    this.availability = storage.getAvailability();
+
+    this._loadProfile();
+    this._loadAvailability();
+    this._loadOverrides();
+    this._loadServices();
+    this._fillHarmonyFields();
+    this._loadStressModelStatus();
+    this._loadNotificationSettings();
+    this._loadSecuritySettings();
+    this._loadRestorePoints();
+    this._loadPrivacySettings();
+
+    if (conflicts.some(c => c.kept === 'remote' && /^(professional|availability)\b/.test(c.collection))) {
+      toast.warning('Des paramètres ont été modifiés entre-temps dans un autre onglet : vérifiez vos dernières modifications.');
+    }
   }
 
   _loadProfile() {
@@ -52,7 +115,7 @@ class SettingsController {
     const dayNames = ['Dimanche', 'Lundi', 'Mardi', 'Mercredi', 'Jeudi', 'Vendredi', 'Samedi'];
 
     container.innerHTML = this.availability.map(slot => `
-      <div class="availability-slot" data-slot-id="${slot.id || slot.dayOfWeek}">
+      <div class="availability-slot" data-slot-id="${slot.id || slot.dayOfWeek}" data-day-of-week="${slot.dayOfWeek}">
         <label style="display: flex; align-items: center; gap: var(--hs-space-2); cursor: pointer">
           <input type="checkbox" class="availability-enabled" ${slot.enabled !== false ? 'checked' : ''}>
           <span class="availability-slot__day">${dayNames[slot.dayOfWeek]}</span>
@@ -75,16 +138,342 @@ class SettingsController {
     });
   }
 
+  /**
+   * Exceptions en cours ou à venir, et choix du calendrier de jours fériés
+   */
+  _loadOverrides() {
+    const presets = document.getElementById('settingHolidayPreset');
+    const years = document.getElementById('settingHolidayYear');
+    if (presets && !presets.options.length) {
+      presets.innerHTML = Object.entries(CONFIG.AVAILABILITY_OVERRIDES.HOLIDAY_PRESETS)
+        .map(([id, label]) => `<option value="${id}">${label}</option>`)
+        .join('');
+      const year = Number(DateUtils.getTodayKey().slice(0, 4));
+      years.innerHTML = [year, year + 1].map(y => `<option value="${y}">${y}</option>`).join('');
+    }
+
+    const list = document.getElementById('overrideList');
+    if (!list) return;
+
+    const overrides = storage.getAvailabilityOverrides({ from: DateUtils.getTodayKey() });
+    if (!overrides.length) {
+      list.innerHTML = '<li class="service-item service-item__meta">Aucune exception à venir : vos horaires habituels s\'appliquent.</li>';
+      return;
+    }
+
+    const { CLOSED } = CONFIG.AVAILABILITY_OVERRIDES.TYPES;
+    list.innerHTML = overrides.map(override => {
+      const isClosed = override.type === CLOSED;
+      const dates = override.startDate === override.endDate
+        ? DateUtils.formatDate(override.startDate, { weekday: 'long', year: 'numeric' })
+        : `du ${DateUtils.formatDate(override.startDate)} au ${DateUtils.formatDate(override.endDate, { year: 'numeric' })}`;
+      const details = [
+        dates,
+        isClosed ? 'fermé' : `ouvert de ${override.start} à ${override.end}`,
+      ].join(' · ');
+
+      return `
+        <li class="service-item">
+          <span class="service-item__color" style="background: ${isClosed ? 'var(--hs-text-muted)' : 'var(--hs-sage)'}" aria-hidden="true"></span>
+          <div class="service-item__content">
+            <div>${override.label || (isClosed ? 'Fermeture' : 'Ouverture supplémentaire')}</div>
+            <div class="service-item__meta">${details}</div>
+          </div>
+          <button type="button" class="hs-btn hs-btn--ghost hs-btn--sm" data-override-action="edit" data-id="${override.id}">
+            Modifier
+          </button>
+          <button type="button" class="hs-btn hs-btn--ghost hs-btn--sm" data-override-action="delete" data-id="${override.id}">
+            Supprimer
+          </button>
+        </li>
+      `;
+    }).join('');
+  }
+
+  /**
+   * @param {string} type - CONFIG.AVAILABILITY_OVERRIDES.TYPES
+   * @param {Object|null} override - exception à modifier, null pour en créer une
+   */
+  _openOverrideForm(type, override = null) {
+    const isClosed = type === CONFIG.AVAILABILITY_OVERRIDES.TYPES.CLOSED;
+    const today = DateUtils.getTodayKey();
+
+    modalSystem.form({
+      title: override
+        ? 'Modifier l\'exception'
+        : (isClosed ? 'Nouvelle fermeture' : 'Nouvelle ouverture'),
+      intro: isClosed
+        ? 'Aucun créneau ne sera proposé ces jours-là.'
+        : 'Plage ajoutée à vos horaires habituels ce jour-là, ou sur chaque jour de la période.',
+      fields: [
+        { name: 'label', label: 'Libellé', value: override?.label || '', placeholder: isClosed ? 'Congés d\'été' : 'Samedi matin exceptionnel' },
+        { name: 'startDate', label: 'Du', type: 'date', required: true, value: override?.startDate || today },
+        { name: 'endDate', label: 'Au', type: 'date', value: override?.endDate || '', helpText: 'Laisser vide pour une seule journée' },
+        ...(isClosed ? [] : [
+          { name: 'start', label: 'De', type: 'time', required: true, value: override?.start || '09:00' },
+          { name: 'end', label: 'À', type: 'time', required: true, value: override?.end || '12:00' },
+        ]),
+      ],
+      onSubmit: async (data) => {
+        const result = storage.saveAvailabilityOverride({
+          id: override?.id,
+          type,
+          label: data.label,
+          startDate: data.startDate,
+          endDate: data.endDate || data.startDate,
+          start: data.start,
+          end: data.end,
+        });
+        if (!result.success) throw new Error(Object.values(result.errors)[0]);
+
+        toast.success(override ? 'Exception modifiée' : 'Exception ajoutée');
+        this._loadOverrides();
+      },
+    });
+  }
+
+  async _deleteOverride(id) {
+    const override = storage.getAvailabilityOverrides().find(o => o.id === id);
+    if (!override) return;
+
+    const confirmed = await modalSystem.confirm({
+      title: `Supprimer « ${override.label || 'cette exception'} » ?`,
+      message: 'Vos horaires habituels s\'appliqueront de nouveau sur ces dates.',
+      danger: true,
+      confirmText: 'Supprimer',
+      cancelText: 'Annuler',
+    });
+    if (!confirmed) return;
+
+    const result = storage.deleteAvailabilityOverride(id);
+    if (result.success) {
+      toast.success('Exception supprimée');
+      this._loadOverrides();
+    } else {
+      toast.error(result.error);
+    }
+  }
+
+  _loadServices() {
+    const notice = document.getElementById('settingCancellationNotice');
+    if (notice) {
+      notice.value = String(this.professional.cancellationNoticeHours ?? CONFIG.DEFAULT_PROFESSIONAL.cancellationNoticeHours);
+    }
+
+    const list = document.getElementById('serviceList');
+    if (!list) return;
+
+    const services = storage.getServices();
+    if (!services.length) {
+      list.innerHTML = `<li class="service-item service-item__meta">Aucune prestation : la réservation en ligne propose des séances de ${this.professional.defaultDuration || 60} min.</li>`;
+      return;
+    }
+
+    list.innerHTML = services.map(service => {
+      const details = [
+        `${service.duration} min`,
+        service.bufferBefore ? `${service.bufferBefore} min de préparation` : null,
+        service.bufferAfter ? `${service.bufferAfter} min après` : null,
+        service.price !== null ? service.price.toLocaleString('fr-FR', { style: 'currency', currency: 'EUR' }) : null,
+        service.bookable ? null : 'non réservable en ligne',
+      ].filter(Boolean).join(' · ');
+
+      return `
+        <li class="service-item">
+          <span class="service-item__color" style="background: ${service.color}" aria-hidden="true"></span>
+          <div class="service-item__content">
+            <div>${service.name}</div>
+            <div class="service-item__meta">${details}</div>
+          </div>
+          <button type="button" class="hs-btn hs-btn--ghost hs-btn--sm" data-service-action="edit" data-id="${service.id}">
+            Modifier
+          </button>
+          <button type="button" class="hs-btn hs-btn--ghost hs-btn--sm" data-service-action="delete" data-id="${service.id}">
+            Supprimer
+          </button>
+        </li>
+      `;
+    }).join('');
+  }
+
+  /**
+   * @param {Object|null} service - prestation à modifier, null pour en créer une
+   */
+  _openServiceForm(service = null) {
+    const number = (value) => (value === '' || value === undefined ? null : Number(value));
+
+    modalSystem.form({
+      title: service ? 'Modifier la prestation' : 'Nouvelle prestation',
+      fields: [
+        { name: 'name', label: 'Nom', required: true, value: service?.name || '', placeholder: 'Séance individuelle' },
+        { name: 'duration', label: 'Durée (min)', type: 'number', required: true, value: service?.duration ?? this.professional.defaultDuration ?? 60 },
+        { name: 'bufferBefore', label: 'Préparation avant (min)', type: 'number', value: service?.bufferBefore ?? 0 },
+        { name: 'bufferAfter', label: 'Temps après (min)', type: 'number', value: service?.bufferAfter ?? this.professional.breakDuration ?? 20, helpText: 'Pause, rangement ou prise de notes' },
+        { name: 'price', label: 'Tarif (€)', type: 'number', value: service?.price ?? '', helpText: 'Facultatif' },
+        { name: 'color', label: 'Couleur', type: 'color', value: service?.color || '#26A69A' },
+        { name: 'bookable', label: 'Réservable en ligne', type: 'checkbox', value: service ? service.bookable : true },
+      ],
+      onSubmit: async (data) => {
+        const result = storage.saveService({
+          id: service?.id,
+          name: data.name,
+          duration: number(data.duration),
+          bufferBefore: number(data.bufferBefore) ?? 0,
+          bufferAfter: number(data.bufferAfter) ?? 0,
+          price: number(data.price),
+          color: data.color,
+          bookable: data.bookable === 'on',
+        });
+        if (!result.success) throw new Error(Object.values(result.errors)[0]);
+
+        toast.success(service ? 'Prestation modifiée' : 'Prestation ajoutée');
+        this._loadServices();
+      },
+    });
+  }
+
+  async _deleteService(id) {
+    const service = storage.getServiceById(id);
+    if (!service) return;
+
+    const confirmed = await modalSystem.confirm({
+      title: `Supprimer « ${service.name} » ?`,
+      message: 'Elle ne sera plus proposée à la réservation. Les rendez-vous existants ne sont pas modifiés.',
+      danger: true,
+      confirmText: 'Supprimer',
+      cancelText: 'Annuler',
+    });
+    if (!confirmed) return;
+
+    const result = storage.deleteService(id);
+    if (result.success) {
+      toast.success('Prestation supprimée');
+      this._loadServices();
+    } else {
+      toast.error(result.error);
+    }
+  }
+
   _loadHarmonySettings() {
+    this._fillHarmonyFields();
+
+    // Mise à jour des labels des sliders
+    this._updateSliderLabels();
+    this._loadWeightProfile();
+    this._loadStressModelStatus();
+  }
+
+  _fillHarmonyFields() {
     document.getElementById('settingDefaultDuration').value = this.professional.defaultDuration || 60;
     document.getElementById('settingBreakDuration').value = this.professional.breakDuration || 20;
     document.getElementById('settingMaxDaily').value = this.professional.maxDailyAppointments || 8;
     document.getElementById('settingMaxWeekly').value = this.professional.maxWeeklyHours || 40;
     document.getElementById('settingAutoBlock').checked = this.professional.autoBlockCriticalDays !== false;
+    document.getElementById('settingRankSlots').checked = this.professional.rankBookingSlots === true;
     document.getElementById('settingPredictiveAlerts').checked = this.professional.enablePredictiveAlerts !== false;
+  }
 
-    // Mise à jour des labels des sliders
-    this._updateSliderLabels();
+  _loadWeightProfile() {
+    const select = document.getElementById('settingWeightProfile');
+    if (!select) return;
+
+    const { PRESETS, CUSTOM } = CONFIG.WEIGHT_PROFILES;
+    select.innerHTML = [
+      ...Object.entries(PRESETS).map(([id, preset]) => `<option value="${id}">${preset.label}</option>`),
+      `<option value="${CUSTOM}">Personnalisé</option>`,
+    ].join('');
+
+    const profile = getWeightProfile(this.professional.weightProfile);
+    this.weightProfileId = profile.id;
+    this.weights = MathUtils.normalizeWeights(profile.weights);
+    select.value = profile.id;
+
+    // Un preset recharge ses poids ; « Personnalisé » part des poids affichés
+    select.addEventListener('change', () => {
+      this.weightProfileId = select.value;
+      if (PRESETS[select.value]) {
+        this.weights = { ...PRESETS[select.value].weights };
+      }
+      this._renderWeightSliders();
+    });
+
+    this._renderWeightSliders();
+  }
+
+  _renderWeightSliders() {
+    const container = document.getElementById('weightSliders');
+    const description = document.getElementById('weightProfileDescription');
+    if (!container) return;
+
+    const preset = CONFIG.WEIGHT_PROFILES.PRESETS[this.weightProfileId];
+    if (description) {
+      description.textContent = preset
+        ? preset.description
+        : 'Vos propres poids, sans ajustement automatique selon la semaine.';
+    }
+
+    container.innerHTML = Object.keys(CONFIG.HARMONY_WEIGHTS).map(key => `
+      <div class="harmony-slider">
+        <div class="harmony-slider__label">
+          <span>${WEIGHT_LABELS[key]}</span>
+          <span data-weight-value="${key}">${this.weights[key]}</span>
+        </div>
+        <input type="range" class="harmony-slider__input" data-weight="${key}"
+               min="0" max="100" value="${this.weights[key]}">
+      </div>
+    `).join('');
+
+    container.querySelectorAll('[data-weight]').forEach(input => {
+      input.addEventListener('input', () => this._onWeightInput(input.dataset.weight, parseInt(input.value, 10)));
+    });
+  }
+
+  /**
+   * Toucher un curseur passe en mode personnalisé et répartit
+   * le reste proportionnellement pour garder un total de 100
+   */
+  _onWeightInput(changedKey, value) {
+    const others = { ...this.weights };
+    delete others[changedKey];
+
+    this.weights = {
+      ...MathUtils.normalizeWeights(others, 100 - value),
+      [changedKey]: value,
+    };
+
+    const select = document.getElementById('settingWeightProfile');
+    if (this.weightProfileId !== CONFIG.WEIGHT_PROFILES.CUSTOM) {
+      this.weightProfileId = CONFIG.WEIGHT_PROFILES.CUSTOM;
+      if (select) select.value = this.weightProfileId;
+      document.getElementById('weightProfileDescription').textContent =
+        'Vos propres poids, sans ajustement automatique selon la semaine.';
+    }
+
+    Object.entries(this.weights).forEach(([key, weight]) => {
+      const input = document.querySelector(`[data-weight="${key}"]`);
+      if (input && key !== changedKey) input.value = weight;
+      const label = document.querySelector(`[data-weight-value="${key}"]`);
+      if (label) label.textContent = weight;
+    });
+  }
+
+  _loadStressModelStatus() {
+    const statusEl = document.getElementById('stressModelStatus');
+    if (!statusEl) return;
+
+    const { params, flaggedWeeks, learnedAt } = storage.getStressModel();
+
+    if (!params) {
+      statusEl.textContent = `Seuils génériques utilisés — l'apprentissage démarre après ${CONFIG.STRESS_MODEL.MIN_WEEKS} semaines d'historique.`;
+      return;
+    }
+
+    const signature = flaggedWeeks.length
+      ? `, ${flaggedWeeks.length} semaine(s) épuisante(s) signalée(s)`
+      : '';
+    statusEl.textContent = `Appris sur ${params.weeksLearned} semaines${signature} · `
+      + `journée intense dès ${params.intensiveDayCount} RDV, enchaînement rapide sous ${params.rapidGapMinutes} min `
+      + `(mis à jour le ${DateUtils.formatDate(learnedAt)}).`;
   }
 
   _updateSliderLabels() {
@@ -107,6 +496,97 @@ class SettingsController {
     document.getElementById('notifCriticalOnly').checked = prefs.criticalOnly === true;
   }
 
+  _loadSecuritySettings() {
+    const encrypted = storage.isEncrypted();
+
+    document.getElementById('encryptionStatus').textContent = encrypted
+      ? 'Activé — données, instantanés et sauvegardes chiffrés (AES-GCM)'
+      : 'Désactivé — données enregistrées en clair sur cet appareil';
+    document.getElementById('btnToggleEncryption').textContent = encrypted ? 'Désactiver' : 'Activer';
+    document.getElementById('encryptionActions').hidden = !encrypted;
+    document.getElementById('settingAutoLock').value = String(storage.getProfessional().autoLockMinutes ?? 0);
+  }
+
+  async _loadRestorePoints() {
+    const retention = this.professional.restorePoints || CONFIG.DEFAULT_PROFESSIONAL.restorePoints;
+    document.getElementById('settingRestoreDaily').value = String(retention.daily);
+    document.getElementById('settingRestoreWeekly').value = String(retention.weekly);
+
+    const list = document.getElementById('restorePointList');
+    const snapshots = await storage.listSnapshots();
+    if (!snapshots.length) {
+      list.innerHTML = '<li class="restore-point restore-point__meta">Aucun point de restauration pour le moment.</li>';
+      return;
+    }
+
+    list.innerHTML = snapshots.map(snapshot => {
+      const label = RESTORE_POINT_LABELS[snapshot.tier === 'weekly' ? 'weekly' : snapshot.reason] || snapshot.reason;
+      return `
+        <li class="restore-point">
+          <div class="restore-point__content">
+            <div>${DateUtils.formatDateTime(snapshot.createdAt)}</div>
+            <div class="restore-point__meta">
+              ${snapshot.eventCount} événement(s)${snapshot.clientCount !== undefined ? ` · ${snapshot.clientCount} client(s)` : ''} · v${snapshot.version}
+            </div>
+          </div>
+          <span class="restore-point__tier">${label}</span>
+          <button type="button" class="hs-btn hs-btn--ghost hs-btn--sm" data-restore-action="compare" data-id="${snapshot.id}">
+            Comparer
+          </button>
+          <button type="button" class="hs-btn hs-btn--secondary hs-btn--sm" data-restore-action="restore" data-id="${snapshot.id}">
+            Restaurer
+          </button>
+        </li>
+      `;
+    }).join('');
+  }
+
+  _loadPrivacySettings() {
+    const select = document.getElementById('settingRetention');
+    const days = String(storage.getDataRetentionDays());
+    // Durée choisie hors des valeurs proposées (sauvegarde importée…)
+    if (![...select.options].some(option => option.value === days)) {
+      select.add(new Option(`${days} jours`, days));
+    }
+    select.value = days;
+  }
+
+  _openAuditLog() {
+    const entries = storage.getAuditLog();
+    const describe = (entry) => {
+      const parts = [];
+      if (entry.appointments !== undefined) parts.push(`${entry.appointments} rendez-vous`);
+      if (entry.clients) parts.push(`${entry.clients} fiche(s) client`);
+      if (entry.restorePoints?.updated) parts.push(`${entry.restorePoints.updated} point(s) de restauration nettoyé(s)`);
+      if (entry.restorePoints?.deleted) parts.push(`${entry.restorePoints.deleted} point(s) illisible(s) supprimé(s)`);
+      return parts.join(' · ');
+    };
+
+    modalSystem.create({
+      title: '📜 Journal RGPD',
+      size: 'large',
+      content: entries.length ? `
+        <table class="settings-table">
+          <thead><tr><th>Date</th><th>Opération</th><th>Client</th><th>Détail</th><th>Motif</th></tr></thead>
+          <tbody>
+            ${entries.map(entry => `
+              <tr>
+                <td>${DateUtils.formatDateTime(entry.at)}</td>
+                <td>${AUDIT_LABELS[entry.action] || entry.action}</td>
+                <td><code>${entry.clientId ? entry.clientId.slice(-8) : '—'}</code></td>
+                <td>${describe(entry)}</td>
+                <td>${entry.reason || '—'}</td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      ` : '<p class="settings-form__help">Aucune opération enregistrée.</p>',
+      buttons: [
+        { text: 'Fermer', class: 'hs-btn hs-btn--ghost', action: 'cancel' },
+      ],
+    });
+  }
+
   _bindEvents() {
     // Formulaire Profil
     document.getElementById('formProfile')?.addEventListener('submit', async (e) => {
@@ -135,7 +615,7 @@ class SettingsController {
         const enabled = slotEl.querySelector('.availability-enabled').checked;
         const start = slotEl.querySelector('.availability-start').value;
         const end = slotEl.querySelector('.availability-end').value;
-        const dayOfWeek = parseInt(slotEl.dataset.slotId, 10);
+        const dayOfWeek = parseInt(slotEl.dataset.dayOfWeek, 10);
 
         slots.push({
           dayOfWeek,
@@ -165,7 +645,12 @@ class SettingsController {
         maxDailyAppointments: parseInt(data.maxDailyAppointments, 10),
         maxWeeklyHours: parseInt(data.maxWeeklyHours, 10),
         autoBlockCriticalDays: data.autoBlockCriticalDays === 'on',
+        rankBookingSlots: data.rankBookingSlots === 'on',
         enablePredictiveAlerts: data.enablePredictiveAlerts === 'on',
+        weightProfile: {
+          id: this.weightProfileId,
+          customWeights: this.weightProfileId === CONFIG.WEIGHT_PROFILES.CUSTOM ? { ...this.weights } : null,
+        },
       });
 
       if (result.success) {
@@ -175,6 +660,26 @@ class SettingsController {
       }
     });
 
+    // Réinitialisation du modèle de stress
+    document.getElementById('btnResetStressModel')?.addEventListener('click', async () => {
+      const confirmed = await modalSystem.confirm({
+        title: 'Réinitialiser l\'apprentissage ?',
+        message: 'Les seuils appris et les semaines signalées seront oubliés. Seules les semaines à venir serviront au prochain apprentissage.',
+        confirmText: 'Réinitialiser',
+        cancelText: 'Annuler',
+      });
+
+      if (!confirmed) return;
+
+      const result = storage.resetStressModel();
+      if (result.success) {
+        this._loadStressModelStatus();
+        toast.success('Apprentissage réinitialisé');
+      } else {
+        toast.error('Erreur lors de la réinitialisation');
+      }
+    });
+
     // Formulaire Notifications
     document.getElementById('formNotifications')?.addEventListener('submit', async (e) => {
       e.preventDefault();
@@ -203,20 +708,56 @@ class SettingsController {
       const url = URL.createObjectURL(blob);
       const link = document.createElement('a');
       link.href = url;
-      link.download = `harmony-export-${new Date().toISOString().split('T')[0]}.csv`;
+      link.download = `harmony-export-${DateUtils.getTodayKey()}.csv`;
       link.click();
       URL.revokeObjectURL(url);
       toast.success('Export CSV téléchargé');
     });
 
-    // Backup JSON
-    document.getElementById('btnBackupJSON')?.addEventListener('click', () => {
-      const json = storage.exportFullBackup();
+    // Chiffrement
+    document.getElementById('btnToggleEncryption')?.addEventListener('click', () => {
+      if (storage.isEncrypted()) {
+        this._openDisableEncryption();
+      } else {
+        this._openEnableEncryption();
+      }
+    });
+
+    document.getElementById('btnChangePassphrase')?.addEventListener('click', () => {
+      this._openChangePassphrase();
+    });
+
+    document.getElementById('btnLockNow')?.addEventListener('click', () => {
+      storage.lock('manual');
+    });
+
+    document.getElementById('settingCancellationNotice')?.addEventListener('change', (e) => {
+      const result = storage.updateProfessional({ cancellationNoticeHours: Number(e.target.value) });
+      if (result.success) {
+        this.professional = result.professional;
+        toast.success('Délai d\'annulation enregistré');
+      } else {
+        toast.error(Object.values(result.errors)[0]);
+      }
+    });
+
+    document.getElementById('settingAutoLock')?.addEventListener('change', (e) => {
+      const result = storage.updateProfessional({ autoLockMinutes: Number(e.target.value) });
+      if (result.success) {
+        toast.success('Délai de verrouillage enregistré');
+      } else {
+        toast.error(Object.values(result.errors)[0]);
+      }
+    });
+
+    // Backup JSON (chiffrée avec la phrase secrète si le chiffrement est actif)
+    document.getElementById('btnBackupJSON')?.addEventListener('click', async () => {
+      const json = await storage.exportFullBackup();
       const blob = new Blob([json], { type: 'application/json' });
       const url = URL.createObjectURL(blob);
       const link = document.createElement('a');
       link.href = url;
-      link.download = `harmony-backup-${new Date().toISOString().split('T')[0]}.json`;
+      link.download = `harmony-backup-${DateUtils.getTodayKey()}.json`;
       link.click();
       URL.revokeObjectURL(url);
       toast.success('Sauvegarde téléchargée');
@@ -229,37 +770,366 @@ class SettingsController {
 
       try {
         const text = await file.text();
-        const result = storage.importFromBackup(text);
 
-        if (result.success) {
-          toast.success(`${result.eventCount} événements importés`);
-          setTimeout(() => location.reload(), 1000);
+        // Validation à blanc : décrit les migrations avant toute écriture
+        const preview = await storage.importFromBackup(text, { dryRun: true });
+        if (preview.needsPassphrase) {
+          this._openBackupPassphrase(text);
+        } else if (!preview.success) {
+          toast.error(preview.error);
         } else {
-          toast.error(result.error);
+          await this._confirmImport(text, preview);
         }
       } catch (err) {
         toast.error('Fichier invalide');
+      } finally {
+        e.target.value = '';
+      }
+    });
+
+    // Points de restauration
+    ['settingRestoreDaily', 'settingRestoreWeekly'].forEach(id => {
+      document.getElementById(id)?.addEventListener('change', async () => {
+        const result = await storage.setRestorePointRetention({
+          daily: Number(document.getElementById('settingRestoreDaily').value),
+          weekly: Number(document.getElementById('settingRestoreWeekly').value),
+        });
+        if (result.success) {
+          this.professional = result.professional;
+          toast.success('Rotation des points de restauration enregistrée');
+          this._loadRestorePoints();
+        } else {
+          toast.error(Object.values(result.errors)[0]);
+        }
+      });
+    });
+
+    // Congés et exceptions
+    const { CLOSED, OPEN } = CONFIG.AVAILABILITY_OVERRIDES.TYPES;
+    document.getElementById('btnAddClosure')?.addEventListener('click', () => this._openOverrideForm(CLOSED));
+    document.getElementById('btnAddOpening')?.addEventListener('click', () => this._openOverrideForm(OPEN));
+
+    document.getElementById('overrideList')?.addEventListener('click', (e) => {
+      const btn = e.target.closest('[data-override-action]');
+      if (!btn) return;
+
+      if (btn.dataset.overrideAction === 'edit') {
+        const override = storage.getAvailabilityOverrides().find(o => o.id === btn.dataset.id);
+        if (override) this._openOverrideForm(override.type, override);
+      } else {
+        this._deleteOverride(btn.dataset.id);
+      }
+    });
+
+    document.getElementById('btnImportHolidays')?.addEventListener('click', () => {
+      const preset = document.getElementById('settingHolidayPreset').value;
+      const year = Number(document.getElementById('settingHolidayYear').value);
+      const result = storage.importHolidays(preset, year);
+      if (!result.success) {
+        toast.error(result.error);
+        return;
+      }
+
+      toast.success(result.added
+        ? `${result.added} jour(s) férié(s) ${year} ajouté(s)`
+        : `Les jours fériés ${year} sont déjà fermés`);
+      this._loadOverrides();
+    });
+
+    // Prestations
+    document.getElementById('btnAddService')?.addEventListener('click', () => this._openServiceForm());
+
+    document.getElementById('serviceList')?.addEventListener('click', (e) => {
+      const btn = e.target.closest('[data-service-action]');
+      if (!btn) return;
+
+      if (btn.dataset.serviceAction === 'edit') {
+        this._openServiceForm(storage.getServiceById(btn.dataset.id));
+      } else {
+        this._deleteService(btn.dataset.id);
+      }
+    });
+
+    document.getElementById('restorePointList')?.addEventListener('click', (e) => {
+      const btn = e.target.closest('[data-restore-action]');
+      if (!btn) return;
+
+      if (btn.dataset.restoreAction === 'compare') {
+        this._openSnapshotComparison(btn.dataset.id);
+      } else {
+        this._confirmRestore(btn.dataset.id);
+      }
+    });
+
+    // Conservation des données clients
+    document.getElementById('settingRetention')?.addEventListener('change', async (e) => {
+      const days = Number(e.target.value);
+      if (days < storage.getDataRetentionDays()) {
+        const confirmed = await modalSystem.confirm({
+          title: 'Réduire la durée de conservation ?',
+          message: 'Les rendez-vous plus anciens que ce délai seront anonymisés immédiatement et définitivement.',
+          danger: true,
+          confirmText: 'Réduire',
+          cancelText: 'Annuler',
+        });
+        if (!confirmed) {
+          this._loadPrivacySettings();
+          return;
+        }
+      }
+
+      const result = storage.setDataRetentionDays(days);
+      if (!result.success) {
+        toast.error(result.error);
+        this._loadPrivacySettings();
+        return;
       }
+      if (result.appointments) commandHistory.clear();
+      toast.success(result.appointments
+        ? `Durée enregistrée — ${result.appointments} rendez-vous anonymisé(s)`
+        : 'Durée de conservation enregistrée');
+    });
+
+    document.getElementById('btnAuditLog')?.addEventListener('click', () => {
+      this._openAuditLog();
     });
 
     // Reset All
     document.getElementById('btnResetAll')?.addEventListener('click', async () => {
       const confirmed = await modalSystem.confirm({
         title: 'Réinitialiser toutes les données ?',
-        message: 'Cette action est irréversible. Tous vos rendez-vous, paramètres et données seront supprimés.',
+        message: 'Tous vos rendez-vous, paramètres et données seront supprimés. Un point de restauration de vos données actuelles sera conservé.',
         danger: true,
         confirmText: 'Oui, tout supprimer',
         cancelText: 'Annuler',
       });
 
       if (confirmed) {
-        localStorage.removeItem('harmonyScheduler_v2');
+        const result = await storage.resetAll();
+        if (!result.success) {
+          toast.error(result.error);
+          return;
+        }
+        commandHistory.clear();
         toast.success('Données réinitialisées');
+        if (result.snapshotSkipped) {
+          toast.warning('Espace de stockage insuffisant : aucun point de restauration n\'a pu être conservé');
+        }
         setTimeout(() => location.reload(), 1000);
       }
     });
   }
 
+  /**
+   * Écarts entre un point de restauration et les données actuelles
+   */
+  async _openSnapshotComparison(id, passphrase) {
+    const diff = await storage.compareSnapshot(id, { passphrase });
+    if (diff.needsPassphrase && !passphrase) {
+      this._openSnapshotPassphrase((value) => this._openSnapshotComparison(id, value));
+      return;
+    }
+    if (!diff.success) {
+      toast.error(diff.error);
+      return;
+    }
+
+    const range = ({ firstEvent, lastEvent }) => (firstEvent
+      ? `${DateUtils.formatDate(firstEvent)} → ${DateUtils.formatDate(lastEvent)}`
+      : '—');
+    const rows = [
+      ['Événements (hors corbeille)', diff.snapshot.eventCount, diff.current.eventCount],
+      ['Rendez-vous', diff.snapshot.appointmentCount, diff.current.appointmentCount],
+      ['Clients', diff.snapshot.clientCount, diff.current.clientCount],
+      ['Période couverte', range(diff.snapshot), range(diff.current)],
+    ];
+
+    const modal = modalSystem.create({
+      title: 'Comparer avec les données actuelles',
+      content: `
+        <table class="settings-table">
+          <thead><tr><th></th><th>Point de restauration</th><th>Actuellement</th></tr></thead>
+          <tbody>
+            ${rows.map(([label, before, after]) => `<tr><th scope="row">${label}</th><td>${before}</td><td>${after}</td></tr>`).join('')}
+          </tbody>
+        </table>
+        <p class="settings-form__help" style="margin-top: var(--hs-space-3)">
+          Depuis ce point : ${diff.added} événement(s) ajouté(s), ${diff.modified} modifié(s), ${diff.removed} supprimé(s) définitivement.
+        </p>
+      `,
+      buttons: [
+        { text: 'Fermer', class: 'hs-btn hs-btn--ghost', action: 'cancel' },
+        { text: 'Restaurer ce point', class: 'hs-btn hs-btn--primary', action: 'confirm' },
+      ],
+      onConfirm: () => {
+        modal.close();
+        this._confirmRestore(id, passphrase);
+      },
+    });
+  }
+
+  async _confirmRestore(id, passphrase) {
+    const confirmed = await modalSystem.confirm({
+      title: 'Restaurer ce point ?',
+      message: 'Vos données actuelles seront remplacées. Un point de restauration sera créé avant, pour revenir en arrière si besoin.',
+      confirmText: 'Restaurer',
+      cancelText: 'Annuler',
+    });
+    if (!confirmed) return;
+
+    // Annulable depuis le tableau de bord (Ctrl+Z) pendant la session
+    const result = await commandHistory.run('Retour à un point de restauration', () => storage.restoreSnapshot(id, { passphrase }), {
+      fullStore: true,
+    });
+
+    if (result.needsPassphrase && !passphrase) {
+      this._openSnapshotPassphrase((value) => this._confirmRestore(id, value));
+    } else if (result.success) {
+      toast.success(`${result.eventCount} événements restaurés`);
+      await storage.flush();
+      setTimeout(() => location.reload(), 1000);
+    } else {
+      toast.error(result.error);
+    }
+  }
+
+  /**
+   * Point créé sous une autre phrase secrète (changée depuis, ou avant une réinitialisation)
+   */
+  _openSnapshotPassphrase(onPassphrase) {
+    modalSystem.form({
+      title: 'Point de restauration chiffré',
+      intro: '<p>Ce point a été chiffré avec une autre phrase secrète. Saisissez celle en vigueur lors de sa création.</p>',
+      fields: [this._passphraseField('passphrase', 'Phrase secrète')],
+      submitText: 'Continuer',
+      onSubmit: async (data) => onPassphrase(data.passphrase),
+    });
+  }
+
+  async _confirmImport(text, preview, passphrase) {
+    const confirmed = await modalSystem.confirm({
+      title: 'Importer cette sauvegarde ?',
+      message: this._describeImport(preview),
+      confirmText: 'Importer',
+      cancelText: 'Annuler',
+    });
+    if (!confirmed) return;
+
+    // Annulable depuis le tableau de bord (Ctrl+Z) pendant la session
+    const result = await commandHistory.run('Import d\'une sauvegarde', () => storage.importFromBackup(text, { passphrase }), {
+      fullStore: true,
+    });
+
+    if (result.success) {
+      const migrated = result.migrations.length ? ` (${result.migrations.length} migration(s) appliquée(s))` : '';
+      toast.success(`${result.eventCount} événements importés${migrated}`);
+      if (result.snapshotSkipped) {
+        toast.warning('Espace de stockage insuffisant : aucun point de restauration n\'a pu être conservé');
+      }
+      // Recharge une fois l'import écrit sur disque
+      await storage.flush();
+      setTimeout(() => location.reload(), 1000);
+    } else {
+      toast.error(result.error);
+    }
+  }
+
+  _describeImport(preview) {
+    const steps = preview.migrations.length
+      ? `Migrations appliquées (v${preview.fromVersion} → v${preview.toVersion}) : ${preview.migrations.map(step => `v${step.version} — ${step.description}`).join(' ; ')}.`
+      : 'Sauvegarde déjà au format actuel, aucune migration nécessaire.';
+
+    return `${preview.eventCount} événement(s) remplaceront vos données actuelles. ${steps} Un instantané de vos données actuelles sera conservé avant l'import.`;
+  }
+
+  _passphraseField(name, label, helpText = '') {
+    return { name, label, type: 'password', required: true, helpText };
+  }
+
+  _openEnableEncryption() {
+    const minLength = CONFIG.ENCRYPTION.MIN_PASSPHRASE_LENGTH;
+
+    modalSystem.form({
+      title: 'Chiffrer mes données',
+      intro: '<p>Vos données seront chiffrées sur cet appareil et la phrase secrète demandée à chaque ouverture. <strong>Sans elle, elles seront irrécupérables.</strong></p>',
+      fields: [
+        this._passphraseField('passphrase', 'Phrase secrète', `${minLength} caractères minimum`),
+        this._passphraseField('confirmation', 'Confirmation'),
+      ],
+      submitText: 'Chiffrer',
+      validate: (data) => this._validateNewPassphrase(data.passphrase, data.confirmation, 'passphrase'),
+      onSubmit: async (data) => {
+        const result = await storage.enableEncryption(data.passphrase);
+        if (!result.success) throw new Error(result.error);
+
+        toast.success('Chiffrement activé');
+        this._loadSecuritySettings();
+      },
+    });
+  }
+
+  _openChangePassphrase() {
+    modalSystem.form({
+      title: 'Modifier la phrase secrète',
+      fields: [
+        this._passphraseField('current', 'Phrase secrète actuelle'),
+        this._passphraseField('next', 'Nouvelle phrase secrète', `${CONFIG.ENCRYPTION.MIN_PASSPHRASE_LENGTH} caractères minimum`),
+        this._passphraseField('confirmation', 'Confirmation'),
+      ],
+      validate: (data) => this._validateNewPassphrase(data.next, data.confirmation, 'next'),
+      onSubmit: async (data) => {
+        const result = await storage.changePassphrase(data.current, data.next);
+        if (!result.success) throw new Error(result.error);
+
+        toast.success('Phrase secrète modifiée');
+      },
+    });
+  }
+
+  _openDisableEncryption() {
+    modalSystem.form({
+      title: 'Désactiver le chiffrement',
+      intro: '<p>Vos données seront de nouveau enregistrées en clair sur cet appareil.</p>',
+      fields: [this._passphraseField('passphrase', 'Phrase secrète')],
+      submitText: 'Désactiver',
+      onSubmit: async (data) => {
+        const result = await storage.disableEncryption(data.passphrase);
+        if (!result.success) throw new Error(result.error);
+
+        toast.success('Chiffrement désactivé');
+        this._loadSecuritySettings();
+      },
+    });
+  }
+
+  /**
+   * Une sauvegarde chiffrée se restaure avec la phrase secrète en vigueur lors de l'export
+   */
+  _openBackupPassphrase(text) {
+    modalSystem.form({
+      title: 'Sauvegarde chiffrée',
+      intro: '<p>Saisissez la phrase secrète utilisée lors de la création de cette sauvegarde.</p>',
+      fields: [this._passphraseField('passphrase', 'Phrase secrète')],
+      submitText: 'Déchiffrer',
+      onSubmit: async (data) => {
+        const preview = await storage.importFromBackup(text, { dryRun: true, passphrase: data.passphrase });
+        if (!preview.success) throw new Error(preview.error);
+
+        this._confirmImport(text, preview, data.passphrase);
+      },
+    });
+  }
+
+  _validateNewPassphrase(passphrase, confirmation, field) {
+    const errors = {};
+    if (passphrase.length < CONFIG.ENCRYPTION.MIN_PASSPHRASE_LENGTH) {
+      errors[field] = `${CONFIG.ENCRYPTION.MIN_PASSPHRASE_LENGTH} caractères minimum`;
+    } else if (passphrase !== confirmation) {
+      errors.confirmation = 'Les deux saisies ne correspondent pas';
+    }
+    return errors;
+  }
+
   _initNavigation() {
     // Navigation smooth scroll
     document.querySelectorAll('[data-settings-link]').forEach(link => {
@@ -299,10 +1169,12 @@ class SettingsController {
   }
 }
 
-// Initialise le contrôleur
-const controller = new SettingsController();
-if (document.readyState === 'loading') {
-  document.addEventListener('DOMContentLoaded', () => controller.init());
-} else {
-  controller.init();
-}
+// Initialise le contrôleur une fois les données chargées
+storage.ready.then(() => {
+  const controller = new SettingsController();
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', () => controller.init());
+  } else {
+    controller.init();
+  }
+});
@@ -0,0 +1,118 @@
+/**
+ * ============================================================
+ * HARMONY SCHEDULER v2.0 — Availability Utilities
+ * ============================================================
+ * Horaires d'une journée précise : modèle hebdomadaire
+ * (dayOfWeek, start, end) corrigé par les exceptions datées
+ * (fermetures, ouvertures supplémentaires).
+ * Jours fériés français importables comme fermetures.
+ */
+
+import { CONFIG } from '../core/Config.js';
+import { DateUtils } from './DateUtils.js';
+
+const { TYPES } = CONFIG.AVAILABILITY_OVERRIDES;
+
+const pad = (value) => String(value).padStart(2, '0');
+
+export class AvailabilityUtils {
+  /**
+   * Plages ouvertes un jour donné, en heure du professionnel.
+   * Une fermeture annule le modèle hebdomadaire ; les ouvertures
+   * supplémentaires du jour restent valables.
+   * @param {string} dateKey - AAAA-MM-JJ
+   * @param {Array} template - Modèle hebdomadaire { dayOfWeek, start, end, enabled }
+   * @param {Array} overrides - Exceptions { type, startDate, endDate, start, end }
+   * @returns {Array<{start: string, end: string}>} Plages HH:MM triées, fusionnées
+   */
+  static getWindowsForDate(dateKey, template, overrides = []) {
+    const applicable = this.getOverridesForDate(dateKey, overrides);
+    const isClosed = applicable.some(o => o.type === TYPES.CLOSED);
+    const dayOfWeek = DateUtils.getDayOfWeek(dateKey);
+
+    const windows = [
+      ...(isClosed ? [] : template.filter(slot => slot.dayOfWeek === dayOfWeek && slot.enabled !== false)),
+      ...applicable.filter(o => o.type === TYPES.OPEN),
+    ]
+      .map(({ start, end }) => ({ start, end }))
+      .sort((a, b) => a.start.localeCompare(b.start));
+
+    // Plages qui se chevauchent (modèle + ouverture supplémentaire) : fusionnées
+    return windows.reduce((merged, window) => {
+      const last = merged[merged.length - 1];
+      if (last && window.start <= last.end) {
+        if (window.end > last.end) last.end = window.end;
+      } else {
+        merged.push(window);
+      }
+      return merged;
+    }, []);
+  }
+
+  /**
+   * Exceptions qui touchent un jour donné
+   */
+  static getOverridesForDate(dateKey, overrides = []) {
+    return overrides.filter(o => o.startDate <= dateKey && dateKey <= o.endDate);
+  }
+
+  /**
+   * ============================================================
+   * JOURS FÉRIÉS
+   * ============================================================
+   */
+
+  /**
+   * @param {string} preset - Clé de CONFIG.AVAILABILITY_OVERRIDES.HOLIDAY_PRESETS
+   * @returns {Array<{date: string, label: string}>} Jours fériés de l'année, triés
+   */
+  static getHolidays(preset, year) {
+    if (!CONFIG.AVAILABILITY_OVERRIDES.HOLIDAY_PRESETS[preset]) return [];
+
+    const easter = this._getEasterDate(year);
+    const fixed = (month, day, label) => ({ date: `${year}-${pad(month)}-${pad(day)}`, label });
+    const fromEaster = (days, label) => ({ date: DateUtils.addDaysToKey(easter, days), label });
+
+    const holidays = [
+      fixed(1, 1, 'Jour de l\'an'),
+      fromEaster(1, 'Lundi de Pâques'),
+      fixed(5, 1, 'Fête du Travail'),
+      fixed(5, 8, 'Victoire 1945'),
+      fromEaster(39, 'Ascension'),
+      fromEaster(50, 'Lundi de Pentecôte'),
+      fixed(7, 14, 'Fête nationale'),
+      fixed(8, 15, 'Assomption'),
+      fixed(11, 1, 'Toussaint'),
+      fixed(11, 11, 'Armistice 1918'),
+      fixed(12, 25, 'Noël'),
+    ];
+
+    if (preset === 'fr-alsace-moselle') {
+      holidays.push(fromEaster(-2, 'Vendredi saint'), fixed(12, 26, 'Saint-Étienne'));
+    }
+
+    return holidays.sort((a, b) => a.date.localeCompare(b.date));
+  }
+
+  /**
+   * Dimanche de Pâques (calendrier grégorien, algorithme de Meeus)
+   * @returns {string} AAAA-MM-JJ
+   */
+  static _getEasterDate(year) {
+    const a = year % 19;
+    const b = Math.floor(year / 100);
+    const c = year % 100;
+    const d = Math.floor(b / 4);
+    const e = b % 4;
+    const f = Math.floor((b + 8) / 25);
+    const g = Math.floor((b - f + 1) / 3);
+    const h = (19 * a + b - d - g + 15) % 30;
+    const i = Math.floor(c / 4);
+    const k = c % 4;
+    const l = (32 + 2 * e + 2 * i - h - k) % 7;
+    const m = Math.floor((a + 11 * h + 22 * l) / 451);
+    const month = Math.floor((h + l - 7 * m + 114) / 31);
+    const day = ((h + l - 7 * m + 114) % 31) + 1;
+    return `${year}-${pad(month)}-${pad(day)}`;
+  }
+}
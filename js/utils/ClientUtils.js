@@ -0,0 +1,111 @@
+/**
+ * ============================================================
+ * HARMONY SCHEDULER v2.0 — Client Utilities
+ * ============================================================
+ * Normalisation des coordonnées et rapprochement des clients :
+ * deux saisies d'un même email ou téléphone désignent le même client.
+ */
+
+import { SecurityUtils } from './Validator.js';
+
+export class ClientUtils {
+  static normalizeEmail(email) {
+    return typeof email === 'string' ? email.trim().toLowerCase() : '';
+  }
+
+  /**
+   * Chiffres seuls, indicatif français ramené au format national (+33 6… → 06…)
+   */
+  static normalizePhone(phone) {
+    if (typeof phone !== 'string') return '';
+    const digits = phone.replace(/\D/g, '');
+    if (digits.startsWith('0033')) return `0${digits.slice(4)}`;
+    if (digits.startsWith('33') && digits.length === 11) return `0${digits.slice(2)}`;
+    return digits;
+  }
+
+  static normalizeName(name) {
+    return typeof name === 'string'
+      ? name.trim().toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/\s+/g, ' ')
+      : '';
+  }
+
+  /**
+   * Client correspondant à des coordonnées : email, puis téléphone,
+   * puis nom exact pour les fiches sans aucune coordonnée.
+   */
+  static findMatch(clients, { email, phone, name }) {
+    const normalizedEmail = this.normalizeEmail(email);
+    const normalizedPhone = this.normalizePhone(phone);
+
+    if (normalizedEmail) {
+      const match = clients.find(c => this.normalizeEmail(c.email) === normalizedEmail);
+      if (match) return match;
+    }
+
+    if (normalizedPhone) {
+      const match = clients.find(c => this.normalizePhone(c.phone) === normalizedPhone);
+      if (match) return match;
+    }
+
+    if (!normalizedEmail && !normalizedPhone && name) {
+      const normalizedName = this.normalizeName(name);
+      return clients.find(c => !c.email && !c.phone && this.normalizeName(c.name) === normalizedName) || null;
+    }
+
+    return null;
+  }
+
+  static createClient({ name, email, phone, notes = '' }) {
+    const now = new Date().toISOString();
+    return {
+      id: SecurityUtils.generateSecureId(),
+      name: name || 'Client',
+      email: this.normalizeEmail(email),
+      phone: phone ? phone.replace(/\s/g, '') : '',
+      notes,
+      createdAt: now,
+      updatedAt: now,
+    };
+  }
+
+  /**
+   * Complète une fiche avec les coordonnées qui lui manquent
+   * @returns {boolean} true si la fiche a changé
+   */
+  static fillMissing(client, { email, phone }) {
+    let changed = false;
+    if (!client.email && this.normalizeEmail(email)) {
+      client.email = this.normalizeEmail(email);
+      changed = true;
+    }
+    if (!client.phone && this.normalizePhone(phone)) {
+      client.phone = phone.replace(/\s/g, '');
+      changed = true;
+    }
+    return changed;
+  }
+
+  /**
+   * Rattache chaque rendez-vous d'une liste à une fiche client,
+   * en créant les fiches manquantes (modifie `clients` et les événements).
+   */
+  static linkEvents(clients, events, isClientEvent) {
+    events.forEach(event => {
+      if (event.clientId || !isClientEvent(event)) return;
+
+      const contact = { email: event.clientEmail, phone: event.clientPhone, name: event.clientName };
+      let client = this.findMatch(clients, contact);
+
+      if (client) {
+        if (this.fillMissing(client, contact)) client.updatedAt = new Date().toISOString();
+      } else {
+        client = this.createClient({ name: event.clientName, ...contact });
+        client.createdAt = event.createdAt || client.createdAt;
+        clients.push(client);
+      }
+
+      event.clientId = client.id;
+    });
+  }
+}
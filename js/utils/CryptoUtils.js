@@ -0,0 +1,113 @@
+/**
+ * ============================================================
+ * HARMONY SCHEDULER v2.0 — Crypto Utilities
+ * ============================================================
+ * Chiffrement par phrase secrète via WebCrypto :
+ * clé AES-GCM 256 bits dérivée par PBKDF2 (SHA-256).
+ * Une « enveloppe » chiffrée est un objet JSON autoportant
+ * (sel, itérations, IV, données) : elle sert au stockage comme
+ * aux sauvegardes exportées.
+ */
+
+import { CONFIG } from '../core/Config.js';
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+export class CryptoUtils {
+  static isSupported() {
+    return typeof crypto !== 'undefined' && !!crypto.subtle;
+  }
+
+  static isEnvelope(value) {
+    return !!value && value.format === CONFIG.ENCRYPTION.FORMAT && typeof value.data === 'string';
+  }
+
+  /**
+   * Paramètres de dérivation d'une nouvelle clé (sel aléatoire)
+   */
+  static createKdfParams() {
+    return {
+      salt: this._toBase64(crypto.getRandomValues(new Uint8Array(16))),
+      iterations: CONFIG.ENCRYPTION.PBKDF2_ITERATIONS,
+    };
+  }
+
+  /**
+   * @returns {Promise<CryptoKey>} Clé AES-GCM non exportable
+   */
+  static async deriveKey(passphrase, { salt, iterations }) {
+    const material = await crypto.subtle.importKey(
+      'raw', encoder.encode(passphrase), 'PBKDF2', false, ['deriveKey']
+    );
+
+    return crypto.subtle.deriveKey(
+      { name: 'PBKDF2', salt: this._fromBase64(salt), iterations, hash: 'SHA-256' },
+      material,
+      { name: 'AES-GCM', length: 256 },
+      false,
+      ['encrypt', 'decrypt']
+    );
+  }
+
+  /**
+   * Chiffre une valeur sérialisable en enveloppe
+   * @param {Object} kdf - { salt, iterations } ayant servi à dériver `key`
+   * @param {Object} meta - Champs en clair ajoutés à l'enveloppe (ex. version)
+   */
+  static async seal(value, key, kdf, meta = {}) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const ciphertext = await crypto.subtle.encrypt(
+      { name: 'AES-GCM', iv }, key, encoder.encode(JSON.stringify(value))
+    );
+
+    return {
+      format: CONFIG.ENCRYPTION.FORMAT,
+      ...meta,
+      kdf: { ...kdf },
+      iv: this._toBase64(iv),
+      data: this._toBase64(new Uint8Array(ciphertext)),
+    };
+  }
+
+  /**
+   * Déchiffre une enveloppe. Lève une erreur si la clé est mauvaise
+   * (l'étiquette d'authentification GCM ne correspond pas).
+   */
+  static async open(envelope, key) {
+    const plaintext = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: this._fromBase64(envelope.iv) }, key, this._fromBase64(envelope.data)
+    );
+    return JSON.parse(decoder.decode(plaintext));
+  }
+
+  /**
+   * Signature HMAC-SHA256 d'un message, encodée pour une URL (base64url)
+   */
+  static async sign(message, secret) {
+    const key = await crypto.subtle.importKey(
+      'raw', encoder.encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']
+    );
+    const signature = new Uint8Array(await crypto.subtle.sign('HMAC', key, encoder.encode(message)));
+    return this._toBase64(signature).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  }
+
+  /**
+   * ============================================================
+   * MÉTHODES PRIVÉES
+   * ============================================================
+   */
+
+  static _toBase64(bytes) {
+    let binary = '';
+    // Par blocs : String.fromCharCode(...bytes) dépasse la pile sur les gros stores
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+  }
+
+  static _fromBase64(base64) {
+    return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+  }
+}
@@ -7,35 +7,206 @@
 
 import { CONFIG } from '../core/Config.js';
 
+// Fuseau de référence (celui du professionnel), appliqué par StorageManager
+let referenceTimeZone = Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+
+// Les Intl.DateTimeFormat sont coûteux à créer : un par fuseau
+const partsFormatters = new Map();
+
+const DATE_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+const pad = (value) => String(value).padStart(2, '0');
+
 export class DateUtils {
   /**
-   * Retourne le début et la fin de la semaine courante
+   * ============================================================
+   * FUSEAUX HORAIRES
+   * ============================================================
+   * Les instants restent stockés en ISO UTC ; les notions de « jour »,
+   * d'« heure » et de « semaine » sont évaluées dans un fuseau IANA
+   * (par défaut celui du professionnel).
+   */
+
+  /**
+   * Définit le fuseau de référence (ignore les fuseaux invalides)
+   */
+  static setTimeZone(timeZone) {
+    if (this.isValidTimeZone(timeZone)) {
+      referenceTimeZone = timeZone;
+    }
+    return referenceTimeZone;
+  }
+
+  static getTimeZone() {
+    return referenceTimeZone;
+  }
+
+  /**
+   * Fuseau du navigateur (côté client : celui du visiteur)
    */
-  static getCurrentWeekRange() {
-    const now = new Date();
-    const monday = new Date(now);
-    monday.setDate(now.getDate() - ((now.getDay() + 6) % 7));
-    monday.setHours(0, 0, 0, 0);
+  static getBrowserTimeZone() {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+  }
+
+  static isValidTimeZone(timeZone) {
+    if (!timeZone || typeof timeZone !== 'string') return false;
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone });
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Composantes d'une date dans un fuseau : { year, month, day, hour, minute, second, weekday }
+   */
+  static getZonedParts(dateISO, timeZone = referenceTimeZone) {
+    if (!partsFormatters.has(timeZone)) {
+      partsFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit',
+        weekday: 'short',
+      }));
+    }
     
-    const sunday = new Date(monday);
-    sunday.setDate(monday.getDate() + 6);
-    sunday.setHours(23, 59, 59, 999);
+    const parts = {};
+    partsFormatters.get(timeZone).formatToParts(new Date(dateISO)).forEach(({ type, value }) => {
+      parts[type] = value;
+    });
     
-    return { 
-      start: monday.toISOString(), 
-      end: sunday.toISOString(),
-      startDate: monday,
-      endDate: sunday,
+    return {
+      year: Number(parts.year),
+      month: Number(parts.month),
+      day: Number(parts.day),
+      hour: Number(parts.hour),
+      minute: Number(parts.minute),
+      second: Number(parts.second),
+      weekday: WEEKDAYS[parts.weekday],
+    };
+  }
+
+  /**
+   * Date calendaire (YYYY-MM-DD) d'un instant dans un fuseau
+   */
+  static toDateKey(dateISO, timeZone = referenceTimeZone) {
+    if (typeof dateISO === 'string' && DATE_KEY_PATTERN.test(dateISO)) return dateISO;
+    const { year, month, day } = this.getZonedParts(dateISO, timeZone);
+    return `${year}-${pad(month)}-${pad(day)}`;
+  }
+
+  static getTodayKey(timeZone = referenceTimeZone) {
+    return this.toDateKey(new Date(), timeZone);
+  }
+
+  /**
+   * Décalage du fuseau par rapport à UTC (minutes) à un instant donné
+   */
+  static getTimeZoneOffset(dateISO, timeZone = referenceTimeZone) {
+    const date = new Date(dateISO);
+    const { year, month, day, hour, minute, second } = this.getZonedParts(date, timeZone);
+    const asUTC = Date.UTC(year, month - 1, day, hour, minute, second);
+    return Math.round((asUTC - (date.getTime() - date.getMilliseconds())) / CONFIG.TIME.MINUTE);
+  }
+
+  /**
+   * Instant ISO correspondant à une heure murale (HH:MM[:SS]) d'une date dans un fuseau
+   */
+  static zonedTimeToISO(dateKey, timeStr = '00:00', timeZone = referenceTimeZone) {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    const [hours, minutes = 0, seconds = 0] = timeStr.split(':').map(Number);
+    const wallClock = Date.UTC(year, month - 1, day, hours, minutes, seconds);
+    
+    // Deux passes pour absorber un changement d'heure entre l'estimation et le résultat
+    let instant = wallClock - this.getTimeZoneOffset(wallClock, timeZone) * CONFIG.TIME.MINUTE;
+    instant = wallClock - this.getTimeZoneOffset(instant, timeZone) * CONFIG.TIME.MINUTE;
+    
+    return new Date(instant).toISOString();
+  }
+
+  /**
+   * Ajoute des jours à une date calendaire (YYYY-MM-DD)
+   */
+  static addDaysToKey(dateKey, days) {
+    const date = new Date(`${dateKey}T12:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().slice(0, 10);
+  }
+
+  /**
+   * Libellé lisible d'un fuseau (ex. « heure normale d'Europe centrale »)
+   */
+  static getTimeZoneLabel(timeZone = referenceTimeZone, dateISO = new Date()) {
+    try {
+      const part = new Intl.DateTimeFormat('fr-FR', { timeZone, timeZoneName: 'long' })
+        .formatToParts(new Date(dateISO))
+        .find(p => p.type === 'timeZoneName');
+      return part?.value || timeZone;
+    } catch {
+      return timeZone;
+    }
+  }
+
+  /**
+   * Retourne le début et la fin de la semaine courante
+   */
+  static getCurrentWeekRange(timeZone = referenceTimeZone) {
+    return this.getWeekRangeFor(new Date(), timeZone);
+  }
+
+  /**
+   * Retourne le début (lundi 00:00) et la fin (dimanche 23:59) de la semaine d'une date
+   */
+  static getWeekRangeFor(dateISO, timeZone = referenceTimeZone) {
+    const dateKey = this.toDateKey(dateISO, timeZone);
+    const mondayKey = this.addDaysToKey(dateKey, -((this.getDayOfWeek(dateKey) + 6) % 7));
+    return this._buildWeekRange(mondayKey, timeZone);
+  }
+
+  /**
+   * Décale une plage hebdomadaire d'un nombre de semaines (négatif = passé)
+   */
+  static getWeekRangeOffset(weekRange, offsetWeeks, timeZone = referenceTimeZone) {
+    const mondayKey = this.addDaysToKey(this.toDateKey(weekRange.start, timeZone), offsetWeeks * 7);
+    return this._buildWeekRange(mondayKey, timeZone);
+  }
+
+  static _buildWeekRange(mondayKey, timeZone) {
+    const startDate = new Date(this.zonedTimeToISO(mondayKey, '00:00', timeZone));
+    const nextMonday = new Date(this.zonedTimeToISO(this.addDaysToKey(mondayKey, 7), '00:00', timeZone));
+    const endDate = new Date(nextMonday.getTime() - 1);
+    
+    return {
+      start: startDate.toISOString(),
+      end: endDate.toISOString(),
+      startDate,
+      endDate,
     };
   }
 
+  /**
+   * Vérifie si une date ISO tombe dans une plage { start, end }
+   */
+  static isInRange(dateISO, range) {
+    const time = new Date(dateISO).getTime();
+    return time >= new Date(range.start).getTime() && time <= new Date(range.end).getTime();
+  }
+
   /**
    * Retourne le début et la fin du mois courant
    */
-  static getCurrentMonthRange() {
-    const now = new Date();
-    const start = new Date(now.getFullYear(), now.getMonth(), 1);
-    const end = new Date(now.getFullYear(), now.getMonth() + 1, 0, 23, 59, 59, 999);
+  static getCurrentMonthRange(timeZone = referenceTimeZone) {
+    const { year, month } = this.getZonedParts(new Date(), timeZone);
+    const nextMonth = month === 12 ? `${year + 1}-01-01` : `${year}-${pad(month + 1)}-01`;
+    const start = new Date(this.zonedTimeToISO(`${year}-${pad(month)}-01`, '00:00', timeZone));
+    const end = new Date(new Date(this.zonedTimeToISO(nextMonth, '00:00', timeZone)).getTime() - 1);
     
     return { 
       start: start.toISOString(), 
@@ -72,11 +243,11 @@ export class DateUtils {
   }
 
   /**
-   * Regroupe les événements par date (YYYY-MM-DD)
+   * Regroupe les événements par date (YYYY-MM-DD) dans le fuseau donné
    */
-  static groupByDay(events) {
+  static groupByDay(events, timeZone = referenceTimeZone) {
     return events.reduce((acc, ev) => {
-      const day = ev.start.slice(0, 10);
+      const day = this.toDateKey(ev.start, timeZone);
       if (!acc[day]) acc[day] = [];
       acc[day].push(ev);
       return acc;
@@ -109,9 +280,14 @@ export class DateUtils {
       weekday: 'short', 
       day: 'numeric', 
       month: 'long',
+      timeZone: referenceTimeZone,
       ...options 
     };
     try {
+      // Une date calendaire n'a pas de fuseau : on l'affiche telle quelle
+      if (typeof dateISO === 'string' && DATE_KEY_PATTERN.test(dateISO)) {
+        return new Date(`${dateISO}T12:00:00Z`).toLocaleDateString('fr-FR', { ...defaultOptions, timeZone: 'UTC' });
+      }
       return new Date(dateISO).toLocaleDateString('fr-FR', defaultOptions);
     } catch {
       return dateISO;
@@ -125,6 +301,7 @@ export class DateUtils {
     const defaultOptions = { 
       hour: '2-digit', 
       minute: '2-digit',
+      timeZone: referenceTimeZone,
       ...options 
     };
     try {
@@ -137,27 +314,22 @@ export class DateUtils {
   /**
    * Formate une date et heure complète
    */
-  static formatDateTime(dateISO) {
-    return `${this.formatDate(dateISO)} à ${this.formatTime(dateISO)}`;
+  static formatDateTime(dateISO, options = {}) {
+    return `${this.formatDate(dateISO, options)} à ${this.formatTime(dateISO, options)}`;
   }
 
   /**
-   * Parse une date et heure à partir d'une date ISO et d'une chaîne HH:MM
+   * Parse une date (ISO ou YYYY-MM-DD) et une chaîne HH:MM en heure murale du fuseau
    */
-  static parseDateTime(dateISO, timeStr) {
-    const [hours, minutes] = timeStr.split(':').map(Number);
-    const date = new Date(dateISO);
-    date.setHours(hours, minutes, 0, 0);
-    return date;
+  static parseDateTime(dateISO, timeStr, timeZone = referenceTimeZone) {
+    return new Date(this.zonedTimeToISO(this.toDateKey(dateISO, timeZone), timeStr, timeZone));
   }
 
   /**
    * Vérifie si une date est aujourd'hui
    */
-  static isToday(dateISO) {
-    const date = new Date(dateISO);
-    const today = new Date();
-    return date.toDateString() === today.toDateString();
+  static isToday(dateISO, timeZone = referenceTimeZone) {
+    return this.toDateKey(dateISO, timeZone) === this.getTodayKey(timeZone);
   }
 
   /**
@@ -193,28 +365,28 @@ export class DateUtils {
   /**
    * Ajoute des jours à une date ISO
    */
-  static addDays(dateISO, days) {
-    const date = new Date(dateISO);
-    date.setDate(date.getDate() + days);
-    return date.toISOString();
+  static addDays(dateISO, days, timeZone = referenceTimeZone) {
+    // Conserve l'heure murale, y compris à travers un changement d'heure
+    const { hour, minute, second } = this.getZonedParts(dateISO, timeZone);
+    const dateKey = this.addDaysToKey(this.toDateKey(dateISO, timeZone), days);
+    const result = new Date(this.zonedTimeToISO(dateKey, `${hour}:${minute}:${second}`, timeZone));
+    result.setMilliseconds(new Date(dateISO).getMilliseconds());
+    return result.toISOString();
   }
 
   /**
    * Retourne le début de la journée (00:00:00)
    */
-  static startOfDay(dateISO) {
-    const date = new Date(dateISO);
-    date.setHours(0, 0, 0, 0);
-    return date.toISOString();
+  static startOfDay(dateISO, timeZone = referenceTimeZone) {
+    return this.zonedTimeToISO(this.toDateKey(dateISO, timeZone), '00:00', timeZone);
   }
 
   /**
    * Retourne la fin de la journée (23:59:59)
    */
-  static endOfDay(dateISO) {
-    const date = new Date(dateISO);
-    date.setHours(23, 59, 59, 999);
-    return date.toISOString();
+  static endOfDay(dateISO, timeZone = referenceTimeZone) {
+    const nextDay = this.addDaysToKey(this.toDateKey(dateISO, timeZone), 1);
+    return new Date(new Date(this.zonedTimeToISO(nextDay, '00:00', timeZone)).getTime() - 1).toISOString();
   }
 
   /**
@@ -277,27 +449,30 @@ export class DateUtils {
    * Retourne le nom du jour de la semaine
    */
   static getDayName(dateISO, format = 'long') {
-    return new Date(dateISO).toLocaleDateString('fr-FR', { weekday: format });
+    return this.formatDate(dateISO, { weekday: format, day: undefined, month: undefined });
   }
 
   /**
-   * Retourne le jour de la semaine (0-6)
+   * Retourne le jour de la semaine (0-6) dans le fuseau
    */
-  static getDayOfWeek(dateISO) {
-    return new Date(dateISO).getDay();
+  static getDayOfWeek(dateISO, timeZone = referenceTimeZone) {
+    if (typeof dateISO === 'string' && DATE_KEY_PATTERN.test(dateISO)) {
+      return new Date(`${dateISO}T12:00:00Z`).getUTCDay();
+    }
+    return this.getZonedParts(dateISO, timeZone).weekday;
   }
 
   /**
-   * Crée une plage de dates entre deux dates
+   * Crée une plage de dates calendaires (YYYY-MM-DD) entre deux dates
    */
-  static generateDateRange(startISO, endISO) {
+  static generateDateRange(startISO, endISO, timeZone = referenceTimeZone) {
     const dates = [];
-    let current = new Date(startISO);
-    const end = new Date(endISO);
+    let current = this.toDateKey(startISO, timeZone);
+    const end = this.toDateKey(endISO, timeZone);
     
     while (current <= end) {
-      dates.push(current.toISOString().split('T')[0]);
-      current.setDate(current.getDate() + 1);
+      dates.push(current);
+      current = this.addDaysToKey(current, 1);
     }
     
     return dates;
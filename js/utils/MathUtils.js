@@ -107,6 +107,36 @@ export class MathUtils {
     return total > 0 ? (value / total) * 100 : 0;
   }
 
+  /**
+   * Ramène des poids entiers à un total donné (méthode du plus fort reste)
+   * @param {Object} weights - { clé: poids }
+   */
+  static normalizeWeights(weights, total = 100) {
+    const keys = Object.keys(weights);
+    if (!keys.length) return {};
+    
+    const sum = keys.reduce((acc, key) => acc + Math.max(0, weights[key] || 0), 0);
+    const exact = keys.map(key => ({
+      key,
+      value: sum > 0 ? (Math.max(0, weights[key] || 0) / sum) * total : total / keys.length,
+    }));
+    
+    const result = {};
+    exact.forEach(({ key, value }) => { result[key] = Math.floor(value); });
+    
+    let remainder = total - Object.values(result).reduce((a, b) => a + b, 0);
+    [...exact]
+      .sort((a, b) => (b.value - Math.floor(b.value)) - (a.value - Math.floor(a.value)))
+      .forEach(({ key }) => {
+        if (remainder > 0) {
+          result[key]++;
+          remainder--;
+        }
+      });
+    
+    return result;
+  }
+
   /**
    * Normalise une valeur entre 0 et 1
    */
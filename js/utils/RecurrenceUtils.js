@@ -0,0 +1,229 @@
+/**
+ * ============================================================
+ * HARMONY SCHEDULER v2.0 — Recurrence Utilities
+ * ============================================================
+ * Règles de récurrence des rendez-vous (quotidienne, hebdomadaire,
+ * toutes les N semaines, mensuelle par jour de semaine).
+ * Une série est stockée comme un événement « maître » portant la
+ * règle ; ses occurrences sont calculées à la lecture.
+ */
+
+import { CONFIG } from '../core/Config.js';
+import { DateUtils } from './DateUtils.js';
+
+const OCCURRENCE_SEPARATOR = '::';
+const ORDINALS = ['1er', '2e', '3e', '4e'];
+const WEEKDAY_NAMES = ['dimanche', 'lundi', 'mardi', 'mercredi', 'jeudi', 'vendredi', 'samedi'];
+
+const pad = (value) => String(value).padStart(2, '0');
+
+export class RecurrenceUtils {
+  /**
+   * ============================================================
+   * IDENTIFIANTS D'OCCURRENCES
+   * ============================================================
+   */
+
+  static makeOccurrenceId(seriesId, dateKey) {
+    return `${seriesId}${OCCURRENCE_SEPARATOR}${dateKey}`;
+  }
+
+  /**
+   * @returns {Object|null} { seriesId, date } si l'id désigne une occurrence calculée
+   */
+  static parseOccurrenceId(id) {
+    if (typeof id !== 'string' || !id.includes(OCCURRENCE_SEPARATOR)) return null;
+    const [seriesId, date] = id.split(OCCURRENCE_SEPARATOR);
+    return seriesId && date ? { seriesId, date } : null;
+  }
+
+  /**
+   * ============================================================
+   * RÈGLES
+   * ============================================================
+   */
+
+  /**
+   * Complète une règle saisie (intervalle, jours de semaine, exceptions)
+   * @param {Object} rule - { frequency, interval, weekdays, until, count }
+   * @param {string} start - Début ISO du premier rendez-vous
+   */
+  static normalizeRule(rule, start) {
+    const { FREQUENCIES } = CONFIG.RECURRENCE;
+    const weekday = DateUtils.getDayOfWeek(start);
+
+    return {
+      frequency: rule.frequency,
+      interval: Math.max(1, parseInt(rule.interval, 10) || 1),
+      weekdays: rule.frequency === FREQUENCIES.WEEKLY
+        ? [...new Set(rule.weekdays?.length ? rule.weekdays.map(Number) : [weekday])].sort()
+        : [],
+      until: rule.until || null,
+      count: rule.count ? parseInt(rule.count, 10) : null,
+      exdates: [...(rule.exdates || [])],
+    };
+  }
+
+  /**
+   * Dates (clés YYYY-MM-DD) des occurrences, exceptions comprises.
+   * Comme en iCalendar, `count` inclut les dates exclues.
+   */
+  static getOccurrenceDates(startKey, rule) {
+    const { FREQUENCIES, MAX_OCCURRENCES } = CONFIG.RECURRENCE;
+    const limit = Math.min(rule.count || MAX_OCCURRENCES, MAX_OCCURRENCES);
+    const dates = [];
+
+    const accept = (dateKey) => {
+      if (dateKey < startKey) return true;
+      if (rule.until && dateKey > rule.until) return false;
+      dates.push(dateKey);
+      return dates.length < limit;
+    };
+
+    if (rule.frequency === FREQUENCIES.DAILY) {
+      for (let key = startKey; accept(key); key = DateUtils.addDaysToKey(key, rule.interval));
+      return dates;
+    }
+
+    if (rule.frequency === FREQUENCIES.WEEKLY) {
+      // Semaines comptées à partir du lundi de la semaine de départ
+      const monday = DateUtils.addDaysToKey(startKey, -((DateUtils.getDayOfWeek(startKey) + 6) % 7));
+      const offsets = rule.weekdays.map(day => (day + 6) % 7).sort((a, b) => a - b);
+
+      for (let week = 0; ; week += rule.interval) {
+        const weekStart = DateUtils.addDaysToKey(monday, week * 7);
+        for (const offset of offsets) {
+          if (!accept(DateUtils.addDaysToKey(weekStart, offset))) return dates;
+        }
+      }
+    }
+
+    if (rule.frequency === FREQUENCIES.MONTHLY) {
+      const position = this.getMonthlyPosition(startKey);
+      const weekday = DateUtils.getDayOfWeek(startKey);
+      const [year, month] = startKey.split('-').map(Number);
+
+      for (let step = 0; ; step += rule.interval) {
+        const dateKey = this._nthWeekdayOfMonth(year, month - 1 + step, weekday, position);
+        if (!accept(dateKey)) return dates;
+      }
+    }
+
+    return dates;
+  }
+
+  /**
+   * Occurrences concrètes d'un événement maître (exceptions exclues)
+   */
+  static expand(master, timeZone = DateUtils.getTimeZone()) {
+    const rule = master.recurrence;
+    const startKey = DateUtils.toDateKey(master.start, timeZone);
+    const { hour, minute } = DateUtils.getZonedParts(master.start, timeZone);
+    const durationMs = new Date(master.end) - new Date(master.start);
+    const exdates = new Set(rule.exdates || []);
+
+    return this.getOccurrenceDates(startKey, rule)
+      .filter(dateKey => !exdates.has(dateKey))
+      .map(dateKey => {
+        const start = DateUtils.zonedTimeToISO(dateKey, `${pad(hour)}:${pad(minute)}`, timeZone);
+        return {
+          ...master,
+          id: this.makeOccurrenceId(master.id, dateKey),
+          seriesId: master.id,
+          occurrenceDate: dateKey,
+          isOccurrence: true,
+          start,
+          end: new Date(new Date(start).getTime() + durationMs).toISOString(),
+        };
+      });
+  }
+
+  /**
+   * Règle arrêtée la veille d'une date (« cette occurrence et les suivantes »)
+   */
+  static truncateBefore(rule, dateKey) {
+    return {
+      ...rule,
+      until: DateUtils.addDaysToKey(dateKey, -1),
+      count: null,
+      exdates: (rule.exdates || []).filter(date => date < dateKey),
+    };
+  }
+
+  /**
+   * Règle de la série reprise à partir d'une date (le reste du `count` est conservé)
+   */
+  static continueFrom(rule, startKey, dateKey) {
+    const remaining = rule.count
+      ? rule.count - this.getOccurrenceDates(startKey, rule).filter(date => date < dateKey).length
+      : null;
+
+    return {
+      ...rule,
+      count: remaining,
+      exdates: (rule.exdates || []).filter(date => date >= dateKey),
+    };
+  }
+
+  /**
+   * Position du jour dans le mois : 1 à 4, ou -1 pour « le dernier »
+   */
+  static getMonthlyPosition(dateKey) {
+    const day = Number(dateKey.slice(8, 10));
+    const nth = Math.ceil(day / 7);
+    return nth >= 5 ? -1 : nth;
+  }
+
+  /**
+   * Libellé lisible : « Toutes les 2 semaines (lundi, jeudi), 10 fois »
+   */
+  static describe(rule, startKey) {
+    const { FREQUENCIES } = CONFIG.RECURRENCE;
+    const every = rule.interval > 1;
+    let label;
+
+    switch (rule.frequency) {
+      case FREQUENCIES.DAILY:
+        label = every ? `Tous les ${rule.interval} jours` : 'Tous les jours';
+        break;
+      case FREQUENCIES.WEEKLY: {
+        const days = rule.weekdays.map(day => WEEKDAY_NAMES[day]).join(', ');
+        label = `${every ? `Toutes les ${rule.interval} semaines` : 'Chaque semaine'} (${days})`;
+        break;
+      }
+      case FREQUENCIES.MONTHLY: {
+        const position = this.getMonthlyPosition(startKey);
+        const weekday = WEEKDAY_NAMES[DateUtils.getDayOfWeek(startKey)];
+        const which = position === -1 ? `le dernier ${weekday}` : `le ${ORDINALS[position - 1]} ${weekday}`;
+        label = `${every ? `Tous les ${rule.interval} mois` : 'Chaque mois'}, ${which}`;
+        break;
+      }
+      default:
+        return '';
+    }
+
+    if (rule.count) return `${label}, ${rule.count} fois`;
+    if (rule.until) return `${label}, jusqu'au ${DateUtils.formatDate(rule.until, { day: 'numeric', month: 'long', year: 'numeric' })}`;
+    return label;
+  }
+
+  /**
+   * ============================================================
+   * MÉTHODES PRIVÉES
+   * ============================================================
+   */
+
+  static _nthWeekdayOfMonth(year, monthIndex, weekday, position) {
+    // Date.UTC gère le débordement des mois (monthIndex > 11)
+    const date = new Date(Date.UTC(year, monthIndex, 1, 12));
+
+    if (position === -1) {
+      date.setUTCMonth(date.getUTCMonth() + 1, 0);
+      date.setUTCDate(date.getUTCDate() - ((date.getUTCDay() - weekday + 7) % 7));
+    } else {
+      date.setUTCDate(1 + ((weekday - date.getUTCDay() + 7) % 7) + (position - 1) * 7);
+    }
+
+    return date.toISOString().slice(0, 10);
+  }
+}
@@ -6,6 +6,7 @@
  */
 
 import { CONFIG } from '../core/Config.js';
+import { DateUtils } from './DateUtils.js';
 
 export class Validator {
   /**
@@ -60,6 +61,36 @@ export class Validator {
     };
   }
 
+  /**
+   * Valide une règle de récurrence (une fin par date ou par nombre est requise)
+   */
+  static validateRecurrence(rule, start) {
+    const errors = {};
+    const { FREQUENCIES, MAX_INTERVAL, MAX_OCCURRENCES } = CONFIG.RECURRENCE;
+    
+    if (!Object.values(FREQUENCIES).includes(rule?.frequency)) {
+      errors.recurrence = 'Fréquence de récurrence invalide';
+      return { valid: false, errors };
+    }
+    
+    if (!Number.isInteger(rule.interval) || rule.interval < 1 || rule.interval > MAX_INTERVAL) {
+      errors.recurrence = `L'intervalle doit être compris entre 1 et ${MAX_INTERVAL}`;
+    } else if (rule.weekdays?.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+      errors.recurrence = 'Jours de la semaine invalides';
+    } else if (!rule.until && !rule.count) {
+      errors.recurrence = 'Indiquez une date de fin ou un nombre d\'occurrences';
+    } else if (rule.count && (rule.count < 1 || rule.count > MAX_OCCURRENCES)) {
+      errors.recurrence = `Le nombre d'occurrences doit être compris entre 1 et ${MAX_OCCURRENCES}`;
+    } else if (rule.until && rule.until < DateUtils.toDateKey(start)) {
+      errors.recurrence = 'La date de fin doit suivre le premier rendez-vous';
+    }
+    
+    return {
+      valid: Object.keys(errors).length === 0,
+      errors,
+    };
+  }
+
   /**
    * Valide une plage de dates
    */
@@ -118,6 +149,28 @@ export class Validator {
       errors.email = 'Email invalide';
     }
     
+    if (settings.timezone !== undefined && !DateUtils.isValidTimeZone(settings.timezone)) {
+      errors.timezone = 'Fuseau horaire inconnu';
+    }
+    
+    if (settings.weightProfile !== undefined) {
+      const { id, customWeights } = settings.weightProfile || {};
+      const { CUSTOM, PRESETS } = CONFIG.WEIGHT_PROFILES;
+      
+      if (id !== CUSTOM && !PRESETS[id]) {
+        errors.weightProfile = 'Profil de pondération inconnu';
+      } else if (id === CUSTOM) {
+        const keys = Object.keys(CONFIG.HARMONY_WEIGHTS);
+        const values = keys.map(key => customWeights?.[key]);
+        
+        if (values.some(value => typeof value !== 'number' || value < 0)) {
+          errors.weightProfile = 'Chaque pondération doit être un nombre positif';
+        } else if (Math.round(values.reduce((a, b) => a + b, 0)) !== 100) {
+          errors.weightProfile = 'La somme des pondérations doit être égale à 100';
+        }
+      }
+    }
+    
     if (settings.maxDailyAppointments !== undefined) {
       if (settings.maxDailyAppointments < 1 || settings.maxDailyAppointments > 20) {
         errors.maxDailyAppointments = 'Doit être entre 1 et 20';
@@ -130,6 +183,28 @@ export class Validator {
       }
     }
     
+    if (settings.autoLockMinutes !== undefined) {
+      if (!Number.isInteger(settings.autoLockMinutes) || settings.autoLockMinutes < 0 || settings.autoLockMinutes > 240) {
+        errors.autoLockMinutes = 'Doit être entre 0 (jamais) et 240 minutes';
+      }
+    }
+    
+    if (settings.cancellationNoticeHours !== undefined) {
+      const hours = settings.cancellationNoticeHours;
+      if (!Number.isInteger(hours) || hours < 0 || hours > 168) {
+        errors.cancellationNoticeHours = 'Doit être entre 0 et 168 heures';
+      }
+    }
+    
+    if (settings.restorePoints !== undefined) {
+      const { daily, weekly } = settings.restorePoints || {};
+      if (!Number.isInteger(daily) || daily < 1 || daily > 30) {
+        errors.restorePoints = 'Points quotidiens : entre 1 et 30';
+      } else if (!Number.isInteger(weekly) || weekly < 0 || weekly > 12) {
+        errors.restorePoints = 'Points hebdomadaires : entre 0 et 12';
+      }
+    }
+    
     if (settings.breakDuration !== undefined) {
       if (settings.breakDuration < 0 || settings.breakDuration > 120) {
         errors.breakDuration = 'Doit être entre 0 et 120 minutes';
@@ -193,6 +268,100 @@ export class Validator {
     };
   }
 
+  /**
+   * Valide une fiche client
+   */
+  /**
+   * Valide une prestation du catalogue
+   */
+  static validateService(service) {
+    const errors = {};
+    const isMinutes = (value, max) => Number.isInteger(value) && value >= 0 && value <= max;
+    
+    if (!service.name || service.name.trim().length < 2 || service.name.length > 60) {
+      errors.name = 'Le nom est requis (2-60 caractères)';
+    }
+    
+    if (!isMinutes(service.duration, 480) || service.duration < 15) {
+      errors.duration = 'La durée doit être comprise entre 15 et 480 minutes';
+    }
+    
+    if (!isMinutes(service.bufferBefore, 120) || !isMinutes(service.bufferAfter, 120)) {
+      errors.buffer = 'Les temps de préparation doivent être compris entre 0 et 120 minutes';
+    }
+    
+    if (service.price !== null && (typeof service.price !== 'number' || !(service.price >= 0) || service.price > 10000)) {
+      errors.price = 'Le prix doit être compris entre 0 et 10 000 €';
+    }
+    
+    if (!/^#[0-9a-f]{6}$/i.test(service.color || '')) {
+      errors.color = 'Couleur invalide';
+    }
+    
+    return {
+      valid: Object.keys(errors).length === 0,
+      errors,
+    };
+  }
+
+  /**
+   * Valide une exception datée aux disponibilités (fermeture ou ouverture)
+   */
+  static validateAvailabilityOverride(override) {
+    const errors = {};
+    const { TYPES, MAX_RANGE_DAYS } = CONFIG.AVAILABILITY_OVERRIDES;
+    const isDateKey = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value || '') && !isNaN(new Date(`${value}T12:00:00Z`));
+    const isTime = (value) => /^([01]\d|2[0-3]):[0-5]\d$/.test(value || '');
+    
+    if (!Object.values(TYPES).includes(override.type)) {
+      errors.type = 'Type d\'exception inconnu';
+    }
+    
+    if (!isDateKey(override.startDate) || !isDateKey(override.endDate) || override.endDate < override.startDate) {
+      errors.dates = 'La date de fin doit suivre la date de début';
+    } else if (DateUtils.daysBetween(override.startDate, override.endDate) >= MAX_RANGE_DAYS) {
+      errors.dates = `Une exception ne peut pas dépasser ${MAX_RANGE_DAYS} jours`;
+    }
+    
+    if (override.type === TYPES.OPEN && (!isTime(override.start) || !isTime(override.end) || override.start >= override.end)) {
+      errors.hours = 'L\'heure de fin doit être postérieure à l\'heure de début';
+    }
+    
+    if (override.label && override.label.length > 80) {
+      errors.label = 'Le libellé ne peut pas dépasser 80 caractères';
+    }
+    
+    return {
+      valid: Object.keys(errors).length === 0,
+      errors,
+    };
+  }
+
+  static validateClient(data) {
+    const errors = {};
+    
+    if (!this.isValidName(data.name || '')) {
+      errors.name = 'Le nom du client est requis (2-100 caractères)';
+    }
+    
+    if (data.email && !this.isValidEmail(data.email)) {
+      errors.email = 'Email invalide';
+    }
+    
+    if (data.phone && !this.isValidPhone(data.phone)) {
+      errors.phone = 'Téléphone invalide';
+    }
+    
+    if (data.notes && data.notes.length > 5000) {
+      errors.notes = 'Les notes ne peuvent pas dépasser 5000 caractères';
+    }
+    
+    return {
+      valid: Object.keys(errors).length === 0,
+      errors,
+    };
+  }
+
   /**
    * Vérifie si un email est valide
    */